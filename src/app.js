@@ -9,6 +9,7 @@ const rateLimit = require('express-rate-limit');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
 const connectDB = require('./config/database');
+const { protect } = require('./middleware/auth');
 
 // Create Express app
 const app = express();
@@ -56,12 +57,16 @@ app.get('/health', (req, res) => {
 });
 
 // Import routes
+const authRoutes = require('./routes/auth');
 const aiRoutes = require('./routes/ai');
 const projectRoutes = require('./routes/projects');
+const jobRoutes = require('./routes/jobs');
 
 // API routes
-app.use('/api/ai', aiRoutes);
-app.use('/api/projects', projectRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/ai', protect, aiRoutes);
+app.use('/api/projects', protect, projectRoutes);
+app.use('/api/jobs', protect, jobRoutes);
 
 app.get('/api', (req, res) => {
   res.json({
@@ -70,8 +75,10 @@ app.get('/api', (req, res) => {
     endpoints: {
       health: '/health',
       api: '/api',
+      auth: '/api/auth',
       ai: '/api/ai',
-      projects: '/api/projects'
+      projects: '/api/projects',
+      jobs: '/api/jobs'
     },
     features: {
       aiProviders: ['OpenRouter', 'Cerebras', 'Meta Llama'],
@@ -1,5 +1,59 @@
 const enhancedMcpGateway = require('../services/enhancedMcpGateway');
 const logger = require('../utils/logger');
+const { parseNodeCodeResponse } = require('../utils/nodeCodeParser');
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const { ROLE_RANK } = require('../middleware/projectAccess');
+const { findNode, toTree } = require('../utils/mindmapTree');
+const { extractCode } = require('../utils/codeValidator');
+const codeValidationService = require('../services/codeValidationService');
+const { CIRCUIT_STATES } = require('../utils/circuitBreaker');
+
+// Resolve the project node-code results are stored in, or send the error response.
+// Needs the editor role and a nodeId that exists in the project's mindmap.
+const loadNodeCodeProject = async (req, res, projectId, nodeId) => {
+  const project = mongoose.isValidObjectId(projectId) ? await Project.findById(projectId) : null;
+  const role = project ? project.getMemberRole(req.user) : null;
+
+  if (!role) {
+    res.status(404).json({
+      success: false,
+      error: 'Project not found',
+      code: 'PROJECT_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (ROLE_RANK[role] < ROLE_RANK.editor) {
+    res.status(403).json({
+      success: false,
+      error: 'Storing node code requires the editor role on the project',
+      code: 'FORBIDDEN',
+      role
+    });
+    return null;
+  }
+
+  if (nodeId === undefined || nodeId === null || nodeId === '') {
+    res.status(400).json({
+      success: false,
+      error: 'nodeId is required when projectId is given',
+      code: 'MISSING_NODE_ID'
+    });
+    return null;
+  }
+
+  if (!findNode(toTree(project.mindmap), nodeId)) {
+    res.status(404).json({
+      success: false,
+      error: `Node ${nodeId} not found in the project mindmap`,
+      code: 'NODE_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return project;
+};
 
 /**
  * AI Controller - Handles all AI generation endpoints
@@ -22,7 +76,8 @@ class AIController {
         projectDescription, 
         priority = 'speed',  // 'speed' | 'quality'
         format = 'json',     // 'json' | 'markdown' | 'text'
-        complexity = 'medium' // 'low' | 'medium' | 'high'
+        complexity = 'medium', // 'low' | 'medium' | 'high'
+        provider               // registered provider to try first, e.g. 'local'
       } = req.body;
 
       if (!projectDescription) {
@@ -38,7 +93,8 @@ class AIController {
         projectDescription,
         priority,
         format,
-        complexity
+        complexity,
+        provider
       });
 
       const responseTime = Date.now() - startTime;
@@ -46,7 +102,7 @@ class AIController {
       res.json({
         success: true,
         data: {
-          mindmap: result.choices?.[0]?.message?.content || result.generated_text,
+          mindmap: result.data,
           provider: result.provider,
           format,
           complexity
@@ -56,7 +112,8 @@ class AIController {
           provider: result.provider,
           model: result.model || 'unknown',
           timestamp: new Date().toISOString(),
-          fallback: result.fallback || false
+          fallback: result.fallback || false,
+          normalization: result.normalization
         }
       });
 
@@ -64,7 +121,7 @@ class AIController {
       const responseTime = Date.now() - startTime;
       logger.error('Mindmap generation failed:', error.message);
 
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: 'Failed to generate mindmap',
         message: error.message,
         code: 'MINDMAP_GENERATION_FAILED',
@@ -87,7 +144,9 @@ class AIController {
         complexity = 'medium',  // 'low' | 'medium' | 'high'
         framework = null,       // 'react' | 'vue' | 'express' | etc.
         includeTests = false,
-        includeComments = true
+        includeComments = true,
+        retryInvalid = false,
+        provider
       } = req.body;
 
       if (!requirements) {
@@ -105,21 +164,23 @@ class AIController {
         complexity,
         framework,
         includeTests,
-        includeComments
+        includeComments,
+        provider
       });
 
       const responseTime = Date.now() - startTime;
 
-      // Extract code from response
-      let generatedCode = result.code || result.choices?.[0]?.message?.content || result.generated_text;
-      
-      // Clean up code formatting
-      generatedCode = this.cleanCodeResponse(generatedCode, language);
+      // Extract the code block and syntax-check it (one retry with the errors when requested)
+      const { code: generatedCode, validation } = await codeValidationService.validateFile(
+        { ...extractCode(result), language },
+        { retry: Boolean(retryInvalid), requirements }
+      );
 
       res.json({
         success: true,
         data: {
           code: generatedCode,
+          validation,
           language,
           complexity,
           framework,
@@ -140,7 +201,7 @@ class AIController {
       const responseTime = Date.now() - startTime;
       logger.error('Code generation failed:', error.message);
 
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: 'Failed to generate code',
         message: error.message,
         code: 'CODE_GENERATION_FAILED',
@@ -158,12 +219,15 @@ class AIController {
     
     try {
       const { 
+        projectId,
         nodeId,
         nodeTitle,
         nodeDescription,
         nodeType = 'component',
         projectContext = {},
-        codeOptions = {}
+        codeOptions = {},
+        retryInvalid = false,
+        provider
       } = req.body;
 
       if (!nodeTitle || !nodeDescription) {
@@ -174,6 +238,13 @@ class AIController {
         });
       }
 
+      // Optional: store the generated files against the project and mindmap node
+      let project = null;
+      if (projectId) {
+        project = await loadNodeCodeProject(req, res, projectId, nodeId);
+        if (!project) return;
+      }
+
       logger.info(`Generating PRD + Code for node: ${nodeTitle}`);
 
       // Create comprehensive prompt for PRD + Code generation
@@ -200,37 +271,50 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
         nodeType,
         projectContext,
         codeOptions,
-        complexity: projectContext.complexity || 'medium'
+        complexity: projectContext.complexity || 'medium',
+        provider
       });
 
       const responseTime = Date.now() - startTime;
 
-      // Parse the response to extract structured files with PRD + Code
-      let parsedFiles;
-      try {
-        const rawContent = result.data || result.choices?.[0]?.message?.content || result.generated_text || result.code;
-        parsedFiles = [{
-          name: this.generateFileName(nodeTitle, codeOptions.language || 'typescript', 0),
-          path: `src/components/${this.generateFileName(nodeTitle, codeOptions.language || 'typescript', 0)}`,
-          content: this.cleanCodeResponse(rawContent, codeOptions.language || 'typescript'),
-          language: codeOptions.language || 'typescript',
-          type: nodeType,
-          description: `${nodeType} implementation for ${nodeTitle}`,
-          prd: this.generateDefaultPRD(nodeTitle, nodeType, this.generateFileName(nodeTitle, codeOptions.language || 'typescript', 0))
-        }];
-      } catch (parseError) {
-        logger.error('Failed to parse code generation response:', parseError);
-        throw new Error('Failed to parse AI response');
+      // Split the response into separate files, each with its own path, language and PRD
+      const language = codeOptions.language || 'typescript';
+      const { files, format } = parseNodeCodeResponse(result, { nodeTitle, nodeType, language });
+      // Syntax-check each file before it is returned or stored
+      const parsedFiles = [];
+      for (const { unclosedFence, ...file } of files) {
+        const extracted = format === 'raw' ? extractCode(file.content) : { code: file.content, unclosedFence };
+        const { code, validation } = await codeValidationService.validateFile(
+          { ...extracted, language: file.language, filename: file.name },
+          { retry: Boolean(retryInvalid), requirements: file.prd || nodeDescription }
+        );
+
+        parsedFiles.push({
+          ...file,
+          content: code,
+          validation,
+          prd: file.prd || this.generateDefaultPRD(nodeTitle, nodeType, file.name)
+        });
       }
 
-      if (!parsedFiles || parsedFiles.length === 0) {
+      if (parsedFiles.length === 0) {
         throw new Error('No files were generated from the AI response');
       }
 
+      let storedFiles = [];
+      if (project) {
+        const previousCount = project.generatedCode.length;
+        await project.addNodeCode({ nodeId, nodeTitle }, parsedFiles, result.provider);
+        storedFiles = project.generatedCode.slice(previousCount);
+      }
+
       res.json({
         success: true,
         data: {
-          files: parsedFiles,
+          files: parsedFiles.map((file, index) => (
+            storedFiles[index] ? { ...file, id: storedFiles[index]._id, generatedAt: storedFiles[index].generatedAt } : file
+          )),
+          projectId: project ? project._id : null,
           nodeId,
           nodeTitle,
           nodeType,
@@ -244,7 +328,10 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
           model: result.model || 'unknown',
           timestamp: new Date().toISOString(),
           fallback: result.fallback || false,
-          filesGenerated: parsedFiles.length
+          filesGenerated: parsedFiles.length,
+          filesStored: storedFiles.length,
+          filesInvalid: parsedFiles.filter(file => ['invalid', 'truncated'].includes(file.validation.status)).length,
+          responseFormat: format
         }
       });
 
@@ -257,7 +344,7 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
         responseTime
       });
 
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         error: 'Failed to generate node code',
         message: error.message,
@@ -281,7 +368,8 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
         industry = 'tech',
         targetAudience = 'general',
         timeline = '3-6 months',
-        budget = 'startup'
+        budget = 'startup',
+        provider
       } = req.body;
 
       if (!projectIdea) {
@@ -299,20 +387,17 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
         industry,
         targetAudience,
         timeline,
-        budget
+        budget,
+        provider
       });
 
       const responseTime = Date.now() - startTime;
 
-      // Structure PRD response
-      let prdContent = result.prd || result.choices?.[0]?.message?.content || result.generated_text;
-      const structuredPRD = this.structurePRDResponse(prdContent);
-
       res.json({
         success: true,
         data: {
-          prd: structuredPRD,
-          rawContent: prdContent,
+          prd: result.data,
+          rawContent: result.rawContent,
           complexity,
           industry,
           targetAudience,
@@ -324,7 +409,8 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
           model: result.model || 'unknown',
           timestamp: new Date().toISOString(),
           fallback: result.fallback || false,
-          sections: structuredPRD.sections?.length || 0
+          sections: result.data.sections.length,
+          normalization: result.normalization
         }
       });
 
@@ -332,7 +418,7 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
       const responseTime = Date.now() - startTime;
       logger.error('PRD generation failed:', error.message);
 
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         error: 'Failed to generate PRD',
         message: error.message,
         code: 'PRD_GENERATION_FAILED',
@@ -356,26 +442,7 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
           status: gatewayStatus.status,
           services: gatewayStatus.services,
           totalRequests: gatewayStatus.totalRequests,
-          providers: {
-            openrouter: {
-              name: 'OpenRouter',
-              description: 'Multi-model routing with Cerebras integration',
-              models: ['meta-llama/llama-3.1-8b-instruct', 'cerebras/llama3.1-8b'],
-              useCases: ['Fallback routing', 'Model diversity', 'Cost optimization']
-            },
-            cerebras: {
-              name: 'Cerebras',
-              description: 'Ultra-fast inference (<100ms)',
-              models: ['llama3.1-8b'],
-              useCases: ['Real-time mindmaps', 'Live code completion', 'Instant insights']
-            },
-            'meta-llama': {
-              name: 'Meta Llama',
-              description: 'High-quality code and content generation',
-              models: ['CodeLlama-34b', 'Llama-2-70b-chat', 'Llama-2-13b-chat'],
-              useCases: ['Code generation', 'Technical documentation', 'Comprehensive PRDs']
-            }
-          }
+          providers: await enhancedMcpGateway.describeProviders()
         },
         metadata: {
           timestamp: new Date().toISOString()
@@ -398,9 +465,9 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
     try {
       const { 
         prompt, 
-        provider = 'cerebras',  // Default to Cerebras for streaming
+        provider,  // Any provider with the stream capability; defaults to the best healthy one
         maxTokens = 1500
-      } = req.body;
+      } = req.body || {};
 
       if (!prompt) {
         return res.status(400).json({
@@ -409,34 +476,42 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
         });
       }
 
-      // Set up Server-Sent Events
-      res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Cache-Control'
-      });
-
       const messages = [
         { role: 'user', content: prompt }
       ];
 
-      // Stream response chunks
-      if (provider === 'cerebras') {
-        const cerebrasService = require('../services/cerebrasService');
-        
-        await cerebrasService.streamResponse(messages, (chunk) => {
+      // Stream response chunks; headers go out once a provider has been picked
+      await enhancedMcpGateway.runStream(provider, messages, {
+        options: { max_tokens: maxTokens },
+        onOpen: () => {
+          // Set up Server-Sent Events
+          res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Cache-Control'
+          });
+        },
+        onChunk: (chunk) => {
           res.write(`data: ${JSON.stringify({ type: 'chunk', content: chunk })}\n\n`);
-        }, { max_tokens: maxTokens });
-      }
+        }
+      });
 
       // Send completion signal
       res.write(`data: ${JSON.stringify({ type: 'complete' })}\n\n`);
       res.end();
 
     } catch (error) {
-      logger.error('Streaming failed:', error.message);
+      // No provider could take the stream, so nothing has been sent yet
+      if (error.statusCode && !res.headersSent) {
+        return res.status(error.statusCode).json({
+          error: error.message,
+          code: 'STREAM_PROVIDER_UNAVAILABLE'
+        });
+      }
+
+      logger.error(`Streaming failed: ${error.message}`);
       res.write(`data: ${JSON.stringify({ type: 'error', message: error.message })}\n\n`);
       res.end();
     }
@@ -447,10 +522,16 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
     try {
       const gatewayStatus = await enhancedMcpGateway.getGatewayStatus();
       
+      // A provider whose circuit is open is skipped by routing, so it counts as unhealthy
       const healthySources = Object.values(gatewayStatus.services)
-        .filter(service => service.healthy).length;
+        .filter(service => service.available).length;
+      const openCircuits = Object.values(gatewayStatus.services)
+        .filter(service => service.circuit.state === CIRCUIT_STATES.OPEN).length;
       const totalServices = Object.keys(gatewayStatus.services).length;
       
+      const hasHealthy = (capability) => Object.values(gatewayStatus.services)
+        .some(service => service.available && service.capabilities.includes(capability));
+      
       const overallHealth = healthySources === totalServices ? 'healthy' : 
                            healthySources > 0 ? 'degraded' : 'unhealthy';
 
@@ -460,13 +541,14 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
         summary: {
           healthyServices: healthySources,
           totalServices,
+          openCircuits,
           healthPercentage: Math.round((healthySources / totalServices) * 100)
         },
         capabilities: {
-          mindmapGeneration: healthySources > 0,
-          codeGeneration: healthySources > 0,
-          prdGeneration: healthySources > 0,
-          realTimeStreaming: gatewayStatus.services.cerebras?.healthy || false
+          mindmapGeneration: hasHealthy('mindmap'),
+          codeGeneration: hasHealthy('code'),
+          prdGeneration: hasHealthy('prd'),
+          realTimeStreaming: hasHealthy('stream')
         },
         timestamp: new Date().toISOString()
       });
@@ -482,92 +564,7 @@ Generate 1-3 production-ready files with BOTH comprehensive PRD documentation AN
     }
   }
 
-  // Helper methods
-  cleanCodeResponse(code, language) {
-    if (!code) return '';
-    
-    // Remove markdown code blocks
-    code = code.replace(/```[\w]*\n?/g, '').replace(/```/g, '');
-    
-    // Remove explanation text before code
-    const codeStart = code.indexOf('{') !== -1 ? code.indexOf('{') : 
-                     code.indexOf('function') !== -1 ? code.indexOf('function') :
-                     code.indexOf('const') !== -1 ? code.indexOf('const') :
-                     code.indexOf('import') !== -1 ? code.indexOf('import') : 0;
-    
-    if (codeStart > 0) {
-      code = code.substring(codeStart);
-    }
-    
-    return code.trim();
-  }
-
-  structurePRDResponse(content) {
-    // Ensure content is a string
-    if (typeof content !== 'string') {
-      content = String(content || '');
-    }
-    
-    const sections = [];
-    const lines = content.split('\n');
-    let currentSection = null;
-    
-    for (const line of lines) {
-      // Check if line is a section header
-      if (line.match(/^\s*(?:\d+\.?\s*)?([A-Z][^:\n]+):?\s*$/)) {
-        if (currentSection) {
-          sections.push(currentSection);
-        }
-        currentSection = {
-          title: line.replace(/^\s*\d+\.?\s*/, '').replace(/:$/, '').trim(),
-          content: []
-        };
-      } else if (currentSection && line.trim()) {
-        currentSection.content.push(line.trim());
-      }
-    }
-    
-    if (currentSection) {
-      sections.push(currentSection);
-    }
-    
-    return {
-      sections,
-      rawContent: content,
-      summary: sections.find(s => s.title.toLowerCase().includes('summary'))?.content.join(' ') || '',
-      totalSections: sections.length
-    };
-  }
-
-  // Helper methods for node code generation
-  generateFileName(nodeTitle, language, index) {
-    const cleanTitle = nodeTitle
-      .replace(/[^a-zA-Z0-9\s]/g, '')
-      .split(' ')
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join('');
-    
-    const extension = this.getFileExtension(language);
-    const suffix = index > 0 ? `${index + 1}` : '';
-    
-    return `${cleanTitle}${suffix}.${extension}`;
-  }
-
-  getFileExtension(language) {
-    const extensions = {
-      'typescript': 'tsx',
-      'javascript': 'jsx',
-      'python': 'py',
-      'java': 'java',
-      'html': 'html',
-      'css': 'css',
-      'json': 'json',
-      'markdown': 'md'
-    };
-    
-    return extensions[language.toLowerCase()] || 'txt';
-  }
-
+  // Fallback PRD for files the model returned without one
   generateDefaultPRD(nodeTitle, nodeType, fileName) {
     return `# Product Requirements Document (PRD)
 
@@ -0,0 +1,305 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+class AuthController {
+
+  // Register a new account
+  async register(req, res) {
+    try {
+      const { name, email, password } = req.body || {};
+
+      // Validation
+      if (!name || !email || !password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Name, email and password are required'
+        });
+      }
+
+      if ([name, email, password].some(value => typeof value !== 'string')) {
+        return res.status(400).json({
+          success: false,
+          error: 'Name, email and password must be strings'
+        });
+      }
+
+      if (password.length < 8) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password must be at least 8 characters long'
+        });
+      }
+
+      const existingUser = await User.findByEmail(email);
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists'
+        });
+      }
+
+      const user = new User({
+        name: name.trim(),
+        email,
+        password
+      });
+      await user.save();
+
+      const tokens = await this.issueTokens(user);
+
+      logger.info('User registered successfully', {
+        userId: user._id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          user,
+          ...tokens
+        },
+        message: 'Account created successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error registering user:', {
+        error: error.message,
+        service: 'flowsprint-backend'
+      });
+
+      // A concurrent registration for the same email loses the race on the unique index
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: 'An account with this email already exists'
+        });
+      }
+
+      const status = error.name === 'ValidationError' ? 400 : 500;
+      res.status(status).json({
+        success: false,
+        error: 'Failed to register user',
+        details: error.message
+      });
+    }
+  }
+
+  // Log in with email and password
+  async login(req, res) {
+    try {
+      const { email, password } = req.body || {};
+
+      if (!email || !password) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email and password are required'
+        });
+      }
+
+      // bcrypt.compare throws on anything but a string
+      if (typeof email !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Email and password must be strings'
+        });
+      }
+
+      const user = await User.findByEmail(email, true);
+      if (!user || !(await user.comparePassword(password))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid email or password'
+        });
+      }
+
+      user.lastLoginAt = new Date();
+      const tokens = await this.issueTokens(user);
+
+      logger.info('User logged in', {
+        userId: user._id,
+        service: 'flowsprint-backend'
+      });
+
+      res.json({
+        success: true,
+        data: {
+          user,
+          ...tokens
+        },
+        message: 'Logged in successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error logging in:', {
+        error: error.message,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to log in',
+        details: error.message
+      });
+    }
+  }
+
+  // Exchange a refresh token for a new token pair (rotation)
+  async refresh(req, res) {
+    try {
+      const { refreshToken } = req.body || {};
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Refresh token is required'
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = this.verifyRefreshToken(refreshToken);
+      } catch (verifyError) {
+        return res.status(401).json({
+          success: false,
+          error: verifyError.name === 'TokenExpiredError' ? 'Refresh token expired' : 'Invalid refresh token'
+        });
+      }
+
+      const user = await User.findById(decoded.id).select('+refreshTokens');
+      if (!user || !user.hasRefreshToken(decoded.jti)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Refresh token has been revoked'
+        });
+      }
+
+      user.refreshTokens = user.refreshTokens.filter(t => t.tokenId !== decoded.jti);
+      const tokens = await this.issueTokens(user);
+
+      res.json({
+        success: true,
+        data: tokens,
+        message: 'Token refreshed successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error refreshing token:', {
+        error: error.message,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to refresh token',
+        details: error.message
+      });
+    }
+  }
+
+  // Revoke a refresh token
+  async logout(req, res) {
+    try {
+      const { refreshToken } = req.body || {};
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          error: 'Refresh token is required'
+        });
+      }
+
+      let decoded;
+      try {
+        decoded = this.verifyRefreshToken(refreshToken, { ignoreExpiration: true });
+      } catch (verifyError) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid refresh token'
+        });
+      }
+
+      const user = await User.findById(decoded.id).select('+refreshTokens');
+      if (user) {
+        await user.revokeRefreshToken(decoded.jti);
+        logger.info('User logged out', {
+          userId: user._id,
+          service: 'flowsprint-backend'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error logging out:', {
+        error: error.message,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to log out',
+        details: error.message
+      });
+    }
+  }
+
+  // Get the authenticated account
+  async getMe(req, res) {
+    try {
+      const user = await User.findById(req.user.id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: user
+      });
+
+    } catch (error) {
+      logger.error('Error fetching current user:', {
+        error: error.message,
+        userId: req.user?.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch user',
+        details: error.message
+      });
+    }
+  }
+
+  // Helper methods
+  async issueTokens(user) {
+    const refreshToken = await user.generateRefreshToken();
+
+    return {
+      accessToken: user.generateAccessToken(),
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: process.env.JWT_EXPIRE || '1d'
+    };
+  }
+
+  verifyRefreshToken(token, options = {}) {
+    const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET, options);
+
+    if (decoded.type !== 'refresh' || !decoded.jti) {
+      throw new jwt.JsonWebTokenError('Not a refresh token');
+    }
+
+    return decoded;
+  }
+}
+
+module.exports = new AuthController();
@@ -0,0 +1,493 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Project = require('../models/Project');
+const logger = require('../utils/logger');
+
+const INVITABLE_ROLES = ['editor', 'viewer'];
+const EMAIL_PATTERN = /^\S+@\S+\.\S+$/;
+
+// Shape a collaborator subdocument for API responses
+const serializeMember = (member) => ({
+  id: member._id,
+  name: member.name,
+  email: member.email,
+  userId: member.userId,
+  role: member.role,
+  status: member.status,
+  invitedBy: member.invitedBy,
+  invitedAt: member.invitedAt,
+  joinedAt: member.joinedAt
+});
+
+const signInviteToken = (project, member) => jwt.sign(
+  {
+    type: 'invite',
+    projectId: project._id.toString(),
+    email: member.email,
+    role: member.role
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.INVITE_EXPIRE || '7d', jwtid: member.inviteTokenId }
+);
+
+// Returns the decoded invite and pending member, or an { status, error } pair
+const resolveInvite = (project, token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return {
+      status: 400,
+      error: error.name === 'TokenExpiredError' ? 'Invitation has expired' : 'Invalid invitation token'
+    };
+  }
+
+  if (decoded.type !== 'invite' || decoded.projectId !== project._id.toString()) {
+    return { status: 400, error: 'Invalid invitation token' };
+  }
+
+  const member = project.collaborators.find(c =>
+    c.status === 'pending' && c.inviteTokenId === decoded.jti
+  );
+  if (!member) {
+    return { status: 404, error: 'Invitation not found or already used' };
+  }
+
+  return { decoded, member };
+};
+
+class CollaboratorController {
+
+  // List active members and pending invitations
+  async getCollaborators(req, res) {
+    try {
+      const { id } = req.params;
+
+      const project = await Project.findById(id).select('name createdBy collaborators');
+
+      res.json({
+        success: true,
+        data: {
+          projectId: project._id,
+          owner: project.createdBy,
+          collaborators: project.collaborators.map(serializeMember),
+          role: req.projectRole
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching collaborators:', {
+        error: error.message,
+        projectId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch collaborators',
+        details: error.message
+      });
+    }
+  }
+
+  // Invite a member by email and return a signed invite token
+  async inviteCollaborator(req, res) {
+    try {
+      const { id } = req.params;
+      const { email, role = 'viewer', name } = req.body || {};
+
+      const normalizedEmail = String(email || '').toLowerCase().trim();
+      if (!EMAIL_PATTERN.test(normalizedEmail)) {
+        return res.status(400).json({
+          success: false,
+          error: 'A valid email is required'
+        });
+      }
+
+      if (!INVITABLE_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Role must be one of: ${INVITABLE_ROLES.join(', ')}`
+        });
+      }
+
+      if (normalizedEmail === req.user.email) {
+        return res.status(400).json({
+          success: false,
+          error: 'You are already the owner of this project'
+        });
+      }
+
+      const project = await Project.findById(id);
+
+      // Re-inviting a pending member refreshes the token; active members are rejected
+      let member = project.collaborators.find(c => c.email === normalizedEmail);
+      if (member && member.status !== 'pending') {
+        return res.status(409).json({
+          success: false,
+          error: 'This user is already a collaborator'
+        });
+      }
+
+      if (!member) {
+        project.collaborators.push({ email: normalizedEmail, name });
+        member = project.collaborators[project.collaborators.length - 1];
+      }
+
+      member.name = name || member.name;
+      member.role = role;
+      member.status = 'pending';
+      member.inviteTokenId = crypto.randomUUID();
+      member.invitedBy = req.user.id;
+      member.invitedAt = new Date();
+
+      await project.save();
+
+      const inviteToken = signInviteToken(project, member);
+
+      logger.info('Collaborator invited', {
+        projectId: project._id,
+        email: normalizedEmail,
+        role,
+        invitedBy: req.user.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          collaborator: serializeMember(member),
+          inviteToken
+        },
+        message: 'Invitation created successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error inviting collaborator:', {
+        error: error.message,
+        projectId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to invite collaborator',
+        details: error.message
+      });
+    }
+  }
+
+  // Accept an invitation addressed to the caller's email
+  async acceptInvitation(req, res) {
+    try {
+      const { id } = req.params;
+      const { token } = req.body || {};
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invitation token is required'
+        });
+      }
+
+      const project = await Project.findById(id);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      const invite = resolveInvite(project, token);
+      if (invite.error) {
+        return res.status(invite.status).json({
+          success: false,
+          error: invite.error
+        });
+      }
+
+      if (invite.decoded.email !== req.user.email) {
+        return res.status(403).json({
+          success: false,
+          error: 'This invitation was sent to a different email address'
+        });
+      }
+
+      const { member } = invite;
+      member.status = 'active';
+      member.userId = req.user.id;
+      member.name = member.name || req.user.name;
+      member.inviteTokenId = null;
+      member.joinedAt = new Date();
+
+      await project.save();
+
+      logger.info('Collaborator invitation accepted', {
+        projectId: project._id,
+        userId: req.user.id,
+        role: member.role,
+        service: 'flowsprint-backend'
+      });
+
+      res.json({
+        success: true,
+        data: {
+          projectId: project._id,
+          collaborator: serializeMember(member)
+        },
+        message: 'Invitation accepted'
+      });
+
+    } catch (error) {
+      logger.error('Error accepting invitation:', {
+        error: error.message,
+        projectId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to accept invitation',
+        details: error.message
+      });
+    }
+  }
+
+  // Decline an invitation addressed to the caller's email
+  async declineInvitation(req, res) {
+    try {
+      const { id } = req.params;
+      const { token } = req.body || {};
+
+      if (!token) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invitation token is required'
+        });
+      }
+
+      const project = await Project.findById(id);
+      if (!project) {
+        return res.status(404).json({
+          success: false,
+          error: 'Project not found'
+        });
+      }
+
+      const invite = resolveInvite(project, token);
+      if (invite.error) {
+        return res.status(invite.status).json({
+          success: false,
+          error: invite.error
+        });
+      }
+
+      if (invite.decoded.email !== req.user.email) {
+        return res.status(403).json({
+          success: false,
+          error: 'This invitation was sent to a different email address'
+        });
+      }
+
+      project.collaborators.pull(invite.member._id);
+      await project.save();
+
+      logger.info('Collaborator invitation declined', {
+        projectId: project._id,
+        userId: req.user.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.json({
+        success: true,
+        message: 'Invitation declined'
+      });
+
+    } catch (error) {
+      logger.error('Error declining invitation:', {
+        error: error.message,
+        projectId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to decline invitation',
+        details: error.message
+      });
+    }
+  }
+
+  // Change a member's role
+  async updateCollaboratorRole(req, res) {
+    try {
+      const { id, memberId } = req.params;
+      const { role } = req.body || {};
+
+      if (!INVITABLE_ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: `Role must be one of: ${INVITABLE_ROLES.join(', ')}. Use transfer-ownership to change the owner`
+        });
+      }
+
+      const project = await Project.findById(id);
+      const member = project.collaborators.id(memberId);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          error: 'Collaborator not found'
+        });
+      }
+
+      const previousRole = member.role;
+      member.role = role;
+      await project.save();
+
+      logger.info('Collaborator role updated', {
+        projectId: project._id,
+        memberId,
+        previousRole,
+        role,
+        updatedBy: req.user.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.json({
+        success: true,
+        data: serializeMember(member),
+        message: 'Collaborator role updated'
+      });
+
+    } catch (error) {
+      logger.error('Error updating collaborator role:', {
+        error: error.message,
+        projectId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update collaborator role',
+        details: error.message
+      });
+    }
+  }
+
+  // Remove a member or revoke a pending invitation
+  async removeCollaborator(req, res) {
+    try {
+      const { id, memberId } = req.params;
+
+      const project = await Project.findById(id);
+      const member = project.collaborators.id(memberId);
+
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          error: 'Collaborator not found'
+        });
+      }
+
+      project.collaborators.pull(member._id);
+      await project.save();
+
+      logger.info('Collaborator removed', {
+        projectId: project._id,
+        memberId,
+        email: member.email,
+        removedBy: req.user.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.json({
+        success: true,
+        message: 'Collaborator removed'
+      });
+
+    } catch (error) {
+      logger.error('Error removing collaborator:', {
+        error: error.message,
+        projectId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove collaborator',
+        details: error.message
+      });
+    }
+  }
+
+  // Hand the project to an active member; the previous owner stays on as editor
+  async transferOwnership(req, res) {
+    try {
+      const { id } = req.params;
+      const { memberId } = req.body || {};
+
+      if (!memberId) {
+        return res.status(400).json({
+          success: false,
+          error: 'memberId is required'
+        });
+      }
+
+      const project = await Project.findById(id);
+      const member = project.collaborators.id(memberId);
+
+      if (!member || member.status !== 'active' || !member.userId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Ownership can only be transferred to an active member with an account'
+        });
+      }
+
+      project.createdBy = member.userId;
+      project.collaborators.pull(member._id);
+      project.collaborators.push({
+        name: req.user.name,
+        email: req.user.email,
+        userId: req.user.id,
+        role: 'editor',
+        status: 'active',
+        joinedAt: new Date()
+      });
+
+      await project.save();
+
+      logger.info('Project ownership transferred', {
+        projectId: project._id,
+        from: req.user.id,
+        to: member.userId,
+        service: 'flowsprint-backend'
+      });
+
+      res.json({
+        success: true,
+        data: {
+          projectId: project._id,
+          owner: project.createdBy,
+          collaborators: project.collaborators.map(serializeMember)
+        },
+        message: 'Ownership transferred successfully'
+      });
+
+    } catch (error) {
+      logger.error('Error transferring ownership:', {
+        error: error.message,
+        projectId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to transfer ownership',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CollaboratorController();
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const Project = require('../models/Project');
+const logger = require('../utils/logger');
+
+class JobController {
+
+  // Get job status, result, provider and timings
+  async getJob(req, res) {
+    try {
+      const { id } = req.params;
+
+      const job = mongoose.isValidObjectId(id) ? await Job.findById(id) : null;
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Job not found'
+        });
+      }
+
+      // Visible to whoever queued it and to anyone who can read its project
+      if (job.createdBy !== req.user.id) {
+        const project = job.projectId
+          ? await Project.findById(job.projectId).select('createdBy collaborators')
+          : null;
+
+        if (!project || !project.getMemberRole(req.user)) {
+          return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+          });
+        }
+      }
+
+      res.json({
+        success: true,
+        data: job.toStatus()
+      });
+
+    } catch (error) {
+      logger.error('Error fetching job:', {
+        error: error.message,
+        jobId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch job',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = new JobController();
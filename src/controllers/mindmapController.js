@@ -0,0 +1,363 @@
+const Project = require('../models/Project');
+const MindmapRevision = require('../models/MindmapRevision');
+const logger = require('../utils/logger');
+const jobQueue = require('../services/jobQueue');
+require('../services/generationService'); // registers the generation job handlers
+const mindmapTree = require('../utils/mindmapTree');
+const { exportMindmap } = require('../utils/mindmapExport');
+const { importMindmap } = require('../utils/mindmapImport');
+const { normalizeMindmap, upgradeMindmap, MAX_DEPTH, MAX_NODES } = require('../utils/mindmapNormalizer');
+const { revisionHandlers } = require('./revisionHandlers');
+
+// Hand edits are held to the same bounds as generated and imported mindmaps
+const NODE_LIMITS = { maxDepth: MAX_DEPTH, maxNodes: MAX_NODES };
+
+const revisions = revisionHandlers({
+  Revision: MindmapRevision,
+  versionField: 'mindmapVersion',
+  contentField: 'mindmap',
+  commit: 'commitMindmap',
+  label: 'mindmap',
+  diff: mindmapTree.diffTrees,
+  restoreInfo: revision => ({ complexity: revision.complexity })
+});
+
+// Load a project that already has a mindmap, or send the error response
+const loadMindmapProject = async (req, res) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project.mindmap) {
+    res.status(404).json({
+      success: false,
+      error: 'Project has no mindmap yet'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+// Apply a node edit from utils/mindmapTree and store the result as a new revision
+const applyNodeEdit = async (req, res, { action, operation, message, status = 200 }) => {
+  try {
+    const project = await loadMindmapProject(req, res);
+    if (!project) return;
+
+    // Node ids are only dependable on a canonical tree
+    const result = operation(upgradeMindmap(project.mindmap));
+
+    const committed = await project.commitMindmap(result.mindmap, {
+      source: 'edit',
+      author: req.user.id,
+      message: message(result)
+    });
+
+    logger.info(`Mindmap node ${action}`, {
+      projectId: project._id,
+      nodeId: result.node.id,
+      revision: committed.mindmapVersion,
+      userId: req.user.id,
+      service: 'flowsprint-backend'
+    });
+
+    res.status(status).json({
+      success: true,
+      data: {
+        node: result.node,
+        mindmap: committed.mindmap,
+        revision: committed.mindmapVersion,
+        ...(result.removedCount !== undefined && { removedCount: result.removedCount })
+      },
+      message: `Node ${action} successfully`
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Error applying mindmap node edit (${action}):`, {
+      error: error.message,
+      projectId: req.params.id,
+      nodeId: req.params.nodeId,
+      service: 'flowsprint-backend'
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to edit mindmap node',
+      details: error.message
+    });
+  }
+};
+
+// Queue an expand/regenerate job for one node
+const queueBranchJob = async (req, res, mode) => {
+  try {
+    const { id, nodeId } = req.params;
+    const { count = 4, instructions = '' } = req.body || {};
+
+    const childCount = parseInt(count, 10);
+    if (!Number.isInteger(childCount) || childCount < 1 || childCount > 10) {
+      return res.status(400).json({
+        success: false,
+        error: 'count must be an integer between 1 and 10'
+      });
+    }
+
+    const project = await loadMindmapProject(req, res);
+    if (!project) return;
+
+    if (!mindmapTree.findNode(mindmapTree.toTree(project.mindmap), nodeId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Node ${nodeId} not found`
+      });
+    }
+
+    const job = await jobQueue.enqueue('mindmap-branch', {
+      projectId: id,
+      createdBy: req.user.id,
+      payload: { nodeId, mode, count: childCount, instructions: String(instructions).slice(0, 1000) }
+    });
+
+    res.status(202).json({
+      success: true,
+      data: job.toStatus(),
+      statusUrl: `/api/jobs/${job._id}`,
+      message: `Branch ${mode === 'regenerate' ? 'regeneration' : 'expansion'} queued`
+    });
+
+  } catch (error) {
+    logger.error(`Error queueing mindmap branch ${mode}:`, {
+      error: error.message,
+      projectId: req.params.id,
+      nodeId: req.params.nodeId,
+      service: 'flowsprint-backend'
+    });
+
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${mode} mindmap branch`,
+      details: error.message
+    });
+  }
+};
+
+class MindmapController {
+
+  // List mindmap revisions, newest first (without the mindmap bodies)
+  listRevisions(req, res) {
+    return revisions.listRevisions(req, res);
+  }
+
+  // Get a single revision including its mindmap
+  getRevision(req, res) {
+    return revisions.getRevision(req, res);
+  }
+
+  // Structural diff between two revisions (`to` defaults to the current one)
+  diffRevisions(req, res) {
+    return revisions.diffRevisions(req, res);
+  }
+
+  // Make an old revision current again by committing it as a new revision
+  restoreRevision(req, res) {
+    return revisions.restoreRevision(req, res);
+  }
+
+  // POST /:id/mindmap/nodes/:nodeId/children - add a child node
+  async addNode(req, res) {
+    const { title, description, type, position } = req.body || {};
+
+    await applyNodeEdit(req, res, {
+      action: 'added',
+      status: 201,
+      operation: mindmap => mindmapTree.addChild(mindmap, req.params.nodeId, { title, description, type, position }, NODE_LIMITS),
+      message: ({ node }) => `Added "${node.title}" under ${req.params.nodeId}`
+    });
+  }
+
+  // PATCH /:id/mindmap/nodes/:nodeId - update title, description or type
+  async updateNode(req, res) {
+    const { title, description, type } = req.body || {};
+
+    await applyNodeEdit(req, res, {
+      action: 'updated',
+      operation: mindmap => mindmapTree.updateNode(mindmap, req.params.nodeId, { title, description, type }),
+      message: ({ node }) => `Updated "${node.title}"`
+    });
+  }
+
+  // POST /:id/mindmap/nodes/:nodeId/move - move under a new parent and/or position
+  async moveNode(req, res) {
+    const { parentId, position } = req.body || {};
+
+    await applyNodeEdit(req, res, {
+      action: 'moved',
+      operation: mindmap => mindmapTree.moveNode(mindmap, req.params.nodeId, { parentId, position }, NODE_LIMITS),
+      message: ({ node }) => `Moved "${mindmapTree.nodeTitle(node)}"`
+    });
+  }
+
+  // DELETE /:id/mindmap/nodes/:nodeId - delete a node and its subtree
+  async deleteNode(req, res) {
+    await applyNodeEdit(req, res, {
+      action: 'deleted',
+      operation: mindmap => mindmapTree.removeNode(mindmap, req.params.nodeId),
+      message: ({ node, removedCount }) => `Deleted "${mindmapTree.nodeTitle(node)}" (${removedCount} nodes)`
+    });
+  }
+
+  // GET /:id/mindmap/export?format=mermaid|opml|freemind|markdown|json - download the current mindmap
+  async exportMindmap(req, res) {
+    try {
+      const project = await loadMindmapProject(req, res);
+      if (!project) return;
+
+      const { body, contentType, filename } = exportMindmap(project.mindmap, req.query.format || 'json', {
+        title: project.name,
+        revision: project.mindmapVersion
+      });
+
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'X-Mindmap-Revision': String(project.mindmapVersion)
+      });
+      res.send(body);
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error exporting mindmap:', {
+        error: error.message,
+        projectId: req.params.id,
+        format: req.query.format,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export mindmap',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /:id/mindmap/import - replace the mindmap with an OPML, Markdown or Mermaid outline
+  async importMindmap(req, res) {
+    try {
+      const { content, format, message } = req.body || {};
+
+      const project = await Project.findById(req.params.id);
+      const imported = importMindmap(content, { format, title: project.name });
+      // Imported titles are the user's own: bound depth, size and ids without rewriting them
+      const { mindmap, report } = normalizeMindmap(imported.mindmap, { cleanTitles: false });
+
+      const committed = await project.commitMindmap(mindmap, {
+        source: 'import',
+        author: req.user.id,
+        message: message || `Imported from ${imported.format}`
+      });
+
+      logger.info('Mindmap imported', {
+        projectId: project._id,
+        format: imported.format,
+        revision: committed.mindmapVersion,
+        nodeCount: report.stats.nodeCount,
+        userId: req.user.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(201).json({
+        success: true,
+        data: {
+          mindmap: committed.mindmap,
+          revision: committed.mindmapVersion,
+          format: imported.format,
+          normalization: report
+        },
+        message: 'Mindmap imported successfully'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error importing mindmap:', {
+        error: error.message,
+        projectId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import mindmap',
+        details: error.message
+      });
+    }
+  }
+
+  // POST /:id/mindmap/nodes/:nodeId/expand - generate additional children for one node
+  async expandNode(req, res) {
+    await queueBranchJob(req, res, 'expand');
+  }
+
+  // POST /:id/mindmap/nodes/:nodeId/regenerate - replace one node's subtree
+  async regenerateNode(req, res) {
+    await queueBranchJob(req, res, 'regenerate');
+  }
+
+  // GET /:id/mindmap/nodes/:nodeId/code - files generated from one node, newest first
+  async getNodeCode(req, res) {
+    try {
+      const { id, nodeId } = req.params;
+      const project = await Project.findById(id).select('mindmap generatedCode');
+
+      const files = project.generatedCode
+        .filter(file => file.nodeId === String(nodeId))
+        .sort((a, b) => b.generatedAt - a.generatedAt);
+      const found = mindmapTree.findNode(mindmapTree.toTree(project.mindmap), nodeId);
+
+      res.json({
+        success: true,
+        data: {
+          nodeId,
+          // null once the node has been removed from the mindmap
+          node: found ? { id: found.node.id, title: mindmapTree.nodeTitle(found.node), type: found.node.type } : null,
+          files,
+          totalFiles: files.length
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching node code:', {
+        error: error.message,
+        projectId: req.params.id,
+        nodeId: req.params.nodeId,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch node code',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = new MindmapController();
@@ -0,0 +1,268 @@
+const Project = require('../models/Project');
+const PRDRevision = require('../models/PRDRevision');
+const logger = require('../utils/logger');
+const jobQueue = require('../services/jobQueue');
+const enhancedMcpGateway = require('../services/enhancedMcpGateway');
+require('../services/generationService'); // registers the generation job handlers
+const prdSections = require('../utils/prdSections');
+const { exportPRD } = require('../utils/prdExport');
+const { diffPRDs } = require('../utils/prdDiff');
+const { lintPRD } = require('../utils/prdLint');
+const { revisionHandlers } = require('./revisionHandlers');
+
+const revisions = revisionHandlers({
+  Revision: PRDRevision,
+  versionField: 'prdVersion',
+  contentField: 'prd',
+  commit: 'commitPRD',
+  label: 'PRD',
+  diff: diffPRDs
+});
+
+// Load a project that already has a PRD, or send the error response
+const loadPRDProject = async (req, res) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project.prd || !project.prd.sections?.length) {
+    res.status(404).json({
+      success: false,
+      error: 'Project has no PRD yet'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+// Apply a section operation from utils/prdSections and store the result as a new revision
+const applySectionEdit = async (req, res, { action, operation, source = 'edit' }) => {
+  try {
+    const project = await loadPRDProject(req, res);
+    if (!project) return;
+
+    const result = operation(project.prd);
+    const committed = await project.commitPRD(result.prd, {
+      source,
+      provider: source === 'edit' ? 'manual' : null,
+      author: req.user.id,
+      message: req.body?.message || `Section "${result.section.title}" ${action}`,
+      sectionIds: [result.section.id]
+    });
+
+    logger.info(`PRD section ${action}`, {
+      projectId: project._id,
+      sectionId: result.section.id,
+      revision: committed.prdVersion,
+      userId: req.user.id,
+      service: 'flowsprint-backend'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        section: result.section,
+        prd: committed.prd,
+        revision: committed.prdVersion
+      },
+      message: `Section ${action} successfully`
+    });
+
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Error applying PRD section edit (${action}):`, {
+      error: error.message,
+      projectId: req.params.id,
+      sectionId: req.params.sectionId,
+      service: 'flowsprint-backend'
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to edit PRD section',
+      details: error.message
+    });
+  }
+};
+
+class PRDController {
+  // GET /:id/prd/lint - score the current PRD against the section checklist and content rules
+  async lintPRD(req, res) {
+    try {
+      const project = await loadPRDProject(req, res);
+      if (!project) return;
+
+      // Lint the stored PRD directly so reports from older rule sets never go stale
+      res.json({
+        success: true,
+        data: {
+          revision: project.prdVersion,
+          ...lintPRD(project.prd)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error linting PRD:', {
+        error: error.message,
+        projectId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to lint PRD',
+        details: error.message
+      });
+    }
+  }
+
+  // GET /:id/prd/export?format=markdown|html|docx - download the PRD with title page and TOC
+  async exportPRD(req, res) {
+    try {
+      const project = await Project.findById(req.params.id);
+      const { body, contentType, filename } = exportPRD(project, req.query.format || 'markdown');
+
+      res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      res.send(body);
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error exporting PRD:', {
+        error: error.message,
+        projectId: req.params.id,
+        format: req.query.format,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export PRD',
+        details: error.message
+      });
+    }
+  }
+
+  // List PRD revisions, newest first (without the PRD bodies)
+  listRevisions(req, res) {
+    return revisions.listRevisions(req, res);
+  }
+
+  // Get a single revision including its PRD
+  getRevision(req, res) {
+    return revisions.getRevision(req, res);
+  }
+
+  // Section-level, word-level diff between two revisions (`to` defaults to the current one)
+  diffRevisions(req, res) {
+    return revisions.diffRevisions(req, res);
+  }
+
+  // Roll back to an old revision by committing it as a new revision
+  restoreRevision(req, res) {
+    return revisions.restoreRevision(req, res);
+  }
+
+  // PATCH /:id/prd/sections/:sectionId - hand-edit a section's title and/or body
+  async updateSection(req, res) {
+    const { title, body } = req.body || {};
+    await applySectionEdit(req, res, {
+      action: 'updated',
+      operation: prd => prdSections.editSection(prd, req.params.sectionId, { title, body })
+    });
+  }
+
+  // POST /:id/prd/sections/:sectionId/lock - keep the section on full regenerations
+  async lockSection(req, res) {
+    await applySectionEdit(req, res, {
+      action: 'locked',
+      source: 'lock',
+      operation: prd => prdSections.setSectionLock(prd, req.params.sectionId, true)
+    });
+  }
+
+  // POST /:id/prd/sections/:sectionId/unlock
+  async unlockSection(req, res) {
+    await applySectionEdit(req, res, {
+      action: 'unlocked',
+      source: 'lock',
+      operation: prd => prdSections.setSectionLock(prd, req.params.sectionId, false)
+    });
+  }
+
+  // POST /:id/prd/sections/:sectionId/regenerate - queue an AI rewrite of one section
+  async regenerateSection(req, res) {
+    try {
+      const { id, sectionId } = req.params;
+      const { instructions = '', provider } = req.body || {};
+
+      enhancedMcpGateway.assertRequestedProvider('prd-section', provider);
+
+      const project = await loadPRDProject(req, res);
+      if (!project) return;
+
+      const found = prdSections.findSection(project.prd, sectionId);
+      if (!found) {
+        return res.status(404).json({
+          success: false,
+          error: `Section ${sectionId} not found`
+        });
+      }
+      if (found.section.locked) {
+        return res.status(409).json({
+          success: false,
+          error: `Section ${sectionId} is locked; unlock it before regenerating`
+        });
+      }
+
+      const job = await jobQueue.enqueue('prd-section', {
+        projectId: id,
+        createdBy: req.user.id,
+        payload: { sectionId, instructions: String(instructions).slice(0, 1000), provider }
+      });
+
+      res.status(202).json({
+        success: true,
+        data: job.toStatus(),
+        statusUrl: `/api/jobs/${job._id}`,
+        message: 'Section regeneration queued'
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error queueing PRD section regeneration:', {
+        error: error.message,
+        projectId: req.params.id,
+        sectionId: req.params.sectionId,
+        service: 'flowsprint-backend'
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to regenerate PRD section',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PRDController();
@@ -1,6 +1,14 @@
 const Project = require('../models/Project');
+const MindmapRevision = require('../models/MindmapRevision');
+const PRDRevision = require('../models/PRDRevision');
 const logger = require('../utils/logger');
-const mcpGateway = require('../services/enhancedMcpGateway');
+const { normalizeMindmap } = require('../utils/mindmapNormalizer');
+const { normalizePRD } = require('../utils/prdNormalizer');
+const { buildCodeArchive } = require('../utils/codeArchive');
+const { streamZip } = require('../utils/zip');
+const jobQueue = require('../services/jobQueue');
+const enhancedMcpGateway = require('../services/enhancedMcpGateway');
+require('../services/generationService'); // registers the generation job handlers
 
 class ProjectController {
   
@@ -21,8 +29,7 @@ class ProjectController {
         type = 'web-app',
         industry = 'tech',
         complexity = 'medium',
-        tags = [],
-        collaborators = []
+        tags = []
       } = req.body;
 
       // LOG: Debug extracted data
@@ -50,8 +57,7 @@ class ProjectController {
         industry,
         complexity,
         tags,
-        collaborators,
-        createdBy: req.user?.id || 'anonymous'
+        createdBy: req.user.id
       });
 
       // LOG: Debug project data before saving
@@ -64,78 +70,30 @@ class ProjectController {
       logger.info('✅ CREATE PROJECT - Project saved successfully:');
       logger.info(JSON.stringify(project.toObject(), null, 2));
 
-      logger.info('Project created successfully, generating mindmap...', {
+      // Mindmap generation runs in the background; poll the job for the result
+      const job = await jobQueue.enqueue('mindmap', {
         projectId: project._id,
+        createdBy: req.user.id,
+        payload: { complexity: project.complexity }
+      });
+
+      logger.info('Project created successfully, mindmap generation queued', {
+        projectId: project._id,
+        jobId: job._id,
         name: project.name,
         features: Object.keys(features || {}).length,
         techStack: (techStack || []).length,
         service: 'flowsprint-backend'
       });
 
-      // Automatically generate mindmap during project creation
-      try {
-        // Prepare detailed project data for AI generation
-        const featuresText = project.features && Object.keys(project.features).length > 0
-          ? Object.entries(project.features)
-              .map(([category, items]) => `${category}: ${Array.isArray(items) ? items.join(', ') : items}`)
-              .join('\n')
-          : 'Core functionality and user interface';
-          
-        const techStackText = project.techStack && project.techStack.length > 0
-          ? project.techStack.join(', ')
-          : 'React, Node.js, MongoDB';
-
-        const mindmapPrompt = `Create a detailed technical project mindmap for: ${project.name}
-
-Project Description: ${project.description}
-
-Features:
-${featuresText}
-
-Tech Stack: ${techStackText}
-
-Project Type: ${project.type}
-Industry: ${project.industry}
-Complexity: ${project.complexity}
-
-Generate a comprehensive development roadmap with specific technical tasks, implementation details, and all phases from setup to deployment and maintenance.`;
-
-        logger.info('🧠 Auto-generating mindmap during project creation:', {
-          projectId: project._id,
-          service: 'flowsprint-backend'
-        });
-
-        const result = await mcpGateway.routeMindmapRequest({
-          prompt: mindmapPrompt,
-          complexity: project.complexity,
-          project_type: project.type,
-          features: project.features,
-          techStack: project.techStack
-        });
-
-        if (result && result.data) {
-          await project.updateMindmap(result.data, result.provider);
-          logger.info('🎯 Auto-generated mindmap during project creation:', {
-            projectId: project._id,
-            provider: result.provider,
-            service: 'flowsprint-backend'
-          });
-        }
-      } catch (mindmapError) {
-        logger.warn('Auto-mindmap generation failed (project still created):', {
-          projectId: project._id,
-          error: mindmapError.message,
-          service: 'flowsprint-backend'
-        });
-      }
-
-      // Refresh project data to include generated mindmap
-      const finalProject = await Project.findById(project._id);
-
       res.status(201).json({
         success: true,
-        data: finalProject,
-        message: 'Project created successfully with auto-generated mindmap'
+        data: project,
+        job: {
+          ...job.toStatus(),
+          statusUrl: `/api/jobs/${job._id}`
+        },
+        message: 'Project created successfully, mindmap generation queued'
       });
 
     } catch (error) {
@@ -165,8 +123,8 @@ Generate a comprehensive development roadmap with specific technical tasks, impl
         sortOrder = 'desc'
       } = req.query;
 
-      // Build filter object
-      const filter = {};
+      // Build filter object - only projects the caller owns or collaborates on
+      const filter = Project.accessFilter(req.user);
       if (status) filter.status = status;
       if (type) filter.type = type;
       if (industry) filter.industry = industry;
@@ -181,7 +139,7 @@ Generate a comprehensive development roadmap with specific technical tasks, impl
         .sort(sort)
         .skip(skip)
         .limit(parseInt(limit))
-        .select('-generatedCode.code'); // Exclude large code content from list view
+        .select('-generatedCode.code -generatedCode.prd'); // Exclude large code content from list view
 
       const total = await Project.countDocuments(filter);
 
@@ -251,14 +209,25 @@ Generate a comprehensive development roadmap with specific technical tasks, impl
   async updateProject(req, res) {
     try {
       const { id } = req.params;
-      const updates = req.body;
+      const updates = { ...req.body };
 
       // Remove fields that shouldn't be directly updated
       delete updates.createdAt;
       delete updates.aiUsage;
       delete updates._id;
+      delete updates.createdBy;
+      delete updates.mindmapVersion;
+      delete updates.prdVersion;
+
+      // Members join through the invitation endpoints only
+      delete updates.collaborators;
 
-      const project = await Project.findByIdAndUpdate(
+      // Mindmap and PRD edits go through the revision history
+      const { mindmap, prd } = updates;
+      delete updates.mindmap;
+      delete updates.prd;
+
+      let project = await Project.findByIdAndUpdate(
         id,
         { ...updates, updatedAt: new Date() },
         { new: true, runValidators: true }
@@ -271,6 +240,22 @@ Generate a comprehensive development roadmap with specific technical tasks, impl
         });
       }
 
+      if (mindmap !== undefined) {
+        project = await project.commitMindmap(normalizeMindmap(mindmap).mindmap, {
+          source: 'edit',
+          author: req.user.id
+        });
+      }
+
+      // Hand-written PRDs are stored in the same sectioned schema as generated ones
+      if (prd) {
+        project = await project.commitPRD(normalizePRD(prd, { provider: 'manual' }).prd, {
+          source: 'edit',
+          provider: 'manual',
+          author: req.user.id
+        });
+      }
+
       logger.info('Project updated successfully', {
         projectId: project._id,
         service: 'flowsprint-backend'
@@ -283,6 +268,13 @@ Generate a comprehensive development roadmap with specific technical tasks, impl
       });
 
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       logger.error('Error updating project:', {
         error: error.message,
         projectId: req.params.id,
@@ -311,6 +303,9 @@ Generate a comprehensive development roadmap with specific technical tasks, impl
         });
       }
 
+      await MindmapRevision.deleteMany({ projectId: id });
+      await PRDRevision.deleteMany({ projectId: id });
+
       logger.info('Project deleted successfully', {
         projectId: id,
         name: project.name,
@@ -337,105 +332,36 @@ Generate a comprehensive development roadmap with specific technical tasks, impl
     }
   }
 
-  // Generate mindmap for a project
+  // Queue mindmap generation for a project
   async generateMindmap(req, res) {
     try {
       const { id } = req.params;
-      const { complexity = 'medium' } = req.body;
+      const { complexity = 'medium', provider } = req.body || {};
 
-      const project = await Project.findById(id);
-      if (!project) {
-        return res.status(404).json({
-          success: false,
-          error: 'Project not found'
-        });
-      }
-
-      // Prepare detailed project data for AI generation
-      const featuresText = project.features && Object.keys(project.features).length > 0
-        ? Object.entries(project.features)
-            .map(([category, items]) => `${category}: ${Array.isArray(items) ? items.join(', ') : items}`)
-            .join('\n')
-        : 'Core functionality and user interface';
-        
-      const techStackText = project.techStack && project.techStack.length > 0
-        ? project.techStack.join(', ')
-        : 'React, Node.js, MongoDB';
-
-      // Use MCP Gateway for intelligent routing with comprehensive project data
-      const mindmapPrompt = `Create a detailed technical project mindmap for: ${project.name}
-
-Project Description: ${project.description}
-
-Features:
-${featuresText}
-
-Tech Stack: ${techStackText}
-
-Project Type: ${project.type}
-Industry: ${project.industry}
-Complexity: ${complexity}
-
-Generate a comprehensive development roadmap with specific technical tasks, implementation details, and all phases from setup to deployment and maintenance.`;
-
-      logger.info('🧠 Starting mindmap generation:', {
-        projectId: project._id,
-        projectName: project.name,
-        featuresCount: Object.keys(project.features || {}).length,
-        techStackLength: (project.techStack || []).length,
-        service: 'flowsprint-backend'
-      });
+      enhancedMcpGateway.assertRequestedProvider('mindmap', provider);
 
-      const result = await mcpGateway.routeMindmapRequest({
-        prompt: mindmapPrompt,
-        complexity,
-        project_type: project.type,
-        features: project.features,
-        techStack: project.techStack
-      });
-
-      logger.info('🤖 AI Response received:', {
-        projectId: project._id,
-        provider: result.provider,
-        hasData: !!result.data,
-        dataType: typeof result.data,
-        dataLength: result.data ? JSON.stringify(result.data).length : 0,
-        responseTime: result.responseTime,
-        service: 'flowsprint-backend'
-      });
-
-      // Validate AI response
-      if (!result.data) {
-        throw new Error('AI service returned empty response');
-      }
-
-      // Update project with generated mindmap
-      const updateResult = await project.updateMindmap(result.data, result.provider);
-      
-      logger.info('✅ Mindmap saved to database:', {
-        projectId: project._id,
-        mindmapSaved: !!updateResult.mindmap,
-        progressUpdated: updateResult.progress.mindmapCompleted,
-        service: 'flowsprint-backend'
+      const job = await jobQueue.enqueue('mindmap', {
+        projectId: id,
+        createdBy: req.user.id,
+        payload: { complexity, provider }
       });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        data: {
-          mindmap: result.data,
-          provider: result.provider,
-          responseTime: result.responseTime,
-          project: {
-            id: project._id,
-            name: project.name,
-            progress: project.progress
-          }
-        },
-        message: 'Mindmap generated successfully'
+        data: job.toStatus(),
+        statusUrl: `/api/jobs/${job._id}`,
+        message: 'Mindmap generation queued'
       });
 
     } catch (error) {
-      logger.error('Error generating mindmap:', {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error queueing mindmap generation:', {
         error: error.message,
         projectId: req.params.id,
         service: 'flowsprint-backend'
@@ -449,55 +375,36 @@ Generate a comprehensive development roadmap with specific technical tasks, impl
     }
   }
 
-  // Generate PRD for a project
+  // Queue PRD generation for a project
   async generatePRD(req, res) {
     try {
       const { id } = req.params;
-      const { sections = 'all', targetAudience = 'general' } = req.body;
+      const { sections = 'all', targetAudience = 'general', provider } = req.body || {};
 
-      const project = await Project.findById(id);
-      if (!project) {
-        return res.status(404).json({
-          success: false,
-          error: 'Project not found'
-        });
-      }
+      enhancedMcpGateway.assertRequestedProvider('prd', provider);
 
-      // Use MCP Gateway for intelligent routing
-      const prdPrompt = `Create a comprehensive Product Requirements Document for: ${project.name}
-Description: ${project.description}
-Type: ${project.type}
-Industry: ${project.industry}
-Target Audience: ${targetAudience}
-Sections: ${sections}`;
-
-      const result = await mcpGateway.routePRDRequest({
-        prompt: prdPrompt,
-        project_type: project.type,
-        industry: project.industry,
-        target_audience: targetAudience
+      const job = await jobQueue.enqueue('prd', {
+        projectId: id,
+        createdBy: req.user.id,
+        payload: { sections, targetAudience, provider }
       });
 
-      // Update project with generated PRD
-      await project.updatePRD(result.data, result.provider);
-
-      res.json({
+      res.status(202).json({
         success: true,
-        data: {
-          prd: result.data,
-          provider: result.provider,
-          responseTime: result.responseTime,
-          project: {
-            id: project._id,
-            name: project.name,
-            progress: project.progress
-          }
-        },
-        message: 'PRD generated successfully'
+        data: job.toStatus(),
+        statusUrl: `/api/jobs/${job._id}`,
+        message: 'PRD generation queued'
       });
 
     } catch (error) {
-      logger.error('Error generating PRD:', {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error queueing PRD generation:', {
         error: error.message,
         projectId: req.params.id,
         service: 'flowsprint-backend'
@@ -511,7 +418,7 @@ Sections: ${sections}`;
     }
   }
 
-  // Generate code for a project
+  // Queue code generation for a project
   async generateCode(req, res) {
     try {
       const { id } = req.params;
@@ -519,61 +426,35 @@ Sections: ${sections}`;
         language = 'javascript', 
         framework = '', 
         features = [],
-        complexity = 'medium'
-      } = req.body;
-
-      const project = await Project.findById(id);
-      if (!project) {
-        return res.status(404).json({
-          success: false,
-          error: 'Project not found'
-        });
-      }
+        complexity = 'medium',
+        retryInvalid = false,
+        provider
+      } = req.body || {};
 
-      // Build code generation prompt
-      const codePrompt = `Generate ${language} code for: ${project.name}
-Description: ${project.description}
-Framework: ${framework}
-Features: ${features.join(', ')}
-Complexity: ${complexity}
-Type: ${project.type}`;
-
-      // Use MCP Gateway for intelligent routing
-      const result = await mcpGateway.routeCodeRequest({
-        prompt: codePrompt,
-        language,
-        complexity,
-        framework
-      });
+      enhancedMcpGateway.assertRequestedProvider('code', provider);
 
-      // Add generated code to project
-      await project.addGeneratedCode({
-        language,
-        filename: `${project.name.toLowerCase().replace(/\s+/g, '-')}.${this.getFileExtension(language)}`,
-        code: result.data,
-        description: `Generated ${language} code for ${project.name}`,
-        aiProvider: result.provider
+      const job = await jobQueue.enqueue('code', {
+        projectId: id,
+        createdBy: req.user.id,
+        payload: { language, framework, features, complexity, retryInvalid: Boolean(retryInvalid), provider }
       });
 
-      res.json({
+      res.status(202).json({
         success: true,
-        data: {
-          code: result.data,
-          language,
-          provider: result.provider,
-          responseTime: result.responseTime,
-          project: {
-            id: project._id,
-            name: project.name,
-            progress: project.progress,
-            totalCodeFiles: project.generatedCode.length
-          }
-        },
-        message: 'Code generated successfully'
+        data: job.toStatus(),
+        statusUrl: `/api/jobs/${job._id}`,
+        message: 'Code generation queued'
       });
 
     } catch (error) {
-      logger.error('Error generating code:', {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error queueing code generation:', {
         error: error.message,
         projectId: req.params.id,
         service: 'flowsprint-backend'
@@ -590,11 +471,13 @@ Type: ${project.type}`;
   // Get project statistics
   async getProjectStats(req, res) {
     try {
-      const stats = await Project.getProjectStats();
-      const recentProjects = await Project.getRecentProjects(5);
+      const filter = Project.accessFilter(req.user);
+      const stats = await Project.getProjectStats(filter);
+      const recentProjects = await Project.getRecentProjects(5, filter);
 
       // Get status distribution
       const statusStats = await Project.aggregate([
+        { $match: filter },
         {
           $group: {
             _id: '$status',
@@ -605,6 +488,7 @@ Type: ${project.type}`;
 
       // Get type distribution
       const typeStats = await Project.aggregate([
+        { $match: filter },
         {
           $group: {
             _id: '$type',
@@ -642,28 +526,6 @@ Type: ${project.type}`;
     }
   }
 
-  // Utility method to get file extension based on language
-  getFileExtension(language) {
-    const extensions = {
-      'javascript': 'js',
-      'typescript': 'ts',
-      'python': 'py',
-      'java': 'java',
-      'cpp': 'cpp',
-      'c': 'c',
-      'html': 'html',
-      'css': 'css',
-      'php': 'php',
-      'ruby': 'rb',
-      'go': 'go',
-      'rust': 'rs',
-      'swift': 'swift',
-      'kotlin': 'kt'
-    };
-
-    return extensions[language.toLowerCase()] || 'txt';
-  }
-
   // Get project's generated code files
   async getProjectCode(req, res) {
     try {
@@ -701,6 +563,44 @@ Type: ${project.type}`;
       });
     }
   }
+
+  // GET /:id/code/archive - stream all generated code as a zip with README and manifest
+  async downloadCodeArchive(req, res) {
+    try {
+      const project = await Project.findById(req.params.id)
+        .select('name description type industry techStack prd prdVersion generatedCode');
+      const { entries, filename } = buildCodeArchive(project);
+
+      res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+      await streamZip(entries, res);
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error building code archive:', {
+        error: error.message,
+        projectId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      // Part of the archive may already be on the wire
+      if (res.headersSent) return res.destroy(error);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build code archive',
+        details: error.message
+      });
+    }
+  }
 }
 
 module.exports = new ProjectController();
\ No newline at end of file
@@ -0,0 +1,223 @@
+const Project = require('../models/Project');
+const logger = require('../utils/logger');
+
+// Parse a positive revision number, or null when invalid
+const parseRevision = (value) => {
+  const revision = parseInt(value, 10);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+};
+
+/**
+ * List, get, diff and restore handlers for a revisioned project document.
+ *   Revision      - revision model with getRevision/listRevisions statics
+ *   versionField  - project field holding the current revision number
+ *   contentField  - field holding the document on both the project and the revision
+ *   commit        - project method that stores a new revision
+ *   label         - name used in log and response messages
+ *   diff          - (fromDocument, toDocument) => diff
+ *   restoreInfo   - extra revision info to carry over on restore
+ */
+const revisionHandlers = ({ Revision, versionField, contentField, commit, label, diff, restoreInfo = () => ({}) }) => {
+  const title = label.charAt(0).toUpperCase() + label.slice(1);
+
+  const failed = (res, error, message) => res.status(500).json({
+    success: false,
+    error: message,
+    details: error.message
+  });
+
+  return {
+    async listRevisions(req, res) {
+      try {
+        const { id } = req.params;
+        const { page = 1, limit = 20 } = req.query;
+
+        const pageSize = Math.min(parseInt(limit) || 20, 100);
+        const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+        const project = await Project.findById(id).select(versionField);
+        const revisions = await Revision.listRevisions(id, { limit: pageSize, skip });
+        const total = await Revision.countDocuments({ projectId: id });
+
+        res.json({
+          success: true,
+          data: {
+            currentRevision: project[versionField],
+            revisions,
+            pagination: {
+              currentPage: parseInt(page) || 1,
+              totalPages: Math.ceil(total / pageSize),
+              totalRevisions: total,
+              hasNextPage: skip + revisions.length < total,
+              hasPrevPage: skip > 0
+            }
+          }
+        });
+
+      } catch (error) {
+        logger.error(`Error fetching ${label} revisions:`, {
+          error: error.message,
+          projectId: req.params.id,
+          service: 'flowsprint-backend'
+        });
+
+        failed(res, error, `Failed to fetch ${label} revisions`);
+      }
+    },
+
+    async getRevision(req, res) {
+      try {
+        const { id } = req.params;
+        const revisionNumber = parseRevision(req.params.revision);
+
+        if (!revisionNumber) {
+          return res.status(400).json({
+            success: false,
+            error: 'Revision must be a positive integer'
+          });
+        }
+
+        const revision = await Revision.getRevision(id, revisionNumber);
+        if (!revision) {
+          return res.status(404).json({
+            success: false,
+            error: 'Revision not found'
+          });
+        }
+
+        res.json({
+          success: true,
+          data: revision
+        });
+
+      } catch (error) {
+        logger.error(`Error fetching ${label} revision:`, {
+          error: error.message,
+          projectId: req.params.id,
+          revision: req.params.revision,
+          service: 'flowsprint-backend'
+        });
+
+        failed(res, error, `Failed to fetch ${label} revision`);
+      }
+    },
+
+    async diffRevisions(req, res) {
+      try {
+        const { id } = req.params;
+        const project = await Project.findById(id).select(versionField);
+
+        const from = parseRevision(req.query.from);
+        const to = req.query.to === undefined ? project[versionField] : parseRevision(req.query.to);
+
+        if (!from || !to) {
+          return res.status(400).json({
+            success: false,
+            error: 'Query parameters "from" and "to" must be positive revision numbers'
+          });
+        }
+
+        const [fromRevision, toRevision] = await Promise.all([
+          Revision.getRevision(id, from),
+          Revision.getRevision(id, to)
+        ]);
+
+        if (!fromRevision || !toRevision) {
+          return res.status(404).json({
+            success: false,
+            error: `Revision ${!fromRevision ? from : to} not found`
+          });
+        }
+
+        res.json({
+          success: true,
+          data: {
+            from,
+            to,
+            diff: diff(fromRevision[contentField], toRevision[contentField])
+          }
+        });
+
+      } catch (error) {
+        logger.error(`Error diffing ${label} revisions:`, {
+          error: error.message,
+          projectId: req.params.id,
+          service: 'flowsprint-backend'
+        });
+
+        failed(res, error, `Failed to diff ${label} revisions`);
+      }
+    },
+
+    async restoreRevision(req, res) {
+      try {
+        const { id } = req.params;
+        const revisionNumber = parseRevision(req.params.revision);
+
+        if (!revisionNumber) {
+          return res.status(400).json({
+            success: false,
+            error: 'Revision must be a positive integer'
+          });
+        }
+
+        const revision = await Revision.getRevision(id, revisionNumber);
+        if (!revision) {
+          return res.status(404).json({
+            success: false,
+            error: 'Revision not found'
+          });
+        }
+
+        const project = await Project.findById(id);
+        const committed = await project[commit](revision[contentField], {
+          source: 'restore',
+          restoredFrom: revisionNumber,
+          provider: revision.provider,
+          ...restoreInfo(revision),
+          author: req.user.id,
+          message: req.body?.message || `Restored revision ${revisionNumber}`
+        });
+
+        logger.info(`${title} revision restored`, {
+          projectId: project._id,
+          restoredFrom: revisionNumber,
+          revision: committed[versionField],
+          userId: req.user.id,
+          service: 'flowsprint-backend'
+        });
+
+        res.json({
+          success: true,
+          data: {
+            [contentField]: committed[contentField],
+            revision: committed[versionField],
+            restoredFrom: revisionNumber
+          },
+          message: `${title} restored from revision ${revisionNumber}`
+        });
+
+      } catch (error) {
+        if (error.statusCode) {
+          return res.status(error.statusCode).json({
+            success: false,
+            error: error.message
+          });
+        }
+
+        logger.error(`Error restoring ${label} revision:`, {
+          error: error.message,
+          projectId: req.params.id,
+          revision: req.params.revision,
+          service: 'flowsprint-backend'
+        });
+
+        failed(res, error, `Failed to restore ${label} revision`);
+      }
+    }
+  };
+};
+
+module.exports = {
+  revisionHandlers
+};
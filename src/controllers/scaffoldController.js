@@ -0,0 +1,76 @@
+const Project = require('../models/Project');
+const logger = require('../utils/logger');
+const { buildScaffold } = require('../scaffolds');
+const { streamZip } = require('../utils/zip');
+
+class ScaffoldController {
+  // POST /:id/scaffold - starter repo from the tech stack with generated code merged in
+  // Body: { template?, includeGenerated = true, format = 'json' | 'zip' }
+  async scaffoldProject(req, res) {
+    try {
+      const { template, includeGenerated = true, format = 'json' } = req.body || {};
+
+      if (!['json', 'zip'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: 'format must be "json" or "zip"'
+        });
+      }
+
+      const project = await Project.findById(req.params.id)
+        .select('name description type techStack generatedCode');
+      const scaffold = buildScaffold(project, { template, includeGenerated: includeGenerated !== false });
+
+      logger.info('Project scaffolded', {
+        projectId: project._id,
+        template: scaffold.template.id,
+        matchedBy: scaffold.matchedBy,
+        files: scaffold.files.length,
+        generatedFiles: scaffold.placements.length,
+        service: 'flowsprint-backend'
+      });
+
+      if (format === 'zip') {
+        res.set({
+          'Content-Type': 'application/zip',
+          'Content-Disposition': `attachment; filename="${scaffold.root}-${scaffold.template.id}.zip"`
+        });
+        const now = new Date();
+        return await streamZip(
+          scaffold.files.map(file => ({ name: `${scaffold.root}/${file.path}`, data: file.content, date: now })),
+          res
+        );
+      }
+
+      res.json({
+        success: true,
+        data: scaffold
+      });
+
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      logger.error('Error scaffolding project:', {
+        error: error.message,
+        projectId: req.params.id,
+        service: 'flowsprint-backend'
+      });
+
+      // Part of the archive may already be on the wire
+      if (res.headersSent) return res.destroy(error);
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to scaffold project',
+        details: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ScaffoldController();
@@ -0,0 +1,43 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Require a valid access token and attach the account to req.user
+const protect = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Not authorized, no token provided'
+    });
+  }
+
+  // JsonWebTokenError / TokenExpiredError are mapped to 401 by errorHandler
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.type !== 'access') {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid token'
+    });
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'User no longer exists'
+    });
+  }
+
+  req.user = {
+    id: user._id.toString(),
+    email: user.email,
+    name: user.name
+  };
+
+  next();
+};
+
+module.exports = { protect };
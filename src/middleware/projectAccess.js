@@ -0,0 +1,43 @@
+const Project = require('../models/Project');
+
+// Higher rank includes every permission of the lower ones
+const ROLE_RANK = {
+  viewer: 1,
+  editor: 2,
+  owner: 3
+};
+
+// Require the caller to hold at least `minRole` on the project in req.params.id
+const authorizeProject = (minRole = 'viewer') => async (req, res, next) => {
+  const project = await Project.findById(req.params.id).select('createdBy collaborators');
+
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project not found'
+    });
+  }
+
+  const role = project.getMemberRole(req.user);
+
+  // Hide projects the caller has no relationship with at all
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      error: 'Project not found'
+    });
+  }
+
+  if (ROLE_RANK[role] < ROLE_RANK[minRole]) {
+    return res.status(403).json({
+      success: false,
+      error: `This action requires the ${minRole} role on the project`,
+      role
+    });
+  }
+
+  req.projectRole = role;
+  next();
+};
+
+module.exports = { authorizeProject, ROLE_RANK };
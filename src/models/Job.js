@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+const JobSchema = new mongoose.Schema({
+  // What to run - must match a handler registered with the job queue
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+
+  createdBy: {
+    type: String,
+    required: true
+  },
+
+  // Handler input (request body and anything captured at enqueue time)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed'],
+    default: 'queued'
+  },
+
+  // Handler output
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  provider: {
+    type: String,
+    default: null
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  // Retry bookkeeping
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+
+  // Earliest time a worker may pick the job up (used for retry backoff)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Worker lease - a running job whose heartbeat goes stale is considered crashed
+  lockedBy: {
+    type: String,
+    default: null
+  },
+
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+
+  // Timings
+  queuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  startedAt: {
+    type: Date,
+    default: null
+  },
+
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+
+  durationMs: {
+    type: Number,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes for worker polling and lookups
+JobSchema.index({ status: 1, runAt: 1, queuedAt: 1 });
+JobSchema.index({ status: 1, heartbeatAt: 1 });
+JobSchema.index({ projectId: 1, createdAt: -1 });
+
+// Pre-save middleware to update timestamps
+JobSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Instance methods
+JobSchema.methods.toStatus = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    projectId: this.projectId,
+    status: this.status,
+    result: this.status === 'succeeded' ? this.result : null,
+    provider: this.provider,
+    error: this.error,
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    timings: {
+      queuedAt: this.queuedAt,
+      startedAt: this.startedAt,
+      finishedAt: this.finishedAt,
+      waitMs: this.startedAt ? this.startedAt - this.queuedAt : null,
+      durationMs: this.durationMs
+    }
+  };
+};
+
+// Export the model
+module.exports = mongoose.model('Job', JobSchema);
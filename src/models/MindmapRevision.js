@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+const { revisionSchema } = require('./revisionSchema');
+
+// Immutable snapshot of a project's mindmap, written on every generation or edit
+const MindmapRevisionSchema = revisionSchema({
+  label: 'Mindmap',
+  contentField: 'mindmap',
+  sources: ['generation', 'edit', 'restore', 'import'],
+  fields: {
+    complexity: {
+      type: String,
+      default: null
+    },
+
+    nodeCount: {
+      type: Number,
+      default: 0
+    }
+  }
+});
+
+// Export the model
+module.exports = mongoose.model('MindmapRevision', MindmapRevisionSchema);
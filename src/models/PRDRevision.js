@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { revisionSchema } = require('./revisionSchema');
+
+// Immutable snapshot of a project's PRD, written on every generation, section change or rollback
+const PRDRevisionSchema = revisionSchema({
+  label: 'PRD',
+  contentField: 'prd',
+  sources: ['generation', 'section', 'edit', 'lock', 'restore'],
+  fields: {
+    sectionCount: {
+      type: Number,
+      default: 0
+    },
+
+    // Ids of the sections this revision touched (empty for full generations)
+    sectionIds: {
+      type: [String],
+      default: []
+    }
+  }
+});
+
+// Export the model
+module.exports = mongoose.model('PRDRevision', PRDRevisionSchema);
@@ -1,4 +1,12 @@
 const mongoose = require('mongoose');
+const MindmapRevision = require('./MindmapRevision');
+const PRDRevision = require('./PRDRevision');
+const { countNodes } = require('../utils/mindmapTree');
+const { upgradeMindmap } = require('../utils/mindmapNormalizer');
+const { normalizePRD, isCanonicalPRD } = require('../utils/prdNormalizer');
+const { mergeLockedSections } = require('../utils/prdSections');
+const { VALIDATION_STATUSES } = require('../utils/codeValidator');
+const { httpError } = require('../utils/httpError');
 
 const ProjectSchema = new mongoose.Schema({
   // Basic project information
@@ -51,11 +59,25 @@ const ProjectSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.Mixed, // JSON object
     default: null
   },
+
+  // Revision number of the current mindmap (history lives in MindmapRevision)
+  mindmapVersion: {
+    type: Number,
+    default: 0
+  },
   
+  // Canonical sectioned PRD (see utils/prdNormalizer)
   prd: {
-    type: mongoose.Schema.Types.Mixed, // JSON object with structured PRD
+    type: mongoose.Schema.Types.Mixed,
     default: null
   },
+
+  // Revision number of the current PRD (history lives in PRDRevision)
+  prdVersion: {
+    type: Number,
+    default: 0
+  },
+
   
   generatedCode: [{
     language: {
@@ -71,15 +93,49 @@ const ProjectSchema = new mongoose.Schema({
       required: true
     },
     description: String,
+    // Set for files generated from a mindmap node (POST /api/ai/node-code)
+    path: String,
+    prd: String,
+    nodeId: String,
+    nodeTitle: String,
+    // Syntax check result (see utils/codeValidator)
+    validation: {
+      status: {
+        type: String,
+        enum: VALIDATION_STATUSES
+      },
+      parser: String,
+      errors: [{
+        _id: false,
+        message: String,
+        line: Number,
+        column: Number
+      }],
+      warnings: [String],
+      attempts: Number,
+      repaired: Boolean,
+      // Provider that produced the repaired file
+      retryProvider: String,
+      // Errors still present after a failed repair attempt
+      retryErrors: [{
+        _id: false,
+        message: String,
+        line: Number,
+        column: Number
+      }],
+      checkedAt: Date
+    },
     generatedAt: {
       type: Date,
       default: Date.now
     },
+    // Name of the gateway provider that generated the file (providers are pluggable)
     aiProvider: {
       type: String,
-      enum: ['openrouter', 'cerebras', 'meta-llama'],
       required: true
-    }
+    },
+    // Code generation job that added the file
+    jobId: mongoose.Schema.Types.ObjectId
   }],
   
   // Project status and tracking
@@ -153,11 +209,41 @@ const ProjectSchema = new mongoose.Schema({
   
   collaborators: [{
     name: String,
-    email: String,
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    userId: {
+      type: String,
+      default: null
+    },
     role: {
       type: String,
       enum: ['owner', 'editor', 'viewer'],
       default: 'viewer'
+    },
+    // Invited members stay 'pending' (no access) until they accept
+    status: {
+      type: String,
+      enum: ['pending', 'active'],
+      default: 'active'
+    },
+    inviteTokenId: {
+      type: String,
+      default: null
+    },
+    invitedBy: {
+      type: String,
+      default: null
+    },
+    invitedAt: {
+      type: Date,
+      default: null
+    },
+    joinedAt: {
+      type: Date,
+      default: null
     }
   }],
   
@@ -183,22 +269,41 @@ ProjectSchema.index({ name: 1, createdBy: 1 });
 ProjectSchema.index({ status: 1 });
 ProjectSchema.index({ type: 1, industry: 1 });
 ProjectSchema.index({ createdAt: -1 });
+ProjectSchema.index({ 'collaborators.userId': 1 });
+ProjectSchema.index({ 'collaborators.email': 1 });
+
+// Share of the three deliverables (mindmap, PRD, code) that exist
+const percentComplete = (progress) => {
+  const completed = [progress.mindmapCompleted, progress.prdCompleted, progress.codeGenerated].filter(Boolean).length;
+  return Math.round((completed / 3) * 100);
+};
+
+// aiUsage counters for one generation call, as an $inc
+const generationUsage = (provider) => {
+  const usage = { 'aiUsage.totalRequests': 1 };
+  if (provider === 'openrouter') usage['aiUsage.openRouterCalls'] = 1;
+  else if (provider === 'cerebras') usage['aiUsage.cerebrasCalls'] = 1;
+  else if (provider === 'meta-llama') usage['aiUsage.metaLlamaCalls'] = 1;
+  return usage;
+};
 
 // Pre-save middleware to update timestamps and progress
 ProjectSchema.pre('save', function(next) {
   this.updatedAt = new Date();
   
   // Auto-calculate progress percentage
-  let completed = 0;
-  if (this.progress.mindmapCompleted) completed++;
-  if (this.progress.prdCompleted) completed++;
-  if (this.progress.codeGenerated) completed++;
-  
-  this.progress.percentComplete = Math.round((completed / 3) * 100);
+  this.progress.percentComplete = percentComplete(this.progress);
   
   next();
 });
 
+// Upgrade PRDs stored before the canonical schema when they are loaded
+ProjectSchema.post('init', function() {
+  if (this.prd && !isCanonicalPRD(this.prd)) {
+    this.prd = normalizePRD(this.prd).prd;
+  }
+});
+
 // Virtual for formatted creation date
 ProjectSchema.virtual('formattedCreatedAt').get(function() {
   return this.createdAt.toLocaleDateString();
@@ -215,32 +320,144 @@ ProjectSchema.methods.addGeneratedCode = function(codeData) {
   return this.save();
 };
 
-ProjectSchema.methods.updateMindmap = function(mindmapData, provider = 'unknown') {
-  this.mindmap = mindmapData;
-  this.progress.mindmapCompleted = true;
-  this.lastGeneratedAt = new Date();
-  
-  // Update AI usage stats
-  this.aiUsage.totalRequests++;
-  if (provider === 'openrouter') this.aiUsage.openRouterCalls++;
-  else if (provider === 'cerebras') this.aiUsage.cerebrasCalls++;
-  else if (provider === 'meta-llama') this.aiUsage.metaLlamaCalls++;
-  
+// Append the files generated for one mindmap node in a single save
+ProjectSchema.methods.addNodeCode = function({ nodeId, nodeTitle }, files, provider) {
+  const generatedAt = new Date();
+  const entries = files.map(file => ({
+    language: file.language,
+    filename: file.name,
+    path: file.path,
+    code: file.content,
+    description: file.description,
+    prd: file.prd,
+    nodeId: String(nodeId),
+    nodeTitle,
+    validation: file.validation,
+    aiProvider: provider,
+    generatedAt
+  }));
+
+  this.generatedCode.push(...entries);
+  this.progress.codeGenerated = true;
+  this.lastGeneratedAt = generatedAt;
   return this.save();
 };
 
-ProjectSchema.methods.updatePRD = function(prdData, provider = 'unknown') {
-  this.prd = prdData;
-  this.progress.prdCompleted = true;
-  this.lastGeneratedAt = new Date();
-  
-  // Update AI usage stats
-  this.aiUsage.totalRequests++;
-  if (provider === 'openrouter') this.aiUsage.openRouterCalls++;
-  else if (provider === 'cerebras') this.aiUsage.cerebrasCalls++;
-  else if (provider === 'meta-llama') this.aiUsage.metaLlamaCalls++;
-  
-  return this.save();
+/*
+ * Revisioned documents. A commit stores the document as the next version and
+ * appends an immutable revision. It is made on top of the version the project
+ * was loaded at: one conditional update writes the content and bumps the
+ * version, so a commit that landed in between fails this one with 409 instead
+ * of being overwritten. Commits resolve to the stored project and leave the
+ * loaded document as it was.
+ *   revisionInfo - { source, provider, prompt, author, jobId, message, restoredFrom }
+ *                  plus the fields of the document's own revision model
+ *   update       - extra { $set, $inc } written together with the content
+ */
+
+const MINDMAP_REVISIONS = {
+  Revision: MindmapRevision,
+  contentField: 'mindmap',
+  versionField: 'mindmapVersion',
+  progressField: 'mindmapCompleted',
+  label: 'mindmap'
+};
+
+const PRD_REVISIONS = {
+  Revision: PRDRevision,
+  contentField: 'prd',
+  versionField: 'prdVersion',
+  progressField: 'prdCompleted',
+  label: 'PRD'
+};
+
+// Commit `content` as the next revision of the document `kind` describes
+const commitRevision = async (project, kind, content, revisionInfo, { fields = {}, update = {} } = {}) => {
+  const { Revision, contentField, versionField, progressField, label } = kind;
+  const base = project[versionField] || 0;
+  const snapshot = new Revision({
+    projectId: project._id,
+    revision: base + 1,
+    [contentField]: content,
+    source: revisionInfo.source || 'edit',
+    provider: revisionInfo.provider || null,
+    prompt: revisionInfo.prompt || null,
+    author: revisionInfo.author || null,
+    jobId: revisionInfo.jobId,
+    message: revisionInfo.message || null,
+    restoredFrom: revisionInfo.restoredFrom ?? null,
+    ...fields
+  });
+  // An invalid revision must not burn a revision number
+  await snapshot.validate();
+
+  const { mindmapCompleted, prdCompleted, codeGenerated } = project.progress;
+  const progress = { mindmapCompleted, prdCompleted, codeGenerated, [progressField]: true };
+  const committed = await project.constructor.findOneAndUpdate(
+    // Projects stored before versioning have no version field at all
+    { _id: project._id, [versionField]: base || { $in: [0, null] } },
+    {
+      $set: {
+        ...update.$set,
+        [contentField]: content,
+        [`progress.${progressField}`]: true,
+        'progress.percentComplete': percentComplete(progress),
+        updatedAt: new Date()
+      },
+      $inc: { ...update.$inc, [versionField]: 1 }
+    },
+    { new: true }
+  );
+  if (!committed) {
+    throw httpError(`The ${label} was changed by someone else in the meantime; reload it and try again`, 409);
+  }
+
+  await snapshot.save();
+  return committed;
+};
+
+// Store a freshly generated mindmap
+ProjectSchema.methods.updateMindmap = function(mindmapData, provider = 'unknown', revisionInfo = {}) {
+  return this.commitMindmap(mindmapData, { source: 'generation', provider, ...revisionInfo }, {
+    $set: { lastGeneratedAt: new Date() },
+    $inc: generationUsage(provider)
+  });
+};
+
+// revisionInfo also takes complexity
+ProjectSchema.methods.commitMindmap = function(mindmapData, revisionInfo = {}, update = {}) {
+  // Writers hand in canonical trees; older ones (e.g. restored revisions) are upgraded
+  const mindmap = upgradeMindmap(mindmapData);
+
+  return commitRevision(this, MINDMAP_REVISIONS, mindmap, revisionInfo, {
+    fields: {
+      complexity: revisionInfo.complexity || null,
+      nodeCount: countNodes(mindmap)
+    },
+    update
+  });
+};
+
+// Store a freshly generated PRD; locked sections of the current PRD are kept
+ProjectSchema.methods.updatePRD = function(prdData, provider = 'unknown', revisionInfo = {}) {
+  const generated = normalizePRD(prdData, { provider }).prd;
+  const { prd } = mergeLockedSections(this.prd, generated);
+
+  return this.commitPRD(prd, { source: 'generation', provider, ...revisionInfo }, {
+    $set: { lastGeneratedAt: new Date() },
+    $inc: generationUsage(provider)
+  });
+};
+
+// Takes a canonical PRD; revisionInfo also takes sectionIds
+ProjectSchema.methods.commitPRD = function(prdData, revisionInfo = {}, update = {}) {
+  return commitRevision(this, PRD_REVISIONS, prdData, revisionInfo, {
+    fields: {
+      sectionCount: prdData?.sections?.length || 0,
+      sectionIds: revisionInfo.sectionIds || []
+    },
+    update
+  });
 };
 
 ProjectSchema.methods.updateAIUsage = function(provider, responseTime, tokens = 0) {
@@ -262,20 +479,45 @@ ProjectSchema.methods.updateAIUsage = function(provider, responseTime, tokens =
   return this.save();
 };
 
+// Resolve the caller's role on this project: 'owner', 'editor', 'viewer' or null.
+// Members match by the userId bound when they accepted an invite, never by email alone
+ProjectSchema.methods.getMemberRole = function(user) {
+  if (!user) return null;
+  if (this.createdBy === user.id) return 'owner';
+
+  const member = (this.collaborators || []).find(c =>
+    c.status === 'active' && c.userId && c.userId === user.id
+  );
+
+  return member ? member.role : null;
+};
+
 // Static methods
+
+// Query filter matching every project the user owns or collaborates on
+ProjectSchema.statics.accessFilter = function(user) {
+  return {
+    $or: [
+      { createdBy: user.id },
+      { collaborators: { $elemMatch: { userId: user.id, status: 'active' } } }
+    ]
+  };
+};
+
 ProjectSchema.statics.getProjectsByStatus = function(status) {
   return this.find({ status }).sort({ updatedAt: -1 });
 };
 
-ProjectSchema.statics.getRecentProjects = function(limit = 10) {
-  return this.find()
+ProjectSchema.statics.getRecentProjects = function(limit = 10, filter = {}) {
+  return this.find(filter)
     .sort({ updatedAt: -1 })
     .limit(limit)
     .select('name description status progress createdAt updatedAt');
 };
 
-ProjectSchema.statics.getProjectStats = function() {
+ProjectSchema.statics.getProjectStats = function(filter = {}) {
   return this.aggregate([
+    { $match: filter },
     {
       $group: {
         _id: null,
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+
+const UserSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 100
+  },
+
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email address']
+  },
+
+  // Hashed with bcrypt in the pre-save hook, never returned by default
+  password: {
+    type: String,
+    required: true,
+    minLength: 8,
+    select: false
+  },
+
+  // Active refresh token ids (jti), removed on logout or rotation
+  refreshTokens: {
+    type: [{
+      tokenId: {
+        type: String,
+        required: true
+      },
+      expiresAt: {
+        type: Date,
+        required: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+
+  lastLoginAt: {
+    type: Date,
+    default: null
+  },
+
+  // Timestamps
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Hash password whenever it changes
+UserSchema.pre('save', async function(next) {
+  this.updatedAt = new Date();
+
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  this.password = await bcrypt.hash(this.password, salt);
+  next();
+});
+
+// Instance methods
+UserSchema.methods.comparePassword = function(candidatePassword) {
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+UserSchema.methods.generateAccessToken = function() {
+  return jwt.sign(
+    { id: this._id.toString(), email: this.email, type: 'access' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '1d' }
+  );
+};
+
+UserSchema.methods.generateRefreshToken = async function() {
+  const tokenId = crypto.randomUUID();
+  const token = jwt.sign(
+    { id: this._id.toString(), type: 'refresh' },
+    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d', jwtid: tokenId }
+  );
+
+  const { exp } = jwt.decode(token);
+
+  // Drop expired tokens while we are here
+  const now = Date.now();
+  this.refreshTokens = (this.refreshTokens || []).filter(t => t.expiresAt.getTime() > now);
+  this.refreshTokens.push({ tokenId, expiresAt: new Date(exp * 1000) });
+
+  await this.save();
+  return token;
+};
+
+UserSchema.methods.revokeRefreshToken = function(tokenId) {
+  this.refreshTokens = (this.refreshTokens || []).filter(t => t.tokenId !== tokenId);
+  return this.save();
+};
+
+UserSchema.methods.hasRefreshToken = function(tokenId) {
+  return (this.refreshTokens || []).some(t => t.tokenId === tokenId && t.expiresAt.getTime() > Date.now());
+};
+
+UserSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.password;
+  delete user.refreshTokens;
+  delete user.__v;
+  return user;
+};
+
+// Static methods
+UserSchema.statics.findByEmail = function(email, withSecrets = false) {
+  const query = this.findOne({ email: String(email || '').toLowerCase().trim() });
+  return withSecrets ? query.select('+password +refreshTokens') : query;
+};
+
+// Export the model
+module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const { clip } = require('../utils/text');
+
+const MESSAGE_LENGTH = 200;
+
+// Messages quote node or section titles, which can be as long as the limit on their own
+const clipMessage = (message) => clip(message, MESSAGE_LENGTH);
+
+/**
+ * Schema for immutable, per-project numbered snapshots of one project document.
+ *   label        - document name used in error messages
+ *   contentField - field holding the snapshot
+ *   sources      - what can write a revision
+ *   fields       - fields specific to this kind of revision
+ */
+const revisionSchema = ({ label, contentField, sources, fields = {} }) => {
+  const schema = new mongoose.Schema({
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true
+    },
+
+    // Sequential per project, starting at 1
+    revision: {
+      type: Number,
+      required: true
+    },
+
+    [contentField]: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+
+    source: {
+      type: String,
+      enum: sources,
+      default: 'generation'
+    },
+
+    provider: {
+      type: String,
+      default: null
+    },
+
+    prompt: {
+      type: String,
+      default: null
+    },
+
+    author: {
+      type: String,
+      default: null
+    },
+
+    // Generation job that committed the revision; lets a re-run job find its earlier commit
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+
+    message: {
+      type: String,
+      maxLength: MESSAGE_LENGTH,
+      set: clipMessage,
+      default: null
+    },
+
+    restoredFrom: {
+      type: Number,
+      default: null
+    },
+
+    ...fields,
+
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  });
+
+  // Indexes for better query performance
+  schema.index({ projectId: 1, revision: -1 }, { unique: true });
+  schema.index({ jobId: 1 }, { sparse: true });
+
+  // Revisions are append-only
+  schema.pre('save', function(next) {
+    if (!this.isNew) {
+      return next(new Error(`${label} revisions are immutable`));
+    }
+    next();
+  });
+
+  for (const op of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace']) {
+    schema.pre(op, function(next) {
+      next(new Error(`${label} revisions are immutable`));
+    });
+  }
+
+  // Static methods
+  schema.statics.getRevision = function(projectId, revision) {
+    return this.findOne({ projectId, revision });
+  };
+
+  schema.statics.listRevisions = function(projectId, { limit = 20, skip = 0 } = {}) {
+    return this.find({ projectId })
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select(`-${contentField}`);
+  };
+
+  return schema;
+};
+
+module.exports = {
+  revisionSchema
+};
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { protect } = require('../middleware/auth');
+
+// Account endpoints
+router.post('/register', (req, res) => authController.register(req, res));
+router.post('/login', (req, res) => authController.login(req, res));
+router.post('/refresh', (req, res) => authController.refresh(req, res));
+router.post('/logout', (req, res) => authController.logout(req, res));
+router.get('/me', protect, (req, res) => authController.getMe(req, res));
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+
+// Generation job status
+router.get('/:id', jobController.getJob);
+
+module.exports = router;
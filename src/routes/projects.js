@@ -1,19 +1,65 @@
 const express = require('express');
 const router = express.Router();
 const projectController = require('../controllers/projectController');
+const collaboratorController = require('../controllers/collaboratorController');
+const mindmapController = require('../controllers/mindmapController');
+const prdController = require('../controllers/prdController');
+const scaffoldController = require('../controllers/scaffoldController');
+const { authorizeProject } = require('../middleware/projectAccess');
 
 // Project CRUD routes
 router.post('/', projectController.createProject);
 router.get('/', projectController.getProjects);
 router.get('/stats', projectController.getProjectStats);
-router.get('/:id', projectController.getProject);
-router.put('/:id', projectController.updateProject);
-router.delete('/:id', projectController.deleteProject);
+router.get('/:id', authorizeProject('viewer'), projectController.getProject);
+router.put('/:id', authorizeProject('editor'), projectController.updateProject);
+router.delete('/:id', authorizeProject('owner'), projectController.deleteProject);
 
 // AI Generation routes
-router.post('/:id/mindmap', projectController.generateMindmap);
-router.post('/:id/prd', projectController.generatePRD);
-router.post('/:id/code', projectController.generateCode);
-router.get('/:id/code', projectController.getProjectCode);
+router.post('/:id/mindmap', authorizeProject('editor'), projectController.generateMindmap);
+router.post('/:id/prd', authorizeProject('editor'), projectController.generatePRD);
+router.post('/:id/code', authorizeProject('editor'), projectController.generateCode);
+router.get('/:id/code', authorizeProject('viewer'), projectController.getProjectCode);
+router.get('/:id/code/archive', authorizeProject('viewer'), projectController.downloadCodeArchive);
+// Read-only: builds the starter repo without changing the project
+router.post('/:id/scaffold', authorizeProject('viewer'), scaffoldController.scaffoldProject);
 
-module.exports = router;
\ No newline at end of file
+// Mindmap history routes
+router.get('/:id/mindmap/revisions', authorizeProject('viewer'), mindmapController.listRevisions);
+router.get('/:id/mindmap/revisions/:revision', authorizeProject('viewer'), mindmapController.getRevision);
+router.post('/:id/mindmap/revisions/:revision/restore', authorizeProject('editor'), mindmapController.restoreRevision);
+router.get('/:id/mindmap/diff', authorizeProject('viewer'), mindmapController.diffRevisions);
+router.get('/:id/mindmap/export', authorizeProject('viewer'), mindmapController.exportMindmap);
+router.post('/:id/mindmap/import', authorizeProject('editor'), mindmapController.importMindmap);
+
+// Mindmap node editing routes
+router.post('/:id/mindmap/nodes/:nodeId/children', authorizeProject('editor'), mindmapController.addNode);
+router.patch('/:id/mindmap/nodes/:nodeId', authorizeProject('editor'), mindmapController.updateNode);
+router.post('/:id/mindmap/nodes/:nodeId/move', authorizeProject('editor'), mindmapController.moveNode);
+router.delete('/:id/mindmap/nodes/:nodeId', authorizeProject('editor'), mindmapController.deleteNode);
+router.post('/:id/mindmap/nodes/:nodeId/expand', authorizeProject('editor'), mindmapController.expandNode);
+router.post('/:id/mindmap/nodes/:nodeId/regenerate', authorizeProject('editor'), mindmapController.regenerateNode);
+router.get('/:id/mindmap/nodes/:nodeId/code', authorizeProject('viewer'), mindmapController.getNodeCode);
+
+// PRD routes
+router.get('/:id/prd/lint', authorizeProject('viewer'), prdController.lintPRD);
+router.get('/:id/prd/export', authorizeProject('viewer'), prdController.exportPRD);
+router.get('/:id/prd/revisions', authorizeProject('viewer'), prdController.listRevisions);
+router.get('/:id/prd/revisions/:revision', authorizeProject('viewer'), prdController.getRevision);
+router.post('/:id/prd/revisions/:revision/restore', authorizeProject('editor'), prdController.restoreRevision);
+router.get('/:id/prd/diff', authorizeProject('viewer'), prdController.diffRevisions);
+router.patch('/:id/prd/sections/:sectionId', authorizeProject('editor'), prdController.updateSection);
+router.post('/:id/prd/sections/:sectionId/lock', authorizeProject('editor'), prdController.lockSection);
+router.post('/:id/prd/sections/:sectionId/unlock', authorizeProject('editor'), prdController.unlockSection);
+router.post('/:id/prd/sections/:sectionId/regenerate', authorizeProject('editor'), prdController.regenerateSection);
+
+// Collaborator management routes
+router.get('/:id/collaborators', authorizeProject('viewer'), collaboratorController.getCollaborators);
+router.post('/:id/collaborators/invite', authorizeProject('owner'), collaboratorController.inviteCollaborator);
+router.post('/:id/collaborators/accept', collaboratorController.acceptInvitation);
+router.post('/:id/collaborators/decline', collaboratorController.declineInvitation);
+router.post('/:id/collaborators/transfer-ownership', authorizeProject('owner'), collaboratorController.transferOwnership);
+router.patch('/:id/collaborators/:memberId', authorizeProject('owner'), collaboratorController.updateCollaboratorRole);
+router.delete('/:id/collaborators/:memberId', authorizeProject('owner'), collaboratorController.removeCollaborator);
+
+module.exports = router;
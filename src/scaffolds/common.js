@@ -0,0 +1,60 @@
+/**
+ * Shared pieces of the scaffold templates
+ */
+
+const packageJson = (context, fields) => `${JSON.stringify({
+  name: context.slug,
+  version: '0.1.0',
+  private: true,
+  description: context.description,
+  ...fields
+}, null, 2)}\n`;
+
+const nodeGitignore = `node_modules/
+dist/
+build/
+.next/
+coverage/
+.env
+.env.local
+*.log
+.DS_Store
+`;
+
+const pythonGitignore = `__pycache__/
+*.py[cod]
+.venv/
+venv/
+.env
+.pytest_cache/
+.mypy_cache/
+dist/
+*.egg-info/
+.DS_Store
+`;
+
+const readme = (context, { setup, notes }) => `# ${context.name}
+
+${context.description || ''}
+
+Scaffolded by FlowSprint from the ${context.templateName} template.
+
+## Getting started
+
+\`\`\`bash
+${setup.join('\n')}
+\`\`\`
+
+${notes}
+`;
+
+// Text placed between JSX tags
+const jsxText = (text) => String(text).replace(/[{}<>]/g, char => `{'${char}'}`);
+
+module.exports = {
+  packageJson,
+  jsxText,
+  nodeGitignore,
+  pythonGitignore,
+  readme
+};
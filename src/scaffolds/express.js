@@ -0,0 +1,158 @@
+/**
+ * Express API starter (CommonJS, Node 18+)
+ */
+
+const { packageJson, nodeGitignore, readme } = require('./common');
+
+module.exports = {
+  id: 'express',
+  name: 'Express API',
+  language: 'javascript',
+  // Where generated files of each kind are placed
+  layout: {
+    component: 'src/components',
+    route: 'src/routes',
+    controller: 'src/controllers',
+    model: 'src/models',
+    middleware: 'src/middleware',
+    test: 'tests',
+    style: 'public',
+    lib: 'src/lib'
+  },
+  // Plain JavaScript with no build step, so TypeScript goes under generated/
+  languages: ['javascript', 'json'],
+
+  files: (context) => [
+    {
+      path: 'package.json',
+      protected: true,
+      content: packageJson(context, {
+        main: 'src/index.js',
+        scripts: {
+          start: 'node src/index.js',
+          dev: 'node --watch src/index.js',
+          test: 'node --test tests/'
+        },
+        dependencies: {
+          cors: '^2.8.5',
+          dotenv: '^16.4.5',
+          express: '^4.19.2'
+        },
+        engines: { node: '>=18' }
+      })
+    },
+    {
+      path: '.env.example',
+      protected: true,
+      content: 'PORT=3000\nNODE_ENV=development\nCORS_ORIGIN=http://localhost:5173\n'
+    },
+    { path: '.gitignore', protected: true, content: nodeGitignore },
+    {
+      path: 'README.md',
+      content: readme(context, {
+        setup: ['npm install', 'cp .env.example .env', 'npm run dev'],
+        notes: 'The API listens on `PORT` (default 3000). `GET /api/health` reports service status.'
+      })
+    },
+    {
+      path: 'src/index.js',
+      content: `require('dotenv').config();
+
+const app = require('./app');
+
+const PORT = process.env.PORT || 3000;
+
+app.listen(PORT, () => {
+  console.log(${JSON.stringify(`${context.name} API listening on port`)}, PORT);
+});
+`
+    },
+    {
+      path: 'src/app.js',
+      content: `const express = require('express');
+const cors = require('cors');
+const routes = require('./routes');
+const errorHandler = require('./middleware/errorHandler');
+
+const app = express();
+
+app.use(cors({ origin: process.env.CORS_ORIGIN || '*' }));
+app.use(express.json({ limit: '1mb' }));
+
+app.use('/api', routes);
+
+app.use((req, res) => {
+  res.status(404).json({ success: false, error: 'Route not found' });
+});
+
+app.use(errorHandler);
+
+module.exports = app;
+`
+    },
+    {
+      path: 'src/routes/index.js',
+      content: `const express = require('express');
+const healthController = require('../controllers/healthController');
+
+const router = express.Router();
+
+router.get('/health', healthController.getHealth);
+
+module.exports = router;
+`
+    },
+    {
+      path: 'src/controllers/healthController.js',
+      content: `const getHealth = (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = { getHealth };
+`
+    },
+    {
+      path: 'src/middleware/errorHandler.js',
+      content: `// eslint-disable-next-line no-unused-vars
+const errorHandler = (err, req, res, next) => {
+  const statusCode = err.statusCode || 500;
+
+  if (statusCode >= 500) console.error(err);
+
+  res.status(statusCode).json({
+    success: false,
+    error: statusCode >= 500 && process.env.NODE_ENV === 'production' ? 'Internal server error' : err.message
+  });
+};
+
+module.exports = errorHandler;
+`
+    },
+    { path: 'src/models/.gitkeep', content: '' },
+    {
+      path: 'tests/health.test.js',
+      content: `const { test } = require('node:test');
+const assert = require('node:assert');
+const app = require('../src/app');
+
+test('GET /api/health responds with ok', async () => {
+  const server = app.listen(0);
+  try {
+    const { port } = server.address();
+    const response = await fetch(\`http://127.0.0.1:\${port}/api/health\`);
+    const body = await response.json();
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(body.status, 'ok');
+  } finally {
+    server.close();
+  }
+});
+`
+    }
+  ]
+};
@@ -0,0 +1,120 @@
+/**
+ * FastAPI starter (Python 3.10+)
+ */
+
+const { pythonGitignore, readme } = require('./common');
+
+module.exports = {
+  id: 'fastapi',
+  name: 'FastAPI service',
+  language: 'python',
+  layout: {
+    route: 'app/routers',
+    controller: 'app/services',
+    model: 'app/models',
+    middleware: 'app/middleware',
+    test: 'tests',
+    lib: 'app'
+  },
+  languages: ['python', 'json'],
+
+  files: (context) => [
+    {
+      path: 'requirements.txt',
+      protected: true,
+      content: 'fastapi>=0.111,<1.0\nuvicorn[standard]>=0.30\npydantic-settings>=2.3\n'
+    },
+    {
+      path: 'requirements-dev.txt',
+      protected: true,
+      content: '-r requirements.txt\npytest>=8.2\nhttpx>=0.27\n'
+    },
+    {
+      path: '.env.example',
+      protected: true,
+      content: `APP_NAME=${JSON.stringify(context.name)}\nENVIRONMENT=development\nCORS_ORIGINS=["http://localhost:5173"]\n`
+    },
+    { path: '.gitignore', protected: true, content: pythonGitignore },
+    {
+      path: 'README.md',
+      content: readme(context, {
+        setup: [
+          'python -m venv .venv && source .venv/bin/activate',
+          'pip install -r requirements-dev.txt',
+          'cp .env.example .env',
+          'uvicorn app.main:app --reload'
+        ],
+        notes: 'Interactive docs are served at http://localhost:8000/docs. Run the tests with `pytest`.'
+      })
+    },
+    { path: 'app/__init__.py', content: '' },
+    {
+      path: 'app/config.py',
+      content: `from pydantic_settings import BaseSettings, SettingsConfigDict
+
+
+class Settings(BaseSettings):
+    app_name: str = ${JSON.stringify(context.name)}
+    environment: str = "development"
+    cors_origins: list[str] = ["*"]
+
+    model_config = SettingsConfigDict(env_file=".env")
+
+
+settings = Settings()
+`
+    },
+    {
+      path: 'app/main.py',
+      content: `from fastapi import FastAPI
+from fastapi.middleware.cors import CORSMiddleware
+
+from app.config import settings
+from app.routers import health
+
+app = FastAPI(title=settings.app_name)
+
+app.add_middleware(
+    CORSMiddleware,
+    allow_origins=settings.cors_origins,
+    allow_methods=["*"],
+    allow_headers=["*"],
+)
+
+app.include_router(health.router, prefix="/api")
+`
+    },
+    { path: 'app/routers/__init__.py', content: '' },
+    {
+      path: 'app/routers/health.py',
+      content: `from datetime import datetime, timezone
+
+from fastapi import APIRouter
+
+router = APIRouter(tags=["health"])
+
+
+@router.get("/health")
+def get_health():
+    return {"status": "ok", "timestamp": datetime.now(timezone.utc).isoformat()}
+`
+    },
+    { path: 'app/models/__init__.py', content: '' },
+    { path: 'tests/__init__.py', content: '' },
+    {
+      path: 'tests/test_health.py',
+      content: `from fastapi.testclient import TestClient
+
+from app.main import app
+
+client = TestClient(app)
+
+
+def test_health():
+    response = client.get("/api/health")
+    assert response.status_code == 200
+    assert response.json()["status"] == "ok"
+`
+    }
+  ]
+};
@@ -0,0 +1,203 @@
+/**
+ * Project scaffolding
+ *
+ * Turns a project's tech stack into a starter repository from deterministic
+ * local templates, then merges the project's AI-generated files into the
+ * template's folder layout. Each template module exports
+ * `{ id, name, language, layout, languages, files(context) }` where `layout`
+ * maps a file kind (component, route, model, test, ...) to a directory and
+ * `files` returns `[{ path, content, protected? }]`. Protected files
+ * (manifests, configs, env templates) are never replaced by generated code.
+ */
+
+const { safeEntryName } = require('../utils/zip');
+const { slugify } = require('../utils/text');
+const { uniquePath } = require('../utils/codeArchive');
+const { httpError } = require('../utils/httpError');
+
+const TEMPLATES = [
+  require('./express'),
+  require('./nextjs'),
+  require('./reactVite'),
+  require('./fastapi')
+];
+
+const SCAFFOLD_TEMPLATES = Object.fromEntries(TEMPLATES.map(template => [template.id, template]));
+
+// Tech stack entries that point at a template, most specific first
+const STACK_HINTS = [
+  { template: 'nextjs', pattern: /\bnext(?:\.?js)?\b/i },
+  { template: 'react-vite', pattern: /\bvite\b|\breact(?:\.?js)?\b/i },
+  { template: 'fastapi', pattern: /\bfast\s*api\b|\bpython\b|\bflask\b|\bdjango\b/i },
+  { template: 'express', pattern: /\bexpress(?:\.?js)?\b|\bnode(?:\.?js)?\b/i }
+];
+
+const BACKEND_TEMPLATES = ['fastapi', 'express'];
+
+// Template when the tech stack names nothing we have a template for
+const TYPE_DEFAULTS = {
+  api: 'express',
+  'ai-project': 'fastapi',
+  'web-app': 'react-vite'
+};
+
+const EXTENSION_LANGUAGES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  css: 'css',
+  scss: 'scss',
+  json: 'json'
+};
+
+/**
+ * Pick a template for the project: an explicit request wins, then the tech
+ * stack (backend templates first for API and AI projects), then the type.
+ * Returns { template, matchedBy: 'request' | 'techStack' | 'type' }.
+ */
+const selectTemplate = (project, requested) => {
+  if (requested) {
+    const template = SCAFFOLD_TEMPLATES[String(requested).toLowerCase()];
+    if (!template) {
+      throw httpError(`Unknown scaffold template "${requested}". Use one of: ${Object.keys(SCAFFOLD_TEMPLATES).join(', ')}`);
+    }
+    return { template, matchedBy: 'request' };
+  }
+
+  const stack = (project.techStack || []).join(' ');
+  const matches = STACK_HINTS.filter(hint => hint.pattern.test(stack)).map(hint => hint.template);
+  if (matches.length) {
+    const preferBackend = ['api', 'ai-project'].includes(project.type);
+    const preferred = matches.find(id => BACKEND_TEMPLATES.includes(id) === preferBackend) || matches[0];
+    return { template: SCAFFOLD_TEMPLATES[preferred], matchedBy: 'techStack' };
+  }
+
+  return { template: SCAFFOLD_TEMPLATES[TYPE_DEFAULTS[project.type] || 'react-vite'], matchedBy: 'type' };
+};
+
+// Kind of a generated file, used to look up its directory in the template layout
+const classifyFile = (path) => {
+  const name = path.split('/').pop();
+  const extension = (name.match(/\.([^.]+)$/) || [])[1]?.toLowerCase() || '';
+
+  if (/\.(test|spec)\.[^.]+$/i.test(name) || /^test_.*\.py$/.test(name) || /(^|\/)(__tests__|tests?)\//.test(path)) return 'test';
+  if (['css', 'scss', 'sass', 'less'].includes(extension)) return 'style';
+  if (/(^|\/)middlewares?\//i.test(path) || /middleware/i.test(name)) return 'middleware';
+  if (/(^|\/)(routes|routers|api)\//i.test(path) || /route(r|s)?\.[^.]+$/i.test(name)) return 'route';
+  if (/(^|\/)(controllers|services)\//i.test(path) || /(controller|service)\.[^.]+$/i.test(name)) return 'controller';
+  if (/(^|\/)(models|schemas|types)\//i.test(path) || /(model|schema)\.[^.]+$/i.test(name)) return 'model';
+  if (/(^|\/)pages?\//i.test(path) || /Page\.[jt]sx$/.test(name)) return 'page';
+  if (['tsx', 'jsx'].includes(extension)) return 'component';
+  return 'lib';
+};
+
+/**
+ * Target path of a generated file inside the template.
+ * Paths that match a template file or sit under one of the template's
+ * directories are kept; files in languages the template does not use go
+ * under generated/.
+ */
+const placeGeneratedFile = (template, entry, templatePaths) => {
+  const original = safeEntryName(entry.path || entry.filename);
+  if (templatePaths.has(original)) return { path: original, kind: classifyFile(original) };
+
+  const extension = (original.match(/\.([^./]+)$/) || [])[1]?.toLowerCase() || '';
+  const language = EXTENSION_LANGUAGES[extension] || String(entry.language || '').toLowerCase();
+
+  if (!template.languages.includes(language)) {
+    return { path: `generated/${original}`, kind: 'unsupported' };
+  }
+
+  const kind = classifyFile(original);
+  const directories = Object.values(template.layout);
+  if (directories.some(directory => original.startsWith(`${directory}/`))) {
+    return { path: original, kind };
+  }
+
+  const directory = template.layout[kind] || template.layout.lib;
+  return { path: `${directory}/${original.split('/').pop()}`, kind };
+};
+
+/**
+ * Build the starter repository for a project.
+ * options: { template, includeGenerated = true }
+ * Returns { template: { id, name, language }, matchedBy, root, files, placements }
+ * where files are { path, content, source: 'template' | 'generated', replaced? }
+ * and placements map each generated file to where it was put.
+ */
+const buildScaffold = (project, { template: requested, includeGenerated = true } = {}) => {
+  const { template, matchedBy } = selectTemplate(project, requested);
+  const context = {
+    name: project.name,
+    slug: slugify(project.name, 'project'),
+    description: project.description || '',
+    templateName: template.name
+  };
+
+  const files = new Map();
+  for (const file of template.files(context)) {
+    files.set(file.path, { path: file.path, content: file.content, source: 'template', protected: Boolean(file.protected) });
+  }
+
+  const templatePaths = new Set(files.keys());
+  const placements = [];
+  const generatedPaths = new Set();
+  const generated = includeGenerated
+    ? [...(project.generatedCode || [])].sort((a, b) => new Date(a.generatedAt || 0) - new Date(b.generatedAt || 0))
+    : [];
+
+  for (const entry of generated) {
+    let { path, kind } = placeGeneratedFile(template, entry, templatePaths);
+    const existing = files.get(path);
+    let replaced = false;
+
+    if (existing?.protected) {
+      // Keep the template's manifest/config; park the generated version alongside
+      path = `generated/${path}`;
+      kind = 'conflict';
+    } else if (existing && existing.source === 'template') {
+      replaced = true;
+    }
+
+    // Two generated files with the same target: keep both, numbering the later one
+    if (generatedPaths.has(path.toLowerCase())) path = uniquePath(path, generatedPaths);
+    generatedPaths.add(path.toLowerCase());
+
+    files.set(path, { path, content: entry.code || '', source: 'generated', ...(replaced && { replaced: true }) });
+    placements.push({
+      id: entry._id || null,
+      from: entry.path || entry.filename,
+      to: path,
+      kind,
+      nodeId: entry.nodeId || null
+    });
+  }
+
+  // .gitkeep placeholders are only needed while their directory is otherwise empty
+  for (const path of files.keys()) {
+    const directory = path.slice(0, path.lastIndexOf('/') + 1);
+    if (path.endsWith('/.gitkeep') && [...files.keys()].some(other => other !== path && other.startsWith(directory))) {
+      files.delete(path);
+    }
+  }
+
+  return {
+    template: { id: template.id, name: template.name, language: template.language },
+    matchedBy,
+    root: context.slug,
+    files: [...files.values()]
+      .map(({ protected: isProtected, ...file }) => file)
+      .sort((a, b) => a.path.localeCompare(b.path)),
+    placements
+  };
+};
+
+module.exports = {
+  SCAFFOLD_TEMPLATES,
+  selectTemplate,
+  buildScaffold
+};
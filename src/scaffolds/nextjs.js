@@ -0,0 +1,168 @@
+/**
+ * Next.js starter (App Router, TypeScript)
+ */
+
+const { packageJson, nodeGitignore, readme, jsxText } = require('./common');
+
+module.exports = {
+  id: 'nextjs',
+  name: 'Next.js app',
+  language: 'typescript',
+  layout: {
+    component: 'components',
+    page: 'app',
+    route: 'app/api',
+    controller: 'lib',
+    model: 'lib/models',
+    middleware: 'lib',
+    test: '__tests__',
+    style: 'styles',
+    lib: 'lib'
+  },
+  languages: ['typescript', 'javascript', 'css', 'scss', 'json'],
+
+  files: (context) => [
+    {
+      path: 'package.json',
+      protected: true,
+      content: packageJson(context, {
+        scripts: {
+          dev: 'next dev',
+          build: 'next build',
+          start: 'next start',
+          lint: 'next lint'
+        },
+        dependencies: {
+          next: '^14.2.5',
+          react: '^18.3.1',
+          'react-dom': '^18.3.1'
+        },
+        devDependencies: {
+          '@types/node': '^20.14.10',
+          '@types/react': '^18.3.3',
+          '@types/react-dom': '^18.3.0',
+          eslint: '^8.57.0',
+          'eslint-config-next': '^14.2.5',
+          typescript: '^5.5.3'
+        }
+      })
+    },
+    {
+      path: 'tsconfig.json',
+      protected: true,
+      content: `${JSON.stringify({
+        compilerOptions: {
+          target: 'ES2017',
+          lib: ['dom', 'dom.iterable', 'esnext'],
+          allowJs: true,
+          skipLibCheck: true,
+          strict: true,
+          noEmit: true,
+          esModuleInterop: true,
+          module: 'esnext',
+          moduleResolution: 'bundler',
+          resolveJsonModule: true,
+          isolatedModules: true,
+          jsx: 'preserve',
+          incremental: true,
+          plugins: [{ name: 'next' }],
+          paths: { '@/*': ['./*'] }
+        },
+        include: ['next-env.d.ts', '**/*.ts', '**/*.tsx', '.next/types/**/*.ts'],
+        exclude: ['node_modules']
+      }, null, 2)}\n`
+    },
+    {
+      path: 'next.config.mjs',
+      protected: true,
+      content: `/** @type {import('next').NextConfig} */
+const nextConfig = {
+  reactStrictMode: true
+};
+
+export default nextConfig;
+`
+    },
+    {
+      path: 'next-env.d.ts',
+      protected: true,
+      content: '/// <reference types="next" />\n/// <reference types="next/image-types/global" />\n'
+    },
+    { path: '.eslintrc.json', protected: true, content: '{\n  "extends": "next/core-web-vitals"\n}\n' },
+    {
+      path: '.env.example',
+      protected: true,
+      content: `NEXT_PUBLIC_APP_NAME=${JSON.stringify(context.name)}\nNEXT_PUBLIC_API_URL=http://localhost:3000/api\n`
+    },
+    { path: '.gitignore', protected: true, content: nodeGitignore },
+    {
+      path: 'README.md',
+      content: readme(context, {
+        setup: ['npm install', 'cp .env.example .env.local', 'npm run dev'],
+        notes: 'Open http://localhost:3000. Pages live in `app/`, shared components in `components/`.'
+      })
+    },
+    {
+      path: 'app/layout.tsx',
+      content: `import type { Metadata } from 'next';
+import type { ReactNode } from 'react';
+import './globals.css';
+
+export const metadata: Metadata = {
+  title: ${JSON.stringify(context.name)},
+  description: ${JSON.stringify(context.description || context.name)}
+};
+
+export default function RootLayout({ children }: { children: ReactNode }) {
+  return (
+    <html lang="en">
+      <body>{children}</body>
+    </html>
+  );
+}
+`
+    },
+    {
+      path: 'app/page.tsx',
+      content: `export default function Home() {
+  return (
+    <main className="container">
+      <h1>{process.env.NEXT_PUBLIC_APP_NAME || ${JSON.stringify(context.name)}}</h1>
+      <p>${jsxText(context.description || 'Edit app/page.tsx to get started.')}</p>
+    </main>
+  );
+}
+`
+    },
+    {
+      path: 'app/globals.css',
+      content: `:root {
+  color-scheme: light dark;
+  font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+}
+
+body {
+  margin: 0;
+}
+
+.container {
+  max-width: 960px;
+  margin: 0 auto;
+  padding: 4rem 1.5rem;
+}
+`
+    },
+    {
+      path: 'app/api/health/route.ts',
+      content: `import { NextResponse } from 'next/server';
+
+export function GET() {
+  return NextResponse.json({ status: 'ok', timestamp: new Date().toISOString() });
+}
+`
+    },
+    { path: 'components/.gitkeep', content: '' },
+    { path: 'lib/.gitkeep', content: '' },
+    { path: 'public/.gitkeep', content: '' }
+  ]
+};
@@ -0,0 +1,158 @@
+/**
+ * React + Vite starter (TypeScript, single-page app)
+ */
+
+const { packageJson, nodeGitignore, readme, jsxText } = require('./common');
+
+module.exports = {
+  id: 'react-vite',
+  name: 'React + Vite app',
+  language: 'typescript',
+  layout: {
+    component: 'src/components',
+    page: 'src/pages',
+    route: 'src/api',
+    controller: 'src/lib',
+    model: 'src/types',
+    middleware: 'src/lib',
+    test: 'src/__tests__',
+    style: 'src/styles',
+    lib: 'src/lib'
+  },
+  languages: ['typescript', 'javascript', 'css', 'scss', 'json'],
+
+  files: (context) => [
+    {
+      path: 'package.json',
+      protected: true,
+      content: packageJson(context, {
+        type: 'module',
+        scripts: {
+          dev: 'vite',
+          build: 'tsc -b && vite build',
+          preview: 'vite preview'
+        },
+        dependencies: {
+          react: '^18.3.1',
+          'react-dom': '^18.3.1'
+        },
+        devDependencies: {
+          '@types/react': '^18.3.3',
+          '@types/react-dom': '^18.3.0',
+          '@vitejs/plugin-react': '^4.3.1',
+          typescript: '^5.5.3',
+          vite: '^5.3.4'
+        }
+      })
+    },
+    {
+      path: 'tsconfig.json',
+      protected: true,
+      content: `${JSON.stringify({
+        compilerOptions: {
+          target: 'ES2020',
+          useDefineForClassFields: true,
+          lib: ['ES2020', 'DOM', 'DOM.Iterable'],
+          module: 'ESNext',
+          skipLibCheck: true,
+          moduleResolution: 'bundler',
+          allowImportingTsExtensions: true,
+          resolveJsonModule: true,
+          isolatedModules: true,
+          noEmit: true,
+          jsx: 'react-jsx',
+          strict: true
+        },
+        include: ['src']
+      }, null, 2)}\n`
+    },
+    {
+      path: 'vite.config.ts',
+      protected: true,
+      content: `import { defineConfig } from 'vite';
+import react from '@vitejs/plugin-react';
+
+export default defineConfig({
+  plugins: [react()]
+});
+`
+    },
+    {
+      path: 'index.html',
+      protected: true,
+      content: `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${context.name.replace(/[<>&]/g, '')}</title>
+  </head>
+  <body>
+    <div id="root"></div>
+    <script type="module" src="/src/main.tsx"></script>
+  </body>
+</html>
+`
+    },
+    {
+      path: '.env.example',
+      protected: true,
+      content: 'VITE_API_URL=http://localhost:3000/api\n'
+    },
+    { path: '.gitignore', protected: true, content: nodeGitignore },
+    {
+      path: 'README.md',
+      content: readme(context, {
+        setup: ['npm install', 'cp .env.example .env', 'npm run dev'],
+        notes: 'Open http://localhost:5173. Components live in `src/components/`.'
+      })
+    },
+    {
+      path: 'src/main.tsx',
+      content: `import { StrictMode } from 'react';
+import { createRoot } from 'react-dom/client';
+import App from './App';
+import './index.css';
+
+createRoot(document.getElementById('root')!).render(
+  <StrictMode>
+    <App />
+  </StrictMode>
+);
+`
+    },
+    {
+      path: 'src/App.tsx',
+      content: `export default function App() {
+  return (
+    <main className="container">
+      <h1>${jsxText(context.name)}</h1>
+      <p>${jsxText(context.description || 'Edit src/App.tsx to get started.')}</p>
+    </main>
+  );
+}
+`
+    },
+    {
+      path: 'src/index.css',
+      content: `:root {
+  color-scheme: light dark;
+  font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif;
+}
+
+body {
+  margin: 0;
+}
+
+.container {
+  max-width: 960px;
+  margin: 0 auto;
+  padding: 4rem 1.5rem;
+}
+`
+    },
+    { path: 'src/vite-env.d.ts', protected: true, content: '/// <reference types="vite/client" />\n' },
+    { path: 'src/components/.gitkeep', content: '' },
+    { path: 'public/.gitkeep', content: '' }
+  ]
+};
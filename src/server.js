@@ -1,17 +1,24 @@
 require('dotenv').config();
 const app = require('./app');
 const logger = require('./utils/logger');
+const jobQueue = require('./services/jobQueue');
 
 const PORT = process.env.PORT || 3001;
 
 const server = app.listen(PORT, () => {
   logger.info(`FlowSprint Backend Server running on port ${PORT}`);
   logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Background worker for generation jobs
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    jobQueue.start();
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received. Shutting down gracefully...');
+  jobQueue.stop();
   server.close(() => {
     logger.info('Process terminated');
   });
@@ -19,6 +26,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received. Shutting down gracefully...');
+  jobQueue.stop();
   server.close(() => {
     logger.info('Process terminated');
   });
@@ -1,8 +1,18 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { chatResponse } = require('./providerContract');
+const { withRetry, upstreamError, HEALTH_CHECK_RETRY } = require('../utils/retry');
+
+const DEFAULT_MODEL = 'llama3.1-8b';
 
 class CerebrasService {
   constructor() {
+    // Provider contract (see providerContract.js)
+    this.name = 'cerebras';
+    this.displayName = 'Cerebras';
+    this.description = 'Ultra-fast inference (<100ms)';
+    this.capabilities = ['mindmap', 'mindmap-branch', 'stream'];
+
     this.apiKey = process.env.CEREBRAS_API_KEY;
     this.baseURL = 'https://api.cerebras.ai/v1';
     
@@ -11,21 +21,23 @@ class CerebrasService {
     }
   }
 
-  async makeRequest(endpoint, data, model = 'llama3.1-8b') {
+  // retry overrides the withRetry options (attempts, deadline) for this call
+  async makeRequest(endpoint, data, model = DEFAULT_MODEL, retry = {}) {
     try {
       const headers = {
         'Authorization': `Bearer ${this.apiKey}`,
         'Content-Type': 'application/json'
       };
 
-      const response = await axios.post(`${this.baseURL}${endpoint}`, {
+      // 429s and transient 5xx are retried, waiting out the exhausted rate-limit bucket
+      const response = await withRetry(({ remainingMs }) => axios.post(`${this.baseURL}${endpoint}`, {
         model,
         messages: data.messages,
         temperature: data.temperature || 0.7,
         max_tokens: data.max_tokens || 2000,
         stream: data.stream || false,
         top_p: data.top_p || 1.0
-      }, { headers });
+      }, { headers, timeout: remainingMs }), { name: 'Cerebras', ...retry });
 
       logger.info(`Cerebras API call successful: ${model} (${response.data.usage?.total_tokens || 0} tokens)`);
       return response.data;
@@ -33,9 +45,10 @@ class CerebrasService {
       logger.error('Cerebras API Error:', {
         message: error.message,
         status: error.response?.status,
+        attempts: error.attempts,
         data: error.response?.data
       });
-      throw new Error(`Cerebras API Error: ${error.message}`);
+      throw upstreamError(`Cerebras API Error: ${error.message}`, error);
     }
   }
 
@@ -167,7 +180,7 @@ Each node should be specific, actionable task with clear deliverables and techni
     }, 'llama3.1-8b');
   }
 
-  // Streaming responses for real-time UI updates
+  // Streaming responses for real-time UI updates; resolves once the stream ends
   async streamResponse(messages, onChunk, options = {}) {
     try {
       const headers = {
@@ -175,8 +188,9 @@ Each node should be specific, actionable task with clear deliverables and techni
         'Content-Type': 'application/json'
       };
 
+      const startTime = Date.now();
       const response = await axios.post(`${this.baseURL}/chat/completions`, {
-        model: 'llama3.1-8b',
+        model: DEFAULT_MODEL,
         messages,
         temperature: options.temperature || 0.7,
         max_tokens: options.max_tokens || 1500,
@@ -187,28 +201,36 @@ Each node should be specific, actionable task with clear deliverables and techni
         responseType: 'stream'
       });
 
-      response.data.on('data', (chunk) => {
-        const lines = chunk.toString().split('\n').filter(line => line.trim());
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') return;
-            
-            try {
-              const parsed = JSON.parse(data);
-              if (parsed.choices?.[0]?.delta?.content) {
-                onChunk(parsed.choices[0].delta.content);
+      let content = '';
+
+      return await new Promise((resolve, reject) => {
+        response.data.on('data', (chunk) => {
+          const lines = chunk.toString().split('\n').filter(line => line.trim());
+          
+          for (const line of lines) {
+            if (line.startsWith('data: ')) {
+              const data = line.slice(6);
+              if (data === '[DONE]') return;
+              
+              try {
+                const parsed = JSON.parse(data);
+                if (parsed.choices?.[0]?.delta?.content) {
+                  content += parsed.choices[0].delta.content;
+                  onChunk(parsed.choices[0].delta.content);
+                }
+              } catch (e) {
+                // Skip invalid JSON chunks
               }
-            } catch (e) {
-              // Skip invalid JSON chunks
             }
           }
-        }
-      });
+        });
+
+        response.data.on('end', () => {
+          logger.info('Cerebras streaming completed');
+          resolve({ content, model: options.model || DEFAULT_MODEL, responseTime: Date.now() - startTime });
+        });
 
-      response.data.on('end', () => {
-        logger.info('Cerebras streaming completed');
+        response.data.on('error', reject);
       });
 
     } catch (error) {
@@ -217,6 +239,46 @@ Each node should be specific, actionable task with clear deliverables and techni
     }
   }
 
+  // Provider contract: plain chat completion
+  async chat(messages, options = {}) {
+    const { model = DEFAULT_MODEL, ...data } = options;
+    const startTime = Date.now();
+    const result = await this.makeRequest('/chat/completions', { ...data, messages }, model);
+    return chatResponse(result, { model, startTime });
+  }
+
+  stream(messages, onChunk, options = {}) {
+    return this.streamResponse(messages, onChunk, options);
+  }
+
+  // Provider contract: the ultra-fast mindmap prompt; other tasks go through the gateway's prompts and chat()
+  async generate(task, payload, options = {}) {
+    let result;
+
+    switch (task) {
+      case 'mindmap':
+        result = await this.generateMindmapUltraFast(payload.prompt || payload.projectDescription, options);
+        break;
+      default:
+        return null;
+    }
+
+    return { ...chatResponse(result, { model: DEFAULT_MODEL }), responseTime: result.metadata.responseTime };
+  }
+
+  // First choice for mindmaps unless the caller trades speed for quality
+  rank(task, payload = {}) {
+    return (payload.priority || 'speed') === 'speed' ? 20 : 0;
+  }
+
+  health() {
+    return this.healthCheck();
+  }
+
+  async listModels() {
+    return [{ id: DEFAULT_MODEL, name: 'Llama 3.1 8B' }];
+  }
+
   // Health check and performance metrics
   async healthCheck() {
     try {
@@ -228,7 +290,7 @@ Each node should be specific, actionable task with clear deliverables and techni
           { role: 'user', content: 'Say "healthy"' }
         ],
         max_tokens: 10
-      });
+      }, DEFAULT_MODEL, HEALTH_CHECK_RETRY);
 
       const responseTime = Date.now() - startTime;
       
@@ -0,0 +1,103 @@
+const logger = require('../utils/logger');
+const mcpGateway = require('./enhancedMcpGateway');
+const { extractCode, validateCode, describeErrors } = require('../utils/codeValidator');
+
+// Longest slice of the broken file sent back as retry context
+const MAX_RETRY_CODE_LENGTH = 12000;
+
+const FAILED_STATUSES = ['invalid', 'truncated'];
+
+/**
+ * Code Validation Service - checks generated code before it is stored
+ *
+ * Wraps utils/codeValidator with an optional single retry: when a file fails
+ * to parse, the syntax errors are sent back through the MCP gateway and the
+ * corrected file replaces the original only if it validates.
+ */
+
+class CodeValidationService {
+
+  /**
+   * Validate one file, optionally retrying once through the gateway.
+   * file: { code, language, filename, unclosedFence }
+   * options: { retry = false, requirements } where requirements describe what the file should do
+   * Resolves to { code, validation } with validation.attempts and validation.repaired set.
+   */
+  async validateFile(file, { retry = false, requirements = '' } = {}) {
+    const { language, filename } = file;
+    const validation = await validateCode(file.code, file);
+
+    if (!retry || !FAILED_STATUSES.includes(validation.status)) {
+      return { code: file.code, validation: { ...validation, attempts: 1, repaired: false } };
+    }
+
+    try {
+      const result = await mcpGateway.routeCodeRequest({
+        requirements: this.buildRetryPrompt(file, validation, requirements),
+        language,
+        complexity: 'medium'
+      });
+      const retried = extractCode(result);
+      const retryValidation = await validateCode(retried.code, { language, filename, unclosedFence: retried.unclosedFence });
+
+      logger.info('Retried invalid generated code', {
+        filename,
+        language,
+        before: validation.status,
+        after: retryValidation.status,
+        provider: result.provider,
+        service: 'flowsprint-backend'
+      });
+
+      if (retryValidation.status === 'valid') {
+        return {
+          code: retried.code,
+          validation: { ...retryValidation, attempts: 2, repaired: true, retryProvider: result.provider }
+        };
+      }
+
+      return {
+        code: file.code,
+        validation: { ...validation, attempts: 2, repaired: false, retryErrors: retryValidation.errors }
+      };
+
+    } catch (error) {
+      logger.warn('Generated code retry failed:', {
+        error: error.message,
+        filename,
+        service: 'flowsprint-backend'
+      });
+
+      return {
+        code: file.code,
+        validation: {
+          ...validation,
+          warnings: [...validation.warnings, `Retry failed: ${error.message}`],
+          attempts: 2,
+          repaired: false
+        }
+      };
+    }
+  }
+
+  buildRetryPrompt(file, validation, requirements) {
+    const code = file.code.length > MAX_RETRY_CODE_LENGTH
+      ? `${file.code.slice(0, MAX_RETRY_CODE_LENGTH)}\n/* ...clipped... */`
+      : file.code;
+    const problem = validation.status === 'truncated'
+      ? 'The file is cut off before the end.'
+      : 'The file has syntax errors.';
+
+    return `Fix this ${file.language || ''} file${file.filename ? ` (${file.filename})` : ''}. ${problem}
+Errors: ${describeErrors(validation) || 'unknown'}
+${requirements ? `\nWhat the file should do:\n${requirements}\n` : ''}
+Broken file:
+\`\`\`
+${code}
+\`\`\`
+
+Return the complete corrected file in a single fenced code block, with no explanation.`;
+  }
+}
+
+module.exports = new CodeValidationService();
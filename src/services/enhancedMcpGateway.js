@@ -4,6 +4,14 @@ const logger = require('../utils/logger');
 const openRouterService = require('./openRouterService');
 const cerebrasService = require('./cerebrasService');
 const metaLlamaService = require('./metaLlamaService');
+const openAICompatibleService = require('./openAICompatibleService');
+const mockAIService = require('./mockAIService');
+const { assertProvider, buildTaskMessages } = require('./providerContract');
+const { CircuitBreaker, CIRCUIT_STATES } = require('../utils/circuitBreaker');
+const { trackAttempts } = require('../utils/retry');
+const { httpError } = require('../utils/httpError');
+const mindmapNormalizer = require('../utils/mindmapNormalizer');
+const prdNormalizer = require('../utils/prdNormalizer');
 
 class EnhancedMcpGateway {
   constructor() {
@@ -21,6 +29,7 @@ class EnhancedMcpGateway {
     };
     
     this.serviceHealth = new Map();
+    this.healthCheckInFlight = false;
     this.requestQueue = [];
     this.isProcessingQueue = false;
     
@@ -31,10 +40,17 @@ class EnhancedMcpGateway {
   async initializeServices() {
     logger.info('Initializing Enhanced MCP Gateway...');
     
-    // Register AI services
-    this.registerService('openrouter', openRouterService);
-    this.registerService('cerebras', cerebrasService);
-    this.registerService('meta-llama', metaLlamaService);
+    // Register AI services; mock mode serves everything from fixtures and keeps off the network
+    if (mockAIService.isEnabled()) {
+      this.registerService(mockAIService);
+    } else {
+      this.registerService(openRouterService);
+      this.registerService(cerebrasService);
+      this.registerService(metaLlamaService);
+      if (openAICompatibleService.isConfigured()) {
+        this.registerService(openAICompatibleService);
+      }
+    }
     
     // Start health monitoring
     this.startHealthMonitoring();
@@ -45,390 +61,296 @@ class EnhancedMcpGateway {
     }
   }
 
-  registerService(name, service) {
+  // Accepts any object meeting the provider contract (see providerContract.js)
+  // options.circuit overrides the circuit breaker thresholds for this provider
+  registerService(provider, { name = provider?.name, circuit = {} } = {}) {
+    assertProvider(provider);
+
     this.services.set(name, {
-      instance: service,
+      instance: provider,
       healthy: true,
       lastHealthCheck: Date.now(),
       requestCount: 0,
       avgResponseTime: 0,
-      errors: 0
+      errors: 0,
+      breaker: new CircuitBreaker(name, {
+        ...circuit,
+        onTransition: ({ from, to, reason }) => {
+          const log = to === CIRCUIT_STATES.OPEN ? logger.warn : logger.info;
+          log.call(logger, `MCP Gateway: ${name} circuit ${from} -> ${to} (${reason})`);
+        }
+      })
     });
     
-    logger.info(`Registered service: ${name}`);
+    logger.info(`Registered service: ${name} (${provider.capabilities.join(', ')})`);
   }
 
   // Intelligent routing based on request type and service health
   async routeRequest(requestType, payload, options = {}) {
     const startTime = Date.now();
-    
-    try {
-      let result;
-      
-      switch (requestType) {
-        case 'mindmap':
-          result = await this.routeMindmapRequest(payload, options);
-          break;
-        case 'code':
-          result = await this.routeCodeRequest(payload, options);
-          break;
-        case 'node-code':
-          result = await this.routeNodeCodeRequest(payload, options);
-          break;
-        case 'prd':
-          result = await this.routePRDRequest(payload, options);
-          break;
-        default:
-          throw new Error(`Unknown request type: ${requestType}`);
+    let result;
+    
+    switch (requestType) {
+      case 'mindmap':
+        result = await this.routeMindmapRequest(payload, options);
+        break;
+      case 'code':
+        result = await this.routeCodeRequest(payload, options);
+        break;
+      case 'node-code':
+        result = await this.routeNodeCodeRequest(payload, options);
+        break;
+      case 'prd':
+        result = await this.routePRDRequest(payload, options);
+        break;
+      default:
+        throw new Error(`Unknown request type: ${requestType}`);
+    }
+
+    return {
+      ...result,
+      routingMetadata: {
+        responseTime: Date.now() - startTime,
+        provider: result.provider,
+        requestType,
+        attempts: result.attempts,
+        timestamp: new Date().toISOString()
       }
+    };
+  }
 
-      const responseTime = Date.now() - startTime;
-      this.updateServiceMetrics(result.provider, responseTime, true);
-      
-      return {
-        ...result,
-        routingMetadata: {
-          responseTime,
-          provider: result.provider,
-          requestType,
-          timestamp: new Date().toISOString()
-        }
-      };
-    } catch (error) {
-      const responseTime = Date.now() - startTime;
-      logger.error(`Routing error for ${requestType}:`, error.message);
-      
-      // Try fallback routing
-      return await this.handleRoutingFallback(requestType, payload, options, error);
+  /**
+   * Registered providers that can serve a task, best first: the one named by
+   * payload.provider, then healthy before unhealthy (health checks lag behind
+   * recovery, so those stay as a last resort), then by the provider's
+   * rank(task, payload), then registration order.
+   */
+  getProvidersFor(task, payload = {}) {
+    return [...this.services.entries()]
+      .filter(([, data]) => data.instance.capabilities.includes(task))
+      .map(([name, data], index) => ({
+        name,
+        index,
+        requested: name === payload.provider,
+        healthy: Boolean(data.healthy),
+        rank: data.instance.rank ? data.instance.rank(task, payload) : 0
+      }))
+      .sort((a, b) => (b.requested - a.requested) || (b.healthy - a.healthy) || (b.rank - a.rank) || (a.index - b.index))
+      .map(candidate => candidate.name);
+  }
+
+  // Reject a requested provider that cannot run the task (400), so callers can check before queueing work
+  assertRequestedProvider(task, provider) {
+    if (!provider) return;
+    const candidates = this.getProvidersFor(task);
+    if (!candidates.includes(provider)) {
+      throw httpError(`Provider "${provider}" is not registered for ${task}. Use one of: ${candidates.join(', ')}`, 400);
     }
   }
 
-  // Smart mindmap routing: Cerebras first (speed), then OpenRouter with Llama 4
-  async routeMindmapRequest(payload, options) {
-    const { prompt, projectDescription, priority = 'speed' } = payload;
-    const description = prompt || projectDescription;
-    
-    if (priority === 'speed' && this.isServiceHealthy('cerebras')) {
+  /**
+   * Run a task on the first provider that succeeds.
+   * Uses the provider's generate() when it has a dedicated prompt for the task,
+   * otherwise chat() with the gateway's task messages.
+   * Resolves to { response, provider, fallback, attempts, originalError? }
+   * where attempts counts the upstream calls (retries included) per provider tried.
+   */
+  async runTask(task, payload, options = {}) {
+    const candidates = this.getProvidersFor(task, payload);
+    if (!candidates.length) {
+      throw new Error(`No registered service supports ${task}`);
+    }
+    this.assertRequestedProvider(task, payload.provider);
+
+    const failures = [];
+    const shortCircuited = [];
+    const attempts = { total: 0, byProvider: {} };
+    // Providers that make no upstream call (the mock) still count as one attempt
+    const countAttempts = (name, counter) => {
+      attempts.byProvider[name] = counter.attempts || 1;
+      attempts.total += attempts.byProvider[name];
+    };
+    for (const name of candidates) {
+      const { instance: provider, breaker } = this.services.get(name);
+
+      // Open circuit: skip straight to the next provider
+      if (!breaker.tryAcquire()) {
+        shortCircuited.push(name);
+        continue;
+      }
+
+      const startTime = Date.now();
+      const counter = { attempts: 0 };
       try {
-        logger.info('🚀 MCP Gateway: Using Cerebras for ultra-fast mindmap generation');
-        const rawResult = await cerebrasService.generateMindmapUltraFast(description, options);
-        
-        // Extract content from Cerebras API response format
-        const content = rawResult.choices?.[0]?.message?.content;
-        if (!content) {
-          throw new Error('No content in Cerebras response');
-        }
-        
-        // Try to parse as JSON, fallback to text parsing if needed
-        let mindmapData;
-        try {
-          mindmapData = JSON.parse(content);
-        } catch (parseError) {
-          logger.warn('Cerebras returned non-JSON, attempting text parsing...');
-          // Basic text-to-mindmap conversion
-          mindmapData = this.parseTextToMindmap(content);
+        logger.info(`MCP Gateway: routing ${task} to ${name}`);
+        const response = await trackAttempts(counter, async () => (provider.generate && await provider.generate(task, payload, options))
+          || await provider.chat(buildTaskMessages(task, payload), options));
+        countAttempts(name, counter);
+
+        if (!response.content && !response.raw) {
+          throw new Error(`No content in ${name} response`);
         }
-        
-        logger.info('✅ MCP Gateway: Cerebras mindmap parsed successfully', {
-          contentLength: content.length,
-          hasNodes: !!mindmapData.nodes,
-          nodeCount: mindmapData.nodes?.length || 0
-        });
-        
-        return { 
-          data: mindmapData, 
-          provider: 'cerebras', 
-          model: 'llama3.1-8b',
-          responseTime: rawResult.metadata?.responseTime
+
+        const responseTime = response.responseTime ?? Date.now() - startTime;
+        breaker.recordSuccess();
+        this.updateServiceMetrics(name, responseTime, true);
+
+        return {
+          response: { ...response, responseTime },
+          provider: name,
+          fallback: failures.length + shortCircuited.length > 0,
+          attempts,
+          ...(failures.length && { originalError: failures[0].error }),
+          ...(shortCircuited.length && { shortCircuited })
         };
       } catch (error) {
-        logger.warn('Cerebras mindmap failed, falling back to OpenRouter:', error.message);
+        if (!attempts.byProvider[name]) countAttempts(name, counter);
+        logger.warn(`MCP Gateway: ${name} failed for ${task} after ${attempts.byProvider[name]} attempt(s): ${error.message}`);
+        breaker.recordFailure(error);
+        this.updateServiceMetrics(name, Date.now() - startTime, false);
+        failures.push({ provider: name, error: error.message });
       }
     }
-    
-    // Fallback to OpenRouter with Llama 4 Scout (free)
-    logger.info('🔄 MCP Gateway: Falling back to OpenRouter for mindmap generation');
-    const result = await openRouterService.generateMindmap(description, options);
-    return { ...result, provider: 'openrouter', model: 'llama-4-scout' };
+
+    const reasons = [
+      ...failures.map(failure => `${failure.provider}: ${failure.error}`),
+      ...shortCircuited.map(name => `${name}: circuit open`)
+    ];
+    const error = new Error(`All services failed for ${task}: ${reasons.join('; ')}`);
+    error.attempts = attempts;
+    // Nothing was attempted: every provider is cooling down
+    if (!failures.length) error.statusCode = 503;
+    throw error;
   }
 
-  // Helper function to convert text response to mindmap tree structure
-  parseTextToMindmap(content) {
-    // Parse lines and organize into hierarchical structure
-    const lines = content.split('\n').filter(line => line.trim());
-    const children = [];
-    let nodeId = 1;
-    
-    // Group lines by sections/phases
-    let currentSection = null;
-    const sections = [];
-    
-    for (const line of lines) {
-      let trimmed = line.trim();
-      if (!trimmed || trimmed.length < 5) continue;
-      
-      // Skip meta-text lines
-      if (trimmed.toLowerCase().includes('here is a') || 
-          trimmed.toLowerCase().includes('this mindmap') ||
-          trimmed.toLowerCase().includes('detailed technical development') ||
-          trimmed.toLowerCase().includes('comprehensive roadmap')) {
-        continue;
-      }
-      
-      // Clean title: remove markdown formatting
-      const cleanTitle = this.cleanNodeTitle(trimmed);
-      if (!cleanTitle || cleanTitle.length < 3) continue;
-      
-      // Generate meaningful description
-      const description = this.generateMeaningfulDescription(cleanTitle);
-      
-      // Detect section headers (SETUP, DEVELOPMENT, etc.)
-      if (trimmed.match(/^[A-Z\s]+:/) || trimmed.includes('PHASE') || trimmed.includes('SETUP') || trimmed.includes('DEVELOPMENT')) {
-        if (currentSection) sections.push(currentSection);
-        currentSection = {
-          id: `section_${sections.length + 1}`,
-          text: cleanTitle,
-          title: cleanTitle,
-          description: description,
-          type: 'milestone',
-          children: []
-        };
-      } else if (currentSection) {
-        // Add task to current section
-        currentSection.children.push({
-          id: `node_${nodeId++}`,
-          text: cleanTitle,
-          title: cleanTitle,
-          description: description,
-          type: this.determineTaskType(cleanTitle)
-        });
-      } else {
-        // Standalone task
-        children.push({
-          id: `node_${nodeId++}`,
-          text: cleanTitle,
-          title: cleanTitle,
-          description: description,
-          type: nodeId <= 3 ? 'start' : this.determineTaskType(cleanTitle)
-        });
-      }
-    }
-    
-    // Add final section
-    if (currentSection) sections.push(currentSection);
-    
-    // If we have sections, use them as children
-    if (sections.length > 0) {
-      children.push(...sections);
+  // Mindmap routing: providers are tried in getProvidersFor order, like every task
+  async routeMindmapRequest(payload, options = {}) {
+    const { response, provider, ...routing } = await this.runTask('mindmap', payload, options);
+    return { ...this.normalizeMindmapResult(response, provider), ...routing };
+  }
+
+  // Branch routing (expand / regenerate one node)
+  async routeMindmapBranchRequest(payload, options = {}) {
+    const { response, provider, ...routing } = await this.runTask('mindmap-branch', payload, options);
+    return { ...this.normalizeMindmapResult(response, provider), ...routing };
+  }
+
+  // Run any provider's mindmap output through the canonical schema
+  normalizeMindmapResult(response, provider) {
+    const { mindmap, report } = mindmapNormalizer.normalizeMindmap(response.raw ?? response.content);
+
+    if (report.repaired) {
+      logger.warn(`MCP Gateway: repaired ${provider} mindmap output`, {
+        provider,
+        fallback: report.fallback,
+        issues: report.issues.slice(0, 10),
+        nodeCount: report.stats.nodeCount
+      });
     }
-    
-    // Create root tree structure
+
     return {
-      id: 'root',
-      text: 'Project Development Roadmap',
-      title: 'Project Development Roadmap', 
-      description: 'Comprehensive technical development roadmap with detailed implementation tasks and milestones',
-      type: 'start',
-      children: children.length > 0 ? children : [
-        {
-          id: 'node_1',
-          text: 'Development tasks generated from AI',
-          title: 'Development tasks generated from AI',
-          description: 'AI-generated development tasks and technical implementation details',
-          type: 'task'
-        }
-      ]
+      data: mindmap,
+      normalization: report,
+      provider,
+      model: response.model,
+      usage: response.usage,
+      responseTime: response.responseTime
     };
   }
 
-  // Clean node titles - remove markdown and formatting
-  cleanNodeTitle(text) {
-    return text
-      .replace(/^\*\*|\*\*$/g, '') // Remove bold markdown (**text**)
-      .replace(/^[-*•]\s*/, '') // Remove bullet points
-      .replace(/^\d+\.\s*/, '') // Remove numbering (1. 2.)
-      .replace(/^#+\s*/, '') // Remove headers (# ##)
-      .replace(/^[A-Z\s]+:\s*/, '') // Remove "PHASE:" patterns
-      .replace(/[*_]{1,2}/g, '') // Remove remaining markdown
-      .trim();
+  // Code routing
+  async routeCodeRequest(payload, options = {}) {
+    return this.routeTextRequest('code', payload, options);
   }
 
-  // Generate meaningful descriptions instead of "title: Implementation and technical details"
-  generateMeaningfulDescription(title) {
-    const lowerTitle = title.toLowerCase();
-    
-    if (lowerTitle.includes('setup') || lowerTitle.includes('initialize')) {
-      return `Configure and set up ${title.toLowerCase()}, including necessary dependencies, environment variables, and initial configuration`;
-    } else if (lowerTitle.includes('implement') || lowerTitle.includes('develop') || lowerTitle.includes('create')) {
-      return `Build and implement ${title.toLowerCase()}, including core functionality, error handling, validation, and integration`;
-    } else if (lowerTitle.includes('test') || lowerTitle.includes('testing')) {
-      return `Write comprehensive tests for ${title.toLowerCase()}, including unit tests, integration tests, and validation scenarios`;
-    } else if (lowerTitle.includes('deploy') || lowerTitle.includes('deployment')) {
-      return `Deploy and configure ${title.toLowerCase()} in production environment with monitoring, logging, and performance optimization`;
-    } else if (lowerTitle.includes('database') || lowerTitle.includes('schema')) {
-      return `Design and implement ${title.toLowerCase()}, including data models, relationships, indexes, and migration scripts`;
-    } else if (lowerTitle.includes('api') || lowerTitle.includes('endpoint')) {
-      return `Develop ${title.toLowerCase()} with proper routing, validation, authentication, rate limiting, and error responses`;
-    } else if (lowerTitle.includes('component') || lowerTitle.includes('ui')) {
-      return `Build ${title.toLowerCase()} with responsive design, proper state management, accessibility, and user interactions`;
-    } else {
-      return `Complete the technical implementation of ${title.toLowerCase()} with proper integration, testing, and documentation`;
-    }
+  // Node code routing: FlowSurf.AI style PRD + Code generation
+  async routeNodeCodeRequest(payload, options = {}) {
+    logger.info(`Routing node code request for: ${payload.nodeTitle} (complexity: ${payload.complexity || 'medium'})`);
+    return this.routeTextRequest('node-code', payload, options);
   }
 
-  // Determine appropriate task type based on content
-  determineTaskType(title) {
-    const lowerTitle = title.toLowerCase();
-    
-    if (lowerTitle.includes('deploy') || lowerTitle.includes('launch') || lowerTitle.includes('production')) return 'end';
-    if (lowerTitle.includes('milestone') || lowerTitle.includes('phase') || lowerTitle.includes('mvp')) return 'milestone';
-    if (lowerTitle.includes('component') || lowerTitle.includes('ui') || lowerTitle.includes('frontend')) return 'component';
-    
-    return 'task';
+  // PRD routing
+  async routePRDRequest(payload, options = {}) {
+    const { response, provider, ...routing } = await this.runTask('prd', payload, options);
+    return { ...this.normalizePRDResult(response, provider), ...routing };
   }
 
-  // Code routing: Meta Llama first (quality), then OpenRouter with Llama 4
-  async routeCodeRequest(payload, options) {
-    const { requirements, language, complexity = 'medium' } = payload;
-    
-    if (this.isServiceHealthy('meta-llama') && complexity !== 'low') {
-      try {
-        const result = await metaLlamaService.generateCode(requirements, language, complexity);
-        return { ...result, provider: 'meta-llama', model: 'llama-4-scout' };
-      } catch (error) {
-        logger.warn('Meta Llama code generation failed, falling back to OpenRouter');
-      }
-    }
-    
-    // Fallback to OpenRouter with Llama 4 Maverick (free)
-    const result = await openRouterService.generateCode(requirements, language, options);
-    return { ...result, provider: 'openrouter', model: 'llama-4-maverick' };
+  // Single PRD section routing
+  async routePRDSectionRequest(payload, options = {}) {
+    return this.routeTextRequest('prd-section', payload, options);
   }
 
-  // Node Code routing: FlowSurf.AI style PRD + Code generation
-  async routeNodeCodeRequest(payload, options) {
-    const { prompt, nodeTitle, complexity = 'medium' } = payload;
-    
-    logger.info(`Routing node code request for: ${nodeTitle}`);
-    logger.info(`Complexity: ${complexity}`);
-    
-    // First try Meta Llama for highest quality PRD + Code generation
-    if (this.isServiceHealthy('meta-llama') && complexity !== 'low') {
-      try {
-        logger.info('🎯 MCP Gateway: Using Meta Llama for node code generation');
-        const result = await metaLlamaService.generateNodeCode(prompt, payload);
-        return { ...result, provider: 'meta-llama', model: 'llama-4-scout' };
-      } catch (error) {
-        logger.warn('Meta Llama node code generation failed, falling back to OpenRouter:', error.message);
-      }
-    }
-    
-    // Fallback to OpenRouter with enhanced prompt for PRD + Code
-    logger.info('🔄 MCP Gateway: Using OpenRouter for node code generation');
-    const enhancedPrompt = this.enhanceNodeCodePrompt(prompt, payload);
-    const result = await openRouterService.generateCode(enhancedPrompt, payload.codeOptions?.language || 'typescript', {
-      ...options,
-      includePRD: true,
-      nodeContext: payload
-    });
-    
-    return { ...result, provider: 'openrouter', model: 'llama-4-maverick' };
+  // Tasks whose result is the response text itself (code, node code, PRD sections)
+  async routeTextRequest(task, payload, options) {
+    const { response, provider, ...routing } = await this.runTask(task, payload, options);
+    return {
+      data: response.content,
+      provider,
+      model: response.model,
+      usage: response.usage,
+      responseTime: response.responseTime,
+      ...routing
+    };
   }
 
-  // Helper method to enhance prompt for better PRD + Code generation
-  enhanceNodeCodePrompt(originalPrompt, payload) {
-    const { nodeTitle, nodeDescription, nodeType, projectContext, codeOptions } = payload;
-    
-    return `${originalPrompt}
+  // Normalize any provider PRD into the canonical sectioned schema (see utils/prdNormalizer)
+  normalizePRDResult(response, provider) {
+    const { prd, report } = prdNormalizer.normalizePRD(response.raw ?? response.content, { provider });
 
-🚨 CRITICAL REQUIREMENTS:
-1. Generate BOTH comprehensive PRD documentation AND production-ready code
-2. PRD must include: Purpose, Requirements, User Stories, Acceptance Criteria, Technical Specs
-3. Code must be complete, functional, and ready for production use
-4. Format response as structured JSON if possible with separate "prd" and "code" fields for each file
-5. Include proper TypeScript interfaces, error handling, and responsive design
-6. Follow ${projectContext?.name || 'modern web'} application patterns and conventions
+    if (report.repaired) {
+      logger.warn(`MCP Gateway: repaired ${provider} PRD output`, {
+        provider,
+        issues: report.issues.slice(0, 10),
+        sectionCount: report.stats.sectionCount
+      });
+    }
 
-Return multiple files if needed (component + styles + tests), each with its own PRD section.`;
+    return {
+      data: prd,
+      rawContent: response.content || null,
+      normalization: report,
+      provider,
+      model: response.model,
+      usage: response.usage,
+      responseTime: response.responseTime
+    };
   }
 
-  // PRD routing: Meta Llama for comprehensive, OpenRouter for standard
-  async routePRDRequest(payload, options) {
-    const { projectIdea, complexity = 'standard' } = payload;
-    
-    if (complexity === 'comprehensive' && this.isServiceHealthy('meta-llama')) {
-      try {
-        const result = await metaLlamaService.generateComprehensivePRD(projectIdea);
-        return { ...result, provider: 'meta-llama' };
-      } catch (error) {
-        logger.warn('Meta Llama PRD generation failed, falling back to OpenRouter');
-      }
+  /**
+   * Stream a chat through the named provider, or the best healthy one, behind
+   * its circuit breaker. A stream cannot fall back once chunks are out, so the
+   * provider is picked up front: onOpen(name) runs once a circuit lets the
+   * request through, then chunks go to onChunk. Half-open circuits admit one
+   * trial stream at a time, like any other request.
+   * Throws with statusCode 400 when no provider can stream, 503 when every
+   * candidate's circuit is open.
+   */
+  async runStream(name, messages, { onOpen, onChunk, options = {} } = {}) {
+    const candidates = this.getProvidersFor('stream').filter(candidate => !name || candidate === name);
+    if (!candidates.length) {
+      throw httpError(name ? `Provider "${name}" is not registered for streaming` : 'No streaming provider is registered', 400);
     }
-    
-    // Use OpenRouter for standard PRDs
-    const result = await openRouterService.generatePRD(projectIdea, options);
-    return { ...result, provider: 'openrouter' };
-  }
 
-  // Fallback routing when primary service fails
-  async handleRoutingFallback(requestType, payload, options, originalError) {
-    logger.info(`Attempting fallback routing for ${requestType}`);
-    
-    const fallbackOrder = this.getFallbackOrder(requestType);
-    
-    for (const serviceName of fallbackOrder) {
-      if (this.isServiceHealthy(serviceName)) {
-        try {
-          let result;
-          const service = this.services.get(serviceName).instance;
-          
-          switch (requestType) {
-            case 'mindmap':
-              if (serviceName === 'openrouter') {
-                result = await service.generateMindmap(payload.projectDescription, options);
-              }
-              break;
-            case 'code':
-              if (serviceName === 'openrouter') {
-                result = await service.generateCode(payload.requirements, payload.language, options);
-              } else if (serviceName === 'meta-llama') {
-                result = await service.generateCode(payload.requirements, payload.language);
-              }
-              break;
-            case 'prd':
-              if (serviceName === 'openrouter') {
-                result = await service.generatePRD(payload.projectIdea, options);
-              } else if (serviceName === 'meta-llama') {
-                result = await service.generateComprehensivePRD(payload.projectIdea);
-              }
-              break;
-          }
-          
-          if (result) {
-            return { 
-              ...result, 
-              provider: serviceName,
-              fallback: true,
-              originalError: originalError.message
-            };
-          }
-        } catch (fallbackError) {
-          logger.warn(`Fallback ${serviceName} also failed:`, fallbackError.message);
-        }
-      }
+    const selected = candidates.find(candidate => this.services.get(candidate).breaker.tryAcquire());
+    if (!selected) {
+      throw httpError(`Streaming unavailable: circuit open or trial in progress for ${candidates.join(', ')}`, 503);
     }
-    
-    throw new Error(`All services failed for ${requestType}. Original error: ${originalError.message}`);
-  }
 
-  getFallbackOrder(requestType) {
-    const fallbackMap = {
-      mindmap: ['openrouter', 'meta-llama'],
-      code: ['openrouter', 'meta-llama'],
-      prd: ['openrouter', 'meta-llama']
-    };
-    
-    return fallbackMap[requestType] || ['openrouter'];
+    const { instance: provider, breaker } = this.services.get(selected);
+    const startTime = Date.now();
+    try {
+      if (onOpen) onOpen(selected);
+      logger.info(`MCP Gateway: streaming through ${selected}`);
+      await provider.stream(messages, onChunk, options);
+      breaker.recordSuccess();
+      this.updateServiceMetrics(selected, Date.now() - startTime, true);
+      return { provider: selected };
+    } catch (error) {
+      logger.warn(`MCP Gateway: ${selected} stream failed: ${error.message}`);
+      breaker.recordFailure(error);
+      this.updateServiceMetrics(selected, Date.now() - startTime, false);
+      throw error;
+    }
   }
 
   // Docker MCP service management
@@ -533,14 +455,21 @@ Return multiple files if needed (component + styles + tests), each with its own
   // Health monitoring
   startHealthMonitoring() {
     setInterval(async () => {
-      await this.checkAllServicesHealth();
-    }, 30000); // Check every 30 seconds
+      // A slow provider can hold a sweep past the next tick; skip rather than stack sweeps
+      if (this.healthCheckInFlight) return;
+      this.healthCheckInFlight = true;
+      try {
+        await this.checkAllServicesHealth();
+      } finally {
+        this.healthCheckInFlight = false;
+      }
+    }, 30000).unref(); // Check every 30 seconds; monitoring alone should not keep the process alive
   }
 
   async checkAllServicesHealth() {
     for (const [serviceName, serviceData] of this.services) {
       try {
-        const healthResult = await serviceData.instance.healthCheck();
+        const healthResult = await serviceData.instance.health();
         
         this.serviceHealth.set(serviceName, {
           ...healthResult,
@@ -562,9 +491,10 @@ Return multiple files if needed (component + styles + tests), each with its own
     }
   }
 
+  // Last health check passed and live traffic has not tripped the circuit
   isServiceHealthy(serviceName) {
     const service = this.services.get(serviceName);
-    return service && service.healthy;
+    return Boolean(service && service.healthy && service.breaker.isAvailable());
   }
 
   updateServiceMetrics(serviceName, responseTime, success) {
@@ -585,6 +515,9 @@ Return multiple files if needed (component + styles + tests), each with its own
     for (const [name, data] of this.services) {
       services[name] = {
         healthy: data.healthy,
+        available: data.healthy && data.breaker.isAvailable(),
+        circuit: data.breaker.status(),
+        capabilities: data.instance.capabilities,
         requestCount: data.requestCount,
         avgResponseTime: Math.round(data.avgResponseTime),
         errorRate: data.requestCount > 0 ? (data.errors / data.requestCount * 100).toFixed(2) + '%' : '0%',
@@ -601,6 +534,31 @@ Return multiple files if needed (component + styles + tests), each with its own
     };
   }
 
+  // Provider descriptions for GET /api/ai/providers; a failing model list leaves models empty
+  async describeProviders() {
+    const providers = {};
+
+    for (const [name, data] of this.services) {
+      const { displayName, description, capabilities } = data.instance;
+      let models = [];
+      try {
+        models = await data.instance.listModels();
+      } catch (error) {
+        logger.warn(`Failed to list models for ${name}: ${error.message}`);
+      }
+
+      providers[name] = {
+        name: displayName || name,
+        description: description || null,
+        capabilities,
+        circuit: data.breaker.state,
+        models
+      };
+    }
+
+    return providers;
+  }
+
   // Scaling and load balancing
   async scaleService(serviceName, instances = 1) {
     if (!process.env.MCP_ENABLED === 'true') {
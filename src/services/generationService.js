@@ -0,0 +1,464 @@
+const Project = require('../models/Project');
+const MindmapRevision = require('../models/MindmapRevision');
+const PRDRevision = require('../models/PRDRevision');
+const logger = require('../utils/logger');
+const mcpGateway = require('./enhancedMcpGateway');
+const jobQueue = require('./jobQueue');
+const mindmapTree = require('../utils/mindmapTree');
+const { normalizeMindmap, upgradeMindmap, MAX_DEPTH, MAX_NODES } = require('../utils/mindmapNormalizer');
+const prdSections = require('../utils/prdSections');
+const { lintPRD } = require('../utils/prdLint');
+const { extractCode } = require('../utils/codeValidator');
+const codeValidationService = require('./codeValidationService');
+
+// Times a job re-applies its result when concurrent commits keep winning
+const COMMIT_ATTEMPTS = 3;
+
+/**
+ * Generation Service - runs project generation work for the job queue
+ *
+ * Each handler loads the project, routes the request through the MCP
+ * gateway and persists the result, returning { result, provider } for
+ * the job record. Results are tagged with the job id, so a job that runs
+ * again after its earlier success went unrecorded applies nothing twice.
+ */
+
+class GenerationService {
+
+  // Job handler: generate and store a project mindmap
+  async runMindmapJob(job) {
+    const applied = await this.findAppliedRevision(MindmapRevision, job);
+    if (applied) return applied;
+
+    const project = await this.loadProject(job);
+    const complexity = job.payload.complexity || project.complexity;
+
+    logger.info('🧠 Starting mindmap generation:', {
+      projectId: project._id,
+      jobId: job._id,
+      projectName: project.name,
+      featuresCount: Object.keys(project.features || {}).length,
+      techStackLength: (project.techStack || []).length,
+      service: 'flowsprint-backend'
+    });
+
+    const prompt = this.buildMindmapPrompt(project, complexity);
+    const result = await mcpGateway.routeMindmapRequest({
+      prompt,
+      complexity,
+      project_type: project.type,
+      features: project.features,
+      techStack: project.techStack,
+      provider: job.payload.provider
+    });
+
+    // Validate AI response
+    if (!result || !result.data) {
+      throw new Error('AI service returned empty response');
+    }
+
+    // A regenerated mindmap replaces whatever is stored by the time it arrives
+    const committed = await this.commitToLatest(job, latest => latest.updateMindmap(result.data, result.provider, {
+      prompt,
+      complexity,
+      author: job.createdBy,
+      jobId: job._id
+    }));
+
+    logger.info('✅ Mindmap saved to database:', {
+      projectId: project._id,
+      jobId: job._id,
+      provider: result.provider,
+      service: 'flowsprint-backend'
+    });
+
+    return {
+      provider: result.provider,
+      result: {
+        mindmap: result.data,
+        revision: committed.mindmapVersion,
+        normalization: result.normalization,
+        responseTime: result.responseTime
+      }
+    };
+  }
+
+  // Job handler: expand (append children) or regenerate (replace subtree) one mindmap node
+  async runMindmapBranchJob(job) {
+    const applied = await this.findAppliedRevision(MindmapRevision, job);
+    if (applied) return applied;
+
+    const project = await this.loadProject(job);
+    const { nodeId, mode = 'expand', count = 4, instructions = '' } = job.payload;
+
+    const path = this.findBranchPath(upgradeMindmap(project.mindmap), nodeId);
+    const prompt = this.buildBranchPrompt(project, path, { mode, count, instructions });
+    const result = await mcpGateway.routeMindmapBranchRequest({ prompt });
+
+    // Generation takes a while: graft into the tree as stored now, not as it was
+    // when the prompt was built, so edits made in the meantime are kept
+    let grafted;
+    const committed = await this.commitToLatest(job, latest => {
+      const tree = upgradeMindmap(latest.mindmap);
+      const latestPath = this.findBranchPath(tree, nodeId);
+      const node = latestPath[latestPath.length - 1];
+
+      // Bound only the generated nodes by the depth and node budget left at this
+      // node; sibling branches keep their (possibly hand-edited) titles untouched
+      const keptNodes = mindmapTree.countNodes(tree) - (mode === 'regenerate' ? mindmapTree.countNodes(node) - 1 : 0);
+      const { mindmap: branch } = normalizeMindmap({ children: result.data?.children || [] }, {
+        maxDepth: MAX_DEPTH - (latestPath.length - 1),
+        maxNodes: MAX_NODES - keptNodes + 1 // the wrapper node counts too
+      });
+      if (branch.children.length === 0) {
+        throw new Error('AI service returned no child nodes for the branch, or the mindmap is at its node limit');
+      }
+
+      // graftChildren gives the new nodes fresh ids
+      grafted = mindmapTree.graftChildren(tree, nodeId, branch.children, { replace: mode === 'regenerate' });
+
+      return latest.updateMindmap(grafted.mindmap, result.provider, {
+        prompt,
+        complexity: latest.complexity,
+        author: job.createdBy,
+        jobId: job._id,
+        message: `${mode === 'regenerate' ? 'Regenerated' : 'Expanded'} "${mindmapTree.nodeTitle(node)}"`
+      });
+    });
+
+    return {
+      provider: result.provider,
+      result: {
+        nodeId,
+        mode,
+        addedCount: grafted.addedCount,
+        node: mindmapTree.findNode(grafted.mindmap, nodeId)?.node || null,
+        revision: committed.mindmapVersion,
+        normalization: result.normalization,
+        responseTime: result.responseTime
+      }
+    };
+  }
+
+  // Nodes from the root down to nodeId
+  findBranchPath(tree, nodeId) {
+    const path = mindmapTree.findPath(tree, nodeId);
+    if (!path) {
+      throw new Error(`Node ${nodeId} no longer exists in the mindmap`);
+    }
+    return path;
+  }
+
+  // Job handler: generate and store a project PRD
+  async runPRDJob(job) {
+    const applied = await this.findAppliedRevision(PRDRevision, job);
+    if (applied) return applied;
+
+    const project = await this.loadProject(job);
+    const { sections = 'all', targetAudience = 'general', provider } = job.payload;
+
+    const prdPrompt = `Create a comprehensive Product Requirements Document for: ${project.name}
+Description: ${project.description}
+Type: ${project.type}
+Industry: ${project.industry}
+Target Audience: ${targetAudience}
+Sections: ${sections}`;
+
+    const result = await mcpGateway.routePRDRequest({
+      prompt: prdPrompt,
+      project_type: project.type,
+      industry: project.industry,
+      target_audience: targetAudience,
+      provider
+    });
+
+    // Keep the sections locked in the PRD as stored now, not as it was when generation started
+    const committed = await this.commitToLatest(job, latest => latest.updatePRD(result.data, result.provider, {
+      prompt: prdPrompt,
+      author: job.createdBy,
+      jobId: job._id
+    }));
+
+    return {
+      provider: result.provider,
+      result: {
+        prd: committed.prd,
+        revision: committed.prdVersion,
+        normalization: result.normalization,
+        lint: lintPRD(committed.prd),
+        responseTime: result.responseTime
+      }
+    };
+  }
+
+  // Job handler: regenerate one PRD section with the rest of the PRD as context
+  async runPRDSectionJob(job) {
+    const applied = await this.findAppliedRevision(PRDRevision, job);
+    if (applied) return applied;
+
+    const project = await this.loadProject(job);
+    const { sectionId, instructions = '', provider } = job.payload;
+
+    const found = this.findRegenerableSection(project, sectionId);
+    const prompt = this.buildPRDSectionPrompt(project, found.section, instructions);
+    const result = await mcpGateway.routePRDSectionRequest({ prompt, provider });
+    await project.updateAIUsage(result.provider, result.responseTime || 0, result.usage?.total_tokens || 0);
+
+    // Replace the section in the PRD as stored now, so edits to other sections
+    // (or a lock on this one) made during generation are not lost
+    let replaced;
+    const committed = await this.commitToLatest(job, latest => {
+      this.findRegenerableSection(latest, sectionId);
+      replaced = prdSections.replaceSectionBody(latest.prd, sectionId, result.data, result.provider);
+
+      return latest.commitPRD(replaced.prd, {
+        source: 'section',
+        provider: result.provider,
+        prompt,
+        author: job.createdBy,
+        jobId: job._id,
+        message: `Regenerated "${replaced.section.title}"`,
+        sectionIds: [sectionId]
+      });
+    });
+
+    return {
+      provider: result.provider,
+      result: {
+        section: replaced.section,
+        revision: committed.prdVersion,
+        lint: lintPRD(committed.prd),
+        responseTime: result.responseTime
+      }
+    };
+  }
+
+  // The section to regenerate, unless it was removed or locked
+  findRegenerableSection(project, sectionId) {
+    const found = prdSections.findSection(project.prd, sectionId);
+    if (!found) {
+      throw new Error(`Section ${sectionId} no longer exists in the PRD`);
+    }
+    if (found.section.locked) {
+      throw new Error(`Section ${sectionId} was locked before it could be regenerated`);
+    }
+    return found;
+  }
+
+  buildPRDSectionPrompt(project, section, instructions) {
+    // Other sections are context only; long bodies are clipped to keep the prompt small
+    const context = project.prd.sections
+      .filter(other => other.id !== section.id)
+      .map(other => `## ${other.title}\n${other.body.length > 800 ? `${other.body.slice(0, 800)}...` : other.body}`)
+      .join('\n\n');
+
+    return `Product: ${project.name}
+Description: ${project.description}
+Type: ${project.type}
+Industry: ${project.industry}
+Tech Stack: ${(project.techStack || []).join(', ') || 'not specified'}
+
+Rest of the PRD (for context, do not repeat it):
+${context || 'none'}
+
+Current "${section.title}" section:
+${section.body || '(empty)'}
+
+Rewrite the "${section.title}" section.${instructions ? `\nAdditional instructions: ${instructions}` : ''}`;
+  }
+
+  // Job handler: generate code and append it to the project
+  async runCodeJob(job) {
+    const project = await this.loadProject(job);
+
+    const applied = project.generatedCode.find(file => file.jobId?.equals(job._id));
+    if (applied) {
+      return {
+        provider: applied.aiProvider,
+        result: {
+          code: applied.code,
+          filename: applied.filename,
+          language: applied.language,
+          validation: applied.validation,
+          alreadyApplied: true,
+          totalCodeFiles: project.generatedCode.length
+        }
+      };
+    }
+
+    const {
+      language = 'javascript',
+      framework = '',
+      features = [],
+      complexity = 'medium',
+      retryInvalid = false,
+      provider
+    } = job.payload;
+
+    const codePrompt = `Generate ${language} code for: ${project.name}
+Description: ${project.description}
+Framework: ${framework}
+Features: ${features.join(', ')}
+Complexity: ${complexity}
+Type: ${project.type}`;
+
+    const result = await mcpGateway.routeCodeRequest({
+      requirements: codePrompt,
+      language,
+      complexity,
+      framework,
+      provider
+    });
+
+    const filename = `${project.name.toLowerCase().replace(/\s+/g, '-')}.${this.getFileExtension(language)}`;
+
+    // Syntax-check before storing; with retryInvalid the errors go back to the model once
+    const extracted = extractCode(result);
+    const { code, validation } = await codeValidationService.validateFile(
+      { ...extracted, language, filename },
+      { retry: retryInvalid, requirements: codePrompt }
+    );
+
+    await project.addGeneratedCode({
+      language,
+      filename,
+      code,
+      description: `Generated ${language} code for ${project.name}`,
+      validation,
+      aiProvider: result.provider,
+      jobId: job._id
+    });
+
+    return {
+      provider: result.provider,
+      result: {
+        code,
+        filename,
+        language,
+        validation,
+        responseTime: result.responseTime,
+        totalCodeFiles: project.generatedCode.length
+      }
+    };
+  }
+
+  // Helper methods
+  async loadProject(job) {
+    const project = await Project.findById(job.projectId);
+    if (!project) {
+      throw new Error(`Project ${job.projectId} no longer exists`);
+    }
+    return project;
+  }
+
+  // Load the project, apply a job's result to it and commit; when another commit
+  // lands between the load and the write (409), reload and apply again
+  async commitToLatest(job, apply) {
+    for (let attempt = 1; ; attempt++) {
+      const project = await this.loadProject(job);
+      try {
+        return await apply(project);
+      } catch (error) {
+        if (error.statusCode !== 409 || attempt >= COMMIT_ATTEMPTS) throw error;
+
+        logger.warn(`Job ${job._id} lost a commit race on attempt ${attempt}, retrying on the latest project`);
+      }
+    }
+  }
+
+  // Revision an earlier run of this job already committed, as a job result
+  async findAppliedRevision(Revision, job) {
+    const revision = await Revision.findOne({ projectId: job.projectId, jobId: job._id }).select('revision provider');
+    if (!revision) return null;
+
+    return {
+      provider: revision.provider,
+      result: { revision: revision.revision, alreadyApplied: true }
+    };
+  }
+
+  buildMindmapPrompt(project, complexity = project.complexity) {
+    // Prepare detailed project data for AI generation
+    const featuresText = project.features && Object.keys(project.features).length > 0
+      ? Object.entries(project.features)
+          .map(([category, items]) => `${category}: ${Array.isArray(items) ? items.join(', ') : items}`)
+          .join('\n')
+      : 'Core functionality and user interface';
+
+    const techStackText = project.techStack && project.techStack.length > 0
+      ? project.techStack.join(', ')
+      : 'React, Node.js, MongoDB';
+
+    return `Create a detailed technical project mindmap for: ${project.name}
+
+Project Description: ${project.description}
+
+Features:
+${featuresText}
+
+Tech Stack: ${techStackText}
+
+Project Type: ${project.type}
+Industry: ${project.industry}
+Complexity: ${complexity}
+
+Generate a comprehensive development roadmap with specific technical tasks, implementation details, and all phases from setup to deployment and maintenance.`;
+  }
+
+  buildBranchPrompt(project, path, { mode, count, instructions }) {
+    const node = path[path.length - 1];
+    const ancestors = path.slice(0, -1).map(mindmapTree.nodeTitle);
+    const siblings = path.length > 1
+      ? (path[path.length - 2].children || []).filter(child => child !== node).map(mindmapTree.nodeTitle)
+      : [];
+    const existing = (node.children || []).map(mindmapTree.nodeTitle);
+
+    return `Project: ${project.name}
+Project Description: ${project.description}
+Tech Stack: ${(project.techStack || []).join(', ') || 'React, Node.js, MongoDB'}
+Project Type: ${project.type}
+
+Branch path: ${[...ancestors, mindmapTree.nodeTitle(node)].join(' > ')}
+Branch node: ${mindmapTree.nodeTitle(node)}
+Branch description: ${node.description || 'n/a'}
+Sibling branches (do not cover): ${siblings.join('; ') || 'none'}
+${mode === 'expand'
+    ? `Existing children (do not repeat): ${existing.join('; ') || 'none'}`
+    : 'The existing children of this node will be replaced by your answer.'}
+
+Generate ${count} child nodes that break "${mindmapTree.nodeTitle(node)}" down into concrete development work.${instructions ? `
+Additional instructions: ${instructions}` : ''}`;
+  }
+
+  // Utility method to get file extension based on language
+  getFileExtension(language) {
+    const extensions = {
+      'javascript': 'js',
+      'typescript': 'ts',
+      'python': 'py',
+      'java': 'java',
+      'cpp': 'cpp',
+      'c': 'c',
+      'html': 'html',
+      'css': 'css',
+      'php': 'php',
+      'ruby': 'rb',
+      'go': 'go',
+      'rust': 'rs',
+      'swift': 'swift',
+      'kotlin': 'kt'
+    };
+
+    return extensions[language.toLowerCase()] || 'txt';
+  }
+}
+
+const generationService = new GenerationService();
+
+jobQueue.registerHandler('mindmap', job => generationService.runMindmapJob(job));
+jobQueue.registerHandler('mindmap-branch', job => generationService.runMindmapBranchJob(job));
+jobQueue.registerHandler('prd', job => generationService.runPRDJob(job));
+jobQueue.registerHandler('prd-section', job => generationService.runPRDSectionJob(job));
+jobQueue.registerHandler('code', job => generationService.runCodeJob(job));
+
+module.exports = generationService;
@@ -0,0 +1,249 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const logger = require('../utils/logger');
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 1000;
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+    this.staleAfter = parseInt(process.env.JOB_STALE_AFTER_MS, 10) || 5 * 60 * 1000;
+    this.retryDelay = parseInt(process.env.JOB_RETRY_DELAY_MS, 10) || 5000;
+    // Running jobs heartbeat at this interval; stale jobs are swept at the same pace
+    this.heartbeatInterval = Math.max(1000, Math.floor(this.staleAfter / 3));
+    this.lastRecoveryAt = 0;
+
+    this.running = new Set();
+    this.timer = null;
+    this.isPolling = false;
+  }
+
+  registerHandler(type, handler) {
+    this.handlers.set(type, handler);
+    logger.info(`Registered job handler: ${type}`);
+  }
+
+  async enqueue(type, { projectId = null, createdBy, payload = {}, maxAttempts } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const job = await Job.create({
+      type,
+      projectId,
+      createdBy,
+      payload,
+      ...(maxAttempts && { maxAttempts })
+    });
+
+    logger.info('Job queued', {
+      jobId: job._id,
+      type,
+      projectId,
+      service: 'flowsprint-backend'
+    });
+
+    return job;
+  }
+
+  // Worker lifecycle
+  start() {
+    if (this.timer) return;
+
+    logger.info(`Job worker ${this.workerId} starting (concurrency ${this.concurrency})`);
+
+    // Stale-job recovery happens inside poll(), so a database that is slow or
+    // down at boot delays it instead of keeping the worker from ever polling
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    // Let in-flight jobs finish so they are not left to the stale-job sweep
+    await Promise.allSettled(Array.from(this.running));
+    logger.info(`Job worker ${this.workerId} stopped`);
+  }
+
+  async poll() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      if (Date.now() - this.lastRecoveryAt >= this.heartbeatInterval) {
+        await this.recoverStaleJobs()
+          .catch(error => logger.error(`Stale job recovery failed: ${error.message}`));
+      }
+
+      while (this.running.size < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        const execution = this.execute(job).finally(() => this.running.delete(execution));
+        this.running.add(execution);
+      }
+    } catch (error) {
+      logger.error(`Job worker poll failed: ${error.message}`);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  // Atomically lease the oldest runnable job
+  claimNext() {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: now }, type: { $in: Array.from(this.handlers.keys()) } },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          startedAt: now,
+          heartbeatAt: now,
+          updatedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1, queuedAt: 1 }, new: true }
+    );
+  }
+
+  async execute(job) {
+    const handler = this.handlers.get(job.type);
+    const heartbeat = setInterval(() => {
+      Job.updateOne(
+        { _id: job._id, lockedBy: this.workerId },
+        { $set: { heartbeatAt: new Date() } }
+      ).catch(error => logger.warn(`Heartbeat failed for job ${job._id}: ${error.message}`));
+    }, this.heartbeatInterval);
+
+    logger.info('Job started', {
+      jobId: job._id,
+      type: job.type,
+      attempt: job.attempts,
+      service: 'flowsprint-backend'
+    });
+
+    try {
+      const output = await handler(job);
+      const finishedAt = new Date();
+
+      await Job.updateOne({ _id: job._id, lockedBy: this.workerId }, {
+        $set: {
+          status: 'succeeded',
+          result: output?.result ?? null,
+          provider: output?.provider || null,
+          error: null,
+          lockedBy: null,
+          finishedAt,
+          durationMs: finishedAt - job.startedAt,
+          updatedAt: finishedAt
+        }
+      });
+
+      logger.info('Job succeeded', {
+        jobId: job._id,
+        type: job.type,
+        provider: output?.provider,
+        durationMs: finishedAt - job.startedAt,
+        service: 'flowsprint-backend'
+      });
+    } catch (error) {
+      await this.fail(job, error.message);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // Never rejects: execute() runs detached from the poll loop
+  async fail(job, message) {
+    const finishedAt = new Date();
+    const retry = job.attempts < job.maxAttempts;
+
+    try {
+      await Job.updateOne({ _id: job._id, lockedBy: this.workerId }, {
+        $set: retry
+          ? {
+            status: 'queued',
+            error: message,
+            lockedBy: null,
+            runAt: new Date(finishedAt.getTime() + this.retryDelay * job.attempts),
+            updatedAt: finishedAt
+          }
+          : {
+            status: 'failed',
+            error: message,
+            lockedBy: null,
+            finishedAt,
+            durationMs: finishedAt - job.startedAt,
+            updatedAt: finishedAt
+          }
+      });
+    } catch (error) {
+      // The heartbeat stops with the job, so the stale-job sweep picks it up later
+      logger.error(`Could not record failure for job ${job._id}: ${error.message}`);
+      return;
+    }
+
+    logger.warn(`Job ${retry ? 'will be retried' : 'failed'}`, {
+      jobId: job._id,
+      type: job.type,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      error: message,
+      service: 'flowsprint-backend'
+    });
+  }
+
+  // Requeue (or fail) running jobs whose worker stopped sending heartbeats
+  async recoverStaleJobs() {
+    const now = new Date();
+    this.lastRecoveryAt = now.getTime();
+    const staleBefore = new Date(now.getTime() - this.staleAfter);
+    const stale = { status: 'running', heartbeatAt: { $lt: staleBefore } };
+
+    const requeued = await Job.updateMany(
+      { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      {
+        $set: {
+          status: 'queued',
+          lockedBy: null,
+          runAt: now,
+          error: 'Worker stopped responding, job requeued',
+          updatedAt: now
+        }
+      }
+    );
+
+    const failed = await Job.updateMany(
+      { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+      {
+        $set: {
+          status: 'failed',
+          lockedBy: null,
+          finishedAt: now,
+          error: 'Worker stopped responding and no attempts remain',
+          updatedAt: now
+        }
+      }
+    );
+
+    if (requeued.modifiedCount || failed.modifiedCount) {
+      logger.warn('Recovered stale jobs', {
+        requeued: requeued.modifiedCount,
+        failed: failed.modifiedCount,
+        service: 'flowsprint-backend'
+      });
+    }
+  }
+}
+
+module.exports = new JobQueue();
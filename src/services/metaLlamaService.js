@@ -1,8 +1,15 @@
 const { HfInference } = require('@huggingface/inference');
 const logger = require('../utils/logger');
+const { withRetry, statusOf, upstreamError, HEALTH_CHECK_RETRY } = require('../utils/retry');
 
 class MetaLlamaService {
   constructor() {
+    // Provider contract (see providerContract.js)
+    this.name = 'meta-llama';
+    this.displayName = 'Meta Llama';
+    this.description = 'High-quality code and content generation on Hugging Face';
+    this.capabilities = ['code', 'node-code', 'prd', 'prd-section'];
+
     this.apiKey = process.env.HUGGINGFACE_API_KEY;
     this.hf = new HfInference(this.apiKey);
     
@@ -19,14 +26,16 @@ class MetaLlamaService {
     }
   }
 
-  async makeRequest(model, inputs, parameters = {}) {
+  // inputs: a prompt string or a chat messages array; retry overrides the withRetry options
+  async makeRequest(model, inputs, parameters = {}, retry = {}) {
     try {
       const startTime = Date.now();
       
-      // Use chat completions API (correct format for HuggingFace Inference Providers)
-      const response = await this.hf.chatCompletion({
+      // Use chat completions API (correct format for HuggingFace Inference Providers).
+      // The client's own unbounded 503 retry is off so the shared deadline applies
+      const response = await withRetry(({ remainingMs }) => this.hf.chatCompletion({
         model,
-        messages: [
+        messages: Array.isArray(inputs) ? inputs : [
           {
             role: 'user',
             content: inputs
@@ -36,7 +45,7 @@ class MetaLlamaService {
         temperature: parameters.temperature || 0.7,
         top_p: parameters.top_p || 0.9,
         stream: false
-      });
+      }, { retry_on_error: false, signal: AbortSignal.timeout(remainingMs) }), { name: 'Meta Llama', ...retry });
 
       const responseTime = Date.now() - startTime;
       logger.info(`Meta Llama API call successful: ${model} (${responseTime}ms)`, {
@@ -55,10 +64,11 @@ class MetaLlamaService {
       logger.error('Meta Llama API Error:', {
         message: error.message,
         model,
-        status: error.status,
+        status: statusOf(error),
+        attempts: error.attempts,
         service: 'flowsprint-backend'
       });
-      throw new Error(`Meta Llama API Error: ${error.message}`);
+      throw upstreamError(`Meta Llama API Error: ${error.message}`, error);
     }
   }
 
@@ -407,6 +417,62 @@ ${codeOrSpec}
     return Math.min(Object.values(factors).reduce((a, b) => a + b, 0), 1.0);
   }
 
+  // Provider contract: plain chat completion
+  async chat(messages, options = {}) {
+    const { model = this.models.fastChat, ...parameters } = options;
+    const result = await this.makeRequest(model, messages, parameters);
+    return {
+      content: result.generated_text,
+      model: result.metadata.model,
+      responseTime: result.metadata.responseTime
+    };
+  }
+
+  // Provider contract: the Llama-specific code and PRD prompts
+  async generate(task, payload) {
+    let result;
+    let content;
+
+    switch (task) {
+      case 'code':
+        result = await this.generateCode(payload.requirements, payload.language, payload.complexity);
+        content = result.code;
+        break;
+      case 'node-code':
+        result = await this.generateNodeCode(payload.prompt, payload);
+        content = result.data;
+        break;
+      case 'prd':
+        result = await this.generateComprehensivePRD(payload.prompt || payload.projectIdea);
+        content = result.rawContent;
+        break;
+      default:
+        return null;
+    }
+
+    return {
+      content,
+      model: result.metadata.model,
+      responseTime: result.metadata.responseTime,
+      raw: result
+    };
+  }
+
+  // Preferred for code unless it is trivial, and for comprehensive PRDs
+  rank(task, payload = {}) {
+    if (task === 'code' || task === 'node-code') return payload.complexity === 'low' ? 0 : 20;
+    if (task === 'prd') return payload.complexity === 'comprehensive' ? 20 : 0;
+    return 0;
+  }
+
+  health() {
+    return this.healthCheck();
+  }
+
+  async listModels() {
+    return [...new Set(Object.values(this.models))].map(id => ({ id, name: id.split('/').pop() }));
+  }
+
   // Health check for Meta Llama services
   async healthCheck() {
     try {
@@ -415,7 +481,8 @@ ${codeOrSpec}
       const result = await this.makeRequest(
         this.models.fastChat,
         testPrompt,
-        { max_tokens: 10, temperature: 0.1 }
+        { max_tokens: 10, temperature: 0.1 },
+        HEALTH_CHECK_RETRY
       );
 
       return {
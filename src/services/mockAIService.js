@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { slugify } = require('../utils/text');
+
+const MODEL = 'flowsprint-mock-1';
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../fixtures/mockAI');
+const MAX_SUBJECT_LENGTH = 60;
+
+// 32-bit FNV-1a: the same prompt always picks the same fixture
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+};
+
+// Safe inside markdown, JSON, code comments and docstrings
+const cleanSubject = (text) => String(text || '')
+  .replace(/[`"'\\*{}<>]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .slice(0, MAX_SUBJECT_LENGTH)
+  .replace(/[\s.,:;-]+$/, '') || 'FlowSprint project';
+
+const pascalCase = (text) => {
+  const words = text.replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean).slice(0, 4);
+  const name = words.map(word => word[0].toUpperCase() + word.slice(1).toLowerCase()).join('');
+  return /^[A-Za-z]/.test(name) ? name : `Feature${name}`;
+};
+
+// Replace {{placeholders}} in every string of a fixture
+const fill = (value, vars) => {
+  if (typeof value === 'string') return value.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in vars ? vars[key] : match));
+  if (Array.isArray(value)) return value.map(item => fill(item, vars));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item, vars)]));
+  }
+  return value;
+};
+
+const pick = (variants, seed) => variants[seed % variants.length];
+
+// The prompt text of any gateway payload
+const promptOf = (payload) => String(payload.prompt || payload.projectDescription || payload.projectIdea || payload.requirements || '');
+
+/**
+ * Mock AI Service - deterministic offline provider
+ *
+ * Enabled with MOCK_AI_ENABLED=true, when the gateway registers it instead of
+ * the hosted providers so tests and demos never reach the network. Answers
+ * come from the JSON fixtures in fixtures/mockAI (or MOCK_AI_FIXTURES_DIR):
+ * the prompt is hashed to pick a variant and its subject (project name, node
+ * title, section title) fills the {{subject}}, {{Identifier}},
+ * {{identifier}} and {{slug}} placeholders.
+ */
+
+class MockAIService {
+  constructor() {
+    this.fixturesDir = process.env.MOCK_AI_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+    this.latency = parseInt(process.env.MOCK_AI_LATENCY_MS, 10) || 0;
+    this.fixtures = new Map();
+
+    // Provider contract (see providerContract.js)
+    this.name = 'mock';
+    this.displayName = 'Mock AI';
+    this.description = 'Deterministic fixture responses for tests and offline demos';
+    this.capabilities = ['mindmap', 'mindmap-branch', 'code', 'node-code', 'prd', 'prd-section', 'stream'];
+  }
+
+  isEnabled() {
+    return process.env.MOCK_AI_ENABLED === 'true';
+  }
+
+  loadFixture(name) {
+    if (!this.fixtures.has(name)) {
+      const file = path.join(this.fixturesDir, `${name}.json`);
+      this.fixtures.set(name, JSON.parse(fs.readFileSync(file, 'utf8')));
+    }
+    return this.fixtures.get(name);
+  }
+
+  // What the prompt is about, used to fill the fixture placeholders
+  subjectOf(task, payload) {
+    const text = promptOf(payload);
+
+    if (task === 'node-code' && payload.nodeTitle) return payload.nodeTitle;
+    if (task === 'mindmap-branch') return (text.match(/^Branch node:\s*(.+)$/m) || [])[1] || text;
+    if (task === 'prd-section') return (text.match(/Rewrite the "([^"]+)" section/) || [])[1] || text;
+
+    const named = text.match(/\bfor:\s*(.+)$/m);
+    return named ? named[1] : text.split('\n').find(line => line.trim()) || '';
+  }
+
+  variables(subject) {
+    const Identifier = pascalCase(subject);
+    return {
+      subject,
+      Identifier,
+      identifier: Identifier[0].toLowerCase() + Identifier.slice(1),
+      slug: slugify(subject, 'project')
+    };
+  }
+
+  // Fixture text for a task; the seed covers the whole prompt so similar subjects still vary
+  render(task, payload) {
+    const seed = hash(`${task}:${promptOf(payload)}`);
+    const vars = this.variables(cleanSubject(this.subjectOf(task, payload)));
+
+    switch (task) {
+      case 'mindmap':
+        return JSON.stringify(fill(pick(this.loadFixture('mindmap').variants, seed), vars), null, 2);
+
+      case 'mindmap-branch': {
+        const pool = this.loadFixture('mindmap-branch').children;
+        const requested = parseInt((String(payload.prompt).match(/Generate (\d+) child nodes/) || [])[1], 10) || 4;
+        const count = Math.min(Math.max(requested, 1), pool.length);
+        const children = Array.from({ length: count }, (_, i) => pool[(seed + i) % pool.length]);
+        return JSON.stringify({ children: fill(children, vars).map(child => ({ ...child, children: [] })) });
+      }
+
+      case 'code': {
+        const { variants } = this.loadFixture('code');
+        const language = String(payload.language || 'javascript').toLowerCase();
+        return fill(pick(variants[language] || variants.javascript, seed), vars);
+      }
+
+      case 'node-code': {
+        const { variants } = this.loadFixture('node-code');
+        const language = String(payload.codeOptions?.language || 'typescript').toLowerCase();
+        return JSON.stringify(fill(pick(variants[language] || variants.typescript, seed), vars), null, 2);
+      }
+
+      case 'prd':
+        return fill(pick(this.loadFixture('prd').variants, seed), vars);
+
+      case 'prd-section':
+        return fill(pick(this.loadFixture('prd-section').variants, seed), vars);
+
+      default:
+        return fill(pick(this.loadFixture('chat').variants, seed), vars);
+    }
+  }
+
+  async respond(task, payload) {
+    const startTime = Date.now();
+    if (this.latency) await new Promise(resolve => setTimeout(resolve, this.latency));
+
+    const content = this.render(task, payload);
+    const promptTokens = Math.ceil(promptOf(payload).length / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    logger.info(`Mock AI response: ${task} (${content.length} chars)`);
+    return {
+      content,
+      model: MODEL,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      },
+      responseTime: Date.now() - startTime
+    };
+  }
+
+  // Provider contract: every task has a fixture
+  generate(task, payload) {
+    return this.respond(task, payload);
+  }
+
+  chat(messages) {
+    const prompt = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+    return this.respond('chat', { prompt });
+  }
+
+  // Streams the chat fixture word by word
+  async stream(messages, onChunk) {
+    const response = await this.chat(messages);
+    for (const chunk of response.content.match(/\S+\s*/g) || []) {
+      onChunk(chunk);
+    }
+    return response;
+  }
+
+  // Served from every route while enabled
+  rank() {
+    return 100;
+  }
+
+  async health() {
+    return {
+      status: 'healthy',
+      model: MODEL,
+      fixturesDir: this.fixturesDir,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async listModels() {
+    return [{ id: MODEL, name: 'FlowSprint mock' }];
+  }
+}
+
+module.exports = new MockAIService();
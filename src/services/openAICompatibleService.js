@@ -0,0 +1,183 @@
+const axios = require('axios');
+const logger = require('../utils/logger');
+const { chatResponse } = require('./providerContract');
+const { withRetry, upstreamError } = require('../utils/retry');
+
+/**
+ * OpenAI-compatible Service - any server exposing /v1/chat/completions
+ *
+ * Covers Ollama (http://localhost:11434/v1), llama.cpp's llama-server
+ * (http://localhost:8080/v1) and vLLM (http://localhost:8000/v1), so FlowSprint
+ * can run offline and in CI without paid keys. Only registered with the
+ * gateway when LOCAL_LLM_BASE_URL is set; it then ranks above the hosted
+ * providers unless LOCAL_LLM_RANK says otherwise.
+ */
+
+class OpenAICompatibleService {
+  constructor() {
+    this.baseURL = (process.env.LOCAL_LLM_BASE_URL || '').replace(/\/+$/, '');
+    this.apiKey = process.env.LOCAL_LLM_API_KEY;
+    this.model = process.env.LOCAL_LLM_MODEL || 'llama3.1:8b';
+    this.timeout = parseInt(process.env.LOCAL_LLM_TIMEOUT_MS, 10) || 120000;
+    this.preference = Number(process.env.LOCAL_LLM_RANK || 30);
+
+    // Provider contract (see providerContract.js)
+    this.name = process.env.LOCAL_LLM_NAME || 'local';
+    this.displayName = 'Local LLM';
+    this.description = `OpenAI-compatible endpoint at ${this.baseURL || '(not configured)'}`;
+    this.capabilities = ['mindmap', 'mindmap-branch', 'code', 'node-code', 'prd', 'prd-section', 'stream'];
+  }
+
+  isConfigured() {
+    return Boolean(this.baseURL);
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+    };
+  }
+
+  async makeRequest(messages, options = {}) {
+    const { model = this.model, temperature = 0.7, max_tokens = 2000, ...rest } = options;
+
+    try {
+      // LOCAL_LLM_TIMEOUT_MS bounds all attempts together
+      const response = await withRetry(({ remainingMs }) => axios.post(`${this.baseURL}/chat/completions`, {
+        model,
+        messages,
+        temperature,
+        max_tokens,
+        stream: false,
+        ...rest
+      }, { headers: this.getHeaders(), timeout: remainingMs }), { name: 'Local LLM', deadlineMs: this.timeout });
+
+      logger.info(`Local LLM call successful: ${model} (${response.data.usage?.total_tokens || 0} tokens)`);
+      return response.data;
+    } catch (error) {
+      logger.error('Local LLM API Error:', {
+        message: error.message,
+        status: error.response?.status,
+        attempts: error.attempts,
+        baseURL: this.baseURL
+      });
+      throw upstreamError(`Local LLM API Error: ${error.message}`, error);
+    }
+  }
+
+  // Provider contract: plain chat completion
+  async chat(messages, options = {}) {
+    const startTime = Date.now();
+    const result = await this.makeRequest(messages, options);
+    return chatResponse(result, { model: options.model || this.model, startTime });
+  }
+
+  // Provider contract: server-sent events, resolved once the server sends [DONE] or closes
+  async stream(messages, onChunk, options = {}) {
+    const { model = this.model, temperature = 0.7, max_tokens = 1500, ...rest } = options;
+    const startTime = Date.now();
+
+    const response = await axios.post(`${this.baseURL}/chat/completions`, {
+      model,
+      messages,
+      temperature,
+      max_tokens,
+      ...rest,
+      stream: true
+    }, { headers: this.getHeaders(), timeout: this.timeout, responseType: 'stream' });
+
+    let buffer = '';
+    let content = '';
+    let usage;
+
+    // Events can be split across network chunks; only complete lines are parsed
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return false;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return true;
+
+      try {
+        const parsed = JSON.parse(data);
+        const delta = parsed.choices?.[0]?.delta?.content;
+        if (parsed.usage) usage = parsed.usage;
+        if (delta) {
+          content += delta;
+          onChunk(delta);
+        }
+      } catch (e) {
+        // Skip keep-alives and malformed events
+      }
+      return false;
+    };
+
+    return new Promise((resolve, reject) => {
+      let finished = false;
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        response.data.destroy();
+        logger.info(`Local LLM streaming completed: ${model}`);
+        resolve({ content, model, usage, responseTime: Date.now() - startTime });
+      };
+
+      response.data.on('data', (chunk) => {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (handleLine(line.trim())) return finish();
+        }
+      });
+      response.data.on('end', () => {
+        handleLine(buffer.trim());
+        finish();
+      });
+      response.data.on('error', (error) => {
+        if (finished) return;
+        finished = true;
+        logger.error('Local LLM streaming error:', error.message);
+        reject(error);
+      });
+    });
+  }
+
+  rank() {
+    return this.preference;
+  }
+
+  // Provider contract: the model list doubles as the health probe
+  async health() {
+    try {
+      const startTime = Date.now();
+      const models = await this.listModels();
+
+      return {
+        status: 'healthy',
+        responseTime: Date.now() - startTime,
+        availableModels: models.length,
+        model: this.model,
+        modelLoaded: models.some(model => model.id === this.model),
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Local LLM health check failed:', error.message);
+      return {
+        status: 'unhealthy',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  async listModels() {
+    const response = await axios.get(`${this.baseURL}/models`, {
+      headers: this.getHeaders(),
+      timeout: Math.min(this.timeout, 10000)
+    });
+
+    return (response.data.data || []).map(model => ({ id: model.id, name: model.id }));
+  }
+}
+
+module.exports = new OpenAICompatibleService();
@@ -1,8 +1,18 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const { chatResponse } = require('./providerContract');
+const { withRetry, upstreamError, HEALTH_CHECK_RETRY } = require('../utils/retry');
+
+const DEFAULT_MODEL = 'meta-llama/llama-4-maverick-17b-128e-instruct:free';
 
 class OpenRouterService {
   constructor() {
+    // Provider contract (see providerContract.js)
+    this.name = 'openrouter';
+    this.displayName = 'OpenRouter';
+    this.description = 'Multi-model routing across free Llama 4 models';
+    this.capabilities = ['mindmap', 'mindmap-branch', 'code', 'node-code', 'prd', 'prd-section'];
+
     this.apiKey = process.env.OPENROUTER_API_KEY;
     this.baseURL = 'https://openrouter.ai/api/v1';
     this.httpReferer = process.env.YOUR_SITE_URL || 'http://localhost:3000';
@@ -13,7 +23,7 @@ class OpenRouterService {
     }
   }
 
-  async makeRequest(endpoint, data, model = 'meta-llama/llama-4-maverick-17b-128e-instruct:free') {
+  async makeRequest(endpoint, data, model = DEFAULT_MODEL) {
     try {
       const headers = {
         'Authorization': `Bearer ${this.apiKey}`,
@@ -22,13 +32,14 @@ class OpenRouterService {
         'Content-Type': 'application/json'
       };
 
-      const response = await axios.post(`${this.baseURL}${endpoint}`, {
+      // 429s and transient 5xx are retried, honoring OpenRouter's rate-limit headers
+      const response = await withRetry(({ remainingMs }) => axios.post(`${this.baseURL}${endpoint}`, {
         model,
         messages: data.messages,
         temperature: data.temperature || 0.7,
         max_tokens: data.max_tokens || 2000,
         stream: data.stream || false
-      }, { headers });
+      }, { headers, timeout: remainingMs }), { name: 'OpenRouter' });
 
       logger.info(`OpenRouter API call successful: ${model}`);
       return response.data;
@@ -36,9 +47,10 @@ class OpenRouterService {
       logger.error('OpenRouter API Error:', {
         message: error.message,
         status: error.response?.status,
+        attempts: error.attempts,
         data: error.response?.data
       });
-      throw new Error(`OpenRouter API Error: ${error.message}`);
+      throw upstreamError(`OpenRouter API Error: ${error.message}`, error);
     }
   }
 
@@ -270,6 +282,51 @@ Generate a similar detailed technical breakdown for the given project descriptio
     }, 'meta-llama/llama-4-maverick-17b-128e-instruct:free'); // Use Llama 4 Maverick for comprehensive docs
   }
 
+  // Provider contract: plain chat completion
+  async chat(messages, options = {}) {
+    const { model = DEFAULT_MODEL, ...data } = options;
+    const startTime = Date.now();
+    const result = await this.makeRequest('/chat/completions', { ...data, messages }, model);
+    return chatResponse(result, { model, startTime });
+  }
+
+  // Provider contract: dedicated mindmap, code and PRD prompts; other tasks go through the gateway's prompts and chat()
+  async generate(task, payload, options = {}) {
+    const startTime = Date.now();
+    let result;
+
+    switch (task) {
+      case 'mindmap':
+        result = await this.generateMindmap(payload.prompt || payload.projectDescription, options);
+        break;
+      case 'code':
+        result = await this.generateCode(payload.requirements, payload.language, options);
+        break;
+      case 'prd':
+        result = await this.generatePRD(payload.prompt || payload.projectIdea, options);
+        break;
+      default:
+        return null;
+    }
+
+    return chatResponse(result, { startTime });
+  }
+
+  // Default route for everything except speed-first mindmaps and quality-first code
+  rank() {
+    return 10;
+  }
+
+  health() {
+    return this.healthCheck();
+  }
+
+  async listModels() {
+    const result = await this.getAvailableModels();
+    if (!result.success) throw new Error(result.error);
+    return result.models.map(model => ({ id: model.id, name: model.name, contextLength: model.context_length }));
+  }
+
   // Health check for OpenRouter
   async healthCheck() {
     try {
@@ -277,7 +334,8 @@ Generate a similar detailed technical breakdown for the given project descriptio
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
           'HTTP-Referer': this.httpReferer
-        }
+        },
+        timeout: HEALTH_CHECK_RETRY.deadlineMs
       });
       
       return {
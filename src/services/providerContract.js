@@ -0,0 +1,135 @@
+/**
+ * AI provider contract
+ *
+ * Anything registered with the MCP gateway is a provider:
+ *   name                          - registry key ('openrouter', 'groq', ...)
+ *   capabilities                  - tasks it can serve, from CAPABILITIES
+ *   chat(messages, options)       - resolves to a provider response (below)
+ *   stream(messages, onChunk, options)
+ *                                 - required with the 'stream' capability; calls
+ *                                   onChunk(text) per delta and resolves to a
+ *                                   provider response once the stream ends
+ *   health()                      - resolves to { status: 'healthy' | 'unhealthy', ... }
+ *   listModels()                  - resolves to [{ id, name?, contextLength? }]
+ *
+ * Optional members:
+ *   displayName, description      - shown by GET /api/ai/providers
+ *   rank(task, payload)           - routing preference, higher is tried first (default 0)
+ *   generate(task, payload, options)
+ *                                 - dedicated prompt for a task; resolve to null to
+ *                                   let the gateway build the messages and call chat()
+ *
+ * A provider response is { content, model, usage?, responseTime?, raw? } where
+ * raw is provider-specific output the mindmap/PRD normalizers read instead of
+ * content when it is present.
+ */
+
+const CAPABILITIES = ['mindmap', 'mindmap-branch', 'code', 'node-code', 'prd', 'prd-section', 'stream'];
+
+const REQUIRED_METHODS = ['chat', 'health', 'listModels'];
+
+/**
+ * List what keeps a provider from meeting the contract; empty when it conforms.
+ */
+const contractProblems = (provider) => {
+  if (!provider || typeof provider !== 'object') return ['provider must be an object'];
+
+  const problems = [];
+  if (typeof provider.name !== 'string' || !provider.name.trim()) {
+    problems.push('name must be a non-empty string');
+  }
+  if (!Array.isArray(provider.capabilities) || !provider.capabilities.length) {
+    problems.push('capabilities must be a non-empty array');
+  } else {
+    const unknown = provider.capabilities.filter(capability => !CAPABILITIES.includes(capability));
+    if (unknown.length) problems.push(`unknown capabilities: ${unknown.join(', ')}`);
+    if (provider.capabilities.includes('stream') && typeof provider.stream !== 'function') {
+      problems.push('stream() is required with the stream capability');
+    }
+  }
+  for (const method of REQUIRED_METHODS) {
+    if (typeof provider[method] !== 'function') problems.push(`${method}() is missing`);
+  }
+  for (const method of ['rank', 'generate']) {
+    if (provider[method] !== undefined && typeof provider[method] !== 'function') {
+      problems.push(`${method} must be a function`);
+    }
+  }
+  return problems;
+};
+
+const assertProvider = (provider) => {
+  const problems = contractProblems(provider);
+  if (problems.length) {
+    throw new Error(`Invalid AI provider "${provider?.name || 'unnamed'}": ${problems.join('; ')}`);
+  }
+  return provider;
+};
+
+// Provider response from an OpenAI-style chat completion body
+const chatResponse = (raw, { model, startTime } = {}) => ({
+  content: raw?.choices?.[0]?.message?.content || '',
+  model: raw?.model || model,
+  usage: raw?.usage,
+  responseTime: startTime ? Date.now() - startTime : undefined,
+  raw
+});
+
+const system = (content) => ({ role: 'system', content });
+const user = (content) => ({ role: 'user', content });
+
+// Gateway prompts for providers without a dedicated generate() for the task
+const TASK_MESSAGES = {
+  mindmap: ({ prompt, projectDescription }) => [
+    system('You are a software architect turning a project description into a development mindmap. Node titles are plain text (3-12 words, no markdown) and each description adds implementation detail beyond its title. Node type is one of: milestone, task, component, end. Respond with JSON only: {"mindmap": {"id": "root", "text": "<project name>", "children": [{"text": "...", "description": "...", "type": "milestone", "children": [...]}]}}'),
+    user(`${prompt || projectDescription}\n\nCover setup, core features, testing and deployment with 5-8 main branches of 2-4 children each.`)
+  ],
+
+  'mindmap-branch': ({ prompt }) => [
+    system('You are a software architect extending ONE branch of an existing project mindmap. Titles are plain text with no markdown; descriptions add implementation detail; type is one of: milestone, task, component, end. Respond with JSON only: {"children": [{"title": "...", "description": "...", "type": "task", "children": []}]}'),
+    user(prompt)
+  ],
+
+  code: ({ requirements, language = 'javascript', framework }) => [
+    system(`You are an expert ${language} developer. Generate clean, production-ready code with error handling and comments. Return the complete file in a single fenced code block.`),
+    user(`Generate ${language} code${framework ? ` using ${framework}` : ''} for: ${requirements}`)
+  ],
+
+  'node-code': ({ prompt, projectContext }) => [
+    system('You are a senior engineer writing both the PRD and the production code for one feature of a larger application.'),
+    user(`${prompt}
+
+Requirements:
+1. Generate BOTH PRD documentation AND production-ready code
+2. The PRD covers: Purpose, Requirements, User Stories, Acceptance Criteria, Technical Specs
+3. Code is complete, functional and ready for production use
+4. Respond with JSON when possible: {"files": [{"path": "...", "language": "...", "prd": "...", "code": "..."}]}
+5. Follow ${projectContext?.name || 'modern web'} application patterns and conventions
+
+Return multiple files if needed (component + styles + tests), each with its own PRD.`)
+  ],
+
+  prd: ({ prompt, projectIdea }) => [
+    system('You are a senior product manager. Write a Product Requirements Document in markdown with "## " headings for: Executive Summary, Problem Statement, Solution Overview, User Stories & Use Cases, Functional Requirements, Technical Requirements, Success Metrics & KPIs, Timeline & Milestones, Risk Assessment, and Go-to-Market Strategy.'),
+    user(`Create a detailed PRD for: ${prompt || projectIdea}`)
+  ],
+
+  'prd-section': ({ prompt }) => [
+    system('You are a senior product manager rewriting ONE section of an existing Product Requirements Document. Stay consistent with the other sections, be specific and measurable, and respond with the markdown body of the section only - no heading and no commentary.'),
+    user(prompt)
+  ]
+};
+
+const buildTaskMessages = (task, payload = {}) => {
+  const build = TASK_MESSAGES[task];
+  if (!build) throw new Error(`No prompt for task: ${task}`);
+  return build(payload);
+};
+
+module.exports = {
+  CAPABILITIES,
+  contractProblems,
+  assertProvider,
+  chatResponse,
+  buildTaskMessages
+};
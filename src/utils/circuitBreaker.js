@@ -0,0 +1,165 @@
+/**
+ * Circuit breaker for one AI provider, driven by live request outcomes.
+ *
+ *   closed    - requests flow; outcomes go into a rolling window
+ *   open      - requests are short-circuited until the cool-down ends, after
+ *               too high a failure ratio in the window or a streak of timeouts
+ *   half-open - after the cool-down a single trial request is let through:
+ *               success closes the circuit, failure opens it again
+ *
+ * Defaults come from CIRCUIT_* environment variables and can be overridden
+ * per provider; options.onTransition({ name, from, to, reason }) observes
+ * state changes.
+ */
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+const { CLOSED, OPEN, HALF_OPEN } = CIRCUIT_STATES;
+
+const DEFAULTS = {
+  windowSize: parseInt(process.env.CIRCUIT_WINDOW_SIZE, 10) || 10,
+  minRequests: parseInt(process.env.CIRCUIT_MIN_REQUESTS, 10) || 5,
+  failureRatio: parseFloat(process.env.CIRCUIT_FAILURE_RATIO) || 0.5,
+  timeoutStreak: parseInt(process.env.CIRCUIT_TIMEOUT_STREAK, 10) || 3,
+  openMs: parseInt(process.env.CIRCUIT_OPEN_MS, 10) || 30000
+};
+
+// axios, fetch and gateway deadlines all surface timeouts differently
+const isTimeout = (error) => ['ECONNABORTED', 'ETIMEDOUT'].includes(error?.code)
+  || error?.name === 'TimeoutError'
+  || /time(d)?\s*out/i.test(error?.message || '');
+
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULTS, ...options };
+    this.now = options.now || Date.now;
+    this.reset();
+  }
+
+  reset() {
+    this.state = CLOSED;
+    this.outcomes = []; // true = success, oldest first
+    this.timeouts = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+    this.lastTransitionAt = this.now();
+    this.opens = 0;
+    this.shortCircuited = 0;
+  }
+
+  transition(state, reason) {
+    const from = this.state;
+    this.state = state;
+    this.lastTransitionAt = this.now();
+    if (state === OPEN) {
+      this.openedAt = this.lastTransitionAt;
+      this.opens++;
+    }
+    if (this.options.onTransition) this.options.onTransition({ name: this.name, from, to: state, reason });
+  }
+
+  // Whether a request could go through right now, without claiming the half-open trial
+  isAvailable() {
+    if (this.state === CLOSED) return true;
+    if (this.state === HALF_OPEN) return !this.trialInFlight;
+    return this.now() - this.openedAt >= this.options.openMs;
+  }
+
+  /**
+   * Claim permission for one request. Moves an open circuit whose cool-down
+   * has passed to half-open, and lets exactly one trial through while
+   * half-open. Returns false (and counts a short-circuit) otherwise.
+   */
+  tryAcquire() {
+    if (this.state === OPEN && this.now() - this.openedAt >= this.options.openMs) {
+      this.transition(HALF_OPEN, 'cool-down elapsed');
+    }
+
+    if (this.state === CLOSED) return true;
+    if (this.state === HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    this.shortCircuited++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.timeouts = 0;
+
+    if (this.state === HALF_OPEN) {
+      this.trialInFlight = false;
+      this.outcomes = [];
+      this.transition(CLOSED, 'trial request succeeded');
+      return;
+    }
+    this.push(true);
+  }
+
+  recordFailure(error) {
+    this.lastError = { message: error?.message || String(error), timeout: isTimeout(error), at: new Date(this.now()).toISOString() };
+    this.timeouts = isTimeout(error) ? this.timeouts + 1 : 0;
+
+    if (this.state === HALF_OPEN) {
+      this.trialInFlight = false;
+      this.transition(OPEN, 'trial request failed');
+      return;
+    }
+    if (this.state === OPEN) return;
+
+    this.push(false);
+
+    if (this.timeouts >= this.options.timeoutStreak) {
+      this.transition(OPEN, `${this.timeouts} consecutive timeouts`);
+    } else if (this.outcomes.length >= this.options.minRequests && this.failureRatio() >= this.options.failureRatio) {
+      this.transition(OPEN, `failure ratio ${Math.round(this.failureRatio() * 100)}% over the last ${this.outcomes.length} requests`);
+    }
+  }
+
+  push(success) {
+    this.outcomes.push(success);
+    if (this.outcomes.length > this.options.windowSize) this.outcomes.shift();
+  }
+
+  failureRatio() {
+    if (!this.outcomes.length) return 0;
+    return this.outcomes.filter(success => !success).length / this.outcomes.length;
+  }
+
+  // Snapshot for getGatewayStatus and /api/ai/health
+  status() {
+    const retryAt = this.state === OPEN ? this.openedAt + this.options.openMs : null;
+    return {
+      state: this.state,
+      failureRatio: Number(this.failureRatio().toFixed(2)),
+      windowRequests: this.outcomes.length,
+      timeoutStreak: this.timeouts,
+      opens: this.opens,
+      shortCircuited: this.shortCircuited,
+      openedAt: this.state === OPEN ? new Date(this.openedAt).toISOString() : null,
+      retryAt: retryAt ? new Date(retryAt).toISOString() : null,
+      lastError: this.lastError,
+      lastTransitionAt: new Date(this.lastTransitionAt).toISOString(),
+      thresholds: {
+        failureRatio: this.options.failureRatio,
+        minRequests: this.options.minRequests,
+        windowSize: this.options.windowSize,
+        timeoutStreak: this.options.timeoutStreak,
+        openMs: this.options.openMs
+      }
+    };
+  }
+}
+
+module.exports = {
+  CIRCUIT_STATES,
+  CircuitBreaker,
+  isTimeout
+};
@@ -0,0 +1,128 @@
+/**
+ * Generated code archive
+ *
+ * Lays a project's `generatedCode` entries out by path for a zip download,
+ * alongside a README (project description and PRD summary) and a manifest
+ * recording where each file came from. Entries are in the
+ * `{ name, data, date }` shape utils/zip expects.
+ */
+
+const { safeEntryName } = require('./zip');
+const { slugify } = require('./text');
+const { httpError } = require('./httpError');
+
+const README_NAME = 'README.md';
+const MANIFEST_NAME = 'flowsprint-manifest.json';
+const SUMMARY_LENGTH = 600;
+
+// "src/App.tsx" -> "src/App-2.tsx" when the path is already taken
+const uniquePath = (path, taken) => {
+  if (!taken.has(path.toLowerCase())) return path;
+  const match = path.match(/^(.*?)(\.[^./]+)?$/);
+  let counter = 2;
+  while (taken.has(`${match[1]}-${counter}${match[2] || ''}`.toLowerCase())) counter++;
+  return `${match[1]}-${counter}${match[2] || ''}`;
+};
+
+const clip = (text, length) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.slice(0, length - 3).trimEnd()}...` : clean;
+};
+
+// Short PRD summary: the stored summary (or executive summary) plus the section list
+const prdSummary = (prd) => {
+  if (!prd || !prd.sections?.length) return ['_No PRD has been generated for this project yet._'];
+
+  const executive = prd.sections.find(section => section.id === 'executive-summary');
+  const lines = [clip(prd.summary || executive?.body || prd.sections[0].body, SUMMARY_LENGTH), '', 'Sections:'];
+  prd.sections.forEach(section => lines.push(`- ${section.title}`));
+  return lines;
+};
+
+const buildReadme = (project, files) => {
+  const lines = [`# ${project.name}`, '', project.description || '', ''];
+
+  lines.push(
+    `- **Type:** ${project.type || 'unknown'}`,
+    `- **Industry:** ${project.industry || 'unknown'}`,
+    `- **Tech stack:** ${(project.techStack || []).join(', ') || 'Not specified'}`,
+    ''
+  );
+
+  lines.push('## Product Requirements Summary', '', ...prdSummary(project.prd), '');
+
+  lines.push('## Files', '', '| Path | Language | Provider | Generated |', '| --- | --- | --- | --- |');
+  files.forEach(file => {
+    lines.push(`| \`${file.path}\` | ${file.language} | ${file.provider} | ${file.generatedAt ? file.generatedAt.toISOString() : 'unknown'} |`);
+  });
+
+  lines.push('', `See \`${MANIFEST_NAME}\` for per-file details.`, '');
+  return lines.join('\n');
+};
+
+/**
+ * Build the zip entries for a project's generated code.
+ * Returns { entries, filename, manifest }; throws 404 when there is no code.
+ */
+const buildCodeArchive = (project, { now = new Date() } = {}) => {
+  if (!project.generatedCode?.length) {
+    throw httpError('Project has no generated code yet', 404);
+  }
+
+  const root = slugify(project.name, 'project');
+  const taken = new Set([README_NAME.toLowerCase(), MANIFEST_NAME.toLowerCase()]);
+
+  // Oldest first, so later files with the same path get the numbered name
+  const sorted = [...project.generatedCode].sort((a, b) => new Date(a.generatedAt || 0) - new Date(b.generatedAt || 0));
+  const files = sorted.map(entry => {
+    const path = uniquePath(safeEntryName(entry.path || entry.filename), taken);
+    taken.add(path.toLowerCase());
+
+    return {
+      path,
+      code: entry.code || '',
+      filename: entry.filename,
+      language: entry.language,
+      provider: entry.aiProvider,
+      generatedAt: entry.generatedAt ? new Date(entry.generatedAt) : null,
+      description: entry.description || null,
+      nodeId: entry.nodeId || null,
+      nodeTitle: entry.nodeTitle || null,
+      validation: entry.validation?.status || null
+    };
+  });
+
+  const manifest = {
+    project: {
+      id: String(project._id),
+      name: project.name,
+      prdRevision: project.prdVersion || null
+    },
+    exportedAt: now.toISOString(),
+    totalFiles: files.length,
+    files: files.map(file => ({
+      path: file.path,
+      language: file.language,
+      provider: file.provider,
+      generatedAt: file.generatedAt ? file.generatedAt.toISOString() : null,
+      bytes: Buffer.byteLength(file.code),
+      description: file.description,
+      nodeId: file.nodeId,
+      nodeTitle: file.nodeTitle,
+      validation: file.validation
+    }))
+  };
+
+  const entries = [
+    { name: `${root}/${README_NAME}`, data: buildReadme(project, files), date: now },
+    { name: `${root}/${MANIFEST_NAME}`, data: `${JSON.stringify(manifest, null, 2)}\n`, date: now },
+    ...files.map(file => ({ name: `${root}/${file.path}`, data: file.code, date: file.generatedAt || now }))
+  ];
+
+  return { entries, filename: `${root}-code.zip`, manifest };
+};
+
+module.exports = {
+  buildCodeArchive,
+  uniquePath
+};
@@ -0,0 +1,207 @@
+/**
+ * Generated code validation
+ *
+ * Pulls the code out of a model response and checks that it parses:
+ * JavaScript/TypeScript (with JSX) through @babel/parser, JSON natively and
+ * Python through the local interpreter's `ast` module when one is installed.
+ * Results are { status, parser, errors, warnings, checkedAt } where status is
+ *   valid     - parsed cleanly
+ *   invalid   - syntax errors
+ *   truncated - the output stops mid-file (unexpected end of input)
+ *   skipped   - no parser for the language, or the parser is unavailable
+ */
+
+const { execFile } = require('child_process');
+const babelParser = require('@babel/parser');
+
+const VALIDATION_STATUSES = ['valid', 'invalid', 'truncated', 'skipped'];
+
+const PYTHON_BIN = process.env.PYTHON_BIN || 'python3';
+const PYTHON_TIMEOUT_MS = 5000;
+const MAX_ERRORS = 5;
+
+// Reports the first SyntaxError as JSON; exit code 0 means the source parsed
+const PYTHON_CHECK = [
+  'import ast, json, sys',
+  'try:',
+  '    ast.parse(sys.stdin.read())',
+  'except SyntaxError as e:',
+  '    print(json.dumps({"message": e.msg, "line": e.lineno, "column": e.offset}))',
+  '    sys.exit(1)'
+].join('\n');
+
+const FENCE = /^[ \t]*```[^\n`]*\n([\s\S]*?)^[ \t]*```[ \t]*$/gm;
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  javascript: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  typescript: 'typescript',
+  json: 'json',
+  py: 'python',
+  python: 'python'
+};
+
+// Text of a provider result in any of the shapes the gateway returns
+const responseText = (raw) => {
+  if (raw == null) return '';
+  if (typeof raw === 'string') return raw;
+  return raw.code ?? raw.data ?? raw.choices?.[0]?.message?.content ?? raw.generated_text ?? '';
+};
+
+/**
+ * Extract the code from a model response without cutting into it.
+ * Uses the largest fenced block when there is one; an opening fence that is
+ * never closed keeps everything after it. Returns { code, unclosedFence }.
+ */
+const extractCode = (raw) => {
+  const text = String(responseText(raw)).replace(/\r\n/g, '\n');
+
+  const fences = [...text.matchAll(FENCE)].map(match => match[1]);
+  if (fences.length) {
+    const largest = fences.reduce((best, code) => (code.length > best.length ? code : best));
+    return { code: largest.replace(/\s+$/, ''), unclosedFence: false };
+  }
+
+  const opening = text.match(/^[ \t]*```[^\n`]*\n/m);
+  if (opening) {
+    return { code: text.slice(opening.index + opening[0].length).trim(), unclosedFence: true };
+  }
+
+  return { code: text.trim(), unclosedFence: false };
+};
+
+const normalizeLanguage = (language, filename) => {
+  const extension = (String(filename || '').match(/\.([A-Za-z]+)$/) || [])[1];
+  return LANGUAGE_ALIASES[String(extension || '').toLowerCase()]
+    || LANGUAGE_ALIASES[String(language || '').toLowerCase()]
+    || null;
+};
+
+const result = (status, parser, errors = [], warnings = []) => ({
+  status,
+  parser,
+  errors: errors.slice(0, MAX_ERRORS),
+  warnings,
+  checkedAt: new Date()
+});
+
+const checkBabel = (code, language, filename) => {
+  // Plain .ts files can't enable JSX: `<T>(value)` casts would stop parsing
+  const plugins = language === 'typescript'
+    ? (/\.ts$/i.test(String(filename || '')) ? ['typescript'] : ['typescript', 'jsx'])
+    : ['jsx'];
+
+  // errorRecovery collects recoverable errors; fatal ones still throw
+  let errors;
+  try {
+    errors = babelParser.parse(code, {
+      sourceType: 'unambiguous',
+      allowReturnOutsideFunction: true,
+      errorRecovery: true,
+      plugins
+    }).errors || [];
+  } catch (error) {
+    errors = [error];
+  }
+
+  if (!errors.length) return result('valid', 'babel');
+
+  const end = code.trimEnd().length;
+  const truncated = errors.some(error => (typeof error.pos === 'number' && error.pos >= end) || /Unterminated/.test(error.message));
+  return result(truncated ? 'truncated' : 'invalid', 'babel', errors.map(error => ({
+    message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+    line: error.loc?.line ?? null,
+    column: error.loc ? error.loc.column + 1 : null
+  })));
+};
+
+const checkJson = (code) => {
+  try {
+    JSON.parse(code);
+    return result('valid', 'json');
+  } catch (error) {
+    const truncated = /end of (JSON )?input/i.test(error.message);
+    return result(truncated ? 'truncated' : 'invalid', 'json', [{ message: error.message, line: null, column: null }]);
+  }
+};
+
+// Cached after the first spawn failure so a missing interpreter costs one attempt
+let pythonAvailable = true;
+
+const checkPython = (code) => new Promise(resolve => {
+  if (!pythonAvailable) {
+    resolve(result('skipped', null, [], ['Python interpreter not available']));
+    return;
+  }
+
+  const child = execFile(PYTHON_BIN, ['-c', PYTHON_CHECK], { timeout: PYTHON_TIMEOUT_MS }, (error, stdout) => {
+    if (!error) {
+      resolve(result('valid', 'python-ast'));
+      return;
+    }
+    if (error.code === 'ENOENT') {
+      pythonAvailable = false;
+      resolve(result('skipped', null, [], ['Python interpreter not available']));
+      return;
+    }
+
+    let report = null;
+    try {
+      report = JSON.parse(stdout);
+    } catch (parseError) {
+      // Killed by the timeout or crashed before reporting
+      resolve(result('skipped', 'python-ast', [], [`Python check failed: ${error.killed ? 'timed out' : error.message}`]));
+      return;
+    }
+
+    const truncated = /unexpected EOF|was never closed|EOF while scanning|unterminated/i.test(report.message);
+    resolve(result(truncated ? 'truncated' : 'invalid', 'python-ast', [report]));
+  });
+
+  child.stdin.on('error', () => {}); // the interpreter may exit before reading everything
+  child.stdin.end(code);
+});
+
+/**
+ * Validate one file. options: { language, filename, unclosedFence }
+ * Resolves to { status, parser, errors: [{ message, line, column }], warnings, checkedAt }.
+ */
+const validateCode = async (code, { language, filename, unclosedFence = false } = {}) => {
+  const warnings = unclosedFence ? ['Code block was never closed; the response may be cut off'] : [];
+
+  if (!String(code || '').trim()) {
+    return result('invalid', null, [{ message: 'No code in the response', line: null, column: null }], warnings);
+  }
+
+  const parserLanguage = normalizeLanguage(language, filename);
+  let validation;
+  if (parserLanguage === 'javascript' || parserLanguage === 'typescript') {
+    validation = checkBabel(code, parserLanguage, filename);
+  } else if (parserLanguage === 'json') {
+    validation = checkJson(code);
+  } else if (parserLanguage === 'python') {
+    validation = await checkPython(code);
+  } else {
+    validation = result('skipped', null, [], [`No parser for ${language || 'unknown language'}`]);
+  }
+
+  validation.warnings = [...warnings, ...validation.warnings];
+  return validation;
+};
+
+// One-line summary of a failed validation, used as feedback for a retry
+const describeErrors = (validation) => validation.errors
+  .map(error => (error.line ? `line ${error.line}${error.column ? `:${error.column}` : ''}: ${error.message}` : error.message))
+  .join('; ');
+
+module.exports = {
+  VALIDATION_STATUSES,
+  extractCode,
+  validateCode,
+  describeErrors
+};
@@ -0,0 +1,188 @@
+/**
+ * Minimal DOCX (WordprocessingML) writer
+ *
+ * Renders a document of a title page, a linked table of contents and
+ * markdown sections into a .docx buffer without external services. Markdown
+ * goes through utils/markdown so HTML and DOCX exports agree on structure.
+ */
+
+const { parseBlocks, parseInline } = require('./markdown');
+const { escapeXml } = require('./mindmapExport');
+const { createZip } = require('./zip');
+
+const W_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+  'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const PACKAGE_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const style = (id, name, { basedOn = 'Normal', paragraph = '', run = '' } = {}) =>
+  `<w:style w:type="paragraph" w:styleId="${id}"><w:name w:val="${name}"/><w:basedOn w:val="${basedOn}"/>` +
+  `<w:qFormat/><w:pPr>${paragraph}</w:pPr><w:rPr>${run}</w:rPr></w:style>`;
+
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles ${W_NS}>
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+  ${style('Title', 'Title', { paragraph: '<w:spacing w:before="2400" w:after="240"/><w:jc w:val="center"/>', run: '<w:b/><w:sz w:val="56"/>' })}
+  ${style('Subtitle', 'Subtitle', { paragraph: '<w:spacing w:after="480"/><w:jc w:val="center"/>', run: '<w:color w:val="595959"/><w:sz w:val="28"/>' })}
+  ${style('Heading1', 'heading 1', { paragraph: '<w:keepNext/><w:spacing w:before="360" w:after="120"/><w:outlineLvl w:val="0"/>', run: '<w:b/><w:color w:val="1F3864"/><w:sz w:val="32"/>' })}
+  ${style('Heading2', 'heading 2', { paragraph: '<w:keepNext/><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="1"/>', run: '<w:b/><w:color w:val="2F5496"/><w:sz w:val="26"/>' })}
+  ${style('Heading3', 'heading 3', { paragraph: '<w:keepNext/><w:spacing w:before="200" w:after="60"/><w:outlineLvl w:val="2"/>', run: '<w:b/><w:sz w:val="24"/>' })}
+  ${style('Quote', 'Quote', { paragraph: '<w:ind w:left="720"/>', run: '<w:i/><w:color w:val="595959"/>' })}
+  ${style('Code', 'Code', { paragraph: '<w:spacing w:after="0"/><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/>', run: '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="19"/>' })}
+  ${style('TOC1', 'toc 1', { paragraph: '<w:spacing w:after="60"/>' })}
+  <w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>
+</w:styles>`;
+
+const text = (value) => `<w:t xml:space="preserve">${escapeXml(value)}</w:t>`;
+
+const run = (value, { bold, italic, code, link } = {}) => {
+  const props = [
+    link ? '<w:rStyle w:val="Hyperlink"/>' : '',
+    code ? '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>' : '',
+    bold ? '<w:b/>' : '',
+    italic ? '<w:i/>' : ''
+  ].join('');
+  return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${text(value)}</w:r>`;
+};
+
+const paragraph = (content, { styleId, indent, border } = {}) => {
+  const props = [
+    styleId ? `<w:pStyle w:val="${styleId}"/>` : '',
+    border ? '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="BFBFBF"/></w:pBdr>' : '',
+    indent ? `<w:ind w:left="${indent.left}" w:hanging="${indent.hanging || 0}"/>` : ''
+  ].join('');
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${content}</w:p>`;
+};
+
+const pageBreak = () => '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+
+/**
+ * Build a .docx buffer.
+ * doc: { title, subtitle, metadata: [[label, value]], sections: [{ title, body }], createdAt }
+ */
+const renderDocx = ({ title, subtitle, metadata = [], sections = [], createdAt = new Date() }) => {
+  const relationships = [
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+  ];
+
+  // External links need a relationship each; internal ones use bookmarks
+  const inlineRuns = (markdown, base = {}) => parseInline(markdown).map(item => {
+    if (!item.href) return run(item.text, { ...base, ...item });
+    if (item.href.startsWith('#')) return run(item.text, { ...base, ...item });
+    const id = `rId${relationships.length + 1}`;
+    relationships.push(
+      `<Relationship Id="${id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(item.href)}" TargetMode="External"/>`
+    );
+    return `<w:hyperlink r:id="${id}">${run(item.text, { ...base, ...item, link: true })}</w:hyperlink>`;
+  }).join('');
+
+  const blockXml = (block) => {
+    switch (block.type) {
+      case 'heading':
+        // Section titles are Heading1; body headings (shifted to ### and below) nest under them
+        return paragraph(inlineRuns(block.text), { styleId: block.level <= 3 ? 'Heading2' : 'Heading3' });
+      case 'list': {
+        const counters = [];
+        return block.items.map(item => {
+          counters.length = item.depth + 1;
+          counters[item.depth] = (counters[item.depth] || 0) + 1;
+          const marker = item.ordered ? `${counters[item.depth]}.` : '•';
+          return paragraph(`${run(marker)}<w:r><w:tab/></w:r>${inlineRuns(item.text)}`, {
+            indent: { left: 360 * (item.depth + 1), hanging: 360 }
+          });
+        }).join('');
+      }
+      case 'code':
+        return block.text.split('\n').map(line => paragraph(run(line), { styleId: 'Code' })).join('');
+      case 'quote':
+        return paragraph(inlineRuns(block.text), { styleId: 'Quote' });
+      case 'rule':
+        return paragraph('', { border: true });
+      case 'table': {
+        const cell = (value, header) =>
+          `<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${paragraph(inlineRuns(value, { bold: header }))}</w:tc>`;
+        const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>`;
+        return '<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/>' +
+          `<w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders></w:tblPr>` +
+          `<w:tblGrid>${block.header.map(() => '<w:gridCol/>').join('')}</w:tblGrid>` +
+          `<w:tr>${block.header.map(value => cell(value, true)).join('')}</w:tr>` +
+          block.rows.map(row => `<w:tr>${block.header.map((_, i) => cell(row[i] || '', false)).join('')}</w:tr>`).join('') +
+          `</w:tbl>${paragraph('')}`;
+      }
+      default:
+        return paragraph(inlineRuns(block.text));
+    }
+  };
+
+  const body = [];
+
+  // Title page
+  body.push(paragraph(run(title), { styleId: 'Title' }));
+  if (subtitle) body.push(paragraph(run(subtitle), { styleId: 'Subtitle' }));
+  metadata.forEach(([label, value]) => {
+    body.push(paragraph(`${run(`${label}: `, { bold: true })}${run(value)}`, { indent: { left: 1440 } }));
+  });
+  body.push(pageBreak());
+
+  // Table of contents, linked to bookmarks on each section heading
+  body.push(paragraph(run('Table of Contents'), { styleId: 'Heading1' }));
+  sections.forEach((section, index) => {
+    body.push(paragraph(
+      `<w:hyperlink w:anchor="section_${index + 1}">${run(`${index + 1}. ${section.title}`, { link: true })}</w:hyperlink>`,
+      { styleId: 'TOC1' }
+    ));
+  });
+  body.push(pageBreak());
+
+  sections.forEach((section, index) => {
+    const bookmark = `<w:bookmarkStart w:id="${index}" w:name="section_${index + 1}"/>${run(`${index + 1}. ${section.title}`)}<w:bookmarkEnd w:id="${index}"/>`;
+    body.push(paragraph(bookmark, { styleId: 'Heading1' }));
+    const blocks = parseBlocks(section.body);
+    if (blocks.length === 0) body.push(paragraph(run('No content yet.', { italic: true })));
+    blocks.forEach(block => body.push(blockXml(block)));
+  });
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${W_NS}><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>` +
+    '<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>';
+
+  const documentRels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships.join('')}</Relationships>`;
+
+  const core = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXml(title)}</dc:title>
+  <dc:creator>FlowSprint.AI</dc:creator>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${createdAt.toISOString()}</dcterms:created>
+</cp:coreProperties>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES, date: createdAt },
+    { name: '_rels/.rels', data: PACKAGE_RELS, date: createdAt },
+    { name: 'docProps/core.xml', data: core, date: createdAt },
+    { name: 'word/document.xml', data: document, date: createdAt },
+    { name: 'word/styles.xml', data: STYLES, date: createdAt },
+    { name: 'word/_rels/document.xml.rels', data: documentRels, date: createdAt }
+  ]);
+};
+
+module.exports = {
+  renderDocx
+};
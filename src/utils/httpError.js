@@ -0,0 +1,15 @@
+/**
+ * Errors carrying an HTTP status. Utilities throw them for bad input
+ * (400 by default) or missing data (404); controllers answer with
+ * error.statusCode and the message instead of a 500.
+ */
+
+const httpError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = {
+  httpError
+};
@@ -0,0 +1,206 @@
+/**
+ * Small Markdown reader for PRD bodies
+ *
+ * Covers what the models actually emit: ATX headings, paragraphs, nested
+ * bullet/numbered lists, fenced code, blockquotes, rules and simple tables,
+ * plus inline bold/italic/code/links. `parseBlocks` and `parseInline`
+ * produce a neutral token list so HTML and DOCX renderers share one parser.
+ */
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Only plain web/mail links survive; anything else (javascript:, data:) renders as text
+const safeHref = (href) => /^(https?:\/\/|mailto:|#|\/)/i.test(href.trim()) ? href.trim() : null;
+
+/**
+ * Inline runs: [{ text, bold?, italic?, code?, href? }]
+ */
+const parseInline = (text) => {
+  const runs = [];
+  const pattern = /`([^`]+)`|\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)|\*\*(.+?)\*\*|__(.+?)__|\*([^*\s][^*]*?)\*|_([^_\s][^_]*?)_|\\([\\`*_{}[\]()#+\-.!|>])/g;
+  let last = 0;
+  let match;
+
+  const pushText = (value, style = {}) => {
+    if (value) runs.push({ text: value, ...style });
+  };
+
+  while ((match = pattern.exec(text)) !== null) {
+    pushText(text.slice(last, match.index));
+    if (match[1] !== undefined) pushText(match[1], { code: true });
+    else if (match[2] !== undefined) {
+      const href = safeHref(match[3]);
+      pushText(match[2], href ? { href } : {});
+    } else if (match[4] !== undefined || match[5] !== undefined) {
+      parseInline(match[4] ?? match[5]).forEach(run => runs.push({ ...run, bold: true }));
+    } else if (match[6] !== undefined || match[7] !== undefined) {
+      parseInline(match[6] ?? match[7]).forEach(run => runs.push({ ...run, italic: true }));
+    } else pushText(match[8]);
+    last = pattern.lastIndex;
+  }
+  pushText(text.slice(last));
+
+  return runs;
+};
+
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+const splitRow = (line) => line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+
+/**
+ * Block tokens:
+ *   { type: 'heading', level, text } | { type: 'paragraph', text }
+ *   { type: 'list', items: [{ text, depth, ordered }] } | { type: 'code', lang, text }
+ *   { type: 'quote', text } | { type: 'table', header, rows } | { type: 'rule' }
+ */
+const parseBlocks = (markdown) => {
+  const lines = String(markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(/^\s*```\s*([\w+-]*)/);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !/^\s*```/.test(lines[i])) body.push(lines[i++]);
+      i++;
+      blocks.push({ type: 'code', lang: fence[1] || '', text: body.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      i++;
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1])) {
+      const header = splitRow(line);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].includes('|') && lines[i].trim()) rows.push(splitRow(lines[i++]));
+      blocks.push({ type: 'table', header, rows });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const items = [];
+      const indents = [];
+      while (i < lines.length && (LIST_ITEM.test(lines[i]) || (/^\s{2,}\S/.test(lines[i]) && items.length))) {
+        const item = lines[i].match(LIST_ITEM);
+        if (!item) {
+          // Indented continuation line of the previous item
+          items[items.length - 1].text += ` ${lines[i].trim()}`;
+          i++;
+          continue;
+        }
+        const width = item[1].replace(/\t/g, '    ').length;
+        // Switching between bullets and numbers at the top level starts a new list
+        if (items.length && width <= (indents[0] ?? 0) && /\d/.test(item[2]) !== items[0].ordered) break;
+        while (indents.length && indents[indents.length - 1] > width) indents.pop();
+        if (!indents.length || indents[indents.length - 1] < width) indents.push(width);
+        items.push({ text: item[3], depth: indents.length - 1, ordered: /\d/.test(item[2]) });
+        i++;
+      }
+      blocks.push({ type: 'list', items });
+      continue;
+    }
+
+    if (/^\s*>/.test(line)) {
+      const body = [];
+      while (i < lines.length && /^\s*>/.test(lines[i])) body.push(lines[i++].replace(/^\s*>\s?/, ''));
+      blocks.push({ type: 'quote', text: body.join(' ') });
+      continue;
+    }
+
+    const paragraph = [];
+    while (
+      i < lines.length && lines[i].trim() &&
+      !/^(#{1,6})\s|^\s*```|^\s*>/.test(lines[i]) && !LIST_ITEM.test(lines[i])
+    ) {
+      paragraph.push(lines[i++].trim());
+    }
+    blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+  }
+
+  return blocks;
+};
+
+const inlineToHtml = (text) => parseInline(text).map(run => {
+  let html = escapeHtml(run.text);
+  if (run.code) html = `<code>${html}</code>`;
+  if (run.bold) html = `<strong>${html}</strong>`;
+  if (run.italic) html = `<em>${html}</em>`;
+  if (run.href) html = `<a href="${escapeHtml(run.href)}">${html}</a>`;
+  return html;
+}).join('');
+
+const listToHtml = (items) => {
+  let html = '';
+  const open = [];
+
+  items.forEach((item, index) => {
+    const tag = item.ordered ? 'ol' : 'ul';
+    while (open.length > item.depth + 1) html += `</li></${open.pop()}>`;
+    if (open.length === item.depth + 1 && index > 0) html += '</li>';
+    while (open.length < item.depth + 1) {
+      html += `<${tag}>`;
+      open.push(tag);
+    }
+    html += `<li>${inlineToHtml(item.text)}`;
+  });
+  while (open.length) html += `</li></${open.pop()}>`;
+
+  return html;
+};
+
+// headingOffset shifts heading levels so section bodies nest under the section title
+const renderHtml = (markdown, { headingOffset = 0 } = {}) => parseBlocks(markdown).map(block => {
+  switch (block.type) {
+    case 'heading': {
+      const level = Math.min(block.level + headingOffset, 6);
+      return `<h${level}>${inlineToHtml(block.text)}</h${level}>`;
+    }
+    case 'list':
+      return listToHtml(block.items);
+    case 'code':
+      return `<pre><code${block.lang ? ` class="language-${escapeHtml(block.lang)}"` : ''}>${escapeHtml(block.text)}</code></pre>`;
+    case 'quote':
+      return `<blockquote>${inlineToHtml(block.text)}</blockquote>`;
+    case 'table':
+      return `<table><thead><tr>${block.header.map(cell => `<th>${inlineToHtml(cell)}</th>`).join('')}</tr></thead>` +
+        `<tbody>${block.rows.map(row => `<tr>${row.map(cell => `<td>${inlineToHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+    case 'rule':
+      return '<hr>';
+    default:
+      return `<p>${inlineToHtml(block.text)}</p>`;
+  }
+}).join('\n');
+
+module.exports = {
+  escapeHtml,
+  parseBlocks,
+  parseInline,
+  renderHtml
+};
@@ -0,0 +1,174 @@
+/**
+ * Mindmap export serializers
+ *
+ * Turns a stored mindmap (`id/title/description/type/children` nodes) into
+ * Mermaid, OPML 2.0, FreeMind, a Markdown outline or canonical JSON.
+ * Each format returns a string body plus its content type and file extension.
+ */
+
+const { toTree, nodeTitle } = require('./mindmapTree');
+const { slugify } = require('./text');
+const { httpError } = require('./httpError');
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+  .replace(/\r?\n/g, '&#10;')
+  // Control characters are not allowed in XML 1.0
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+// Mermaid labels are quoted; quotes become entity codes and newlines spaces
+const escapeMermaid = (value) => String(value ?? '')
+  .replace(/\s+/g, ' ')
+  .replace(/"/g, '#quot;')
+  .trim();
+
+// Mermaid node ids must be plain identifiers
+const mermaidId = (id, fallback) => {
+  const safe = String(id ?? '').replace(/[^A-Za-z0-9_]/g, '_');
+  return safe ? `n_${safe}` : fallback;
+};
+
+const escapeMarkdown = (value) => String(value ?? '')
+  .replace(/\s+/g, ' ')
+  .replace(/([\\`*_[\]<>#|])/g, '\\$1')
+  .trim();
+
+const toMermaid = (root) => {
+  const lines = ['mindmap'];
+  let counter = 0;
+
+  const visit = (node, depth) => {
+    const indent = '  '.repeat(depth + 1);
+    const id = mermaidId(node.id, `n_${counter}`);
+    counter++;
+    const label = escapeMermaid(nodeTitle(node)) || 'Untitled';
+    // Root as a circle, milestones rounded, everything else square
+    if (depth === 0) lines.push(`${indent}${id}(("${label}"))`);
+    else if (node.type === 'milestone') lines.push(`${indent}${id}("${label}")`);
+    else lines.push(`${indent}${id}["${label}"]`);
+    (node.children || []).forEach(child => visit(child, depth + 1));
+  };
+
+  visit(root, 0);
+  return `${lines.join('\n')}\n`;
+};
+
+const toOpml = (root, { title, exportedAt }) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${exportedAt.toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>'
+  ];
+
+  const visit = (node, depth) => {
+    const indent = '  '.repeat(depth + 2);
+    const attrs = [`text="${escapeXml(nodeTitle(node))}"`];
+    if (node.description) attrs.push(`_note="${escapeXml(node.description)}"`);
+    if (node.type) attrs.push(`nodeType="${escapeXml(node.type)}"`);
+    if (node.id !== undefined && node.id !== null) attrs.push(`nodeId="${escapeXml(node.id)}"`);
+
+    const children = node.children || [];
+    if (children.length === 0) {
+      lines.push(`${indent}<outline ${attrs.join(' ')}/>`);
+      return;
+    }
+    lines.push(`${indent}<outline ${attrs.join(' ')}>`);
+    children.forEach(child => visit(child, depth + 1));
+    lines.push(`${indent}</outline>`);
+  };
+
+  visit(root, 0);
+  lines.push('  </body>', '</opml>');
+  return `${lines.join('\n')}\n`;
+};
+
+const toFreeMind = (root) => {
+  const lines = ['<map version="1.0.1">'];
+  let counter = 0;
+
+  const visit = (node, depth) => {
+    const indent = '  '.repeat(depth + 1);
+    const id = `ID_${String(node.id ?? counter).replace(/[^A-Za-z0-9_]/g, '_')}`;
+    counter++;
+    lines.push(`${indent}<node ID="${escapeXml(id)}" TEXT="${escapeXml(nodeTitle(node))}"${depth === 1 ? ' FOLDED="false"' : ''}>`);
+    if (node.type) {
+      lines.push(`${indent}  <attribute NAME="type" VALUE="${escapeXml(node.type)}"/>`);
+    }
+    if (node.description) {
+      lines.push(
+        `${indent}  <richcontent TYPE="NOTE"><html><head/><body><p>${escapeXml(node.description)}</p></body></html></richcontent>`
+      );
+    }
+    (node.children || []).forEach(child => visit(child, depth + 1));
+    lines.push(`${indent}</node>`);
+  };
+
+  visit(root, 0);
+  lines.push('</map>');
+  return `${lines.join('\n')}\n`;
+};
+
+// Root becomes the heading; descriptions are continuation lines under each bullet
+const toMarkdown = (root) => {
+  const lines = [`# ${escapeMarkdown(nodeTitle(root)) || 'Mindmap'}`, ''];
+  if (root.description) lines.push(`> ${escapeMarkdown(root.description)}`, '');
+
+  const visit = (node, depth) => {
+    const indent = '  '.repeat(depth);
+    lines.push(`${indent}- ${escapeMarkdown(nodeTitle(node)) || 'Untitled'}`);
+    if (node.description) lines.push(`${indent}  ${escapeMarkdown(node.description)}`);
+    (node.children || []).forEach(child => visit(child, depth + 1));
+  };
+
+  (root.children || []).forEach(child => visit(child, 0));
+  return `${lines.join('\n')}\n`;
+};
+
+const toJson = (root, { title, revision, exportedAt }) => `${JSON.stringify({
+  title,
+  revision,
+  exportedAt: exportedAt.toISOString(),
+  mindmap: root
+}, null, 2)}\n`;
+
+const EXPORT_FORMATS = {
+  mermaid: { contentType: 'text/vnd.mermaid; charset=utf-8', extension: 'mmd', serialize: toMermaid },
+  opml: { contentType: 'text/x-opml; charset=utf-8', extension: 'opml', serialize: toOpml },
+  freemind: { contentType: 'application/x-freemind; charset=utf-8', extension: 'mm', serialize: toFreeMind },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md', serialize: toMarkdown },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json', serialize: toJson }
+};
+
+// Serialize a mindmap into `format`; returns { body, contentType, filename }
+const exportMindmap = (mindmap, format = 'json', { title, revision = null } = {}) => {
+  const spec = EXPORT_FORMATS[String(format).toLowerCase()];
+  if (!spec) {
+    throw httpError(`Unsupported export format "${format}". Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const root = toTree(mindmap);
+  if (!root) throw httpError('Mindmap is empty', 404);
+
+  const documentTitle = title || nodeTitle(root) || 'Mindmap';
+  const body = spec.serialize(root, { title: documentTitle, revision, exportedAt: new Date() });
+
+  return {
+    body,
+    contentType: spec.contentType,
+    filename: `${slugify(documentTitle, 'mindmap')}-mindmap.${spec.extension}`
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportMindmap,
+  escapeXml
+};
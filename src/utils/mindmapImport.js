@@ -0,0 +1,249 @@
+/**
+ * Mindmap import parsers
+ *
+ * Reads OPML, indented Markdown outlines and Mermaid `mindmap` blocks into
+ * the same `id/text/title/description/type/children` tree that
+ * `parseTextToMindmap` emits. Types come from `determineTaskType` unless
+ * the source carries one of our own node types (e.g. an OPML export).
+ */
+
+const { NODE_TYPES } = require('./mindmapTree');
+const { httpError } = require('./httpError');
+const { determineTaskType, generateMeaningfulDescription } = require('./mindmapNormalizer');
+
+const MAX_IMPORT_LENGTH = 1024 * 1024;
+const IMPORT_FORMATS = ['opml', 'markdown', 'mermaid'];
+
+const decodeXml = (value) => String(value ?? '')
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeXml(match[2] ?? match[3]);
+  }
+  return attributes;
+};
+
+// OPML: every <outline> becomes an item one level below its enclosing outline
+const parseOpml = (content) => {
+  if (!/<opml[\s>]/i.test(content)) throw httpError('Content is not an OPML document');
+
+  const titleMatch = content.match(/<head>[\s\S]*?<title>([\s\S]*?)<\/title>/i);
+  const items = [];
+  const pattern = /<outline\b([^>]*?)(\/?)>|<\/outline\s*>/gi;
+  let depth = 0;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    if (match[0].startsWith('</')) {
+      depth = Math.max(0, depth - 1);
+      continue;
+    }
+    const attributes = parseAttributes(match[1]);
+    items.push({
+      depth,
+      title: attributes.text || attributes.title || '',
+      description: attributes._note || attributes.note || '',
+      type: attributes.nodeType
+    });
+    if (!match[2]) depth++;
+  }
+
+  // The <head> title only names a synthetic root; a single top-level outline stays the root
+  return { title: null, description: null, documentTitle: titleMatch ? decodeXml(titleMatch[1]).trim() : null, items };
+};
+
+// Strip inline Markdown (links, emphasis, code, escapes) from a title.
+// Underscores only mark emphasis at word boundaries, so user_id stays intact
+const stripMarkdown = (text) => text
+  .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/(^|[^\\])\*\*(.+?)\*\*/g, '$1$2')
+  .replace(/(^|[^\\\w])__(.+?)__(?!\w)/g, '$1$2')
+  .replace(/(^|[^\\])\*(.+?)\*/g, '$1$2')
+  .replace(/(^|[^\\\w])_(.+?)_(?!\w)/g, '$1$2')
+  .replace(/`([^`]*)`/g, '$1')
+  .replace(/^\[[ xX]\]\s+/, '')
+  .replace(/\\([\\`*_{}[\]()#+\-.!<>|])/g, '$1')
+  .trim();
+
+const indentWidth = (line) => line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+
+// Markdown: "# " sets the root title, deeper headings open levels, bullets nest by indentation
+const parseMarkdown = (content) => {
+  const items = [];
+  let title = null;
+  let description = null;
+  let headingDepth = -1;
+  let indentStack = [];
+  let last = null;
+
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || /^\s*(```|---\s*$)/.test(line)) continue;
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    if (heading) {
+      const level = heading[1].length;
+      if (level === 1 && title === null && items.length === 0) {
+        title = stripMarkdown(heading[2]);
+        last = null;
+      } else {
+        headingDepth = Math.max(0, level - 2);
+        last = { depth: headingDepth, title: stripMarkdown(heading[2]), description: '' };
+        items.push(last);
+      }
+      indentStack = [];
+      continue;
+    }
+
+    const bullet = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/);
+    if (bullet) {
+      const width = indentWidth(bullet[1]);
+      while (indentStack.length && indentStack[indentStack.length - 1] > width) indentStack.pop();
+      if (!indentStack.length || indentStack[indentStack.length - 1] < width) indentStack.push(width);
+
+      last = { depth: headingDepth + indentStack.length, title: stripMarkdown(bullet[2]), description: '' };
+      items.push(last);
+      continue;
+    }
+
+    // Blockquote right under the title describes the root; other text describes the previous item
+    const text = stripMarkdown(line.replace(/^\s*>\s?/, ''));
+    if (!last && title !== null) {
+      description = description ? `${description} ${text}` : text;
+    } else if (last) {
+      last.description = last.description ? `${last.description} ${text}` : text;
+    }
+  }
+
+  return { title, description, items };
+};
+
+// Mermaid node shapes: id((text)), id(text), id[text], id{{text}}, id))text((, id)text(
+const MERMAID_SHAPE = /^([^\s([{)]*)\s*(\(\(|\)\)|\{\{|\(|\)|\[)(.*?)(\)\)|\(\(|\}\}|\)|\(|\])$/;
+
+const parseMermaidLabel = (text) => {
+  const match = text.match(MERMAID_SHAPE);
+  let label = match ? match[3] : text;
+  label = label.trim();
+  if (/^".*"$/.test(label)) label = label.slice(1, -1);
+  // Markdown-string labels: "`text`"
+  if (/^`.*`$/.test(label)) label = label.slice(1, -1);
+  return label
+    .replace(/#quot;/g, '"')
+    .replace(/#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .trim();
+};
+
+// Mermaid: indentation below the `mindmap` keyword defines nesting
+const parseMermaid = (content) => {
+  const lines = content.split(/\r?\n/);
+  const start = lines.findIndex(line => /^\s*mindmap\s*$/.test(line));
+  if (start === -1) throw httpError('Content has no Mermaid "mindmap" block');
+
+  const items = [];
+  const indentStack = [];
+
+  for (const line of lines.slice(start + 1)) {
+    if (/^\s*```/.test(line)) break;
+    const trimmed = line.trim();
+    // Skip blanks, comments, icons and class annotations
+    if (!trimmed || trimmed.startsWith('%%') || trimmed.startsWith('::icon') || trimmed.startsWith(':::')) continue;
+
+    const width = indentWidth(line);
+    while (indentStack.length && indentStack[indentStack.length - 1] > width) indentStack.pop();
+    if (!indentStack.length || indentStack[indentStack.length - 1] < width) indentStack.push(width);
+
+    items.push({
+      depth: indentStack.length - 1,
+      title: parseMermaidLabel(trimmed.replace(/:::.*$/, '').trim()),
+      description: ''
+    });
+  }
+
+  return { title: null, description: null, items };
+};
+
+const PARSERS = { opml: parseOpml, markdown: parseMarkdown, mermaid: parseMermaid };
+
+const detectFormat = (content) => {
+  const trimmed = content.trim();
+  if (trimmed.startsWith('<')) return 'opml';
+  if (/^\s*(```mermaid\s*\n\s*)?mindmap\s*$/m.test(trimmed.split(/\r?\n/).slice(0, 3).join('\n'))) return 'mermaid';
+  return 'markdown';
+};
+
+const makeNode = (id, { title, description, type }, isRoot = false) => ({
+  id,
+  text: title,
+  title,
+  description: description || generateMeaningfulDescription(title),
+  type: isRoot ? 'start' : (NODE_TYPES.includes(type) && type !== 'start' ? type : determineTaskType(title)),
+  children: []
+});
+
+// Turn flat (depth, title) items into a tree; depth jumps are clamped to one level
+const buildTree = ({ title, description, documentTitle, items }, fallbackTitle) => {
+  const usable = items.filter(item => item.title);
+  if (usable.length === 0) throw httpError('No mindmap nodes found in the imported content');
+
+  const topLevel = usable.filter(item => item.depth === usable[0].depth);
+  let root;
+  let rest = usable;
+
+  // A single top-level item (e.g. an exported tree) becomes the root itself
+  if (!title && topLevel.length === 1 && usable[0].depth === Math.min(...usable.map(item => item.depth))) {
+    root = makeNode('root', usable[0], true);
+    rest = usable.slice(1);
+  } else {
+    const rootTitle = title || documentTitle || fallbackTitle || 'Imported Roadmap';
+    root = makeNode('root', { title: rootTitle, description: description || `Imported roadmap for ${rootTitle}` }, true);
+  }
+
+  const stack = [{ node: root, depth: -Infinity }];
+  let nodeId = 1;
+
+  for (const item of rest) {
+    while (stack.length > 1 && stack[stack.length - 1].depth >= item.depth) stack.pop();
+    const node = makeNode(`node_${nodeId++}`, item);
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ node, depth: item.depth });
+  }
+
+  return root;
+};
+
+// Parse `content` in `format` (auto-detected when omitted); returns { mindmap, format }
+const importMindmap = (content, { format, title } = {}) => {
+  if (typeof content !== 'string' || !content.trim()) {
+    throw httpError('content must be a non-empty string');
+  }
+  if (content.length > MAX_IMPORT_LENGTH) {
+    throw httpError(`content must be at most ${MAX_IMPORT_LENGTH} characters`, 413);
+  }
+
+  const resolvedFormat = format ? String(format).toLowerCase() : detectFormat(content);
+  const parser = PARSERS[resolvedFormat];
+  if (!parser) {
+    throw httpError(`Unsupported import format "${format}". Use one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+
+  return {
+    mindmap: buildTree(parser(content), title),
+    format: resolvedFormat
+  };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  importMindmap,
+  detectFormat
+};
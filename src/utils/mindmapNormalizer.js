@@ -0,0 +1,477 @@
+/**
+ * Mindmap Normalizer - canonical mindmap schema shared by every provider
+ *
+ * Canonical node:
+ *   {
+ *     id: string,            unique within the tree
+ *     text: string,          same as title (kept for older frontends)
+ *     title: string,         plain text, no markdown
+ *     description: string,
+ *     type: 'start' | 'milestone' | 'task' | 'component' | 'end',
+ *     children: Node[]
+ *   }
+ *
+ * The root is a single node of type 'start'. `normalizeMindmap` accepts raw
+ * provider output (chat completion responses, JSON strings, `{ mindmap }`
+ * envelopes, flat `{ nodes: [...] }` lists or free text) and always returns a
+ * canonical tree plus a repair report describing what had to be fixed.
+ */
+
+const { NODE_TYPES, toTree } = require('./mindmapTree');
+const { chatContent } = require('./text');
+
+const MAX_DEPTH = parseInt(process.env.MINDMAP_MAX_DEPTH, 10) || 6;
+const MAX_NODES = parseInt(process.env.MINDMAP_MAX_NODES, 10) || 500;
+const MAX_TITLE_LENGTH = 200;
+
+// Loose type names models tend to produce
+const TYPE_ALIASES = {
+  root: 'start',
+  project: 'start',
+  phase: 'milestone',
+  section: 'milestone',
+  epic: 'milestone',
+  feature: 'task',
+  subtask: 'task',
+  story: 'task',
+  ui: 'component',
+  page: 'component',
+  screen: 'component',
+  deployment: 'end',
+  launch: 'end'
+};
+
+// Helper function to convert text response to mindmap tree structure
+const parseTextToMindmap = (content) => {
+  // Parse lines and organize into hierarchical structure
+  const lines = content.split('\n').filter(line => line.trim());
+  const children = [];
+  let nodeId = 1;
+  
+  // Group lines by sections/phases
+  let currentSection = null;
+  const sections = [];
+  
+  for (const line of lines) {
+    let trimmed = line.trim();
+    if (!trimmed || trimmed.length < 5) continue;
+    
+    // Skip meta-text lines
+    if (trimmed.toLowerCase().includes('here is a') || 
+        trimmed.toLowerCase().includes('this mindmap') ||
+        trimmed.toLowerCase().includes('detailed technical development') ||
+        trimmed.toLowerCase().includes('comprehensive roadmap')) {
+      continue;
+    }
+    
+    // Clean title: remove markdown formatting
+    const cleanTitle = cleanNodeTitle(trimmed);
+    if (!cleanTitle || cleanTitle.length < 3) continue;
+    
+    // Generate meaningful description
+    const description = generateMeaningfulDescription(cleanTitle);
+    
+    // Detect section headers (SETUP, DEVELOPMENT, etc.)
+    if (trimmed.match(/^[A-Z\s]+:/) || trimmed.includes('PHASE') || trimmed.includes('SETUP') || trimmed.includes('DEVELOPMENT')) {
+      if (currentSection) sections.push(currentSection);
+      currentSection = {
+        id: `section_${sections.length + 1}`,
+        text: cleanTitle,
+        title: cleanTitle,
+        description: description,
+        type: 'milestone',
+        children: []
+      };
+    } else if (currentSection) {
+      // Add task to current section
+      currentSection.children.push({
+        id: `node_${nodeId++}`,
+        text: cleanTitle,
+        title: cleanTitle,
+        description: description,
+        type: determineTaskType(cleanTitle)
+      });
+    } else {
+      // Standalone task
+      children.push({
+        id: `node_${nodeId++}`,
+        text: cleanTitle,
+        title: cleanTitle,
+        description: description,
+        type: nodeId <= 3 ? 'start' : determineTaskType(cleanTitle)
+      });
+    }
+  }
+  
+  // Add final section
+  if (currentSection) sections.push(currentSection);
+  
+  // If we have sections, use them as children
+  if (sections.length > 0) {
+    children.push(...sections);
+  }
+  
+  // Create root tree structure
+  return {
+    id: 'root',
+    text: 'Project Development Roadmap',
+    title: 'Project Development Roadmap', 
+    description: 'Comprehensive technical development roadmap with detailed implementation tasks and milestones',
+    type: 'start',
+    children: children.length > 0 ? children : [
+      {
+        id: 'node_1',
+        text: 'Development tasks generated from AI',
+        title: 'Development tasks generated from AI',
+        description: 'AI-generated development tasks and technical implementation details',
+        type: 'task'
+      }
+    ]
+  };
+};
+
+// Clean node titles - remove markdown and formatting
+const cleanNodeTitle = (text) => {
+  return text
+    .replace(/^\*\*|\*\*$/g, '') // Remove bold markdown (**text**)
+    .replace(/^[-*•]\s*/, '') // Remove bullet points
+    .replace(/^\d+\.\s*/, '') // Remove numbering (1. 2.)
+    .replace(/^#+\s*/, '') // Remove headers (# ##)
+    .replace(/^[A-Z\s]+:\s*/, '') // Remove "PHASE:" patterns
+    .replace(/[*_]{1,2}/g, '') // Remove remaining markdown
+    .trim();
+};
+
+// Generate meaningful descriptions instead of "title: Implementation and technical details"
+const generateMeaningfulDescription = (title) => {
+  const lowerTitle = title.toLowerCase();
+  
+  if (lowerTitle.includes('setup') || lowerTitle.includes('initialize')) {
+    return `Configure and set up ${title.toLowerCase()}, including necessary dependencies, environment variables, and initial configuration`;
+  } else if (lowerTitle.includes('implement') || lowerTitle.includes('develop') || lowerTitle.includes('create')) {
+    return `Build and implement ${title.toLowerCase()}, including core functionality, error handling, validation, and integration`;
+  } else if (lowerTitle.includes('test') || lowerTitle.includes('testing')) {
+    return `Write comprehensive tests for ${title.toLowerCase()}, including unit tests, integration tests, and validation scenarios`;
+  } else if (lowerTitle.includes('deploy') || lowerTitle.includes('deployment')) {
+    return `Deploy and configure ${title.toLowerCase()} in production environment with monitoring, logging, and performance optimization`;
+  } else if (lowerTitle.includes('database') || lowerTitle.includes('schema')) {
+    return `Design and implement ${title.toLowerCase()}, including data models, relationships, indexes, and migration scripts`;
+  } else if (lowerTitle.includes('api') || lowerTitle.includes('endpoint')) {
+    return `Develop ${title.toLowerCase()} with proper routing, validation, authentication, rate limiting, and error responses`;
+  } else if (lowerTitle.includes('component') || lowerTitle.includes('ui')) {
+    return `Build ${title.toLowerCase()} with responsive design, proper state management, accessibility, and user interactions`;
+  } else {
+    return `Complete the technical implementation of ${title.toLowerCase()} with proper integration, testing, and documentation`;
+  }
+};
+
+// Determine appropriate task type based on content
+const determineTaskType = (title) => {
+  const lowerTitle = title.toLowerCase();
+  
+  if (lowerTitle.includes('deploy') || lowerTitle.includes('launch') || lowerTitle.includes('production')) return 'end';
+  if (lowerTitle.includes('milestone') || lowerTitle.includes('phase') || lowerTitle.includes('mvp')) return 'milestone';
+  if (lowerTitle.includes('component') || lowerTitle.includes('ui') || lowerTitle.includes('frontend')) return 'component';
+  
+  return 'task';
+};
+
+// Chat-completion responses carry the tree as message text; anything else is the tree itself
+const extractContent = (raw) => chatContent(raw) ?? raw;
+
+// Best-effort JSON parse of model text: plain, fenced, or embedded in prose
+const parseJsonLoose = (text) => {
+  const candidates = [text.trim()];
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) candidates.push(fenced[1].trim());
+
+  const first = text.indexOf('{');
+  const last = text.lastIndexOf('}');
+  if (first !== -1 && last > first) candidates.push(text.slice(first, last + 1));
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  return null;
+};
+
+// Build a tree from a flat node list, honouring parent references when present
+const treeFromNodeList = (nodes, title, report) => {
+  const byId = new Map();
+  nodes.forEach(node => {
+    if (node && node.id !== undefined) byId.set(String(node.id), { ...node, children: [...(node.children || [])] });
+  });
+
+  const hasParentRefs = nodes.some(node => node && (node.parentId ?? node.parent) !== undefined);
+  const root = {
+    id: 'root',
+    title: title || 'Project Development Roadmap',
+    type: 'start',
+    children: []
+  };
+
+  for (const node of nodes) {
+    if (!node || typeof node !== 'object') continue;
+    const copy = node.id !== undefined ? byId.get(String(node.id)) : { ...node };
+    const parentRef = node.parentId ?? node.parent;
+    const parent = hasParentRefs && parentRef !== undefined && parentRef !== null
+      ? byId.get(String(parentRef))
+      : null;
+
+    if (parent && parent !== copy) {
+      parent.children.push(copy);
+    } else {
+      root.children.push(copy);
+    }
+  }
+
+  // Parent references that loop (a -> b -> a) never reach the root: cut each
+  // such cycle at its first node and hang that node under the root
+  const reachable = new Set();
+  const mark = (node) => {
+    if (!node || reachable.has(node)) return;
+    reachable.add(node);
+    (node.children || []).forEach(mark);
+  };
+  mark(root);
+
+  for (const [id, copy] of byId) {
+    if (reachable.has(copy)) continue;
+    const parent = byId.get(String(copy.parentId ?? copy.parent));
+    if (parent) parent.children = parent.children.filter(child => child !== copy);
+    root.children.push(copy);
+    mark(copy);
+    report.issues.push(`Node ${id}: parent references form a cycle, attached to root`);
+  }
+
+  report.issues.push('Converted flat node list into a tree');
+  return root;
+};
+
+// Turn any accepted input into an (unvalidated) root node object
+const coerceRoot = (raw, report, parseText) => {
+  let value = extractContent(raw);
+
+  if (typeof value === 'string') {
+    const parsed = parseJsonLoose(value);
+    if (parsed) {
+      value = parsed;
+    } else {
+      report.issues.push('Model output was not JSON, parsed as text outline');
+      report.fallback = 'text';
+      return parseText(value);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return treeFromNodeList(value, null, report);
+  }
+
+  if (!value || typeof value !== 'object') {
+    report.issues.push('Model output was empty');
+    return null;
+  }
+
+  if (value.mindmap && typeof value.mindmap === 'object') {
+    return coerceRoot(value.mindmap, report, parseText);
+  }
+
+  if (Array.isArray(value.nodes) && !Array.isArray(value.children)) {
+    return treeFromNodeList(value.nodes, value.title || value.text, report);
+  }
+
+  return value;
+};
+
+const firstString = (...values) => values.find(value => typeof value === 'string' && value.trim());
+
+const normalizeType = (rawType, title, isRoot, report, id) => {
+  if (isRoot) return 'start';
+  if (NODE_TYPES.includes(rawType)) return rawType;
+
+  const alias = typeof rawType === 'string' ? TYPE_ALIASES[rawType.toLowerCase()] : null;
+  if (alias) return alias;
+
+  if (rawType !== undefined) {
+    report.issues.push(`Node ${id}: unknown type "${rawType}" replaced`);
+  }
+  return determineTaskType(title);
+};
+
+/**
+ * Normalize provider output into the canonical mindmap tree.
+ * Returns { mindmap, report } where report = { repaired, fallback, issues, stats }.
+ * cleanTitles: false keeps user-written titles as they are (only whitespace is collapsed).
+ */
+const normalizeMindmap = (raw, { maxDepth = MAX_DEPTH, maxNodes = MAX_NODES, parseText = parseTextToMindmap, cleanTitles = true } = {}) => {
+  const report = {
+    repaired: false,
+    fallback: null,
+    issues: [],
+    stats: { nodeCount: 0, maxDepth: 0, droppedNodes: 0, renamedIds: 0, missingDescriptions: 0 }
+  };
+
+  let source = coerceRoot(raw, report, parseText);
+  if (!source || typeof source !== 'object') {
+    source = parseText('');
+    report.fallback = report.fallback || 'empty';
+  }
+
+  const usedIds = new Set();
+  let generatedId = 0;
+
+  const uniqueId = (rawId) => {
+    let id = rawId === undefined || rawId === null || String(rawId).trim() === ''
+      ? null
+      : String(rawId).trim();
+
+    if (!id) {
+      do {
+        id = `node_${++generatedId}`;
+      } while (usedIds.has(id));
+      report.stats.renamedIds++;
+    } else if (usedIds.has(id)) {
+      const base = id;
+      let suffix = 2;
+      while (usedIds.has(`${base}_${suffix}`)) suffix++;
+      id = `${base}_${suffix}`;
+      report.issues.push(`Duplicate id "${base}" renamed to "${id}"`);
+      report.stats.renamedIds++;
+    }
+
+    usedIds.add(id);
+    return id;
+  };
+
+  const countSubtree = (node) => 1 + (Array.isArray(node?.children) ? node.children.reduce((sum, child) => sum + countSubtree(child), 0) : 0);
+
+  const build = (node, depth) => {
+    const isRoot = depth === 0;
+    const id = isRoot ? 'root' : uniqueId(node.id);
+
+    const rawTitle = firstString(node.title, node.text, node.name, node.label, node.topic, node.content);
+    let title = '';
+    if (rawTitle) title = cleanTitles ? cleanNodeTitle(rawTitle) : rawTitle.replace(/\s+/g, ' ').trim();
+    if (!title) {
+      title = isRoot ? 'Project Development Roadmap' : `Untitled node ${id}`;
+      report.issues.push(`Node ${id}: missing title`);
+    }
+    if (title.length > MAX_TITLE_LENGTH) {
+      title = `${title.slice(0, MAX_TITLE_LENGTH - 3)}...`;
+      report.issues.push(`Node ${id}: title truncated`);
+    }
+
+    let description = firstString(node.description, node.desc, node.details, node.summary);
+    if (!description) {
+      description = generateMeaningfulDescription(title);
+      if (!isRoot) report.stats.missingDescriptions++;
+    }
+
+    report.stats.nodeCount++;
+    report.stats.maxDepth = Math.max(report.stats.maxDepth, depth);
+
+    const normalized = {
+      id,
+      text: title,
+      title,
+      description: description.trim(),
+      type: normalizeType(node.type, title, isRoot, report, id),
+      children: []
+    };
+
+    const rawChildren = Array.isArray(node.children)
+      ? node.children
+      : Array.isArray(node.nodes) ? node.nodes : [];
+
+    for (const child of rawChildren) {
+      const childNode = typeof child === 'string' && child.trim() ? { title: child } : child;
+
+      if (!childNode || typeof childNode !== 'object' || Array.isArray(childNode)) {
+        report.issues.push(`Node ${id}: skipped invalid child`);
+        continue;
+      }
+
+      if (depth + 1 > maxDepth) {
+        report.stats.droppedNodes += countSubtree(childNode);
+        continue;
+      }
+      if (report.stats.nodeCount >= maxNodes) {
+        report.stats.droppedNodes += countSubtree(childNode);
+        continue;
+      }
+
+      normalized.children.push(build(childNode, depth + 1));
+    }
+
+    return normalized;
+  };
+
+  const mindmap = build(source, 0);
+
+  if (report.stats.droppedNodes > 0) {
+    report.issues.push(`Dropped ${report.stats.droppedNodes} nodes beyond depth ${maxDepth} or the ${maxNodes}-node limit`);
+  }
+  if (report.stats.missingDescriptions) {
+    report.issues.push(`Generated descriptions for ${report.stats.missingDescriptions} nodes`);
+  }
+
+  report.repaired = report.issues.length > 0;
+  return { mindmap, report };
+};
+
+// List schema violations of an already-stored tree (empty when canonical)
+const validateMindmap = (mindmap, { maxDepth = MAX_DEPTH } = {}) => {
+  const errors = [];
+  const ids = new Set();
+
+  const visit = (node, depth, path) => {
+    if (!node || typeof node !== 'object') {
+      errors.push(`${path}: node must be an object`);
+      return;
+    }
+    if (typeof node.id !== 'string' || !node.id) errors.push(`${path}: id must be a non-empty string`);
+    else if (ids.has(node.id)) errors.push(`${path}: duplicate id "${node.id}"`);
+    else ids.add(node.id);
+
+    if (typeof node.title !== 'string' || !node.title.trim()) errors.push(`${path}: title is required`);
+    if (node.text !== node.title) errors.push(`${path}: text must match title`);
+    if (typeof node.description !== 'string') errors.push(`${path}: description must be a string`);
+    if (!NODE_TYPES.includes(node.type)) errors.push(`${path}: invalid type "${node.type}"`);
+    if (depth > maxDepth) errors.push(`${path}: deeper than ${maxDepth} levels`);
+    if (!Array.isArray(node.children)) {
+      errors.push(`${path}: children must be an array`);
+      return;
+    }
+
+    node.children.forEach((child, index) => visit(child, depth + 1, `${path}.children[${index}]`));
+  };
+
+  visit(mindmap, 0, 'root');
+  return errors;
+};
+
+// Stored mindmap as a canonical tree. Trees written before the canonical schema
+// are normalized without pruning, and their titles are kept as written
+const upgradeMindmap = (mindmap) => {
+  const tree = toTree(mindmap);
+  if (tree && validateMindmap(tree, { maxDepth: Infinity }).length === 0) return tree;
+
+  return normalizeMindmap(mindmap, { maxDepth: Infinity, maxNodes: Infinity, cleanTitles: false }).mindmap;
+};
+
+module.exports = {
+  MAX_DEPTH,
+  MAX_NODES,
+  normalizeMindmap,
+  validateMindmap,
+  upgradeMindmap,
+  parseTextToMindmap,
+  cleanNodeTitle,
+  generateMeaningfulDescription,
+  determineTaskType
+};
@@ -0,0 +1,402 @@
+/**
+ * Mindmap tree helpers
+ *
+ * Works on the `id/text/title/description/type/children` node shape that
+ * `parseTextToMindmap` produces. Provider envelopes (`{ mindmap: {...} }`)
+ * and flat `{ nodes: [...] }` results are unwrapped into a single root.
+ */
+
+const { httpError } = require('./httpError');
+
+// Unwrap stored mindmap data into a root node
+const toTree = (mindmap) => {
+  if (!mindmap || typeof mindmap !== 'object') return null;
+  if (mindmap.mindmap && typeof mindmap.mindmap === 'object') return toTree(mindmap.mindmap);
+
+  if (Array.isArray(mindmap.nodes) && !Array.isArray(mindmap.children)) {
+    return {
+      id: 'root',
+      text: mindmap.title || 'Project Development Roadmap',
+      title: mindmap.title || 'Project Development Roadmap',
+      type: 'start',
+      children: mindmap.nodes
+    };
+  }
+
+  return mindmap;
+};
+
+const nodeTitle = (node) => node.title || node.text || '';
+
+// Node types used by parseTextToMindmap and determineTaskType
+const NODE_TYPES = ['start', 'milestone', 'task', 'component', 'end'];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// Depth-first walk; visitor receives (node, parent, index, depth)
+const walk = (root, visitor, parent = null, index = 0, depth = 0) => {
+  if (!root) return;
+  visitor(root, parent, index, depth);
+  (root.children || []).forEach((child, i) => walk(child, visitor, root, i, depth + 1));
+};
+
+// Map of node id -> { node, parentId, index, depth }
+const indexTree = (root) => {
+  const index = new Map();
+  walk(root, (node, parent, position, depth) => {
+    if (node.id === undefined || node.id === null) return;
+    index.set(String(node.id), {
+      node,
+      parentId: parent ? String(parent.id) : null,
+      index: position,
+      depth
+    });
+  });
+  return index;
+};
+
+const countNodes = (root) => {
+  let count = 0;
+  walk(root, () => count++);
+  return count;
+};
+
+// Longest common subsequence of two id lists, as a Set of the kept ids
+const stableIds = (a, b) => {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const kept = new Set();
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      kept.add(a[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return kept;
+};
+
+// Ids of children, per parent, that exist in both trees under the same parent
+const siblingOrder = (index, other) => {
+  const byParent = new Map();
+  for (const [id, entry] of index) {
+    const counterpart = other.get(id);
+    if (!counterpart || counterpart.parentId !== entry.parentId) continue;
+    if (!byParent.has(entry.parentId)) byParent.set(entry.parentId, []);
+    byParent.get(entry.parentId).push({ id, index: entry.index });
+  }
+  for (const [parentId, list] of byParent) {
+    byParent.set(parentId, list.sort((x, y) => x.index - y.index).map(item => item.id));
+  }
+  return byParent;
+};
+
+/**
+ * Structural node-level diff between two mindmaps, matched by node id.
+ * Returns added, removed, renamed, moved and updated (description/type) nodes.
+ */
+const diffTrees = (fromMindmap, toMindmap) => {
+  const from = indexTree(toTree(fromMindmap));
+  const to = indexTree(toTree(toMindmap));
+
+  const added = [];
+  const removed = [];
+  const renamed = [];
+  const moved = [];
+  const updated = [];
+
+  // Nodes that kept their parent only count as moved when their order among
+  // surviving siblings changed, so inserting a sibling does not shift everyone
+  const fromOrder = siblingOrder(from, to);
+  const toOrder = siblingOrder(to, from);
+  const reordered = new Set();
+  for (const [parentId, ids] of toOrder) {
+    const kept = stableIds(fromOrder.get(parentId) || [], ids);
+    ids.filter(id => !kept.has(id)).forEach(id => reordered.add(id));
+  }
+
+  for (const [id, entry] of to) {
+    const previous = from.get(id);
+
+    if (!previous) {
+      added.push({ id, title: nodeTitle(entry.node), parentId: entry.parentId, index: entry.index });
+      continue;
+    }
+
+    const oldTitle = nodeTitle(previous.node);
+    const newTitle = nodeTitle(entry.node);
+    if (oldTitle !== newTitle) {
+      renamed.push({ id, from: oldTitle, to: newTitle });
+    }
+
+    if (previous.parentId !== entry.parentId || reordered.has(id)) {
+      moved.push({
+        id,
+        title: newTitle,
+        from: { parentId: previous.parentId, index: previous.index },
+        to: { parentId: entry.parentId, index: entry.index }
+      });
+    }
+
+    const changes = {};
+    for (const field of ['description', 'type']) {
+      if ((previous.node[field] || null) !== (entry.node[field] || null)) {
+        changes[field] = { from: previous.node[field] || null, to: entry.node[field] || null };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      updated.push({ id, title: newTitle, changes });
+    }
+  }
+
+  for (const [id, entry] of from) {
+    if (!to.has(id)) {
+      removed.push({ id, title: nodeTitle(entry.node), parentId: entry.parentId, index: entry.index });
+    }
+  }
+
+  return {
+    added,
+    removed,
+    renamed,
+    moved,
+    updated,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      renamed: renamed.length,
+      moved: moved.length,
+      updated: updated.length,
+      unchanged: added.length + removed.length + renamed.length + moved.length + updated.length === 0
+    }
+  };
+};
+
+// Locate a node by id: { node, parent, index } or null
+const findNode = (root, nodeId) => {
+  let found = null;
+  walk(root, (node, parent, index) => {
+    if (!found && String(node.id) === String(nodeId)) {
+      found = { node, parent, index };
+    }
+  });
+  return found;
+};
+
+// Nodes from the root down to (and including) the node with nodeId, or null
+const findPath = (root, nodeId) => {
+  if (!root) return null;
+  if (String(root.id) === String(nodeId)) return [root];
+
+  for (const child of root.children || []) {
+    const path = findPath(child, nodeId);
+    if (path) return [root, ...path];
+  }
+  return null;
+};
+
+// Next free `node_<n>` id in the tree
+const nextNodeId = (root) => {
+  let max = 0;
+  walk(root, (node) => {
+    const match = /^node_(\d+)$/.exec(String(node.id));
+    if (match) max = Math.max(max, parseInt(match[1], 10));
+  });
+  return `node_${max + 1}`;
+};
+
+// Validate editable node fields; `partial` allows omitting the title
+const validateNodeFields = (fields, { partial = false } = {}) => {
+  const { title, description, type } = fields;
+
+  if (title !== undefined || !partial) {
+    if (typeof title !== 'string' || !title.trim()) {
+      throw httpError('Node title must be a non-empty string');
+    }
+    if (title.trim().length > MAX_TITLE_LENGTH) {
+      throw httpError(`Node title must be at most ${MAX_TITLE_LENGTH} characters`);
+    }
+  }
+
+  if (description !== undefined && description !== null) {
+    if (typeof description !== 'string') {
+      throw httpError('Node description must be a string');
+    }
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw httpError(`Node description must be at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+  }
+
+  if (type !== undefined && !NODE_TYPES.includes(type)) {
+    throw httpError(`Node type must be one of: ${NODE_TYPES.join(', ')}`);
+  }
+};
+
+const clampPosition = (position, length) => {
+  if (position === undefined || position === null) return length;
+  const value = parseInt(position, 10);
+  if (!Number.isInteger(value) || value < 0) {
+    throw httpError('Position must be a non-negative integer');
+  }
+  return Math.min(value, length);
+};
+
+const requireNode = (root, nodeId) => {
+  const found = findNode(root, nodeId);
+  if (!found) {
+    throw httpError(`Node ${nodeId} not found`, 404);
+  }
+  return found;
+};
+
+// Levels below a node: 0 for a leaf
+const subtreeHeight = (node) => (
+  (node.children || []).reduce((height, child) => Math.max(height, subtreeHeight(child) + 1), 0)
+);
+
+// Refuse to place a subtree of `height` levels under the node at `parentDepth`
+const checkDepth = (parentDepth, height, maxDepth) => {
+  if (parentDepth + 1 + height > maxDepth) {
+    throw httpError(`Mindmap nodes cannot be nested more than ${maxDepth} levels deep`);
+  }
+};
+
+/*
+ * Edit operations. Each takes the stored mindmap, returns
+ * { mindmap, node } with a new tree and leaves the input untouched.
+ * addChild and moveNode refuse edits past the { maxDepth, maxNodes }
+ * limits they are given (the root is at depth 0).
+ */
+
+const addChild = (mindmap, parentId, fields, { maxDepth = Infinity, maxNodes = Infinity } = {}) => {
+  validateNodeFields(fields);
+
+  const root = structuredClone(toTree(mindmap));
+  const { node: parent } = requireNode(root, parentId);
+
+  checkDepth(findPath(root, parent.id).length - 1, 0, maxDepth);
+  if (countNodes(root) >= maxNodes) {
+    throw httpError(`A mindmap can have at most ${maxNodes} nodes`);
+  }
+
+  const title = fields.title.trim();
+  const child = {
+    id: nextNodeId(root),
+    text: title,
+    title,
+    description: fields.description || '',
+    type: fields.type || 'task',
+    children: []
+  };
+
+  parent.children = parent.children || [];
+  parent.children.splice(clampPosition(fields.position, parent.children.length), 0, child);
+
+  return { mindmap: root, node: child };
+};
+
+const updateNode = (mindmap, nodeId, fields) => {
+  validateNodeFields(fields, { partial: true });
+
+  const root = structuredClone(toTree(mindmap));
+  const { node } = requireNode(root, nodeId);
+
+  if (fields.title !== undefined) {
+    node.title = fields.title.trim();
+    node.text = node.title;
+  }
+  if (fields.description !== undefined) node.description = fields.description || '';
+  if (fields.type !== undefined) node.type = fields.type;
+
+  return { mindmap: root, node };
+};
+
+const moveNode = (mindmap, nodeId, { parentId, position } = {}, { maxDepth = Infinity } = {}) => {
+  const root = structuredClone(toTree(mindmap));
+  const { node, parent } = requireNode(root, nodeId);
+
+  if (!parent) {
+    throw httpError('The root node cannot be moved');
+  }
+
+  const targetId = parentId === undefined || parentId === null ? parent.id : parentId;
+  if (findNode(node, targetId)) {
+    throw httpError('A node cannot be moved into itself or its own subtree');
+  }
+  const { node: target } = requireNode(root, targetId);
+  checkDepth(findPath(root, target.id).length - 1, subtreeHeight(node), maxDepth);
+
+  parent.children = parent.children.filter(child => child !== node);
+  target.children = target.children || [];
+  target.children.splice(clampPosition(position, target.children.length), 0, node);
+
+  return { mindmap: root, node };
+};
+
+const removeNode = (mindmap, nodeId) => {
+  const root = structuredClone(toTree(mindmap));
+  const { node, parent } = requireNode(root, nodeId);
+
+  if (!parent) {
+    throw httpError('The root node cannot be deleted');
+  }
+
+  parent.children = parent.children.filter(child => child !== node);
+
+  return { mindmap: root, node, removedCount: countNodes(node) };
+};
+
+// Attach generated nodes under nodeId with fresh ids; `replace` swaps out the existing subtree
+const graftChildren = (mindmap, nodeId, children, { replace = false } = {}) => {
+  const root = structuredClone(toTree(mindmap));
+  const { node } = requireNode(root, nodeId);
+
+  const grafted = structuredClone(children || []);
+  node.children = replace ? [] : (node.children || []);
+  node.children.push(...grafted);
+
+  // Re-id after attaching so new ids never collide with the surviving tree
+  let addedCount = 0;
+  const isGrafted = new Set();
+  grafted.forEach(child => walk(child, n => isGrafted.add(n)));
+  let next = parseInt(nextNodeId(root).slice('node_'.length), 10);
+  walk(root, (n) => {
+    if (isGrafted.has(n)) {
+      n.id = `node_${next++}`;
+      addedCount++;
+    }
+  });
+
+  return { mindmap: root, node, addedCount };
+};
+
+module.exports = {
+  NODE_TYPES,
+  toTree,
+  nodeTitle,
+  walk,
+  indexTree,
+  countNodes,
+  diffTrees,
+  findNode,
+  findPath,
+  nextNodeId,
+  validateNodeFields,
+  addChild,
+  updateNode,
+  moveNode,
+  removeNode,
+  graftChildren
+};
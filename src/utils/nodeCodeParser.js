@@ -0,0 +1,341 @@
+/**
+ * Node code response parser
+ *
+ * Splits a node-code generation response into separate files, each with its
+ * own name, path, language and PRD. Understands the two formats the prompts
+ * ask for:
+ *   - metaLlamaService.buildNodeCodePrompt: per file a
+ *     "## Product Requirements Document" block with "### File: Name.tsx",
+ *     followed by "## Implementation Code" and a fenced code block
+ *   - providerContract node-code task prompt: JSON with "prd" and "code"
+ *     fields per file ({ files: [...] }, a bare array or a single object)
+ * Responses with fenced code but no file headings become one file per fence,
+ * and anything else is kept as a single file.
+ */
+
+const EXTENSION_LANGUAGES = {
+  ts: 'typescript',
+  tsx: 'typescript',
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  py: 'python',
+  java: 'java',
+  go: 'go',
+  rb: 'ruby',
+  css: 'css',
+  scss: 'scss',
+  html: 'html',
+  json: 'json',
+  md: 'markdown',
+  sql: 'sql',
+  yml: 'yaml',
+  yaml: 'yaml',
+  sh: 'shell',
+  prisma: 'prisma'
+};
+
+// Fence info strings that name a language rather than the project's default
+const FENCE_LANGUAGES = {
+  ts: 'typescript',
+  tsx: 'typescript',
+  typescript: 'typescript',
+  js: 'javascript',
+  jsx: 'javascript',
+  javascript: 'javascript',
+  py: 'python',
+  python: 'python',
+  css: 'css',
+  scss: 'scss',
+  html: 'html',
+  json: 'json',
+  sql: 'sql',
+  yaml: 'yaml',
+  yml: 'yaml',
+  bash: 'shell',
+  sh: 'shell',
+  shell: 'shell',
+  java: 'java',
+  go: 'go',
+  markdown: 'markdown',
+  md: 'markdown'
+};
+
+const DEFAULT_EXTENSIONS = {
+  typescript: 'tsx',
+  javascript: 'jsx',
+  python: 'py',
+  java: 'java',
+  html: 'html',
+  css: 'css',
+  json: 'json',
+  markdown: 'md'
+};
+
+const FILE_HEADING = /^[ \t]*(?:#{1,6}[ \t]*|\*\*)(?:\d+\.[ \t]*)?File(?:name)?[ \t]*:?[ \t]*(?:\*\*)?[ \t]*(.+)$/gim;
+const FENCE = /^[ \t]*```([^\n`]*)\n([\s\S]*?)^[ \t]*```[ \t]*$/gm;
+const FILE_PATH = /(?:[\w@.-]+\/)*[\w@.-]*\w\.[A-Za-z][\w]{0,9}/;
+// Section headings that separate one file's PRD from its code or from the next file
+const SEPARATOR_HEADING = /^[ \t]*#{1,6}[ \t]*(?:\d+\.[ \t]*)?(?:product requirements document(?:[ \t]*\(prd\))?|prd|implementation(?: code)?|code)[ \t]*:?[ \t]*$/gim;
+
+const extensionOf = (filename) => {
+  const match = String(filename).match(/\.([A-Za-z][\w]*)$/);
+  return match ? match[1].toLowerCase() : '';
+};
+
+const languageFor = (filename, fenceInfo, fallback) => {
+  const fromExtension = EXTENSION_LANGUAGES[extensionOf(filename)];
+  if (fromExtension) return fromExtension;
+  const fence = String(fenceInfo || '').trim().split(/\s+/)[0].toLowerCase();
+  return FENCE_LANGUAGES[fence] || fallback;
+};
+
+const pascalCase = (text) => String(text || '')
+  .replace(/[^a-zA-Z0-9\s]/g, '')
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+  .join('') || 'Generated';
+
+const defaultFilename = (nodeTitle, language, index) => {
+  const suffix = index > 0 ? `${index + 1}` : '';
+  return `${pascalCase(nodeTitle)}${suffix}.${DEFAULT_EXTENSIONS[language] || 'txt'}`;
+};
+
+// Relative, traversal-free path; bare filenames go under a directory picked by extension
+const resolvePath = (filename) => {
+  const clean = String(filename)
+    .replace(/\\/g, '/')
+    .split('/')
+    .filter(part => part && part !== '.' && part !== '..')
+    .join('/');
+
+  if (clean.includes('/')) return clean;
+
+  const extension = extensionOf(clean);
+  if (/\.(test|spec)\.[jt]sx?$/.test(clean)) return `src/components/__tests__/${clean}`;
+  if (['tsx', 'jsx', 'css', 'scss'].includes(extension)) return `src/components/${clean}`;
+  if (['ts', 'js'].includes(extension)) return `src/lib/${clean}`;
+  return clean;
+};
+
+// Pull a file path out of heading text like "[Button.tsx]" or "`src/Button.tsx` (component)"
+const extractFilename = (text) => {
+  const match = String(text || '').replace(/[`*[\]"']/g, ' ').match(FILE_PATH);
+  return match ? match[0] : null;
+};
+
+// A leading "// File: src/x.ts" style comment names the file
+const filenameFromCode = (code) => {
+  const firstLine = String(code).split('\n', 1)[0];
+  const match = firstLine.match(/^\s*(?:\/\/|#|\/\*|<!--)\s*(?:file(?:name)?\s*:\s*)?([^\s*]+\.[A-Za-z]\w*)\s*(?:\*\/|-->)?\s*$/i);
+  return match ? match[1] : null;
+};
+
+const tidyPRD = (text) => String(text || '')
+  .replace(SEPARATOR_HEADING, '')
+  .replace(/^\s*-{3,}\s*$/gm, '')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const purposeOf = (prd) => {
+  const match = String(prd || '').match(/\*\*Purpose\*\*\s*:?\s*(.+)/i) || String(prd || '').match(/^Purpose\s*:\s*(.+)$/im);
+  return match ? match[1].replace(/\*\*/g, '').trim() : null;
+};
+
+const fencesIn = (text) => [...String(text).matchAll(FENCE)].map(match => ({
+  info: match[1].trim(),
+  code: match[2].replace(/\s+$/, ''),
+  index: match.index,
+  end: match.index + match[0].length
+}));
+
+// An opening fence with no closing one: the response was cut off mid-file
+const unclosedFenceIn = (text) => {
+  const opening = String(text).match(/^[ \t]*```([^\n`]*)\n/m);
+  if (!opening) return null;
+  return {
+    info: opening[1].trim(),
+    code: text.slice(opening.index + opening[0].length).replace(/\s+$/, ''),
+    index: opening.index,
+    unclosedFence: true
+  };
+};
+
+// Structured JSON PRDs ({ purpose, requirements: [...] }) become labelled Markdown
+const prdToMarkdown = (prd) => {
+  if (!prd) return '';
+  if (typeof prd === 'string') return prd;
+  if (typeof prd !== 'object') return String(prd);
+
+  return Object.entries(prd).map(([key, value]) => {
+    const label = key
+      .replace(/[_-]+/g, ' ')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/^\w/, letter => letter.toUpperCase());
+    if (Array.isArray(value)) {
+      return `**${label}**:\n${value.map(item => `- ${typeof item === 'string' ? item : JSON.stringify(item)}`).join('\n')}`;
+    }
+    return `**${label}**: ${typeof value === 'string' ? value : JSON.stringify(value)}`;
+  }).join('\n\n');
+};
+
+// Raw response text from the different provider result shapes
+const responseText = (raw) => {
+  if (raw == null) return '';
+  if (typeof raw === 'string') return raw;
+  return raw.data ?? raw.choices?.[0]?.message?.content ?? raw.generated_text ?? raw.code ?? '';
+};
+
+// JSON variant: { files: [...] }, [ ... ] or { prd, code }
+const parseJsonFiles = (text) => {
+  const candidates = [text.trim()];
+  const fenced = fencesIn(text).filter(fence => /^json\b/i.test(fence.info) || /^\s*[[{]/.test(fence.code));
+  fenced.forEach(fence => candidates.push(fence.code));
+
+  for (const candidate of candidates) {
+    if (!/^\s*[[{]/.test(candidate)) continue;
+    let parsed;
+    try {
+      parsed = JSON.parse(candidate);
+    } catch (error) {
+      continue;
+    }
+
+    const entries = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.files) ? parsed.files : [parsed]);
+    const files = entries
+      .filter(entry => entry && typeof entry === 'object' && typeof (entry.code ?? entry.content) === 'string')
+      .map(entry => ({
+        filename: entry.path || entry.filename || entry.name || entry.file || null,
+        code: entry.code ?? entry.content,
+        prd: prdToMarkdown(entry.prd),
+        language: entry.language || null,
+        description: entry.description || null
+      }));
+
+    if (files.length) return files;
+  }
+
+  return null;
+};
+
+// Markdown variant with "File:" headings; each segment runs to the next heading
+const parseHeadedFiles = (text) => {
+  const headings = [...text.matchAll(FILE_HEADING)]
+    .map(match => ({ filename: extractFilename(match[1]), index: match.index, end: match.index + match[0].length }))
+    .filter(heading => heading.filename);
+  if (!headings.length) return null;
+
+  const files = [];
+  headings.forEach((heading, position) => {
+    const segmentEnd = position + 1 < headings.length ? headings[position + 1].index : text.length;
+    const segment = text.slice(heading.end, segmentEnd);
+    const fences = fencesIn(segment);
+    if (!fences.length) {
+      const unclosed = unclosedFenceIn(segment);
+      if (unclosed) fences.push(unclosed);
+    }
+
+    // Two headings for the same file (PRD block, then code block) are merged below
+    const code = fences.length ? fences.reduce((longest, fence) => (fence.code.length > longest.code.length ? fence : longest)) : null;
+    const prdText = fences.length ? segment.slice(0, fences[0].index) : segment;
+
+    files.push({
+      filename: heading.filename,
+      code: code ? code.code : '',
+      info: code ? code.info : '',
+      unclosedFence: Boolean(code?.unclosedFence),
+      prd: tidyPRD(prdText)
+    });
+  });
+
+  // Merge segments that repeat a filename, keeping the PRD of one and the code of the other
+  const merged = [];
+  for (const file of files) {
+    const existing = merged.find(other => other.filename === file.filename);
+    if (!existing) {
+      merged.push(file);
+      continue;
+    }
+    if (!existing.code && file.code) Object.assign(existing, { code: file.code, info: file.info, unclosedFence: file.unclosedFence });
+    if (file.prd && !existing.prd) existing.prd = file.prd;
+  }
+
+  return merged.filter(file => file.code);
+};
+
+// Fenced code without file headings: one file per fence, PRD is the text before it
+const parseFencedFiles = (text) => {
+  const fences = fencesIn(text).filter(fence => fence.code.trim());
+  const lastEnd = fences.length ? fences[fences.length - 1].end : 0;
+  const unclosed = unclosedFenceIn(text.slice(lastEnd));
+  if (unclosed?.code.trim()) fences.push({ ...unclosed, index: lastEnd + unclosed.index });
+  if (!fences.length) return null;
+
+  return fences.map((fence, position) => ({
+    filename: filenameFromCode(fence.code) || extractFilename(fence.info.split(/\s+/).slice(1).join(' ')),
+    code: fence.code,
+    info: fence.info,
+    unclosedFence: Boolean(fence.unclosedFence),
+    prd: tidyPRD(text.slice(position > 0 ? fences[position - 1].end : 0, fence.index))
+  }));
+};
+
+/**
+ * Parse a node-code response into file objects.
+ * options: { nodeTitle, nodeType, language } where language is the requested
+ * default. Returns { files, format } with format 'json' | 'markdown' | 'fenced' | 'raw'
+ * and files shaped { name, path, content, language, type, description, prd, unclosedFence }
+ * (prd is null when the response had none for that file; unclosedFence marks
+ * code whose block was never closed, usually a cut-off response).
+ */
+const parseNodeCodeResponse = (raw, options = {}) => {
+  const { nodeTitle = 'Generated', nodeType = 'component', language = 'typescript' } = options;
+  const text = String(responseText(raw)).replace(/\r\n/g, '\n');
+
+  let format = 'json';
+  let parsed = parseJsonFiles(text);
+  if (!parsed) {
+    format = 'markdown';
+    parsed = parseHeadedFiles(text);
+  }
+  if (!parsed || !parsed.length) {
+    format = 'fenced';
+    parsed = parseFencedFiles(text);
+  }
+  if (!parsed || !parsed.length) {
+    format = 'raw';
+    parsed = text.trim() ? [{ filename: null, code: text.trim(), prd: '' }] : [];
+  }
+
+  const usedPaths = new Set();
+  const files = parsed.map((file, index) => {
+    const fileLanguage = file.language || languageFor(file.filename, file.info, language);
+    let path = resolvePath(file.filename || defaultFilename(nodeTitle, fileLanguage, index));
+
+    // Keep paths unique when the model reuses a name
+    if (usedPaths.has(path)) {
+      path = path.replace(/(\.[^./]+)?$/, extension => `-${index + 1}${extension}`);
+    }
+    usedPaths.add(path);
+
+    const prd = file.prd ? file.prd.trim() : '';
+    return {
+      name: path.split('/').pop(),
+      path,
+      content: file.code.replace(/^\n+/, '').replace(/\s+$/, ''),
+      language: fileLanguage,
+      type: nodeType,
+      description: file.description || purposeOf(prd) || `${nodeType} implementation for ${nodeTitle}`,
+      prd: prd || null,
+      unclosedFence: Boolean(file.unclosedFence)
+    };
+  });
+
+  return { files, format };
+};
+
+module.exports = {
+  parseNodeCodeResponse
+};
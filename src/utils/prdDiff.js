@@ -0,0 +1,151 @@
+/**
+ * PRD diff helpers
+ *
+ * Compares two canonical PRDs section by section (matched by section id) and
+ * produces a word-level diff of each changed body. Word diffs are an LCS over
+ * word and whitespace tokens after trimming the common prefix and suffix.
+ */
+
+// Above this many LCS cells a section is reported as fully replaced
+const MAX_DIFF_CELLS = 4000000;
+
+const tokenize = (text) => String(text || '').match(/\s+|[^\s]+/g) || [];
+
+const isWord = (token) => /\S/.test(token);
+
+// Merge adjacent operations of the same type into one text chunk
+const pushOp = (ops, type, text) => {
+  if (!text) return;
+  const last = ops[ops.length - 1];
+  if (last && last.type === type) last.text += text;
+  else ops.push({ type, text });
+};
+
+/**
+ * Word-level diff of two strings.
+ * Returns { ops: [{ type: 'equal'|'insert'|'delete', text }], inserted, deleted, truncated }
+ * where inserted/deleted count words.
+ */
+const diffWords = (fromText, toText) => {
+  const a = tokenize(fromText);
+  const b = tokenize(toText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  pushOp(ops, 'equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+  const truncated = (n + 1) * (m + 1) > MAX_DIFF_CELLS;
+
+  if (truncated) {
+    pushOp(ops, 'delete', midA.join(''));
+    pushOp(ops, 'insert', midB.join(''));
+  } else if (n > 0 || m > 0) {
+    // lcs[i][j] = LCS length of midA[i..] and midB[j..], stored row-major
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        pushOp(ops, 'equal', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        pushOp(ops, 'delete', midA[i++]);
+      } else {
+        pushOp(ops, 'insert', midB[j++]);
+      }
+    }
+    while (i < n) pushOp(ops, 'delete', midA[i++]);
+    while (j < m) pushOp(ops, 'insert', midB[j++]);
+  }
+
+  pushOp(ops, 'equal', a.slice(endA).join(''));
+
+  const count = (type) => ops
+    .filter(op => op.type === type)
+    .reduce((total, op) => total + tokenize(op.text).filter(isWord).length, 0);
+
+  return { ops, inserted: count('insert'), deleted: count('delete'), truncated };
+};
+
+/**
+ * Section-level diff between two PRDs.
+ * Returns added, removed and changed sections (with word diffs of title/body),
+ * whether the section order changed, and a summary.
+ */
+const diffPRDs = (fromPrd, toPrd) => {
+  const fromSections = fromPrd?.sections || [];
+  const toSections = toPrd?.sections || [];
+  const fromById = new Map(fromSections.map(section => [section.id, section]));
+  const toById = new Map(toSections.map(section => [section.id, section]));
+
+  const added = toSections
+    .filter(section => !fromById.has(section.id))
+    .map(section => ({ id: section.id, title: section.title, body: section.body }));
+  const removed = fromSections
+    .filter(section => !toById.has(section.id))
+    .map(section => ({ id: section.id, title: section.title, body: section.body }));
+
+  const changed = [];
+  let unchanged = 0;
+  for (const section of toSections) {
+    const previous = fromById.get(section.id);
+    if (!previous) continue;
+
+    const change = { id: section.id, title: section.title };
+    if (previous.title !== section.title) change.titleChange = { from: previous.title, to: section.title };
+    if (previous.body !== section.body) change.body = diffWords(previous.body, section.body);
+    if (Boolean(previous.locked) !== Boolean(section.locked)) change.locked = { from: Boolean(previous.locked), to: Boolean(section.locked) };
+    if (previous.provider !== section.provider) change.provider = { from: previous.provider, to: section.provider };
+
+    if (change.titleChange || change.body || change.locked) changed.push(change);
+    else unchanged++;
+  }
+
+  // Order of sections present in both revisions
+  const sharedFrom = fromSections.filter(section => toById.has(section.id)).map(section => section.id);
+  const sharedTo = toSections.filter(section => fromById.has(section.id)).map(section => section.id);
+  const reordered = sharedFrom.some((id, index) => sharedTo[index] !== id);
+
+  return {
+    added,
+    removed,
+    changed,
+    reordered,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged,
+      wordsInserted: changed.reduce((total, change) => total + (change.body?.inserted || 0), 0),
+      wordsDeleted: changed.reduce((total, change) => total + (change.body?.deleted || 0), 0),
+      identical: added.length + removed.length + changed.length === 0 && !reordered
+    }
+  };
+};
+
+module.exports = {
+  diffWords,
+  diffPRDs
+};
@@ -0,0 +1,178 @@
+/**
+ * PRD export renderers
+ *
+ * Renders a project's canonical PRD (utils/prdNormalizer) as Markdown,
+ * standalone HTML or DOCX. Every format opens with a title page holding the
+ * project metadata, followed by a table of contents and the ordered sections.
+ */
+
+const { renderHtml, escapeHtml } = require('./markdown');
+const { renderDocx } = require('./docx');
+const { slugify } = require('./text');
+const { httpError } = require('./httpError');
+
+const metadataRows = (project, prd, exportedAt) => [
+  ['Project', project.name],
+  ['Type', project.type],
+  ['Industry', project.industry],
+  ['Complexity', project.complexity],
+  ['Tech stack', (project.techStack || []).join(', ') || 'Not specified'],
+  ['Status', project.status],
+  ['Generated by', prd.provider || 'unknown'],
+  ['Generated at', prd.generatedAt ? new Date(prd.generatedAt).toUTCString() : 'unknown'],
+  ['Exported at', exportedAt.toUTCString()]
+];
+
+// Shallowest heading level used inside a body (ignoring fenced code)
+const minHeadingLevel = (markdown) => {
+  let inFence = false;
+  let min = Infinity;
+  for (const line of String(markdown || '').split('\n')) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,6})\s/);
+    if (heading) min = Math.min(min, heading[1].length);
+  }
+  return min;
+};
+
+// Offset that pushes body headings below the section heading level
+const headingOffset = (markdown, sectionLevel) => {
+  const min = minHeadingLevel(markdown);
+  return Number.isFinite(min) ? Math.max(0, sectionLevel + 1 - min) : 0;
+};
+
+const shiftHeadings = (markdown, offset) => {
+  if (!offset) return markdown;
+  let inFence = false;
+  return markdown.split('\n').map(line => {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    if (inFence) return line;
+    return line.replace(/^(#{1,6})(?=\s)/, hashes => '#'.repeat(Math.min(hashes.length + offset, 6)));
+  }).join('\n');
+};
+
+// GitHub-style heading anchor
+const anchorFor = (heading) => heading
+  .toLowerCase()
+  .replace(/[^\w\s-]/g, '')
+  .trim()
+  .replace(/\s/g, '-');
+
+const toMarkdown = ({ project, prd, exportedAt }) => {
+  const lines = [`# ${prd.title}`, ''];
+  metadataRows(project, prd, exportedAt).forEach(([label, value]) => lines.push(`**${label}:** ${value}  `));
+  if (prd.summary) lines.push('', `> ${prd.summary}`);
+  lines.push('', '---', '', '## Table of Contents', '');
+
+  prd.sections.forEach((section, index) => {
+    const heading = `${index + 1}. ${section.title}`;
+    lines.push(`${index + 1}. [${section.title}](#${anchorFor(heading)})`);
+  });
+  lines.push('', '---');
+
+  prd.sections.forEach((section, index) => {
+    lines.push('', `## ${index + 1}. ${section.title}`, '');
+    lines.push(section.body ? shiftHeadings(section.body, headingOffset(section.body, 2)) : '_No content yet._');
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; max-width: 860px; margin: 0 auto; padding: 2rem; color: #1f2933; line-height: 1.6; }
+  .title-page { min-height: 60vh; display: flex; flex-direction: column; justify-content: center; text-align: center; page-break-after: always; }
+  .title-page h1 { font-size: 2.5rem; margin-bottom: .5rem; }
+  .title-page .summary { color: #52606d; font-style: italic; }
+  .metadata { margin: 2rem auto 0; border-collapse: collapse; text-align: left; }
+  .metadata th { padding: .25rem 1rem .25rem 0; color: #52606d; font-weight: 600; }
+  nav.toc { page-break-after: always; }
+  nav.toc ol { padding-left: 1.5rem; }
+  section { margin-top: 2.5rem; }
+  h2 { border-bottom: 2px solid #e4e7eb; padding-bottom: .3rem; color: #1f3864; }
+  pre { background: #f5f7fa; padding: 1rem; overflow-x: auto; border-radius: 4px; }
+  code { font-family: Consolas, Menlo, monospace; font-size: .9em; }
+  blockquote { margin: 0; padding-left: 1rem; border-left: 4px solid #cbd2d9; color: #52606d; }
+  table { border-collapse: collapse; margin: 1rem 0; }
+  td, th { border: 1px solid #cbd2d9; padding: .4rem .6rem; }
+  .empty { color: #9aa5b1; font-style: italic; }
+  @media print { body { max-width: none; } }
+`;
+
+const toHtml = ({ project, prd, exportedAt }) => {
+  const metadata = metadataRows(project, prd, exportedAt)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+  const toc = prd.sections
+    .map(section => `<li><a href="#section-${escapeHtml(section.id)}">${escapeHtml(section.title)}</a></li>`)
+    .join('');
+  const sections = prd.sections.map((section, index) => `<section id="section-${escapeHtml(section.id)}">
+<h2>${index + 1}. ${escapeHtml(section.title)}</h2>
+${section.body ? renderHtml(section.body, { headingOffset: headingOffset(section.body, 2) }) : '<p class="empty">No content yet.</p>'}
+</section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(prd.title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<header class="title-page">
+<h1>${escapeHtml(prd.title)}</h1>
+${prd.summary ? `<p class="summary">${escapeHtml(prd.summary)}</p>` : ''}
+<table class="metadata">${metadata}</table>
+</header>
+<nav class="toc">
+<h2>Table of Contents</h2>
+<ol>${toc}</ol>
+</nav>
+${sections}
+</body>
+</html>
+`;
+};
+
+const toDocx = ({ project, prd, exportedAt }) => renderDocx({
+  title: prd.title,
+  subtitle: prd.summary,
+  metadata: metadataRows(project, prd, exportedAt),
+  sections: prd.sections.map(section => ({
+    title: section.title,
+    body: shiftHeadings(section.body, headingOffset(section.body, 2))
+  })),
+  createdAt: exportedAt
+});
+
+const PRD_EXPORT_FORMATS = {
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md', render: toMarkdown },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: toHtml },
+  docx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: 'docx',
+    render: toDocx
+  }
+};
+
+// Render a project's PRD in `format`; returns { body, contentType, filename }
+const exportPRD = (project, format = 'markdown') => {
+  const spec = PRD_EXPORT_FORMATS[String(format).toLowerCase()];
+  if (!spec) {
+    throw httpError(`Unsupported export format "${format}". Use one of: ${Object.keys(PRD_EXPORT_FORMATS).join(', ')}`);
+  }
+  if (!project.prd || !project.prd.sections?.length) {
+    throw httpError('Project has no PRD yet', 404);
+  }
+
+  return {
+    body: spec.render({ project, prd: project.prd, exportedAt: new Date() }),
+    contentType: spec.contentType,
+    filename: `${slugify(project.name, 'project')}-prd.${spec.extension}`
+  };
+};
+
+module.exports = {
+  PRD_EXPORT_FORMATS,
+  exportPRD
+};
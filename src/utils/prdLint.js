@@ -0,0 +1,172 @@
+/**
+ * PRD linter
+ *
+ * Scores a canonical PRD against the ten-section checklist `buildPRDPrompt`
+ * asks for and a few content rules: user stories in "As a... I want... so
+ * that..." form, functional requirements with acceptance criteria and
+ * measurable success metrics. Scores start at 100 and lose points per issue.
+ */
+
+const { PRD_SECTIONS, findSectionDefinition } = require('./prdNormalizer');
+const { parseBlocks } = require('./markdown');
+
+const MAX_ISSUES = 100;
+const THIN_SECTION_WORDS = 25;
+
+// Points lost per issue, and the most a single rule can cost
+const RULES = {
+  'missing-section': { severity: 'error', penalty: 8, cap: 60 },
+  'empty-section': { severity: 'error', penalty: 6, cap: 40 },
+  'thin-section': { severity: 'warning', penalty: 2, cap: 10 },
+  'no-user-stories': { severity: 'error', penalty: 8, cap: 8 },
+  'user-story-format': { severity: 'warning', penalty: 2, cap: 15 },
+  'missing-acceptance-criteria': { severity: 'warning', penalty: 2, cap: 15 },
+  'vague-metric': { severity: 'warning', penalty: 2, cap: 15 }
+};
+
+const USER_STORY = /\bas an?\b[^.]*?\bi\s+(?:want|need|would like|can|should be able)\b[\s\S]*?\bso that\b/i;
+const ACCEPTANCE = /acceptance criteria|\bgiven\b[\s\S]*\bwhen\b[\s\S]*\bthen\b|\bverified (?:by|when)\b/i;
+const VAGUE_TERMS = /\b(improve[ds]?|increase[ds]?|reduce[ds]?|better|high|low|fast(?:er)?|quick(?:ly)?|many|more|significant(?:ly)?|user[- ]friendly|seamless(?:ly)?|optimal|robust|scalable|efficient|good|great)\b/i;
+const HAS_NUMBER = /\d/;
+
+const wordCount = (text) => (String(text || '').match(/\S+/g) || []).length;
+
+const excerpt = (text) => {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  return clean.length > 120 ? `${clean.slice(0, 117)}...` : clean;
+};
+
+// Top-level list items (with nested items attached) and standalone paragraphs
+const collectItems = (body) => {
+  const items = [];
+  for (const block of parseBlocks(body)) {
+    if (block.type === 'list') {
+      for (const item of block.items) {
+        if (item.depth === 0) items.push({ text: item.text, children: [] });
+        else if (items.length) items[items.length - 1].children.push(item.text);
+      }
+    } else if (block.type === 'paragraph' || block.type === 'quote') {
+      items.push({ text: block.text, children: [], paragraph: true });
+    }
+  }
+  return items;
+};
+
+// Headings and bold labels are structure, not requirements
+const isLabel = (text) => /^\s*(\*\*[^*]+\*\*|__[^_]+__)\s*:?\s*$/.test(text) || /:\s*$/.test(text.trim());
+
+const lintUserStories = (section, addIssue) => {
+  const items = collectItems(section.body).filter(item => !isLabel(item.text));
+  const stories = items.filter(item => !item.paragraph || /^\s*(\*\*)?as an?\b/i.test(item.text));
+
+  if (stories.length === 0) {
+    addIssue('no-user-stories', section, 'No user stories found; list them as "As a <user>, I want <goal> so that <benefit>"');
+    return;
+  }
+
+  stories
+    .filter(item => !USER_STORY.test(item.text))
+    .forEach(item => addIssue('user-story-format', section,
+      'User story is not in "As a... I want... so that..." form', excerpt(item.text)));
+};
+
+const lintRequirements = (section, addIssue) => {
+  // A section-wide criteria block ("Acceptance Criteria:" list) covers every requirement
+  if (parseBlocks(section.body).some(block => block.type === 'heading' && ACCEPTANCE.test(block.text))) return;
+
+  collectItems(section.body)
+    .filter(item => !item.paragraph && !isLabel(item.text))
+    .filter(item => item.children.length === 0 && !ACCEPTANCE.test(item.text))
+    .forEach(item => addIssue('missing-acceptance-criteria', section,
+      'Requirement has no acceptance criteria (add nested criteria or Given/When/Then)', excerpt(item.text)));
+};
+
+const lintMetrics = (section, addIssue) => {
+  collectItems(section.body)
+    .filter(item => !isLabel(item.text))
+    .map(item => [item.text, ...item.children].join(' '))
+    .filter(text => !HAS_NUMBER.test(text))
+    .forEach(text => addIssue('vague-metric', section,
+      VAGUE_TERMS.test(text)
+        ? `Metric uses "${text.match(VAGUE_TERMS)[0]}" without a measurable target`
+        : 'Metric has no numeric target or threshold',
+      excerpt(text)));
+};
+
+/**
+ * Lint a canonical PRD.
+ * Returns { score, issues, checklist, summary } where issues are
+ * { rule, severity, sectionId, message, excerpt }.
+ */
+const lintPRD = (prd) => {
+  const issues = [];
+  const penalties = {};
+  const sections = prd?.sections || [];
+
+  const addIssue = (rule, section, message, text = null) => {
+    const { severity, penalty, cap } = RULES[rule];
+    penalties[rule] = Math.min((penalties[rule] || 0) + penalty, cap);
+    if (issues.length < MAX_ISSUES) {
+      issues.push({ rule, severity, sectionId: section?.id || null, message, excerpt: text });
+    }
+  };
+
+  // Match stored sections to the checklist by id first, then by heading
+  const byDefinition = new Map();
+  for (const section of sections) {
+    const definition = PRD_SECTIONS.find(item => item.id === section.id) || findSectionDefinition(section.title);
+    if (definition && !byDefinition.has(definition.id)) byDefinition.set(definition.id, section);
+  }
+
+  const checklist = PRD_SECTIONS.map(definition => {
+    const section = byDefinition.get(definition.id);
+    const words = section ? wordCount(section.body) : 0;
+
+    if (!section) {
+      addIssue('missing-section', { id: definition.id }, `Missing required section "${definition.title}"`);
+    } else if (words === 0) {
+      addIssue('empty-section', section, `Section "${section.title}" is empty`);
+    } else if (words < THIN_SECTION_WORDS) {
+      addIssue('thin-section', section, `Section "${section.title}" has only ${words} words`);
+    }
+
+    return {
+      id: definition.id,
+      title: definition.title,
+      sectionId: section ? section.id : null,
+      present: Boolean(section),
+      empty: Boolean(section) && words === 0,
+      words
+    };
+  });
+
+  const stories = byDefinition.get('user-stories');
+  if (stories?.body) lintUserStories(stories, addIssue);
+
+  const requirements = byDefinition.get('functional-requirements');
+  if (requirements?.body) lintRequirements(requirements, addIssue);
+
+  const metrics = byDefinition.get('success-metrics');
+  if (metrics?.body) lintMetrics(metrics, addIssue);
+
+  const lost = Object.values(penalties).reduce((total, value) => total + value, 0);
+  const count = (severity) => issues.filter(issue => issue.severity === severity).length;
+
+  return {
+    score: Math.max(0, 100 - lost),
+    issues,
+    checklist,
+    summary: {
+      errors: count('error'),
+      warnings: count('warning'),
+      missingSections: checklist.filter(item => !item.present).length,
+      emptySections: checklist.filter(item => item.empty).length,
+      penalties
+    }
+  };
+};
+
+module.exports = {
+  RULES,
+  lintPRD
+};
@@ -0,0 +1,316 @@
+/**
+ * PRD Normalizer - canonical PRD schema shared by every provider
+ *
+ * Canonical PRD:
+ *   {
+ *     schemaVersion: 1,
+ *     title: string,
+ *     summary: string,         first paragraph of the executive summary
+ *     provider: string,        provider of the last full generation
+ *     generatedAt: ISO string,
+ *     sections: [{
+ *       id: string,            stable slug, e.g. 'risk-assessment'
+ *       title: string,
+ *       body: string,          markdown
+ *       provider: string,      who wrote this section ('manual' for hand edits)
+ *       lastEditedAt: ISO string,
+ *       locked?: true          kept as-is by full regenerations
+ *     }]
+ *   }
+ *
+ * `normalizePRD` accepts raw provider output (chat completion responses,
+ * markdown or plain text, `metaLlamaService.structurePRD`'s fixed-key object,
+ * `{ sections: [{ title, content: [] }] }` lists or an already canonical PRD)
+ * and always returns a canonical PRD plus a report of what had to be repaired.
+ */
+
+const { slugify, chatContent } = require('./text');
+
+const PRD_SCHEMA_VERSION = 1;
+const MAX_SECTIONS = 50;
+const MAX_TITLE_LENGTH = 120;
+const MAX_BODY_LENGTH = 50000;
+
+// The ten sections `buildPRDPrompt` asks for, in document order
+const PRD_SECTIONS = [
+  { id: 'executive-summary', title: 'Executive Summary', aliases: ['summary', 'overview', 'product overview'] },
+  { id: 'problem-statement', title: 'Problem Statement', aliases: ['problem', 'background', 'problem definition'] },
+  { id: 'solution-overview', title: 'Solution Overview', aliases: ['solution', 'proposed solution', 'objectives', 'goals', 'goals and objectives'] },
+  { id: 'user-stories', title: 'User Stories & Use Cases', aliases: ['user stories', 'use cases', 'user stories and use cases'] },
+  { id: 'functional-requirements', title: 'Functional Requirements', aliases: ['requirements', 'features', 'feature requirements'] },
+  { id: 'technical-requirements', title: 'Technical Requirements', aliases: ['technical specs', 'technical specifications', 'architecture', 'non functional requirements'] },
+  { id: 'success-metrics', title: 'Success Metrics & KPIs', aliases: ['success metrics', 'metrics', 'kpis', 'success metrics and kpis'] },
+  { id: 'timeline', title: 'Timeline & Milestones', aliases: ['timeline', 'milestones', 'roadmap', 'timeline and milestones'] },
+  { id: 'risk-assessment', title: 'Risk Assessment', aliases: ['risks', 'risk', 'risks and mitigations', 'risk analysis'] },
+  { id: 'go-to-market', title: 'Go-to-Market Strategy', aliases: ['go to market', 'gtm', 'launch plan', 'go to market strategy'] }
+];
+
+// metaLlamaService.structurePRD keys -> canonical section ids
+const FIXED_KEY_SECTIONS = {
+  executive_summary: 'executive-summary',
+  problem_statement: 'problem-statement',
+  solution_overview: 'solution-overview',
+  user_stories: 'user-stories',
+  functional_requirements: 'functional-requirements',
+  technical_requirements: 'technical-requirements',
+  success_metrics: 'success-metrics',
+  timeline: 'timeline',
+  risks: 'risk-assessment',
+  go_to_market: 'go-to-market'
+};
+
+const matchKey = (title) => String(title || '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// Canonical definition for a heading, or null for sections outside the checklist
+const findSectionDefinition = (title) => {
+  const key = matchKey(title);
+  if (!key) return null;
+  return PRD_SECTIONS.find(section =>
+    matchKey(section.title) === key || section.id.replace(/-/g, ' ') === key || section.aliases.includes(key)
+  ) || null;
+};
+
+const cleanHeading = (text) => String(text || '')
+  .replace(/^#+\s*/, '')
+  .replace(/^(?:section\s+)?\d+(?:\.\d+)*[.)]?\s+/i, '')
+  .replace(/^\*\*(.*)\*\*$/, '$1')
+  .replace(/^__(.*)__$/, '$1')
+  .replace(/:\s*$/, '')
+  .trim()
+  .slice(0, MAX_TITLE_LENGTH);
+
+// Text of a string, chat-completion response or `{ content }` wrapper
+const extractContent = (raw) => {
+  if (typeof raw === 'string') return raw;
+  return chatContent(raw) ?? (typeof raw?.content === 'string' ? raw.content : null);
+};
+
+// Lines that look like a top-level section heading in plain (non-markdown-heading) text
+const PLAIN_HEADING = /^\s*(?:\d+[.)]\s+[A-Z][^\n]{0,70}|\*\*[^*\n]{2,70}\*\*:?|[A-Z][A-Za-z0-9 &/,'()-]{2,60}:)\s*$/;
+
+const looksLikePlainHeading = (line) => {
+  if (!PLAIN_HEADING.test(line)) return false;
+  const title = cleanHeading(line);
+  // Numbered list items inside a section read like sentences; headings are short
+  return Boolean(findSectionDefinition(title)) || (title.split(/\s+/).length <= 6 && !/[.!?]$/.test(title));
+};
+
+// Split markdown / plain text into [{ title, body }] plus a document title
+const splitText = (text, report) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const headingLevels = lines
+    .map(line => line.match(/^(#{1,6})\s+\S/))
+    .filter(Boolean)
+    .map(match => match[1].length);
+
+  let documentTitle = null;
+  let isHeading;
+
+  if (headingLevels.length > 0) {
+    // A leading H1 above deeper headings is the document title, not a section;
+    // any later H1 still starts a section of its own
+    const deeper = headingLevels.filter(level => level > 1);
+    const sectionLevel = headingLevels[0] === 1 && deeper.length > 0 ? Math.min(...deeper) : Math.min(...headingLevels);
+    if (sectionLevel > 1 && headingLevels[0] === 1) {
+      const h1 = lines.find(line => /^#\s+\S/.test(line));
+      documentTitle = cleanHeading(h1);
+      lines.splice(lines.indexOf(h1), 1);
+      if (headingLevels.filter(level => level === 1).length > 1) {
+        report.issues.push('Several H1 headings; the first became the document title and later ones start sections');
+      }
+    }
+    isHeading = (line) => {
+      const match = line.match(/^(#{1,6})\s+\S/);
+      return Boolean(match) && (match[1].length === sectionLevel || match[1].length === 1);
+    };
+  } else {
+    isHeading = looksLikePlainHeading;
+    report.issues.push('No markdown headings; sections detected from plain-text headings');
+  }
+
+  const sections = [];
+  const preamble = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (isHeading(line)) {
+      current = { title: cleanHeading(line), lines: [] };
+      sections.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    } else {
+      preamble.push(line);
+    }
+  }
+
+  const intro = preamble.join('\n').trim();
+  if (intro && sections.length > 0) {
+    sections.unshift({ title: 'Introduction', lines: preamble });
+  } else if (intro) {
+    // No headings at all: keep the whole text as a single section
+    report.repaired = true;
+    report.issues.push('No section headings found; stored the text as one section');
+    sections.push({ title: 'Product Requirements', lines: preamble });
+  }
+
+  return {
+    documentTitle,
+    sections: sections.map(section => ({ title: section.title, body: section.lines.join('\n').trim() }))
+  };
+};
+
+// Turn any supported raw shape into [{ title, body, ... }]
+const coerceSections = (raw, report) => {
+  if (raw && typeof raw === 'object' && !Array.isArray(raw)) {
+    if (raw.prd && typeof raw.prd === 'object') {
+      const inner = coerceSections(raw.prd, report);
+      // structurePRD's regex often misses; fall back to the raw text it was built from
+      if (inner.sections.some(section => section.body) || typeof raw.rawContent !== 'string') return inner;
+      report.repaired = true;
+      report.issues.push('Fixed-key PRD object was empty; re-parsed rawContent');
+      return coerceSections(raw.rawContent, report);
+    }
+
+    if (Array.isArray(raw.sections)) {
+      return {
+        documentTitle: raw.title || null,
+        sections: raw.sections.map(section => ({
+          ...section,
+          body: Array.isArray(section.content) ? section.content.join('\n') : (section.body ?? section.content ?? '')
+        }))
+      };
+    }
+
+    const fixedKeys = Object.keys(FIXED_KEY_SECTIONS).filter(key => key in raw);
+    if (fixedKeys.length > 0) {
+      return {
+        documentTitle: null,
+        sections: fixedKeys.map(key => {
+          const definition = PRD_SECTIONS.find(section => section.id === FIXED_KEY_SECTIONS[key]);
+          return { id: definition.id, title: definition.title, body: String(raw[key] || '') };
+        })
+      };
+    }
+
+    if (typeof raw.rawContent === 'string') return coerceSections(raw.rawContent, report);
+  }
+
+  const text = extractContent(raw);
+  if (typeof text === 'string' && text.trim()) {
+    const trimmed = text.trim();
+    // Providers sometimes wrap a JSON PRD in a code fence
+    const json = trimmed.replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
+    if (json.startsWith('{')) {
+      try {
+        return coerceSections(JSON.parse(json), report);
+      } catch (error) {
+        // Not JSON after all; parse as text below
+      }
+    }
+    return splitText(text, report);
+  }
+
+  report.repaired = true;
+  report.issues.push('Unrecognized PRD payload');
+  return { documentTitle: null, sections: [] };
+};
+
+// Client-supplied dates may be anything; null unless they parse
+const validDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const firstParagraph = (body) => String(body || '')
+  .split(/\n\s*\n/)
+  .map(paragraph => paragraph.replace(/^[-*>#\s]+/, '').trim())
+  .find(Boolean) || '';
+
+/**
+ * Normalize provider output into the canonical PRD.
+ * Returns { prd, report } where report = { repaired, issues, stats }.
+ */
+const normalizePRD = (raw, { provider = 'unknown', title = null, now = new Date() } = {}) => {
+  const report = {
+    repaired: false,
+    issues: [],
+    stats: { sectionCount: 0, emptySections: 0, unmatchedSections: 0, truncatedSections: 0 }
+  };
+
+  const timestamp = now.toISOString();
+  const coerced = coerceSections(raw, report);
+  const usedIds = new Set();
+  const sections = [];
+
+  for (const section of coerced.sections) {
+    if (sections.length >= MAX_SECTIONS) {
+      report.repaired = true;
+      report.issues.push(`More than ${MAX_SECTIONS} sections; extra sections dropped`);
+      break;
+    }
+
+    const heading = cleanHeading(section.title) || 'Untitled Section';
+    const definition = findSectionDefinition(heading);
+    if (!definition) report.stats.unmatchedSections++;
+
+    // Keep ids of canonical input stable; otherwise derive from the checklist or the heading
+    let id = typeof section.id === 'string' && section.id ? section.id : (definition ? definition.id : slugify(heading, 'section'));
+    if (usedIds.has(id)) {
+      let suffix = 2;
+      while (usedIds.has(`${id}-${suffix}`)) suffix++;
+      id = `${id}-${suffix}`;
+    }
+    usedIds.add(id);
+
+    let body = String(section.body ?? '').trim();
+    if (body.length > MAX_BODY_LENGTH) {
+      body = body.slice(0, MAX_BODY_LENGTH);
+      report.stats.truncatedSections++;
+      report.repaired = true;
+    }
+    if (!body) report.stats.emptySections++;
+
+    sections.push({
+      id,
+      title: heading,
+      body,
+      provider: section.provider || provider,
+      lastEditedAt: validDate(section.lastEditedAt)?.toISOString() || timestamp,
+      ...(section.locked === true && { locked: true })
+    });
+  }
+
+  report.stats.sectionCount = sections.length;
+
+  const summarySection = sections.find(section => section.id === 'executive-summary') || sections[0];
+
+  return {
+    prd: {
+      schemaVersion: PRD_SCHEMA_VERSION,
+      title: title || coerced.documentTitle || raw?.title || 'Product Requirements Document',
+      summary: firstParagraph(summarySection?.body),
+      provider: raw?.schemaVersion === PRD_SCHEMA_VERSION && raw.provider ? raw.provider : provider,
+      generatedAt: raw?.schemaVersion === PRD_SCHEMA_VERSION && raw.generatedAt ? raw.generatedAt : timestamp,
+      sections
+    },
+    report
+  };
+};
+
+const isCanonicalPRD = (prd) => Boolean(prd) &&
+  prd.schemaVersion === PRD_SCHEMA_VERSION &&
+  Array.isArray(prd.sections) &&
+  prd.sections.every(section => section && typeof section.id === 'string' && typeof section.body === 'string');
+
+module.exports = {
+  PRD_SCHEMA_VERSION,
+  PRD_SECTIONS,
+  findSectionDefinition,
+  normalizePRD,
+  isCanonicalPRD
+};
@@ -0,0 +1,121 @@
+/**
+ * PRD section helpers
+ *
+ * Pure operations on the canonical PRD from utils/prdNormalizer. Every
+ * operation returns a new PRD (the input is never mutated) together with the
+ * affected section, so controllers can store it as the next version.
+ */
+
+const { normalizePRD } = require('./prdNormalizer');
+const { httpError } = require('./httpError');
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_BODY_LENGTH = 50000;
+
+// Locate a section by id: { section, index } or null
+const findSection = (prd, sectionId) => {
+  const index = (prd?.sections || []).findIndex(section => section.id === sectionId);
+  return index === -1 ? null : { section: prd.sections[index], index };
+};
+
+const requireSection = (prd, sectionId) => {
+  const found = findSection(prd, sectionId);
+  if (!found) throw httpError(`Section ${sectionId} not found`, 404);
+  return found;
+};
+
+// Re-run the normalizer so derived fields (summary) follow the edit
+const finish = (prd, sectionId) => {
+  const normalized = normalizePRD(prd).prd;
+  return { prd: normalized, section: findSection(normalized, sectionId).section };
+};
+
+const validateSectionFields = ({ title, body }) => {
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+    throw httpError(`title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (body !== undefined && (typeof body !== 'string' || body.length > MAX_BODY_LENGTH)) {
+    throw httpError(`body must be a string of at most ${MAX_BODY_LENGTH} characters`);
+  }
+};
+
+// Hand edit of a section's title and/or markdown body
+const editSection = (prd, sectionId, fields, { now = new Date() } = {}) => {
+  validateSectionFields(fields);
+  if (fields.title === undefined && fields.body === undefined) {
+    throw httpError('Provide a title or body to update');
+  }
+
+  const next = structuredClone(prd);
+  const { section } = requireSection(next, sectionId);
+  if (fields.title !== undefined) section.title = fields.title.trim();
+  if (fields.body !== undefined) section.body = fields.body.trim();
+  section.provider = 'manual';
+  section.lastEditedAt = now.toISOString();
+
+  return finish(next, sectionId);
+};
+
+const setSectionLock = (prd, sectionId, locked) => {
+  const next = structuredClone(prd);
+  const { section } = requireSection(next, sectionId);
+  if (locked) section.locked = true;
+  else delete section.locked;
+
+  return finish(next, sectionId);
+};
+
+// Store an AI-regenerated body; locked sections must be unlocked first
+const replaceSectionBody = (prd, sectionId, body, provider, { now = new Date() } = {}) => {
+  const next = structuredClone(prd);
+  const { section } = requireSection(next, sectionId);
+  if (section.locked) {
+    throw httpError(`Section ${sectionId} is locked; unlock it before regenerating`, 409);
+  }
+
+  section.body = stripRepeatedHeading(String(body || ''), section.title).slice(0, MAX_BODY_LENGTH);
+  section.provider = provider;
+  section.lastEditedAt = now.toISOString();
+
+  return finish(next, sectionId);
+};
+
+// Models often start a section with its own heading; the title is stored separately
+const stripRepeatedHeading = (body, title) => {
+  const lines = body.trim().split('\n');
+  const first = (lines[0] || '').replace(/^#+\s*|\*\*/g, '').replace(/:\s*$/, '').trim().toLowerCase();
+  return first === title.trim().toLowerCase() ? lines.slice(1).join('\n').trim() : body.trim();
+};
+
+/**
+ * Keep locked sections of `previous` in a freshly generated `next` PRD.
+ * A locked section replaces its counterpart (same id); locked sections the
+ * new draft lacks are re-inserted after the section that preceded them.
+ */
+const mergeLockedSections = (previous, next) => {
+  const locked = (previous?.sections || []).filter(section => section.locked);
+  if (locked.length === 0) return { prd: next, keptSections: [] };
+
+  const merged = structuredClone(next);
+  for (const section of locked) {
+    const existing = findSection(merged, section.id);
+    if (existing) {
+      merged.sections[existing.index] = section;
+      continue;
+    }
+
+    const previousIndex = previous.sections.indexOf(section);
+    const anchor = previousIndex > 0 ? findSection(merged, previous.sections[previousIndex - 1].id) : null;
+    merged.sections.splice(anchor ? anchor.index + 1 : Math.min(previousIndex, merged.sections.length), 0, section);
+  }
+
+  return { prd: normalizePRD(merged).prd, keptSections: locked.map(section => section.id) };
+};
+
+module.exports = {
+  findSection,
+  editSection,
+  setSectionLock,
+  replaceSectionBody,
+  mergeLockedSections
+};
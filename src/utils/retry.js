@@ -0,0 +1,152 @@
+/**
+ * Retries for upstream AI calls.
+ *
+ * withRetry(operation, options) re-runs operation({ attempt, remainingMs })
+ * while the error is retryable (429, 408/425, 5xx other than 501/505, and
+ * network failures), waiting whatever the provider asked for through
+ * Retry-After or its rate-limit reset headers, else an exponential backoff
+ * with jitter. No attempt starts after the total deadline, so callers should
+ * use remainingMs as the per-attempt timeout.
+ *
+ * Defaults come from RETRY_* environment variables; HEALTH_CHECK_RETRY is the
+ * single short attempt used by provider health probes. trackAttempts(counter, fn)
+ * counts every attempt made inside fn, which is how the gateway reports
+ * attempts without changing what the services return.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+
+const DEFAULTS = {
+  maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) || 3,
+  baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 1000,
+  maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 10000,
+  deadlineMs: parseInt(process.env.RETRY_DEADLINE_MS, 10) || 90000
+};
+
+// Health probes get one short attempt: a retrying probe outlives the monitoring interval
+const HEALTH_CHECK_RETRY = {
+  maxAttempts: 1,
+  deadlineMs: parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 10000
+};
+
+const RETRYABLE_CODES = [
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE',
+  'ENETUNREACH', 'EHOSTUNREACH', 'ERR_NETWORK', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+];
+
+const attemptCounter = new AsyncLocalStorage();
+
+// axios keeps the status on error.response, the Hugging Face client on error.httpResponse
+const statusOf = (error) => error?.response?.status ?? error?.httpResponse?.status ?? error?.status;
+
+const isRetryable = (error) => {
+  const status = statusOf(error);
+  if (status) return [408, 425, 429].includes(status) || (status >= 500 && ![501, 505].includes(status));
+
+  // fetch (Hugging Face) reports network failures as a TypeError with the cause attached
+  const code = error?.code || error?.cause?.code;
+  return RETRYABLE_CODES.includes(code) || /socket hang up|fetch failed/i.test(error?.message || '');
+};
+
+// Lower-cased header map from an axios error (plain object or AxiosHeaders)
+const headersOf = (error) => {
+  const headers = error?.response?.headers;
+  if (!headers) return {};
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+  return Object.fromEntries(Object.entries(plain).map(([key, value]) => [key.toLowerCase(), value]));
+};
+
+// Seconds, epoch seconds or epoch milliseconds, whichever the number looks like
+const resetToMs = (value, now) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return null;
+  if (number > 1e12) return number - now;
+  if (number > 1e9) return number * 1000 - now;
+  return number * 1000;
+};
+
+/**
+ * How long the provider asked us to wait, in ms, or null when it did not say.
+ *   Retry-After             - seconds or an HTTP date (both providers)
+ *   X-RateLimit-Reset       - when the window resets (OpenRouter, epoch ms)
+ *   x-ratelimit-reset-<b>   - seconds until bucket <b> resets (Cerebras); only
+ *                             buckets whose x-ratelimit-remaining-<b> is 0 count
+ */
+const retryAfterMs = (headers, now = Date.now()) => {
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const wait = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - now;
+    if (Number.isFinite(wait)) return Math.max(0, Math.ceil(wait));
+  }
+
+  if (headers['x-ratelimit-reset'] !== undefined) {
+    const wait = resetToMs(headers['x-ratelimit-reset'], now);
+    if (wait !== null) return Math.max(0, Math.ceil(wait));
+  }
+
+  const exhausted = Object.keys(headers)
+    .filter(key => key.startsWith('x-ratelimit-reset-'))
+    .filter(key => Number(headers[key.replace('-reset-', '-remaining-')]) <= 0)
+    .map(key => resetToMs(headers[key], now))
+    .filter(wait => wait !== null);
+  return exhausted.length ? Math.max(0, Math.ceil(Math.max(...exhausted))) : null;
+};
+
+// Exponential backoff with equal jitter: half the step is fixed, half random
+const backoffMs = (attempt, { baseDelayMs, maxDelayMs, random = Math.random }) => {
+  const step = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(step / 2 + random() * step / 2);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function withRetry(operation, options = {}) {
+  const settings = { ...DEFAULTS, ...options };
+  const { name = 'Upstream request', maxAttempts, deadlineMs, now = Date.now } = settings;
+  const wait = settings.sleep || sleep;
+  const deadline = now() + deadlineMs;
+
+  for (let attempt = 1; ; attempt++) {
+    const counter = attemptCounter.getStore();
+    if (counter) counter.attempts++;
+
+    try {
+      return await operation({ attempt, remainingMs: Math.max(1, deadline - now()) });
+    } catch (error) {
+      error.attempts = attempt;
+      if (attempt >= maxAttempts || !isRetryable(error)) throw error;
+
+      const hinted = retryAfterMs(headersOf(error), now());
+      const delay = hinted ?? backoffMs(attempt, settings);
+      if (now() + delay >= deadline) {
+        logger.warn(`${name}: not retrying, a ${delay}ms wait would pass the ${deadlineMs}ms deadline`);
+        throw error;
+      }
+
+      logger.warn(`${name}: attempt ${attempt} failed (${statusOf(error) || error.code || error.message}), retrying in ${delay}ms${hinted !== null ? ' as the provider asked' : ''}`);
+      await wait(delay);
+    }
+  }
+}
+
+// Service-level error that keeps what routing and the circuit breakers look at
+const upstreamError = (message, error) => Object.assign(new Error(message), {
+  status: statusOf(error),
+  code: error?.code,
+  attempts: error?.attempts
+});
+
+const trackAttempts = (counter, fn) => attemptCounter.run(counter, fn);
+
+module.exports = {
+  HEALTH_CHECK_RETRY,
+  withRetry,
+  isRetryable,
+  retryAfterMs,
+  backoffMs,
+  statusOf,
+  upstreamError,
+  trackAttempts
+};
@@ -0,0 +1,35 @@
+/**
+ * Text helpers shared by the normalizers, exporters and scaffolds
+ */
+
+// URL- and file-safe slug; accents are folded to ASCII, anything left empty
+// (e.g. a name written entirely in another script) becomes `fallback`
+const slugify = (value, fallback = 'untitled') => String(value ?? '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 60)
+  .replace(/-+$/, '') || fallback;
+
+// Trimmed text cut to maxLength with an ellipsis; null and undefined pass through
+const clip = (value, maxLength) => {
+  if (value == null) return value;
+  const text = String(value).trim();
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+// Message text of a chat-completion or Hugging Face text-generation response, else null
+const chatContent = (raw) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const content = raw.choices?.[0]?.message?.content ?? raw.generated_text;
+  return typeof content === 'string' ? content : null;
+};
+
+module.exports = {
+  slugify,
+  clip,
+  chatContent
+};
@@ -0,0 +1,134 @@
+/**
+ * Minimal ZIP writer
+ *
+ * Builds standard (PKZIP 2.0) archives with deflate compression using only
+ * zlib, for DOCX documents and code downloads. Entries are
+ * `{ name, data: Buffer|string, date? }`; names use forward slashes.
+ */
+
+const zlib = require('zlib');
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buffer) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// MS-DOS time/date fields used by the ZIP headers
+const dosDateTime = (date) => {
+  const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+  const year = Math.max(d.getFullYear(), 1980);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+};
+
+// Strip leading slashes and parent-directory segments so entries stay inside the archive
+const safeEntryName = (name) => String(name || 'file')
+  .replace(/\\/g, '/')
+  .split('/')
+  .filter(segment => segment && segment !== '.' && segment !== '..')
+  .join('/') || 'file';
+
+// Yields the archive as a sequence of buffers
+function* zipChunks(entries) {
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(safeEntryName(entry.name), 'utf8');
+    const raw = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data ?? ''), 'utf8');
+    const compressed = zlib.deflateRawSync(raw);
+    // Store small/incompressible files as-is
+    const useDeflate = compressed.length < raw.length;
+    const body = useDeflate ? compressed : raw;
+    const crc = crc32(raw);
+    const { time, date } = dosDateTime(entry.date);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034B50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(useDeflate ? 8 : 0, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014B50, 0);
+    header.writeUInt16LE(20, 4); // version made by
+    header.writeUInt16LE(20, 6);
+    header.writeUInt16LE(0x0800, 8);
+    header.writeUInt16LE(useDeflate ? 8 : 0, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(date, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(body.length, 20);
+    header.writeUInt32LE(raw.length, 24);
+    header.writeUInt16LE(name.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, name);
+
+    yield Buffer.concat([local, name]);
+    yield body;
+    offset += local.length + name.length + body.length;
+  }
+
+  const directory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054B50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  yield directory;
+  yield end;
+}
+
+const createZip = (entries) => Buffer.concat([...zipChunks(entries)]);
+
+// Wait until the stream wants more data; false when it closed first (e.g. the client went away)
+const waitForDrain = (output) => new Promise((resolve, reject) => {
+  const settle = (callback, value) => {
+    output.off('drain', onDrain).off('close', onClose).off('error', onError);
+    callback(value);
+  };
+  const onDrain = () => settle(resolve, true);
+  const onClose = () => settle(resolve, false);
+  const onError = (error) => settle(reject, error);
+  output.on('drain', onDrain).on('close', onClose).on('error', onError);
+});
+
+// Write the archive to a writable stream (e.g. an HTTP response), honouring backpressure.
+// Resolves false, without writing the rest, when the stream closes before the archive is done.
+const streamZip = async (entries, output) => {
+  for (const chunk of zipChunks(entries)) {
+    if (output.destroyed) return false;
+    if (!output.write(chunk) && !(await waitForDrain(output))) return false;
+  }
+  output.end();
+  return true;
+};
+
+module.exports = {
+  createZip,
+  streamZip,
+  crc32,
+  safeEntryName
+};
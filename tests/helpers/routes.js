@@ -0,0 +1,43 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+// Access token the protect middleware accepts for `user`
+const tokenFor = (user) => jwt.sign({ id: user._id.toString(), email: user.email, type: 'access' }, process.env.JWT_SECRET);
+
+// Account shaped like what User.findById resolves to
+const makeUser = (name) => ({
+  _id: new mongoose.Types.ObjectId(),
+  email: `${name.toLowerCase()}@example.com`,
+  name
+});
+
+// Resolves to `result` whether or not the caller chains .select()/.lean()
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+// findOneAndUpdate stand-in for one stored document: applies $set and $inc when
+// every filter field besides _id matches the document, and resolves to null otherwise
+const conditionalUpdate = (getDocument) => (filter, update) => {
+  const document = getDocument();
+  const matches = Object.entries(filter).every(([field, expected]) => (
+    field === '_id' || (expected?.$in ? expected.$in.includes(document.get(field) ?? null) : document.get(field) === expected)
+  ));
+  if (!matches) return query(null);
+
+  for (const [path, value] of Object.entries(update.$set || {})) document.set(path, value);
+  for (const [path, amount] of Object.entries(update.$inc || {})) document.set(path, (document.get(path) || 0) + amount);
+  return query(document);
+};
+
+module.exports = {
+  tokenFor,
+  makeUser,
+  query,
+  conditionalUpdate
+};
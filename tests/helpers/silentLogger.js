@@ -0,0 +1,8 @@
+// Stands in for src/utils/logger: winston's colour dependency ships as ESM,
+// which Jest's CommonJS runtime cannot load, and tests should not write logs/
+module.exports = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+};
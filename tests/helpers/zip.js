@@ -0,0 +1,31 @@
+const zlib = require('zlib');
+
+// Reads the local file entries back out of an archive
+const readEntries = (archive) => {
+  const entries = [];
+  let offset = 0;
+  while (archive.readUInt32LE(offset) === 0x04034B50) {
+    const method = archive.readUInt16LE(offset + 8);
+    const crc = archive.readUInt32LE(offset + 14);
+    const size = archive.readUInt32LE(offset + 18);
+    const nameLength = archive.readUInt16LE(offset + 26);
+    const name = archive.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const body = archive.subarray(offset + 30 + nameLength, offset + 30 + nameLength + size);
+    const data = method === 8 ? zlib.inflateRawSync(body) : body;
+    entries.push({ name, data: data.toString('utf8'), crc, method });
+    offset += 30 + nameLength + size;
+  }
+  return entries;
+};
+
+// Entry count recorded in the end-of-central-directory record, or null when there is none
+const centralDirectoryCount = (archive) => (
+  archive.length >= 22 && archive.readUInt32LE(archive.length - 22) === 0x06054B50
+    ? archive.readUInt16LE(archive.length - 12)
+    : null
+);
+
+module.exports = {
+  readEntries,
+  centralDirectoryCount
+};
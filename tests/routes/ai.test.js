@@ -0,0 +1,98 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/silentLogger'));
+jest.mock('../../src/config/database', () => jest.fn());
+
+process.env.MOCK_AI_ENABLED = 'true';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { tokenFor, makeUser } = require('../helpers/routes');
+
+const user = makeUser('Ada');
+const auth = `Bearer ${tokenFor(user)}`;
+
+beforeEach(() => {
+  jest.spyOn(User, 'findById').mockResolvedValue(user);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AI routes with the mock provider', () => {
+  test('require a token', async () => {
+    const response = await request(app).post('/api/ai/mindmap').send({ projectDescription: 'A todo app' });
+
+    expect(response.status).toBe(401);
+  });
+
+  test('POST /api/ai/mindmap returns a canonical mindmap', async () => {
+    const response = await request(app)
+      .post('/api/ai/mindmap')
+      .set('Authorization', auth)
+      .send({ projectDescription: 'A todo app for teams' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.provider).toBe('mock');
+    expect(response.body.data.mindmap).toMatchObject({ id: 'root', type: 'start' });
+    expect(response.body.data.mindmap.children.length).toBeGreaterThan(0);
+  });
+
+  test('POST /api/ai/mindmap is deterministic for the same prompt', async () => {
+    const send = () => request(app).post('/api/ai/mindmap').set('Authorization', auth).send({ projectDescription: 'A recipe sharing site' });
+    const [first, second] = [await send(), await send()];
+
+    expect(second.body.data.mindmap).toEqual(first.body.data.mindmap);
+  });
+
+  test('POST /api/ai/mindmap rejects a provider that is not registered', async () => {
+    const response = await request(app)
+      .post('/api/ai/mindmap')
+      .set('Authorization', auth)
+      .send({ projectDescription: 'A todo app', provider: 'cerebras' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Provider "cerebras" is not registered for mindmap. Use one of: mock');
+  });
+
+  test('POST /api/ai/prd returns a sectioned PRD', async () => {
+    const response = await request(app)
+      .post('/api/ai/prd')
+      .set('Authorization', auth)
+      .send({ projectIdea: 'A marketplace for local farmers' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.prd.sections.length).toBeGreaterThan(0);
+  });
+
+  test('GET /api/ai/providers lists only the mock provider', async () => {
+    const response = await request(app).get('/api/ai/providers').set('Authorization', auth);
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(response.body.data.providers)).toEqual(['mock']);
+    expect(response.body.data.providers.mock.capabilities).toContain('stream');
+  });
+
+  test('POST /api/ai/stream sends chunks and a completion event', async () => {
+    const response = await request(app)
+      .post('/api/ai/stream')
+      .set('Authorization', auth)
+      .send({ prompt: 'Explain circuit breakers' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+    expect(response.text).toContain('"type":"chunk"');
+    expect(response.text).toContain('data: {"type":"complete"}');
+  });
+
+  test('POST /api/ai/stream answers 400 before streaming for an unknown provider', async () => {
+    const response = await request(app)
+      .post('/api/ai/stream')
+      .set('Authorization', auth)
+      .send({ prompt: 'Hi', provider: 'nope' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('STREAM_PROVIDER_UNAVAILABLE');
+  });
+});
@@ -0,0 +1,206 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/silentLogger'));
+jest.mock('../../src/config/database', () => jest.fn());
+
+process.env.JWT_SECRET = 'test-secret';
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { query } = require('../helpers/routes');
+
+// Accounts by id, standing in for the users collection
+let accounts;
+
+const createAccount = async ({ name = 'Ada', email = 'ada@example.com', password = 'correct horse' } = {}) => {
+  const user = new User({ name, email, password: await bcrypt.hash(password, 4) });
+  accounts.set(user._id.toString(), user);
+  return user;
+};
+
+beforeEach(() => {
+  accounts = new Map();
+
+  jest.spyOn(User, 'findByEmail').mockImplementation(async email => (
+    Array.from(accounts.values()).find(user => user.email === String(email).toLowerCase()) || null
+  ));
+  jest.spyOn(User, 'findById').mockImplementation(id => query(accounts.get(String(id)) || null));
+  jest.spyOn(User.prototype, 'save').mockImplementation(async function() {
+    accounts.set(this._id.toString(), this);
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const login = (email = 'ada@example.com', password = 'correct horse') => request(app)
+  .post('/api/auth/login')
+  .send({ email, password });
+
+describe('POST /api/auth/register', () => {
+  test('creates the account and returns a token pair without the password', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: ' Ada ', email: 'Ada@Example.com', password: 'correct horse' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.user).toMatchObject({ name: 'Ada', email: 'ada@example.com' });
+    expect(response.body.data.user.password).toBeUndefined();
+    expect(response.body.data).toMatchObject({ tokenType: 'Bearer' });
+    expect(jwt.verify(response.body.data.accessToken, 'test-secret')).toMatchObject({ type: 'access' });
+  });
+
+  test('rejects a short password', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ada', email: 'ada@example.com', password: 'short' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('rejects a password that is not a string', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ada', email: 'ada@example.com', password: ['correct horse'] });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Name, email and password must be strings');
+  });
+
+  test('answers 400 for a bodyless request', async () => {
+    const response = await request(app).post('/api/auth/register');
+
+    expect(response.status).toBe(400);
+  });
+
+  test('answers 409 for an email that is already registered', async () => {
+    await createAccount();
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ada', email: 'ADA@example.com', password: 'correct horse' });
+
+    expect(response.status).toBe(409);
+  });
+
+  test('answers 409 when a concurrent registration wins the unique index', async () => {
+    User.prototype.save.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ada', email: 'ada@example.com', password: 'correct horse' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('An account with this email already exists');
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  test('returns a token pair for the right password', async () => {
+    const user = await createAccount();
+
+    const response = await login();
+
+    expect(response.status).toBe(200);
+    expect(jwt.verify(response.body.data.accessToken, 'test-secret')).toMatchObject({ id: user._id.toString() });
+    expect(user.lastLoginAt).toBeInstanceOf(Date);
+  });
+
+  test('answers 401 for a wrong password or an unknown email', async () => {
+    await createAccount();
+
+    expect((await login('ada@example.com', 'wrong password')).status).toBe(401);
+    expect((await login('eve@example.com')).status).toBe(401);
+  });
+
+  test('answers 400 instead of 500 for a password that is not a string', async () => {
+    await createAccount();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'ada@example.com', password: { $gt: '' } });
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  test('rotates the refresh token and rejects reuse of the old one', async () => {
+    await createAccount();
+    const { refreshToken } = (await login()).body.data;
+
+    const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.data.refreshToken).not.toBe(refreshToken);
+
+    const reused = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(reused.status).toBe(401);
+    expect(reused.body.error).toBe('Refresh token has been revoked');
+
+    const next = await request(app).post('/api/auth/refresh').send({ refreshToken: rotated.body.data.refreshToken });
+    expect(next.status).toBe(200);
+  });
+
+  test('rejects a refresh token revoked by logout', async () => {
+    await createAccount();
+    const { refreshToken } = (await login()).body.data;
+
+    expect((await request(app).post('/api/auth/logout').send({ refreshToken })).status).toBe(200);
+
+    const response = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    expect(response.status).toBe(401);
+  });
+
+  test('does not accept an access token as a refresh token', async () => {
+    await createAccount();
+    const { accessToken } = (await login()).body.data;
+
+    const response = await request(app).post('/api/auth/refresh').send({ refreshToken: accessToken });
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid refresh token');
+  });
+});
+
+describe('protect middleware', () => {
+  test('accepts a valid access token', async () => {
+    await createAccount();
+    const { accessToken } = (await login()).body.data;
+
+    const response = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.email).toBe('ada@example.com');
+  });
+
+  test('rejects a missing, expired or tampered token', async () => {
+    const user = await createAccount();
+    const claims = { id: user._id.toString(), type: 'access' };
+    const expired = jwt.sign({ ...claims, exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret');
+    const tampered = jwt.sign(claims, 'another-secret');
+
+    const me = (token) => request(app).get('/api/auth/me').set('Authorization', token ? `Bearer ${token}` : '');
+
+    expect((await me()).status).toBe(401);
+
+    const expiredResponse = await me(expired);
+    expect(expiredResponse.status).toBe(401);
+    expect(expiredResponse.body.error).toBe('Token expired');
+
+    const tamperedResponse = await me(tampered);
+    expect(tamperedResponse.status).toBe(401);
+    expect(tamperedResponse.body.error).toBe('Invalid token');
+  });
+
+  test('rejects a refresh token used as an access token', async () => {
+    await createAccount();
+    const { refreshToken } = (await login()).body.data;
+
+    const response = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${refreshToken}`);
+
+    expect(response.status).toBe(401);
+  });
+});
@@ -0,0 +1,183 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/silentLogger'));
+jest.mock('../../src/config/database', () => jest.fn());
+
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const { tokenFor, makeUser, query } = require('../helpers/routes');
+
+const owner = makeUser('Ada');
+const editor = makeUser('Grace');
+const invitee = makeUser('Linus');
+const stranger = makeUser('Eve');
+const users = Object.fromEntries([owner, editor, invitee, stranger].map(user => [user._id, user]));
+
+let project;
+
+beforeEach(() => {
+  project = new Project({
+    name: 'Todo App',
+    description: 'Team todo lists',
+    createdBy: owner._id.toString(),
+    collaborators: [{ userId: editor._id.toString(), email: editor.email, role: 'editor', status: 'active' }]
+  });
+
+  jest.spyOn(User, 'findById').mockImplementation(async id => users[id] || null);
+  jest.spyOn(Project, 'findById').mockImplementation(() => query(project));
+  jest.spyOn(Project.prototype, 'save').mockImplementation(async function() { return this; });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const as = (user) => `Bearer ${tokenFor(user)}`;
+const collaborators = () => `/api/projects/${project._id}/collaborators`;
+
+const invite = (body = { email: invitee.email, role: 'editor' }) => request(app)
+  .post(`${collaborators()}/invite`)
+  .set('Authorization', as(owner))
+  .send(body);
+
+const respond = (action, user, token) => request(app)
+  .post(`${collaborators()}/${action}`)
+  .set('Authorization', as(user))
+  .send({ token });
+
+const memberFor = (user) => project.collaborators.find(member => member.email === user.email);
+
+describe('POST /collaborators/invite', () => {
+  test('adds a pending member and returns an invite token', async () => {
+    const response = await invite();
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.inviteToken).toEqual(expect.any(String));
+    expect(response.body.data.collaborator).toMatchObject({ email: invitee.email, role: 'editor', status: 'pending', userId: null });
+    expect(project.getMemberRole({ id: invitee._id.toString(), email: invitee.email })).toBeNull();
+  });
+
+  test('rejects the owner role, a bad email and a bodyless request', async () => {
+    expect((await invite({ email: invitee.email, role: 'owner' })).status).toBe(400);
+    expect((await invite({ email: 'not-an-email' })).status).toBe(400);
+
+    const bodyless = await request(app).post(`${collaborators()}/invite`).set('Authorization', as(owner));
+    expect(bodyless.status).toBe(400);
+  });
+
+  test('answers 409 for someone who is already a member', async () => {
+    const response = await invite({ email: editor.email, role: 'viewer' });
+
+    expect(response.status).toBe(409);
+  });
+});
+
+describe('accepting and declining invitations', () => {
+  test('accepting binds the member to the account and makes the token single-use', async () => {
+    const { inviteToken } = (await invite()).body.data;
+
+    const accepted = await respond('accept', invitee, inviteToken);
+    expect(accepted.status).toBe(200);
+    expect(memberFor(invitee)).toMatchObject({ status: 'active', userId: invitee._id.toString(), inviteTokenId: null });
+    expect(project.getMemberRole({ id: invitee._id.toString() })).toBe('editor');
+
+    const reused = await respond('accept', invitee, inviteToken);
+    expect(reused.status).toBe(404);
+    expect(reused.body.error).toBe('Invitation not found or already used');
+  });
+
+  test('declining removes the invitation and the token cannot be used afterwards', async () => {
+    const { inviteToken } = (await invite()).body.data;
+
+    expect((await respond('decline', invitee, inviteToken)).status).toBe(200);
+    expect(memberFor(invitee)).toBeUndefined();
+
+    expect((await respond('accept', invitee, inviteToken)).status).toBe(404);
+  });
+
+  test('refuses an invitation presented by a different account', async () => {
+    const { inviteToken } = (await invite()).body.data;
+
+    const response = await respond('accept', stranger, inviteToken);
+
+    expect(response.status).toBe(403);
+    expect(memberFor(invitee).status).toBe('pending');
+  });
+
+  test('a re-invite replaces the earlier token', async () => {
+    const first = (await invite()).body.data.inviteToken;
+    const second = (await invite()).body.data.inviteToken;
+
+    expect((await respond('accept', invitee, first)).status).toBe(404);
+    expect((await respond('accept', invitee, second)).status).toBe(200);
+  });
+
+  test('rejects a token that is not an invitation', async () => {
+    const response = await respond('accept', invitee, tokenFor(invitee));
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('managing members', () => {
+  const editorMember = () => project.collaborators[0];
+
+  test('the owner changes a role but cannot hand out the owner role', async () => {
+    const changed = await request(app)
+      .patch(`${collaborators()}/${editorMember()._id}`)
+      .set('Authorization', as(owner))
+      .send({ role: 'viewer' });
+    const promoted = await request(app)
+      .patch(`${collaborators()}/${editorMember()._id}`)
+      .set('Authorization', as(owner))
+      .send({ role: 'owner' });
+
+    expect(changed.status).toBe(200);
+    expect(promoted.status).toBe(400);
+    expect(editorMember().role).toBe('viewer');
+  });
+
+  test('the owner removes a member', async () => {
+    const response = await request(app)
+      .delete(`${collaborators()}/${editorMember()._id}`)
+      .set('Authorization', as(owner));
+
+    expect(response.status).toBe(200);
+    expect(project.collaborators).toHaveLength(0);
+    expect(project.getMemberRole({ id: editor._id.toString() })).toBeNull();
+  });
+
+  test('answers 404 for an unknown member', async () => {
+    const response = await request(app)
+      .delete(`${collaborators()}/${project._id}`)
+      .set('Authorization', as(owner));
+
+    expect(response.status).toBe(404);
+  });
+
+  test('ownership moves to an active member and the previous owner stays as editor', async () => {
+    const response = await request(app)
+      .post(`${collaborators()}/transfer-ownership`)
+      .set('Authorization', as(owner))
+      .send({ memberId: editorMember()._id });
+
+    expect(response.status).toBe(200);
+    expect(project.createdBy).toBe(editor._id.toString());
+    expect(project.getMemberRole({ id: editor._id.toString() })).toBe('owner');
+    expect(project.getMemberRole({ id: owner._id.toString() })).toBe('editor');
+  });
+
+  test('ownership cannot move to a pending invitation', async () => {
+    await invite();
+
+    const response = await request(app)
+      .post(`${collaborators()}/transfer-ownership`)
+      .set('Authorization', as(owner))
+      .send({ memberId: memberFor(invitee)._id });
+
+    expect(response.status).toBe(400);
+    expect(project.createdBy).toBe(owner._id.toString());
+  });
+});
@@ -0,0 +1,183 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/silentLogger'));
+jest.mock('../../src/config/database', () => jest.fn());
+
+process.env.MOCK_AI_ENABLED = 'true';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const PRDRevision = require('../../src/models/PRDRevision');
+const Job = require('../../src/models/Job');
+const { normalizePRD } = require('../../src/utils/prdNormalizer');
+const { tokenFor, makeUser, query, conditionalUpdate } = require('../helpers/routes');
+const { readEntries, centralDirectoryCount } = require('../helpers/zip');
+
+const owner = makeUser('Ada');
+const users = { [owner._id]: owner };
+
+const prd = normalizePRD([
+  '# Todo App PRD',
+  '',
+  '## Overview',
+  'Shared todo lists for small teams.',
+  '',
+  '## User Stories',
+  '- As a member I want to assign a todo so that work is not done twice'
+].join('\n'), { provider: 'mock' }).prd;
+
+let project;
+
+beforeEach(() => {
+  project = new Project({
+    name: 'Todo App',
+    description: 'Team todo lists',
+    createdBy: owner._id.toString(),
+    prd,
+    prdVersion: 1
+  });
+
+  jest.spyOn(User, 'findById').mockImplementation(async id => users[id] || null);
+  jest.spyOn(Project, 'findById').mockImplementation(() => query(project));
+  jest.spyOn(Project, 'findOneAndUpdate').mockImplementation(conditionalUpdate(() => project));
+  jest.spyOn(PRDRevision.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Job, 'create').mockImplementation(async data => new Job(data));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const as = (user) => `Bearer ${tokenFor(user)}`;
+const sections = () => `/api/projects/${project._id}/prd/sections`;
+
+describe('PRD section editing', () => {
+  test('stores an edited section as a new revision', async () => {
+    const response = await request(app)
+      .patch(`${sections()}/user-stories`)
+      .set('Authorization', as(owner))
+      .send({ body: '- As an owner I want to archive a list' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.revision).toBe(2);
+    expect(project.prd.sections[1].body).toBe('- As an owner I want to archive a list');
+
+    const [snapshot] = PRDRevision.prototype.save.mock.contexts;
+    expect(snapshot).toMatchObject({ revision: 2, source: 'edit', sectionIds: ['user-stories'], sectionCount: 2 });
+  });
+
+  test('answers 409 instead of overwriting a commit made since the project was loaded', async () => {
+    const stale = new Project({ ...project.toObject(), prdVersion: 0 });
+    Project.findById.mockImplementation(() => query(stale));
+
+    const response = await request(app)
+      .post(`${sections()}/executive-summary/lock`)
+      .set('Authorization', as(owner));
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('The PRD was changed by someone else in the meantime; reload it and try again');
+    expect(project.prdVersion).toBe(1);
+    expect(PRDRevision.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /prd/sections/:sectionId/regenerate', () => {
+  test('queues a section job for the requested provider', async () => {
+    const response = await request(app)
+      .post(`${sections()}/user-stories/regenerate`)
+      .set('Authorization', as(owner))
+      .send({ provider: 'mock', instructions: 'Cover admins too' });
+
+    expect(response.status).toBe(202);
+    expect(Job.create).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'prd-section',
+      payload: { sectionId: 'user-stories', instructions: 'Cover admins too', provider: 'mock' }
+    }));
+  });
+
+  test('rejects an unknown provider before queueing', async () => {
+    const response = await request(app)
+      .post(`${sections()}/user-stories/regenerate`)
+      .set('Authorization', as(owner))
+      .send({ provider: 'openrouter' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Provider "openrouter" is not registered for prd-section. Use one of: mock');
+    expect(Job.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /prd/export', () => {
+  const exportAs = (format) => request(app)
+    .get(`/api/projects/${project._id}/prd/export${format ? `?format=${format}` : ''}`)
+    .set('Authorization', as(owner));
+
+  // Collect a binary body as a Buffer
+  const binary = (res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  };
+
+  test('downloads Markdown with a title page and a linked table of contents by default', async () => {
+    const response = await exportAs();
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/markdown; charset=utf-8');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="todo-app-prd.md"');
+    expect(response.text).toMatch(/^# Todo App PRD\n/);
+    expect(response.text).toContain('**Project:** Todo App');
+    expect(response.text).toContain('## Table of Contents\n\n1. [Overview](#1-overview)\n2. [User Stories](#2-user-stories)');
+    expect(response.text).toContain('## 2. User Stories\n\n- As a member I want to assign a todo');
+  });
+
+  test('renders standalone HTML with a title page and table of contents', async () => {
+    const response = await exportAs('html');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="todo-app-prd.html"');
+    expect(response.text).toContain('<h1>Todo App PRD</h1>');
+    expect(response.text).toContain('<nav class="toc">');
+    expect(response.text).toContain('<a href="#section-user-stories">User Stories</a>');
+    expect(response.text).toContain('<section id="section-user-stories">');
+  });
+
+  test('escapes HTML in titles, metadata and section bodies', async () => {
+    project.name = 'Todo <App>';
+    project.prd = normalizePRD('# <b>Launch</b> & plan\n\n## Overview\n<script>alert(1)</script>', { provider: 'mock' }).prd;
+
+    const response = await exportAs('html');
+
+    expect(response.status).toBe(200);
+    expect(response.text).not.toContain('<script>');
+    expect(response.text).not.toContain('<b>Launch</b>');
+    expect(response.text).toContain('&lt;b&gt;Launch&lt;/b&gt; &amp; plan');
+    expect(response.text).toContain('Todo &lt;App&gt;');
+    expect(response.text).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+  });
+
+  test('builds the DOCX as a valid ZIP package', async () => {
+    const response = await exportAs('docx').buffer(true).parse(binary);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(response.headers['content-disposition']).toBe('attachment; filename="todo-app-prd.docx"');
+
+    const entries = readEntries(response.body);
+    expect(entries.map(entry => entry.name)).toEqual(expect.arrayContaining(['[Content_Types].xml', '_rels/.rels', 'word/document.xml']));
+    expect(centralDirectoryCount(response.body)).toBe(entries.length);
+
+    const document = entries.find(entry => entry.name === 'word/document.xml').data;
+    expect(document).toContain('Todo App PRD');
+    expect(document).toContain('User Stories');
+  });
+
+  test('answers 400 for an unknown format', async () => {
+    const response = await exportAs('pdf');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Unsupported export format "pdf". Use one of: markdown, html, docx');
+  });
+});
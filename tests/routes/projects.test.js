@@ -0,0 +1,296 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/silentLogger'));
+jest.mock('../../src/config/database', () => jest.fn());
+
+process.env.MOCK_AI_ENABLED = 'true';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const Project = require('../../src/models/Project');
+const MindmapRevision = require('../../src/models/MindmapRevision');
+const Job = require('../../src/models/Job');
+const { MAX_DEPTH, validateMindmap } = require('../../src/utils/mindmapNormalizer');
+const { tokenFor, makeUser, query, conditionalUpdate } = require('../helpers/routes');
+
+const owner = makeUser('Ada');
+const editor = makeUser('Grace');
+const viewer = makeUser('Linus');
+const invitee = makeUser('Barbara');
+const stranger = makeUser('Eve');
+const users = Object.fromEntries([owner, editor, viewer, invitee, stranger].map(user => [user._id, user]));
+
+const mindmap = {
+  id: 'root',
+  text: 'Todo App',
+  title: 'Todo App',
+  description: 'Team todo lists',
+  type: 'start',
+  children: [{ id: 'auth', text: 'Auth', title: 'Auth', description: 'Sign in', type: 'milestone', children: [] }]
+};
+
+let project;
+
+beforeEach(() => {
+  project = new Project({
+    name: 'Todo App',
+    description: 'Team todo lists',
+    createdBy: owner._id.toString(),
+    mindmap,
+    mindmapVersion: 1,
+    collaborators: [
+      { userId: editor._id.toString(), email: editor.email, role: 'editor', status: 'active' },
+      { userId: viewer._id.toString(), email: viewer.email, role: 'viewer', status: 'active' },
+      // Invited by email but not accepted yet
+      { email: invitee.email, role: 'editor', status: 'pending' }
+    ]
+  });
+
+  jest.spyOn(User, 'findById').mockImplementation(async id => users[id] || null);
+  jest.spyOn(Project, 'findById').mockImplementation(() => query(project));
+  jest.spyOn(Project, 'findOneAndUpdate').mockImplementation(conditionalUpdate(() => project));
+  jest.spyOn(Project.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(MindmapRevision.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(Job, 'create').mockImplementation(async data => new Job(data));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const as = (user) => `Bearer ${tokenFor(user)}`;
+
+describe('project access', () => {
+  test('lets the owner read the project', async () => {
+    const response = await request(app).get(`/api/projects/${project._id}`).set('Authorization', as(owner));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.name).toBe('Todo App');
+  });
+
+  test('hides projects from users who are not members', async () => {
+    const response = await request(app).get(`/api/projects/${project._id}`).set('Authorization', as(stranger));
+
+    expect(response.status).toBe(404);
+  });
+
+  test('grants nothing to an invitation that has not been accepted', async () => {
+    const response = await request(app).get(`/api/projects/${project._id}`).set('Authorization', as(invitee));
+
+    expect(response.status).toBe(404);
+  });
+
+  test('lets a viewer read but not edit', async () => {
+    const read = await request(app).get(`/api/projects/${project._id}`).set('Authorization', as(viewer));
+    const edit = await request(app)
+      .post(`/api/projects/${project._id}/mindmap/nodes/auth/children`)
+      .set('Authorization', as(viewer))
+      .send({ title: 'Password reset' });
+
+    expect(read.status).toBe(200);
+    expect(edit.status).toBe(403);
+    expect(edit.body).toMatchObject({ role: 'viewer' });
+    expect(MindmapRevision.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('lets an editor edit but not manage collaborators or delete the project', async () => {
+    const edit = await request(app)
+      .post(`/api/projects/${project._id}/mindmap/nodes/auth/children`)
+      .set('Authorization', as(editor))
+      .send({ title: 'Password reset' });
+    const invite = await request(app)
+      .post(`/api/projects/${project._id}/collaborators/invite`)
+      .set('Authorization', as(editor))
+      .send({ email: 'new@example.com', role: 'viewer' });
+    const remove = await request(app).delete(`/api/projects/${project._id}`).set('Authorization', as(editor));
+
+    expect(edit.status).toBe(201);
+    expect(invite.status).toBe(403);
+    expect(remove.status).toBe(403);
+  });
+
+  test('does not let a non-member act through a role-gated route', async () => {
+    const response = await request(app)
+      .patch(`/api/projects/${project._id}/collaborators/${project.collaborators[1]._id}`)
+      .set('Authorization', as(stranger))
+      .send({ role: 'editor' });
+
+    expect(response.status).toBe(404);
+    expect(project.collaborators[1].role).toBe('viewer');
+  });
+});
+
+describe('POST /api/projects/:id/mindmap', () => {
+  test('queues a generation job', async () => {
+    const response = await request(app)
+      .post(`/api/projects/${project._id}/mindmap`)
+      .set('Authorization', as(owner))
+      .send({ complexity: 'low' });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data).toMatchObject({ type: 'mindmap', status: 'queued' });
+    expect(Job.create).toHaveBeenCalledWith(expect.objectContaining({ payload: expect.objectContaining({ complexity: 'low' }) }));
+  });
+
+  test('is refused to users who are not members', async () => {
+    const response = await request(app)
+      .post(`/api/projects/${project._id}/mindmap`)
+      .set('Authorization', as(stranger))
+      .send({ complexity: 'low' });
+
+    expect(response.status).toBe(404);
+    expect(Job.create).not.toHaveBeenCalled();
+  });
+
+  test('rejects an unknown provider before queueing', async () => {
+    const response = await request(app)
+      .post(`/api/projects/${project._id}/mindmap`)
+      .set('Authorization', as(owner))
+      .send({ provider: 'openrouter' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Provider "openrouter" is not registered for mindmap. Use one of: mock');
+    expect(Job.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/jobs/:id', () => {
+  test('shows a job to members of its project', async () => {
+    const job = new Job({ type: 'mindmap', projectId: project._id, createdBy: owner._id.toString() });
+    jest.spyOn(Job, 'findById').mockResolvedValue(job);
+
+    const response = await request(app).get(`/api/jobs/${job._id}`).set('Authorization', as(viewer));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ type: 'mindmap', status: 'queued' });
+  });
+
+  test('answers 404 for a malformed job id', async () => {
+    const findById = jest.spyOn(Job, 'findById');
+
+    const response = await request(app).get('/api/jobs/not-an-id').set('Authorization', as(owner));
+
+    expect(response.status).toBe(404);
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
+
+describe('mindmap node editing', () => {
+  test('adds a child node as a new revision', async () => {
+    const response = await request(app)
+      .post(`/api/projects/${project._id}/mindmap/nodes/auth/children`)
+      .set('Authorization', as(owner))
+      .send({ title: 'Password reset' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.revision).toBe(2);
+    expect(project.mindmap.children[0].children.map(node => node.title)).toEqual(['Password reset']);
+    expect(MindmapRevision.prototype.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('answers 409 instead of overwriting a commit made since the project was loaded', async () => {
+    const stale = new Project({ ...project.toObject(), mindmapVersion: 0 });
+    Project.findById.mockImplementation(() => query(stale));
+
+    const response = await request(app)
+      .post(`/api/projects/${project._id}/mindmap/nodes/auth/children`)
+      .set('Authorization', as(owner))
+      .send({ title: 'Password reset' });
+
+    expect(response.status).toBe(409);
+    expect(project.mindmapVersion).toBe(1);
+    expect(project.mindmap.children[0].children).toEqual([]);
+    expect(MindmapRevision.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('answers 400 for a child past the depth limit', async () => {
+    // A chain reaching the depth limit; its last node cannot take children
+    const chain = (depth) => ({ id: `n${depth}`, text: `N${depth}`, title: `N${depth}`, description: '', type: 'task', children: depth < MAX_DEPTH ? [chain(depth + 1)] : [] });
+    project.mindmap = { ...mindmap, children: [chain(1)] };
+
+    const response = await request(app)
+      .post(`/api/projects/${project._id}/mindmap/nodes/n${MAX_DEPTH}/children`)
+      .set('Authorization', as(owner))
+      .send({ title: 'Too deep' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe(`Mindmap nodes cannot be nested more than ${MAX_DEPTH} levels deep`);
+    expect(MindmapRevision.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('answers 400 for a bodyless add', async () => {
+    const response = await request(app)
+      .post(`/api/projects/${project._id}/mindmap/nodes/auth/children`)
+      .set('Authorization', as(owner));
+
+    expect(response.status).toBe(400);
+    expect(MindmapRevision.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('answers 404 for an unknown node', async () => {
+    const response = await request(app)
+      .delete(`/api/projects/${project._id}/mindmap/nodes/missing`)
+      .set('Authorization', as(owner));
+
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('mindmap revisions', () => {
+  test('diffs two revisions', async () => {
+    const edited = { ...mindmap, children: [{ ...mindmap.children[0], title: 'Authentication', text: 'Authentication' }] };
+    jest.spyOn(MindmapRevision, 'getRevision').mockImplementation(async (projectId, revision) => (
+      { 1: { mindmap }, 2: { mindmap: edited } }[revision] || null
+    ));
+
+    const response = await request(app)
+      .get(`/api/projects/${project._id}/mindmap/diff?from=1&to=2`)
+      .set('Authorization', as(owner));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ from: 1, to: 2 });
+    expect(JSON.stringify(response.body.data.diff)).toContain('Authentication');
+  });
+
+  test('rejects a revision number that is not a positive integer', async () => {
+    const response = await request(app)
+      .get(`/api/projects/${project._id}/mindmap/revisions/abc`)
+      .set('Authorization', as(owner));
+
+    expect(response.status).toBe(400);
+  });
+
+  test('restores a revision written before the canonical schema as a canonical tree', async () => {
+    const legacy = new MindmapRevision({ projectId: project._id, revision: 1, mindmap: { title: 'Todo App', nodes: [{ title: 'Auth' }] } });
+    jest.spyOn(MindmapRevision, 'getRevision').mockResolvedValue(legacy);
+
+    const response = await request(app)
+      .post(`/api/projects/${project._id}/mindmap/revisions/1/restore`)
+      .set('Authorization', as(owner));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.revision).toBe(2);
+    expect(validateMindmap(response.body.data.mindmap)).toEqual([]);
+    expect(response.body.data.mindmap.children.map(node => node.title)).toEqual(['Auth']);
+  });
+});
+
+describe('mindmap export', () => {
+  test('downloads the mindmap as Markdown', async () => {
+    const response = await request(app)
+      .get(`/api/projects/${project._id}/mindmap/export?format=markdown`)
+      .set('Authorization', as(owner));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-disposition']).toBe('attachment; filename="todo-app-mindmap.md"');
+    expect(response.text).toContain('- Auth');
+  });
+
+  test('rejects an unknown format', async () => {
+    const response = await request(app)
+      .get(`/api/projects/${project._id}/mindmap/export?format=pdf`)
+      .set('Authorization', as(owner));
+
+    expect(response.status).toBe(400);
+  });
+});
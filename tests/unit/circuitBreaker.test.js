@@ -0,0 +1,95 @@
+const { CircuitBreaker, isTimeout } = require('../../src/utils/circuitBreaker');
+
+const timeoutError = () => Object.assign(new Error('timeout of 1000ms exceeded'), { code: 'ECONNABORTED' });
+
+describe('CircuitBreaker', () => {
+  let now;
+  let transitions;
+  const breaker = (options = {}) => new CircuitBreaker('test', {
+    windowSize: 4,
+    minRequests: 4,
+    failureRatio: 0.5,
+    timeoutStreak: 3,
+    openMs: 1000,
+    now: () => now,
+    onTransition: ({ from, to }) => transitions.push(`${from}->${to}`),
+    ...options
+  });
+
+  beforeEach(() => {
+    now = 0;
+    transitions = [];
+  });
+
+  test('stays closed below the minimum number of requests', () => {
+    const circuit = breaker();
+    circuit.recordFailure(new Error('boom'));
+    circuit.recordFailure(new Error('boom'));
+    circuit.recordFailure(new Error('boom'));
+
+    expect(circuit.state).toBe('closed');
+    expect(circuit.tryAcquire()).toBe(true);
+  });
+
+  test('opens when the failure ratio reaches the threshold', () => {
+    const circuit = breaker();
+    circuit.recordSuccess();
+    circuit.recordSuccess();
+    circuit.recordFailure(new Error('boom'));
+    circuit.recordFailure(new Error('boom'));
+
+    expect(circuit.state).toBe('open');
+    expect(circuit.tryAcquire()).toBe(false);
+    expect(circuit.status()).toMatchObject({ state: 'open', shortCircuited: 1, opens: 1, retryAt: new Date(1000).toISOString() });
+  });
+
+  test('opens after a streak of timeouts regardless of the ratio', () => {
+    const circuit = breaker({ minRequests: 100 });
+    circuit.recordFailure(timeoutError());
+    circuit.recordFailure(timeoutError());
+    circuit.recordFailure(timeoutError());
+
+    expect(circuit.state).toBe('open');
+  });
+
+  test('lets a single trial through after the cool-down', () => {
+    const circuit = breaker({ timeoutStreak: 1 });
+    circuit.recordFailure(timeoutError());
+
+    now = 999;
+    expect(circuit.isAvailable()).toBe(false);
+
+    now = 1000;
+    expect(circuit.isAvailable()).toBe(true);
+    expect(circuit.tryAcquire()).toBe(true);
+    expect(circuit.state).toBe('half-open');
+    expect(circuit.isAvailable()).toBe(false);
+    expect(circuit.tryAcquire()).toBe(false);
+
+    circuit.recordSuccess();
+    expect(circuit.state).toBe('closed');
+    expect(transitions).toEqual(['closed->open', 'open->half-open', 'half-open->closed']);
+  });
+
+  test('reopens when the trial fails', () => {
+    const circuit = breaker({ timeoutStreak: 1 });
+    circuit.recordFailure(timeoutError());
+    now = 1000;
+    circuit.tryAcquire();
+
+    circuit.recordFailure(new Error('still down'));
+
+    expect(circuit.state).toBe('open');
+    expect(circuit.openedAt).toBe(1000);
+    expect(circuit.status().lastError).toMatchObject({ message: 'still down', timeout: false });
+  });
+});
+
+describe('isTimeout', () => {
+  test('recognizes axios, fetch and message timeouts', () => {
+    expect(isTimeout({ code: 'ETIMEDOUT' })).toBe(true);
+    expect(isTimeout({ name: 'TimeoutError' })).toBe(true);
+    expect(isTimeout(new Error('Request timed out'))).toBe(true);
+    expect(isTimeout(new Error('500 Internal Server Error'))).toBe(false);
+  });
+});
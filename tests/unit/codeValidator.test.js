@@ -0,0 +1,53 @@
+const { extractCode, validateCode, describeErrors } = require('../../src/utils/codeValidator');
+
+describe('validateCode', () => {
+  test('accepts valid JavaScript', async () => {
+    await expect(validateCode('const a = 1;', { language: 'javascript' })).resolves.toMatchObject({ status: 'valid', parser: 'babel', errors: [] });
+  });
+
+  test('reports the position of a syntax error', async () => {
+    const validation = await validateCode('const a = ;', { language: 'javascript' });
+
+    expect(validation.status).toBe('invalid');
+    expect(validation.errors).toEqual([{ message: 'Unexpected token', line: 1, column: 11 }]);
+  });
+
+  test('parses TSX by file extension', async () => {
+    await expect(validateCode('export const X = (): JSX.Element => <div />;', { filename: 'X.tsx' })).resolves.toMatchObject({ status: 'valid' });
+  });
+
+  test('checks JSON', async () => {
+    await expect(validateCode('{"a": 1,}', { language: 'json' })).resolves.toMatchObject({ status: 'invalid', parser: 'json' });
+  });
+
+  test('skips languages without a parser', async () => {
+    await expect(validateCode('body {}', { language: 'css' })).resolves.toMatchObject({ status: 'skipped', warnings: ['No parser for css'] });
+  });
+
+  test('marks broken code from an unclosed fence as truncated', async () => {
+    const validation = await validateCode('function f() {', { language: 'javascript', unclosedFence: true });
+
+    expect(validation.status).toBe('truncated');
+    expect(validation.warnings).toEqual(['Code block was never closed; the response may be cut off']);
+  });
+
+  test('treats empty code as invalid', async () => {
+    await expect(validateCode('  ', { language: 'javascript' })).resolves.toMatchObject({ status: 'invalid' });
+  });
+});
+
+describe('extractCode', () => {
+  test('takes the largest fenced block', () => {
+    expect(extractCode('Intro\n```js\na\n```\n```js\nlonger code\n```')).toEqual({ code: 'longer code', unclosedFence: false });
+  });
+
+  test('flags a fence that never closes', () => {
+    expect(extractCode('Intro\n```js\nfunction f() {')).toEqual({ code: 'function f() {', unclosedFence: true });
+  });
+});
+
+describe('describeErrors', () => {
+  test('prefixes positions when known', () => {
+    expect(describeErrors({ errors: [{ message: 'm', line: 2, column: 3 }, { message: 'n', line: null }] })).toBe('line 2:3: m; n');
+  });
+});
@@ -0,0 +1,215 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/silentLogger'));
+
+const mongoose = require('mongoose');
+const Project = require('../../src/models/Project');
+const MindmapRevision = require('../../src/models/MindmapRevision');
+const PRDRevision = require('../../src/models/PRDRevision');
+const Job = require('../../src/models/Job');
+const mcpGateway = require('../../src/services/enhancedMcpGateway');
+const generationService = require('../../src/services/generationService');
+const { httpError } = require('../../src/utils/httpError');
+const { normalizePRD } = require('../../src/utils/prdNormalizer');
+const { query, conditionalUpdate } = require('../helpers/routes');
+
+const mindmap = {
+  id: 'root',
+  text: 'Todo App',
+  title: 'Todo App',
+  description: 'Team todo lists',
+  type: 'start',
+  children: [{ id: 'auth', text: 'Auth', title: 'Auth', description: 'Sign in', type: 'milestone', children: [] }]
+};
+
+let project;
+
+const jobFor = (type, payload = {}) => new Job({ type, projectId: project._id, createdBy: 'user-1', payload });
+
+beforeEach(() => {
+  project = new Project({ name: 'Todo App', description: 'Team todo lists', createdBy: 'user-1', mindmap, mindmapVersion: 1 });
+
+  jest.spyOn(Project, 'findById').mockImplementation(() => query(project));
+  jest.spyOn(mcpGateway, 'routeMindmapRequest').mockResolvedValue({ data: mindmap, provider: 'mock' });
+  jest.spyOn(mcpGateway, 'routeCodeRequest');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('job re-runs', () => {
+  test('a mindmap job tags its revision with the job id', async () => {
+    jest.spyOn(MindmapRevision, 'findOne').mockImplementation(() => query(null));
+    const updateMindmap = jest.spyOn(project, 'updateMindmap').mockResolvedValue(project);
+    const job = jobFor('mindmap');
+
+    await generationService.runMindmapJob(job);
+
+    expect(updateMindmap).toHaveBeenCalledWith(mindmap, 'mock', expect.objectContaining({ jobId: job._id }));
+  });
+
+  test('a mindmap job whose revision is already committed does not generate again', async () => {
+    jest.spyOn(MindmapRevision, 'findOne').mockImplementation(() => query({ revision: 4, provider: 'mock' }));
+
+    const outcome = await generationService.runMindmapJob(jobFor('mindmap'));
+
+    expect(outcome).toEqual({ provider: 'mock', result: { revision: 4, alreadyApplied: true } });
+    expect(mcpGateway.routeMindmapRequest).not.toHaveBeenCalled();
+    expect(Project.findById).not.toHaveBeenCalled();
+  });
+
+  test('a code job whose file is already stored does not add it twice', async () => {
+    const job = jobFor('code', { language: 'javascript' });
+    project.generatedCode.push({ language: 'javascript', filename: 'todo-app.js', code: 'run()', aiProvider: 'mock', jobId: job._id });
+    project.generatedCode.push({ language: 'python', filename: 'todo-app.py', code: 'run()', aiProvider: 'mock', jobId: new mongoose.Types.ObjectId() });
+    const addGeneratedCode = jest.spyOn(project, 'addGeneratedCode');
+
+    const outcome = await generationService.runCodeJob(job);
+
+    expect(outcome.result).toMatchObject({ filename: 'todo-app.js', alreadyApplied: true, totalCodeFiles: 2 });
+    expect(mcpGateway.routeCodeRequest).not.toHaveBeenCalled();
+    expect(addGeneratedCode).not.toHaveBeenCalled();
+  });
+});
+
+describe('commit races', () => {
+  test('a mindmap job reloads the project and commits again when another commit wins', async () => {
+    jest.spyOn(MindmapRevision, 'findOne').mockImplementation(() => query(null));
+    const updateMindmap = jest.spyOn(Project.prototype, 'updateMindmap')
+      .mockRejectedValueOnce(httpError('The mindmap was changed by someone else in the meantime', 409))
+      .mockImplementation(async function() { return this; });
+
+    await generationService.runMindmapJob(jobFor('mindmap'));
+
+    expect(updateMindmap).toHaveBeenCalledTimes(2);
+    expect(Project.findById).toHaveBeenCalledTimes(3);
+  });
+
+  test('gives up after repeated conflicts', async () => {
+    jest.spyOn(MindmapRevision, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(Project.prototype, 'updateMindmap').mockRejectedValue(httpError('The mindmap was changed', 409));
+
+    await expect(generationService.runMindmapJob(jobFor('mindmap'))).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('mindmap branch jobs', () => {
+  const billing = { id: 'billing', text: 'Billing', title: 'Billing', description: 'Plans', type: 'milestone', children: [] };
+  const branch = { children: [{ title: 'Password reset' }, { title: 'Two-factor login' }] };
+
+  // Store a hand edit the way another request would: new content, next version
+  const editConcurrently = () => {
+    project = new Project({ ...project.toObject(), mindmap: { ...mindmap, children: [...mindmap.children, billing] }, mindmapVersion: project.mindmapVersion + 1 });
+  };
+
+  const titles = (node) => node.children.map(child => child.title);
+
+  beforeEach(() => {
+    jest.spyOn(MindmapRevision, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(MindmapRevision.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Project, 'findOneAndUpdate').mockImplementation(conditionalUpdate(() => project));
+  });
+
+  test('grafts into the mindmap as stored when generation finishes', async () => {
+    jest.spyOn(mcpGateway, 'routeMindmapBranchRequest').mockImplementation(async () => {
+      editConcurrently();
+      return { data: branch, provider: 'mock' };
+    });
+
+    const outcome = await generationService.runMindmapBranchJob(jobFor('mindmap-branch', { nodeId: 'auth' }));
+
+    expect(titles(project.mindmap)).toEqual(['Auth', 'Billing']);
+    expect(titles(project.mindmap.children[0])).toEqual(['Password reset', 'Two-factor login']);
+    expect(outcome.result).toMatchObject({ addedCount: 2, revision: 3 });
+  });
+
+  test('grafts again on top of an edit committed between its load and its write', async () => {
+    jest.spyOn(mcpGateway, 'routeMindmapBranchRequest').mockResolvedValue({ data: branch, provider: 'mock' });
+    const write = conditionalUpdate(() => project);
+    Project.findOneAndUpdate.mockImplementationOnce((filter, update) => {
+      editConcurrently();
+      return write(filter, update);
+    });
+
+    const outcome = await generationService.runMindmapBranchJob(jobFor('mindmap-branch', { nodeId: 'auth' }));
+
+    expect(Project.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(titles(project.mindmap)).toEqual(['Auth', 'Billing']);
+    expect(titles(project.mindmap.children[0])).toEqual(['Password reset', 'Two-factor login']);
+    expect(outcome.result.revision).toBe(3);
+    expect(MindmapRevision.prototype.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('fails when the node was deleted while its branch was generated', async () => {
+    jest.spyOn(mcpGateway, 'routeMindmapBranchRequest').mockImplementation(async () => {
+      project = new Project({ ...project.toObject(), mindmap: { ...mindmap, children: [] }, mindmapVersion: 2 });
+      return { data: branch, provider: 'mock' };
+    });
+
+    await expect(generationService.runMindmapBranchJob(jobFor('mindmap-branch', { nodeId: 'auth' })))
+      .rejects.toThrow('Node auth no longer exists in the mindmap');
+    expect(Project.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('PRD jobs', () => {
+  const prd = normalizePRD('# Todo App PRD\n\n## Overview\nShared lists.\n\n## User Stories\n- Assign todos', { provider: 'mock' }).prd;
+
+  // Store a PRD edit the way another request would: new content, next version
+  const editConcurrently = (edit) => {
+    project = new Project({ ...project.toObject(), prd: edit(structuredClone(project.prd)), prdVersion: project.prdVersion + 1 });
+  };
+
+  beforeEach(() => {
+    project.prd = prd;
+    project.prdVersion = 1;
+
+    jest.spyOn(PRDRevision, 'findOne').mockImplementation(() => query(null));
+    jest.spyOn(PRDRevision.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Project, 'findOneAndUpdate').mockImplementation(conditionalUpdate(() => project));
+    jest.spyOn(Project.prototype, 'updateAIUsage').mockImplementation(async function() { return this; });
+  });
+
+  test('a section job replaces the section in the PRD as stored when generation finishes', async () => {
+    jest.spyOn(mcpGateway, 'routePRDSectionRequest').mockImplementation(async () => {
+      editConcurrently(edited => {
+        edited.sections[0].body = 'Shared lists for small teams.';
+        return edited;
+      });
+      return { data: '- Assign todos to members\n- Archive lists', provider: 'mock' };
+    });
+
+    const outcome = await generationService.runPRDSectionJob(jobFor('prd-section', { sectionId: 'user-stories' }));
+
+    expect(project.prd.sections.map(section => section.body)).toEqual(['Shared lists for small teams.', '- Assign todos to members\n- Archive lists']);
+    expect(outcome.result.revision).toBe(3);
+  });
+
+  test('a section job fails when the section was locked during generation', async () => {
+    jest.spyOn(mcpGateway, 'routePRDSectionRequest').mockImplementation(async () => {
+      editConcurrently(edited => {
+        edited.sections[1].locked = true;
+        return edited;
+      });
+      return { data: 'Rewritten', provider: 'mock' };
+    });
+
+    await expect(generationService.runPRDSectionJob(jobFor('prd-section', { sectionId: 'user-stories' })))
+      .rejects.toThrow('Section user-stories was locked before it could be regenerated');
+    expect(Project.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('a full PRD job keeps sections locked while it was generating', async () => {
+    jest.spyOn(mcpGateway, 'routePRDRequest').mockImplementation(async () => {
+      editConcurrently(edited => {
+        edited.sections[1] = { ...edited.sections[1], body: '- Hand-written stories', locked: true };
+        return edited;
+      });
+      return { data: '# Todo App PRD\n\n## Overview\nNew overview\n\n## User Stories\n- Generated stories', provider: 'mock' };
+    });
+
+    const outcome = await generationService.runPRDJob(jobFor('prd'));
+
+    expect(project.prd.sections.map(section => section.body)).toEqual(['New overview', '- Hand-written stories']);
+    expect(outcome.result.revision).toBe(3);
+  });
+});
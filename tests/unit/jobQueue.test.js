@@ -0,0 +1,124 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/silentLogger'));
+
+const Job = require('../../src/models/Job');
+const jobQueue = require('../../src/services/jobQueue');
+
+const handler = jest.fn();
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const runningJob = (fields = {}) => new Job({
+  type: 'test',
+  createdBy: 'user-1',
+  status: 'running',
+  attempts: 1,
+  maxAttempts: 3,
+  startedAt: new Date(),
+  lockedBy: jobQueue.workerId,
+  ...fields
+});
+
+beforeAll(() => {
+  jobQueue.registerHandler('test', handler);
+});
+
+beforeEach(() => {
+  handler.mockReset();
+  jobQueue.lastRecoveryAt = 0;
+  jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+  jest.spyOn(Job, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Job, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+});
+
+afterEach(async () => {
+  await jobQueue.stop();
+  jest.restoreAllMocks();
+});
+
+describe('start', () => {
+  test('polls right away and keeps polling when stale-job recovery fails', async () => {
+    Job.updateMany.mockRejectedValue(new Error('not connected'));
+
+    jobQueue.start();
+    await flush();
+
+    expect(jobQueue.timer).not.toBeNull();
+    expect(Job.updateMany).toHaveBeenCalled();
+    expect(Job.findOneAndUpdate).toHaveBeenCalled();
+  });
+});
+
+describe('claimNext', () => {
+  test('leases the oldest runnable job of a registered type', async () => {
+    await jobQueue.claimNext();
+
+    const [filter, update, options] = Job.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ status: 'queued', runAt: { $lte: expect.any(Date) } });
+    expect(filter.type.$in).toContain('test');
+    expect(update).toMatchObject({ $set: { status: 'running', lockedBy: jobQueue.workerId }, $inc: { attempts: 1 } });
+    expect(options).toMatchObject({ sort: { runAt: 1, queuedAt: 1 }, new: true });
+  });
+});
+
+describe('execute', () => {
+  test('records the handler result and provider', async () => {
+    const job = runningJob();
+    handler.mockResolvedValue({ provider: 'mock', result: { revision: 2 } });
+
+    await jobQueue.execute(job);
+
+    expect(handler).toHaveBeenCalledWith(job);
+    expect(Job.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, lockedBy: jobQueue.workerId },
+      { $set: expect.objectContaining({ status: 'succeeded', provider: 'mock', result: { revision: 2 }, lockedBy: null }) }
+    );
+  });
+
+  test('requeues a failed job with backoff while attempts remain', async () => {
+    const job = runningJob({ attempts: 2 });
+    handler.mockRejectedValue(new Error('provider down'));
+
+    await jobQueue.execute(job);
+
+    const { $set } = Job.updateOne.mock.calls[0][1];
+    expect($set).toMatchObject({ status: 'queued', error: 'provider down', lockedBy: null });
+    expect($set.runAt.getTime()).toBeGreaterThanOrEqual(Date.now() + jobQueue.retryDelay);
+  });
+
+  test('fails a job on its last attempt', async () => {
+    const job = runningJob({ attempts: 3 });
+    handler.mockRejectedValue(new Error('provider down'));
+
+    await jobQueue.execute(job);
+
+    expect(Job.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'failed', error: 'provider down' });
+  });
+
+  test('does not reject when the failure cannot be recorded', async () => {
+    Job.updateOne.mockRejectedValue(new Error('not connected'));
+    handler.mockRejectedValue(new Error('provider down'));
+
+    await expect(jobQueue.execute(runningJob())).resolves.toBeUndefined();
+  });
+});
+
+describe('recoverStaleJobs', () => {
+  test('requeues stale jobs with attempts left and fails the rest', async () => {
+    const before = Date.now();
+
+    await jobQueue.recoverStaleJobs();
+
+    const [[requeueFilter, requeue], [failFilter, fail]] = Job.updateMany.mock.calls;
+    expect(requeueFilter).toMatchObject({ status: 'running', $expr: { $lt: ['$attempts', '$maxAttempts'] } });
+    expect(requeueFilter.heartbeatAt.$lt.getTime()).toBeGreaterThanOrEqual(before - jobQueue.staleAfter);
+    expect(requeue.$set).toMatchObject({ status: 'queued', lockedBy: null });
+    expect(failFilter).toMatchObject({ status: 'running', $expr: { $gte: ['$attempts', '$maxAttempts'] } });
+    expect(fail.$set).toMatchObject({ status: 'failed', lockedBy: null });
+  });
+
+  test('runs at most once per heartbeat interval from poll', async () => {
+    await jobQueue.poll();
+    await jobQueue.poll();
+
+    expect(Job.updateMany).toHaveBeenCalledTimes(2);
+  });
+});
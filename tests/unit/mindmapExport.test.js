@@ -0,0 +1,44 @@
+const { exportMindmap } = require('../../src/utils/mindmapExport');
+
+const mindmap = {
+  id: 'root',
+  title: 'App & <Co>',
+  description: 'Company site',
+  type: 'start',
+  children: [
+    {
+      id: 'n1',
+      title: 'Auth "flows"',
+      description: 'login flows',
+      type: 'milestone',
+      children: [{ id: 'n2', title: 'user_id field', description: '', type: 'task', children: [] }]
+    },
+    { id: 'n3', title: 'Deploy', description: '', type: 'end', children: [] }
+  ]
+};
+
+describe('exportMindmap', () => {
+  test('names the file after the root title', () => {
+    const { filename, contentType } = exportMindmap(mindmap, 'opml');
+
+    expect(filename).toBe('app-and-co-mindmap.opml');
+    expect(contentType).toBe('text/x-opml; charset=utf-8');
+  });
+
+  test('escapes titles in XML formats', () => {
+    const { body } = exportMindmap(mindmap, 'opml');
+
+    expect(body).toContain('text="App &amp; &lt;Co&gt;"');
+    expect(body).toContain('text="Auth &quot;flows&quot;"');
+  });
+
+  test('writes Markdown as a nested outline with escaped titles', () => {
+    const { body } = exportMindmap(mindmap, 'markdown');
+
+    expect(body).toContain('- Auth "flows"\n  login flows\n  - user\\_id field');
+  });
+
+  test('rejects unknown formats with a 400', () => {
+    expect(() => exportMindmap(mindmap, 'pdf')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
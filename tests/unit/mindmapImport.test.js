@@ -0,0 +1,49 @@
+const { exportMindmap } = require('../../src/utils/mindmapExport');
+const { importMindmap, detectFormat } = require('../../src/utils/mindmapImport');
+const { normalizeMindmap } = require('../../src/utils/mindmapNormalizer');
+
+const mindmap = {
+  id: 'root',
+  title: 'App & <Co>',
+  description: 'Company site',
+  type: 'start',
+  children: [
+    {
+      id: 'n1',
+      title: 'Auth "flows"',
+      description: 'login flows',
+      type: 'milestone',
+      children: [{ id: 'n2', title: 'user_id field', description: '', type: 'task', children: [] }]
+    },
+    { id: 'n3', title: 'Deploy', description: '', type: 'end', children: [] }
+  ]
+};
+
+const titles = (node) => ({ title: node.title, children: node.children.map(titles) });
+
+describe('mindmap export/import round trip', () => {
+  test.each(['opml', 'markdown', 'mermaid'])('%s keeps titles and structure', (format) => {
+    const { body } = exportMindmap(mindmap, format);
+
+    expect(detectFormat(body)).toBe(format);
+
+    const imported = importMindmap(body, { format });
+    const { mindmap: normalized } = normalizeMindmap(imported.mindmap, { cleanTitles: false });
+    expect(imported.format).toBe(format);
+    expect(titles(normalized)).toEqual(titles(mindmap));
+  });
+
+  test('OPML keeps node types and descriptions', () => {
+    const { mindmap: imported } = importMindmap(exportMindmap(mindmap, 'opml').body);
+
+    expect(imported.description).toBe('Company site');
+    expect(imported.children[0]).toMatchObject({ type: 'milestone', description: 'login flows' });
+    expect(imported.children[1].type).toBe('end');
+  });
+});
+
+describe('importMindmap', () => {
+  test('rejects empty content with a 400', () => {
+    expect(() => importMindmap('  ')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
@@ -0,0 +1,100 @@
+const { normalizeMindmap, validateMindmap, upgradeMindmap } = require('../../src/utils/mindmapNormalizer');
+
+const titles = (node) => ({ title: node.title, children: node.children.map(titles) });
+
+describe('normalizeMindmap', () => {
+  test('unwraps a chat completion and cleans markdown out of titles', () => {
+    const raw = {
+      choices: [{
+        message: {
+          content: JSON.stringify({ mindmap: { title: '**App**', children: [{ id: 'auth', title: '## Auth', type: 'feature' }] } })
+        }
+      }]
+    };
+
+    const { mindmap, report } = normalizeMindmap(raw);
+
+    expect(mindmap.id).toBe('root');
+    expect(mindmap.type).toBe('start');
+    expect(titles(mindmap)).toEqual({ title: 'App', children: [{ title: 'Auth', children: [] }] });
+    expect(mindmap.children[0]).toMatchObject({ id: 'auth', text: 'Auth', type: 'task' });
+    expect(report.stats.nodeCount).toBe(2);
+  });
+
+  test('keeps titles as written when cleanTitles is off', () => {
+    const { mindmap } = normalizeMindmap({ title: 'App', children: [{ title: '  API:   user_id   field ' }] }, { cleanTitles: false });
+
+    expect(mindmap.children[0].title).toBe('API: user_id field');
+  });
+
+  test('renames duplicate ids and generates missing ones', () => {
+    const { mindmap, report } = normalizeMindmap({
+      title: 'App',
+      children: [{ id: 'a', title: 'One' }, { id: 'a', title: 'Two' }, { title: 'Three' }]
+    });
+
+    expect(mindmap.children.map(node => node.id)).toEqual(['a', 'a_2', 'node_1']);
+    expect(report.repaired).toBe(true);
+    expect(report.issues).toContain('Duplicate id "a" renamed to "a_2"');
+    expect(report.stats.renamedIds).toBe(2);
+  });
+
+  test('builds a tree from a flat node list and reattaches cycles to the root', () => {
+    const { mindmap, report } = normalizeMindmap({
+      title: 'Flat',
+      nodes: [
+        { id: '1', title: 'A' },
+        { id: '2', title: 'B', parentId: '1' },
+        { id: '3', title: 'C', parentId: '4' },
+        { id: '4', title: 'D', parentId: '3' }
+      ]
+    });
+
+    expect(titles(mindmap)).toEqual({
+      title: 'Flat',
+      children: [
+        { title: 'A', children: [{ title: 'B', children: [] }] },
+        { title: 'C', children: [{ title: 'D', children: [] }] }
+      ]
+    });
+    expect(report.issues).toContain('Node 3: parent references form a cycle, attached to root');
+  });
+
+  test('drops nodes past the depth limit', () => {
+    const { mindmap, report } = normalizeMindmap(
+      { title: 'R', children: [{ title: 'L1', children: [{ title: 'L2', children: [{ title: 'L3' }] }] }] },
+      { maxDepth: 2 }
+    );
+
+    expect(mindmap.children[0].children[0].children).toEqual([]);
+    expect(report.stats).toMatchObject({ nodeCount: 3, maxDepth: 2, droppedNodes: 1 });
+  });
+
+  test('falls back to the text outline parser for non-JSON output', () => {
+    const { mindmap, report } = normalizeMindmap('not json at all');
+
+    expect(report.fallback).toBe('text');
+    expect(mindmap.type).toBe('start');
+    expect(validateMindmap(mindmap)).toEqual([]);
+  });
+});
+
+describe('upgradeMindmap', () => {
+  test('returns a canonical tree as it is', () => {
+    const { mindmap } = normalizeMindmap({ title: 'App', children: [{ title: 'Auth' }] });
+
+    expect(upgradeMindmap(mindmap)).toBe(mindmap);
+    expect(upgradeMindmap({ mindmap })).toBe(mindmap);
+  });
+
+  test('upgrades an older tree without pruning it or rewriting titles', () => {
+    const deep = (depth) => ({ title: `**L${depth}**`, children: depth < 8 ? [deep(depth + 1)] : [] });
+
+    const mindmap = upgradeMindmap({ title: 'App', nodes: [deep(1)] });
+
+    expect(validateMindmap(mindmap, { maxDepth: Infinity })).toEqual([]);
+    expect(mindmap.children[0].title).toBe('**L1**');
+    const deepest = (node) => (node.children.length ? deepest(node.children[0]) : node);
+    expect(deepest(mindmap).title).toBe('**L8**');
+  });
+});
@@ -0,0 +1,44 @@
+const { addChild, moveNode, countNodes } = require('../../src/utils/mindmapTree');
+
+const node = (id, children = []) => ({ id, text: id, title: id, description: '', type: 'task', children });
+
+// root > a > b, and root > c
+const mindmap = { ...node('root', [node('a', [node('b')]), node('c')]), type: 'start' };
+
+describe('addChild limits', () => {
+  test('adds a child up to the depth limit', () => {
+    const { mindmap: edited, node: child } = addChild(mindmap, 'b', { title: 'Leaf' }, { maxDepth: 3 });
+
+    expect(edited.children[0].children[0].children).toEqual([child]);
+    expect(countNodes(mindmap)).toBe(4);
+  });
+
+  test('rejects a child below the depth limit', () => {
+    expect(() => addChild(mindmap, 'b', { title: 'Leaf' }, { maxDepth: 2 }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'Mindmap nodes cannot be nested more than 2 levels deep' }));
+  });
+
+  test('rejects a child once the mindmap holds maxNodes nodes', () => {
+    expect(() => addChild(mindmap, 'root', { title: 'Extra' }, { maxNodes: 4 }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'A mindmap can have at most 4 nodes' }));
+    expect(() => addChild(mindmap, 'root', { title: 'Extra' }, { maxNodes: 5 })).not.toThrow();
+  });
+});
+
+describe('moveNode limits', () => {
+  test('counts the moved subtree against the depth limit', () => {
+    // a's subtree is two levels tall; under c it would reach depth 3
+    expect(() => moveNode(mindmap, 'a', { parentId: 'c' }, { maxDepth: 2 }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+
+    const { mindmap: moved } = moveNode(mindmap, 'a', { parentId: 'c' }, { maxDepth: 3 });
+    expect(moved.children.map(child => child.id)).toEqual(['c']);
+    expect(moved.children[0].children[0].id).toBe('a');
+  });
+
+  test('allows moving a node closer to the root', () => {
+    const { mindmap: moved } = moveNode(mindmap, 'b', { parentId: 'root' }, { maxDepth: 2 });
+
+    expect(moved.children.map(child => child.id)).toEqual(['a', 'c', 'b']);
+  });
+});
@@ -0,0 +1,55 @@
+const { parseNodeCodeResponse } = require('../../src/utils/nodeCodeParser');
+
+const fence = (info, code) => ['```' + info, code, '```'].join('\n');
+
+describe('parseNodeCodeResponse', () => {
+  test('splits the markdown format into one file per heading', () => {
+    const response = [
+      '## Product Requirements Document',
+      '### File: LoginForm.tsx',
+      'Purpose: login',
+      '',
+      '## Implementation Code',
+      fence('tsx', 'export const LoginForm = () => null;'),
+      '',
+      '## Product Requirements Document',
+      '### File: api/auth.js',
+      'Auth api',
+      '',
+      '## Implementation Code',
+      fence('js', 'module.exports = {};')
+    ].join('\n');
+
+    const { files, format } = parseNodeCodeResponse(response);
+
+    expect(format).toBe('markdown');
+    expect(files).toEqual([
+      expect.objectContaining({ name: 'LoginForm.tsx', path: 'src/components/LoginForm.tsx', language: 'typescript', prd: 'Purpose: login', content: 'export const LoginForm = () => null;' }),
+      expect.objectContaining({ name: 'auth.js', path: 'api/auth.js', language: 'javascript', prd: 'Auth api', content: 'module.exports = {};' })
+    ]);
+  });
+
+  test('reads the JSON format', () => {
+    const { files, format } = parseNodeCodeResponse(JSON.stringify({
+      files: [{ path: 'app/main.py', prd: 'Entry point', code: 'print(1)' }]
+    }));
+
+    expect(format).toBe('json');
+    expect(files).toEqual([expect.objectContaining({ path: 'app/main.py', language: 'python', prd: 'Entry point', content: 'print(1)' })]);
+  });
+
+  test('makes one file per fence when there are no file headings', () => {
+    const { files, format } = parseNodeCodeResponse([fence('js', 'const a = 1;'), fence('css', '.a {}')].join('\n'), { nodeTitle: 'Widget' });
+
+    expect(format).toBe('fenced');
+    expect(files.map(file => [file.name, file.language])).toEqual([['Widget.jsx', 'javascript'], ['Widget2.css', 'css']]);
+  });
+
+  test('keeps anything else as a single file', () => {
+    const { files, format } = parseNodeCodeResponse('just text');
+
+    expect(format).toBe('raw');
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatchObject({ name: 'Generated.tsx', content: 'just text' });
+  });
+});
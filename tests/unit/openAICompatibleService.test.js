@@ -0,0 +1,156 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/silentLogger'));
+
+process.env.LOCAL_LLM_BASE_URL = 'http://localhost:11434/v1/';
+process.env.LOCAL_LLM_MODEL = 'llama3.1:8b';
+process.env.RETRY_BASE_DELAY_MS = '1';
+
+const { PassThrough } = require('stream');
+const axios = require('axios');
+const localLLM = require('../../src/services/openAICompatibleService');
+
+const httpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers: {} } });
+
+const event = (payload) => `data: ${JSON.stringify(payload)}\n\n`;
+const delta = (content) => event({ choices: [{ delta: { content } }] });
+
+// Answer the next streaming request with a body the test writes to
+const streamReply = () => {
+  const body = new PassThrough();
+  jest.spyOn(axios, 'post').mockResolvedValue({ data: body });
+  return body;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('chat', () => {
+  test('posts a non-streaming completion to the configured base URL', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { model: 'llama3.1:8b', choices: [{ message: { content: 'Hello' } }], usage: { total_tokens: 7 } }
+    });
+
+    const response = await localLLM.chat([{ role: 'user', content: 'Hi' }], { temperature: 0.2 });
+
+    expect(axios.post).toHaveBeenCalledWith(
+      'http://localhost:11434/v1/chat/completions',
+      expect.objectContaining({ model: 'llama3.1:8b', temperature: 0.2, max_tokens: 2000, stream: false }),
+      expect.objectContaining({ headers: { 'Content-Type': 'application/json' } })
+    );
+    expect(response).toMatchObject({ content: 'Hello', model: 'llama3.1:8b', usage: { total_tokens: 7 } });
+  });
+
+  test('retries a 503 from a server that is still loading the model', async () => {
+    jest.spyOn(axios, 'post')
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValue({ data: { choices: [{ message: { content: 'Ready' } }] } });
+
+    const response = await localLLM.chat([{ role: 'user', content: 'Hi' }]);
+
+    expect(axios.post).toHaveBeenCalledTimes(2);
+    expect(response.content).toBe('Ready');
+  });
+
+  test('wraps a failed request and keeps its status for routing', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue(httpError(404));
+
+    await expect(localLLM.chat([{ role: 'user', content: 'Hi' }])).rejects.toMatchObject({
+      message: 'Local LLM API Error: Request failed with status code 404',
+      status: 404
+    });
+    expect(axios.post).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('stream', () => {
+  test('collects deltas and usage until [DONE]', async () => {
+    const body = streamReply();
+    const chunks = [];
+
+    const done = localLLM.stream([{ role: 'user', content: 'Hi' }], chunk => chunks.push(chunk));
+    await new Promise(setImmediate);
+    body.write(delta('Hel'));
+    body.write(delta('lo'));
+    body.write(event({ choices: [{ delta: {} }], usage: { total_tokens: 9 } }));
+    body.write('data: [DONE]\n\n');
+
+    await expect(done).resolves.toMatchObject({ content: 'Hello', model: 'llama3.1:8b', usage: { total_tokens: 9 } });
+    expect(chunks).toEqual(['Hel', 'lo']);
+    expect(axios.post).toHaveBeenCalledWith(
+      'http://localhost:11434/v1/chat/completions',
+      expect.objectContaining({ stream: true, max_tokens: 1500 }),
+      expect.objectContaining({ responseType: 'stream' })
+    );
+    expect(body.destroyed).toBe(true);
+  });
+
+  test('joins events split across network chunks', async () => {
+    const body = streamReply();
+    const chunks = [];
+
+    const done = localLLM.stream([{ role: 'user', content: 'Hi' }], chunk => chunks.push(chunk));
+    await new Promise(setImmediate);
+    const events = delta('Split ') + delta('event');
+    body.write(events.slice(0, 20));
+    body.write(events.slice(20, 45));
+    body.end(events.slice(45));
+
+    await expect(done).resolves.toMatchObject({ content: 'Split event' });
+    expect(chunks).toEqual(['Split ', 'event']);
+  });
+
+  test('skips comments, keep-alives and malformed events', async () => {
+    const body = streamReply();
+
+    const done = localLLM.stream([{ role: 'user', content: 'Hi' }], () => {});
+    await new Promise(setImmediate);
+    body.write(': keep-alive\n\n');
+    body.write('data: {not json}\n\n');
+    body.write('event: ping\n\n');
+    body.end(delta('Still here'));
+
+    await expect(done).resolves.toMatchObject({ content: 'Still here' });
+  });
+
+  test('resolves with what it has when the server closes without [DONE]', async () => {
+    const body = streamReply();
+
+    const done = localLLM.stream([{ role: 'user', content: 'Hi' }], () => {});
+    await new Promise(setImmediate);
+    body.write(delta('Partial'));
+    body.end();
+
+    await expect(done).resolves.toMatchObject({ content: 'Partial', usage: undefined });
+  });
+
+  test('rejects when the connection fails mid-stream', async () => {
+    const body = streamReply();
+
+    const done = localLLM.stream([{ role: 'user', content: 'Hi' }], () => {});
+    await new Promise(setImmediate);
+    body.write(delta('Half'));
+    body.destroy(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+
+    await expect(done).rejects.toThrow('socket hang up');
+  });
+
+  test('rejects when the server refuses the request', async () => {
+    jest.spyOn(axios, 'post').mockRejectedValue(httpError(500));
+
+    await expect(localLLM.stream([{ role: 'user', content: 'Hi' }], () => {})).rejects.toThrow('Request failed with status code 500');
+  });
+});
+
+describe('health', () => {
+  test('reports whether the configured model is loaded', async () => {
+    jest.spyOn(axios, 'get').mockResolvedValue({ data: { data: [{ id: 'llama3.1:8b' }, { id: 'qwen2.5-coder' }] } });
+
+    await expect(localLLM.health()).resolves.toMatchObject({ status: 'healthy', availableModels: 2, modelLoaded: true });
+  });
+
+  test('reports an unreachable server as unhealthy', async () => {
+    jest.spyOn(axios, 'get').mockRejectedValue(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' }));
+
+    await expect(localLLM.health()).resolves.toMatchObject({ status: 'unhealthy', error: 'connect ECONNREFUSED' });
+  });
+});
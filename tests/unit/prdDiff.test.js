@@ -0,0 +1,60 @@
+const { diffWords, diffPRDs } = require('../../src/utils/prdDiff');
+
+describe('diffWords', () => {
+  test('reports inserted and deleted words with the whitespace kept', () => {
+    const diff = diffWords('the quick brown fox', 'the slow brown fox jumps');
+
+    expect(diff.ops).toEqual([
+      { type: 'equal', text: 'the ' },
+      { type: 'delete', text: 'quick' },
+      { type: 'insert', text: 'slow' },
+      { type: 'equal', text: ' brown fox' },
+      { type: 'insert', text: ' jumps' }
+    ]);
+    expect(diff).toMatchObject({ inserted: 2, deleted: 1, truncated: false });
+  });
+
+  test('treats identical text as one equal run', () => {
+    expect(diffWords('same words', 'same words')).toMatchObject({ ops: [{ type: 'equal', text: 'same words' }], inserted: 0, deleted: 0 });
+  });
+});
+
+describe('diffPRDs', () => {
+  const from = {
+    sections: [
+      { id: 'a', title: 'A', body: 'one two' },
+      { id: 'b', title: 'B', body: 'same' },
+      { id: 'gone', title: 'Gone', body: 'bye' }
+    ]
+  };
+  const to = {
+    sections: [
+      { id: 'a', title: 'A2', body: 'one three' },
+      { id: 'c', title: 'C', body: 'new' },
+      { id: 'b', title: 'B', body: 'same' }
+    ]
+  };
+
+  test('matches sections by id', () => {
+    const diff = diffPRDs(from, to);
+
+    expect(diff.added).toEqual([{ id: 'c', title: 'C', body: 'new' }]);
+    expect(diff.removed).toEqual([{ id: 'gone', title: 'Gone', body: 'bye' }]);
+    expect(diff.changed).toHaveLength(1);
+    expect(diff.changed[0]).toMatchObject({ id: 'a', titleChange: { from: 'A', to: 'A2' } });
+    expect(diff.changed[0].body).toMatchObject({ inserted: 1, deleted: 1 });
+  });
+
+  test('summarizes the change counts', () => {
+    expect(diffPRDs(from, to).summary).toEqual({
+      added: 1,
+      removed: 1,
+      changed: 1,
+      unchanged: 1,
+      wordsInserted: 1,
+      wordsDeleted: 1,
+      identical: false
+    });
+    expect(diffPRDs(from, from).summary.identical).toBe(true);
+  });
+});
@@ -0,0 +1,182 @@
+const { lintPRD } = require('../../src/utils/prdLint');
+const { PRD_SECTIONS } = require('../../src/utils/prdNormalizer');
+
+const FILLER = 'This section describes the plan for shared todo lists in enough detail for the team to review it, agree on scope and start building without further questions.';
+
+const BODIES = {
+  'user-stories': [
+    '- As a team member, I want to assign a todo to a colleague so that work is not done twice',
+    '- As an owner, I want to archive finished lists so that the board stays readable for everyone'
+  ].join('\n'),
+  'functional-requirements': [
+    '- Users can create shared lists with a name and a set of members',
+    '  - Acceptance criteria: a new list appears for every member within 5 seconds',
+    '- Users can assign a todo to one member of the list',
+    '  - Given a todo, when it is assigned, then the assignee is notified by email'
+  ].join('\n'),
+  'success-metrics': [
+    '- 40% of new teams create a second list within 14 days of signing up',
+    '- Median time to assign a todo stays under 3 seconds for 1000 weekly active teams'
+  ].join('\n')
+};
+
+// A PRD that passes every rule
+const cleanPRD = () => ({
+  title: 'Todo App PRD',
+  sections: PRD_SECTIONS.map(({ id, title }) => ({ id, title, body: BODIES[id] || FILLER }))
+});
+
+const withBody = (id, body) => {
+  const prd = cleanPRD();
+  prd.sections.find(section => section.id === id).body = body;
+  return prd;
+};
+
+const rules = (report) => report.issues.map(issue => issue.rule);
+
+describe('lintPRD scoring', () => {
+  test('scores a complete PRD 100 with every checklist item present', () => {
+    const report = lintPRD(cleanPRD());
+
+    expect(report.score).toBe(100);
+    expect(report.issues).toEqual([]);
+    expect(report.checklist).toHaveLength(PRD_SECTIONS.length);
+    expect(report.checklist.every(item => item.present && !item.empty)).toBe(true);
+    expect(report.summary).toEqual({ errors: 0, warnings: 0, missingSections: 0, emptySections: 0, penalties: {} });
+  });
+
+  test('matches sections to the checklist by heading when their ids differ', () => {
+    const prd = cleanPRD();
+    prd.sections[0] = { id: 'overview', title: 'Overview', body: FILLER };
+
+    const report = lintPRD(prd);
+
+    expect(report.score).toBe(100);
+    expect(report.checklist[0]).toMatchObject({ id: 'executive-summary', sectionId: 'overview', present: true });
+  });
+
+  test('takes 8 points per missing section', () => {
+    const prd = cleanPRD();
+    prd.sections = prd.sections.filter(section => !['timeline', 'go-to-market'].includes(section.id));
+
+    const report = lintPRD(prd);
+
+    expect(report.score).toBe(84);
+    expect(report.issues).toEqual([
+      { rule: 'missing-section', severity: 'error', sectionId: 'timeline', message: 'Missing required section "Timeline & Milestones"', excerpt: null },
+      { rule: 'missing-section', severity: 'error', sectionId: 'go-to-market', message: 'Missing required section "Go-to-Market Strategy"', excerpt: null }
+    ]);
+    expect(report.summary).toMatchObject({ errors: 2, missingSections: 2 });
+  });
+
+  test('caps what a single rule can cost', () => {
+    const report = lintPRD({ sections: [] });
+
+    expect(rules(report)).toEqual(Array(PRD_SECTIONS.length).fill('missing-section'));
+    expect(report.summary.penalties).toEqual({ 'missing-section': 60 });
+    expect(report.score).toBe(40);
+  });
+
+  test('lints a missing PRD as having no sections', () => {
+    expect(lintPRD(null)).toMatchObject({ score: 40, summary: { missingSections: PRD_SECTIONS.length } });
+  });
+
+  test('adds up what each rule costs', () => {
+    const prd = {
+      sections: PRD_SECTIONS.slice(0, 7).map(({ id, title }) => ({ id, title, body: '' }))
+    };
+
+    const report = lintPRD(prd);
+
+    expect(report.summary.penalties).toEqual({ 'missing-section': 24, 'empty-section': 40 });
+    expect(report.score).toBe(36);
+  });
+});
+
+describe('lintPRD section rules', () => {
+  test('reports empty sections as errors and thin ones as warnings', () => {
+    const prd = withBody('risk-assessment', '');
+    prd.sections.find(section => section.id === 'timeline').body = 'Ship in Q3.';
+
+    const report = lintPRD(prd);
+
+    expect(report.issues).toEqual([
+      { rule: 'thin-section', severity: 'warning', sectionId: 'timeline', message: 'Section "Timeline & Milestones" has only 3 words', excerpt: null },
+      { rule: 'empty-section', severity: 'error', sectionId: 'risk-assessment', message: 'Section "Risk Assessment" is empty', excerpt: null }
+    ]);
+    expect(report.summary).toMatchObject({ errors: 1, warnings: 1, emptySections: 1 });
+    expect(report.score).toBe(92);
+  });
+
+  test('flags user stories that are not in "As a... I want... so that..." form', () => {
+    const report = lintPRD(withBody('user-stories', [
+      BODIES['user-stories'],
+      '- Users should be able to reset their password from the sign-in page'
+    ].join('\n')));
+
+    expect(report.issues).toEqual([{
+      rule: 'user-story-format',
+      severity: 'warning',
+      sectionId: 'user-stories',
+      message: 'User story is not in "As a... I want... so that..." form',
+      excerpt: 'Users should be able to reset their password from the sign-in page'
+    }]);
+    expect(report.score).toBe(98);
+  });
+
+  test('reports a user stories section without any stories', () => {
+    const report = lintPRD(withBody('user-stories', FILLER));
+
+    expect(rules(report)).toEqual(['no-user-stories']);
+    expect(report.score).toBe(92);
+  });
+
+  test('flags requirements without nested or Given/When/Then acceptance criteria', () => {
+    const report = lintPRD(withBody('functional-requirements', [
+      BODIES['functional-requirements'],
+      '- Users can export a list to CSV so that they can share it outside the app'
+    ].join('\n')));
+
+    expect(report.issues).toEqual([expect.objectContaining({
+      rule: 'missing-acceptance-criteria',
+      sectionId: 'functional-requirements',
+      excerpt: 'Users can export a list to CSV so that they can share it outside the app'
+    })]);
+  });
+
+  test('accepts a section-wide acceptance criteria block for every requirement', () => {
+    const report = lintPRD(withBody('functional-requirements', [
+      '- Users can create shared lists with a name and a set of members',
+      '- Users can assign a todo to one member of the list',
+      '',
+      '### Acceptance Criteria',
+      '- A new list appears for every member within 5 seconds'
+    ].join('\n')));
+
+    expect(report.issues).toEqual([]);
+  });
+
+  test('flags metrics without a measurable target and names the vague term', () => {
+    const report = lintPRD(withBody('success-metrics', [
+      BODIES['success-metrics'],
+      '- Improve retention for teams that share lists',
+      '- Weekly active teams'
+    ].join('\n')));
+
+    expect(report.issues.map(issue => [issue.rule, issue.message])).toEqual([
+      ['vague-metric', 'Metric uses "Improve" without a measurable target'],
+      ['vague-metric', 'Metric has no numeric target or threshold']
+    ]);
+    expect(report.score).toBe(96);
+  });
+
+  test('caps repeated content issues at the rule limit', () => {
+    const stories = Array.from({ length: 10 }, (_, index) => `- Users can manage list number ${index + 1} from the dashboard`);
+
+    const report = lintPRD(withBody('user-stories', stories.join('\n')));
+
+    expect(rules(report)).toEqual(Array(10).fill('user-story-format'));
+    expect(report.summary.penalties).toEqual({ 'user-story-format': 15 });
+    expect(report.score).toBe(85);
+  });
+});
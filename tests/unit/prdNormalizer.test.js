@@ -0,0 +1,55 @@
+const { normalizePRD, isCanonicalPRD } = require('../../src/utils/prdNormalizer');
+
+describe('normalizePRD', () => {
+  test('splits markdown into known sections by heading alias', () => {
+    const markdown = [
+      '# Acme PRD',
+      '',
+      '## Overview',
+      'We build things.',
+      '',
+      '## User Stories',
+      '- As a user I want X so that Y'
+    ].join('\n');
+
+    const { prd, report } = normalizePRD(markdown, { provider: 'mock' });
+
+    expect(prd).toMatchObject({ schemaVersion: 1, title: 'Acme PRD', summary: 'We build things.', provider: 'mock' });
+    expect(prd.sections.map(section => section.id)).toEqual(['executive-summary', 'user-stories']);
+    expect(prd.sections[1]).toMatchObject({ title: 'User Stories', body: '- As a user I want X so that Y', provider: 'mock' });
+    expect(report.stats.sectionCount).toBe(2);
+    expect(isCanonicalPRD(prd)).toBe(true);
+  });
+
+  test('treats H1 headings after the title as sections and reports them', () => {
+    const { prd, report } = normalizePRD('# Acme PRD\n\n## Overview\nText\n\n# Appendix\nMore');
+
+    expect(prd.title).toBe('Acme PRD');
+    expect(prd.sections.map(section => [section.id, section.body])).toEqual([
+      ['executive-summary', 'Text'],
+      ['appendix', 'More']
+    ]);
+    expect(report.issues).toContain('Several H1 headings; the first became the document title and later ones start sections');
+  });
+
+  test('unwraps chat completion responses', () => {
+    const { prd } = normalizePRD({ choices: [{ message: { content: '# Title\n\n## Problem Statement\nSlow checkout' } }] });
+
+    expect(prd.sections).toHaveLength(1);
+    expect(prd.sections[0]).toMatchObject({ id: 'problem-statement', body: 'Slow checkout' });
+  });
+
+  test('replaces invalid section dates with the normalization time', () => {
+    const { prd } = normalizePRD({
+      title: 'X',
+      sections: [{ id: 'overview', title: 'Overview', body: 'b', lastEditedAt: 'garbage' }]
+    });
+
+    expect(Number.isNaN(Date.parse(prd.sections[0].lastEditedAt))).toBe(false);
+  });
+
+  test('rejects objects without sections as non-canonical', () => {
+    expect(isCanonicalPRD({})).toBe(false);
+    expect(isCanonicalPRD(null)).toBe(false);
+  });
+});
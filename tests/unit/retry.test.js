@@ -0,0 +1,105 @@
+jest.mock('../../src/utils/logger', () => require('../helpers/silentLogger'));
+
+const { withRetry, isRetryable, retryAfterMs, backoffMs, trackAttempts } = require('../../src/utils/retry');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+describe('retryAfterMs', () => {
+  const now = Date.UTC(2024, 0, 1, 0, 0, 0);
+
+  test('reads Retry-After in seconds or as an HTTP date', () => {
+    expect(retryAfterMs({ 'retry-after': '2' }, now)).toBe(2000);
+    expect(retryAfterMs({ 'retry-after': new Date(now + 5000).toUTCString() }, now)).toBe(5000);
+  });
+
+  test('reads X-RateLimit-Reset as epoch milliseconds or seconds', () => {
+    expect(retryAfterMs({ 'x-ratelimit-reset': String(now + 1500) }, now)).toBe(1500);
+    expect(retryAfterMs({ 'x-ratelimit-reset': String(now / 1000 + 3) }, now)).toBe(3000);
+  });
+
+  test('waits for the longest exhausted bucket only', () => {
+    const headers = {
+      'x-ratelimit-remaining-requests-day': '0',
+      'x-ratelimit-reset-requests-day': '30',
+      'x-ratelimit-remaining-tokens-minute': '500',
+      'x-ratelimit-reset-tokens-minute': '60'
+    };
+
+    expect(retryAfterMs(headers, now)).toBe(30000);
+  });
+
+  test('returns null without a hint and never goes negative', () => {
+    expect(retryAfterMs({}, now)).toBeNull();
+    expect(retryAfterMs({ 'retry-after': new Date(now - 5000).toUTCString() }, now)).toBe(0);
+  });
+});
+
+describe('backoffMs', () => {
+  const settings = { baseDelayMs: 1000, maxDelayMs: 10000 };
+
+  test('doubles per attempt with up to half the step as jitter', () => {
+    expect(backoffMs(1, { ...settings, random: () => 0 })).toBe(500);
+    expect(backoffMs(1, { ...settings, random: () => 1 })).toBe(1000);
+    expect(backoffMs(3, { ...settings, random: () => 0.5 })).toBe(3000);
+  });
+
+  test('caps the step at maxDelayMs', () => {
+    expect(backoffMs(10, { ...settings, random: () => 1 })).toBe(10000);
+  });
+});
+
+describe('isRetryable', () => {
+  test('retries rate limits, transient 5xx and network errors', () => {
+    expect(isRetryable(httpError(429))).toBe(true);
+    expect(isRetryable(httpError(503))).toBe(true);
+    expect(isRetryable({ code: 'ECONNRESET' })).toBe(true);
+    expect(isRetryable(new TypeError('fetch failed'))).toBe(true);
+  });
+
+  test('does not retry client errors or unsupported features', () => {
+    expect(isRetryable(httpError(400))).toBe(false);
+    expect(isRetryable(httpError(501))).toBe(false);
+    expect(isRetryable(new Error('bad prompt'))).toBe(false);
+  });
+});
+
+describe('withRetry', () => {
+  const options = (extra = {}) => ({ baseDelayMs: 10, maxDelayMs: 100, deadlineMs: 10000, random: () => 0, sleep: jest.fn(async () => {}), ...extra });
+
+  test('retries until the operation succeeds, waiting as the provider asked', async () => {
+    const settings = options();
+    const operation = jest.fn()
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '1' }))
+      .mockResolvedValueOnce('ok');
+
+    await expect(withRetry(operation, settings)).resolves.toBe('ok');
+    expect(operation).toHaveBeenCalledTimes(2);
+    expect(settings.sleep).toHaveBeenCalledWith(1000);
+  });
+
+  test('gives up after maxAttempts and records the attempts on the error', async () => {
+    const operation = jest.fn().mockRejectedValue(httpError(503));
+
+    await expect(withRetry(operation, options({ maxAttempts: 2 }))).rejects.toMatchObject({ attempts: 2 });
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not wait past the deadline', async () => {
+    const settings = options({ deadlineMs: 500, now: () => 0 });
+    const operation = jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '1' }));
+
+    await expect(withRetry(operation, settings)).rejects.toMatchObject({ attempts: 1 });
+    expect(settings.sleep).not.toHaveBeenCalled();
+  });
+
+  test('counts attempts for trackAttempts', async () => {
+    const counter = { attempts: 0 };
+    const operation = jest.fn()
+      .mockRejectedValueOnce(httpError(502))
+      .mockResolvedValueOnce('ok');
+
+    await trackAttempts(counter, () => withRetry(operation, options()));
+
+    expect(counter.attempts).toBe(2);
+  });
+});
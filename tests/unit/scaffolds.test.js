@@ -0,0 +1,146 @@
+const { selectTemplate, buildScaffold } = require('../../src/scaffolds');
+
+const project = (fields = {}) => ({
+  name: 'Todo App',
+  description: 'Team todo lists',
+  type: 'web-app',
+  techStack: [],
+  generatedCode: [],
+  ...fields
+});
+
+const code = (fields) => ({ language: 'javascript', code: `// ${fields.path || fields.filename}`, aiProvider: 'mock', ...fields });
+
+const pick = (...args) => {
+  const { template, matchedBy } = selectTemplate(...args);
+  return [template.id, matchedBy];
+};
+
+describe('selectTemplate', () => {
+  test('uses a requested template regardless of case', () => {
+    expect(pick(project({ techStack: ['Next.js'] }), 'FastAPI')).toEqual(['fastapi', 'request']);
+  });
+
+  test('rejects an unknown template with the list of templates', () => {
+    expect(() => selectTemplate(project(), 'rails')).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'Unknown scaffold template "rails". Use one of: express, nextjs, react-vite, fastapi'
+    }));
+  });
+
+  test('prefers the most specific framework in the tech stack', () => {
+    expect(pick(project({ techStack: ['React', 'Next.js', 'Tailwind'] }))).toEqual(['nextjs', 'techStack']);
+    expect(pick(project({ techStack: ['React', 'Vite'] }))).toEqual(['react-vite', 'techStack']);
+  });
+
+  test('picks the frontend of a full stack for a web app and the backend for an API', () => {
+    const techStack = ['React', 'Node.js', 'Express', 'MongoDB'];
+
+    expect(pick(project({ techStack }))).toEqual(['react-vite', 'techStack']);
+    expect(pick(project({ techStack, type: 'api' }))).toEqual(['express', 'techStack']);
+    expect(pick(project({ techStack: ['React', 'Python'], type: 'ai-project' }))).toEqual(['fastapi', 'techStack']);
+  });
+
+  test('falls back to the project type when the stack names no template', () => {
+    expect(pick(project({ techStack: ['Go', 'PostgreSQL'], type: 'api' }))).toEqual(['express', 'type']);
+    expect(pick(project({ type: 'ai-project' }))).toEqual(['fastapi', 'type']);
+    expect(pick(project({ type: 'mobile-app' }))).toEqual(['react-vite', 'type']);
+  });
+});
+
+describe('buildScaffold', () => {
+  const express = (generatedCode, options) => buildScaffold(project({ type: 'api', techStack: ['Express'], generatedCode }), options);
+  const file = (scaffold, path) => scaffold.files.find(entry => entry.path === path);
+  const placed = (scaffold) => scaffold.placements.map(({ from, to, kind }) => [from, to, kind]);
+
+  test('lays out the template under the project slug with no generated files', () => {
+    const scaffold = express([code({ filename: 'userRoutes.js' })], { includeGenerated: false });
+
+    expect(scaffold).toMatchObject({ template: { id: 'express', language: 'javascript' }, matchedBy: 'techStack', root: 'todo-app', placements: [] });
+    expect(scaffold.files.every(entry => entry.source === 'template')).toBe(true);
+    expect(scaffold.files.map(entry => entry.path)).toEqual(expect.arrayContaining(['package.json', '.env.example', 'src/app.js', 'src/models/.gitkeep']));
+    expect(JSON.parse(file(scaffold, 'package.json').content)).toMatchObject({ name: 'todo-app', description: 'Team todo lists' });
+  });
+
+  test('places generated files in the template directory for their kind', () => {
+    const scaffold = express([
+      code({ filename: 'userRoutes.js' }),
+      code({ filename: 'userController.js' }),
+      code({ filename: 'authMiddleware.js' }),
+      code({ filename: 'user.test.js' }),
+      code({ filename: 'helpers.js' }),
+      code({ path: 'src/models/User.js', filename: 'User.js' })
+    ]);
+
+    expect(placed(scaffold)).toEqual([
+      ['userRoutes.js', 'src/routes/userRoutes.js', 'route'],
+      ['userController.js', 'src/controllers/userController.js', 'controller'],
+      ['authMiddleware.js', 'src/middleware/authMiddleware.js', 'middleware'],
+      ['user.test.js', 'tests/user.test.js', 'test'],
+      ['helpers.js', 'src/lib/helpers.js', 'lib'],
+      ['src/models/User.js', 'src/models/User.js', 'model']
+    ]);
+    expect(file(scaffold, 'src/routes/userRoutes.js')).toEqual({ path: 'src/routes/userRoutes.js', content: '// userRoutes.js', source: 'generated' });
+  });
+
+  test('drops a .gitkeep once generated code fills its directory', () => {
+    const scaffold = express([code({ filename: 'todoModel.js' })]);
+
+    expect(file(scaffold, 'src/models/todoModel.js')).toBeDefined();
+    expect(file(scaffold, 'src/models/.gitkeep')).toBeUndefined();
+  });
+
+  test('parks files in languages the template does not use under generated/', () => {
+    const scaffold = express([code({ filename: 'TodoList.tsx', language: 'typescript' })]);
+
+    expect(placed(scaffold)).toEqual([['TodoList.tsx', 'generated/TodoList.tsx', 'unsupported']]);
+  });
+
+  test('keeps protected template files and replaces the others', () => {
+    const template = file(express([]), 'package.json').content;
+    const scaffold = express([
+      code({ path: 'package.json', filename: 'package.json', language: 'json', code: '{}' }),
+      code({ path: 'src/app.js', filename: 'app.js', code: 'module.exports = app;' })
+    ]);
+
+    expect(file(scaffold, 'package.json')).toMatchObject({ source: 'template', content: template });
+    expect(file(scaffold, 'generated/package.json')).toMatchObject({ source: 'generated', content: '{}' });
+    expect(file(scaffold, 'src/app.js')).toEqual({ path: 'src/app.js', content: 'module.exports = app;', source: 'generated', replaced: true });
+    expect(placed(scaffold)).toEqual([
+      ['package.json', 'generated/package.json', 'conflict'],
+      ['src/app.js', 'src/app.js', 'lib']
+    ]);
+  });
+
+  test('numbers later generated files that land on the same path', () => {
+    const scaffold = express([
+      code({ filename: 'todoRoutes.js', generatedAt: new Date('2026-02-01') }),
+      code({ path: 'api/todoRoutes.js', filename: 'todoRoutes.js', generatedAt: new Date('2026-01-01') })
+    ]);
+
+    expect(placed(scaffold)).toEqual([
+      ['api/todoRoutes.js', 'src/routes/todoRoutes.js', 'route'],
+      ['todoRoutes.js', 'src/routes/todoRoutes-2.js', 'route']
+    ]);
+  });
+
+  test('places frontend files in the React + Vite layout', () => {
+    const scaffold = buildScaffold(project({
+      techStack: ['React'],
+      generatedCode: [
+        code({ filename: 'TodoList.tsx', language: 'typescript' }),
+        code({ filename: 'DashboardPage.tsx', language: 'typescript' }),
+        code({ filename: 'todo.css', language: 'css' }),
+        code({ filename: 'todo_service.py', language: 'python' })
+      ]
+    }));
+
+    expect(scaffold.template.id).toBe('react-vite');
+    expect(placed(scaffold).map(([, to, kind]) => [to, kind])).toEqual([
+      ['src/components/TodoList.tsx', 'component'],
+      ['src/pages/DashboardPage.tsx', 'page'],
+      ['src/styles/todo.css', 'style'],
+      ['generated/todo_service.py', 'unsupported']
+    ]);
+  });
+});
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { Writable } = require('stream');
+const { createZip, streamZip, crc32, safeEntryName } = require('../../src/utils/zip');
+const { readEntries } = require('../helpers/zip');
+
+describe('crc32', () => {
+  test('matches the standard check value', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+});
+
+describe('safeEntryName', () => {
+  test('keeps entries inside the archive', () => {
+    expect(safeEntryName('../../etc/passwd')).toBe('etc/passwd');
+    expect(safeEntryName('/abs\\win\\path.txt')).toBe('abs/win/path.txt');
+    expect(safeEntryName('')).toBe('file');
+  });
+});
+
+describe('createZip', () => {
+  test('stores entries that read back with matching checksums', () => {
+    const text = 'repeat '.repeat(200);
+    const archive = createZip([
+      { name: 'small.txt', data: 'hi' },
+      { name: 'dir/big.txt', data: text }
+    ]);
+
+    const entries = readEntries(archive);
+    expect(entries.map(entry => [entry.name, entry.method])).toEqual([['small.txt', 0], ['dir/big.txt', 8]]);
+    expect(entries[1].data).toBe(text);
+    expect(entries[1].crc).toBe(crc32(Buffer.from(text)));
+
+    // End of central directory record with both entries
+    const end = archive.subarray(archive.length - 22);
+    expect(end.readUInt32LE(0)).toBe(0x06054B50);
+    expect(end.readUInt16LE(10)).toBe(2);
+  });
+});
+
+describe('streamZip', () => {
+  test('writes the same bytes as createZip', async () => {
+    const date = new Date(2024, 0, 2, 3, 4, 6);
+    const entries = [{ name: 'a.txt', data: 'a', date }, { name: 'b.txt', data: 'b'.repeat(1000), date }];
+    const chunks = [];
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(chunk);
+        callback();
+      }
+    });
+
+    await expect(streamZip(entries, output)).resolves.toBe(true);
+    expect(Buffer.concat(chunks).equals(createZip(entries))).toBe(true);
+  });
+
+  test('stops without hanging when the stream closes mid-archive', async () => {
+    const entries = Array.from({ length: 5 }, (_, index) => ({ name: `f${index}`, data: crypto.randomBytes(64 * 1024) }));
+    // Never drains, like a client that stopped reading
+    const output = new Writable({ highWaterMark: 1024, write() {} });
+
+    const streaming = streamZip(entries, output);
+    setImmediate(() => output.destroy());
+
+    await expect(streaming).resolves.toBe(false);
+  });
+});